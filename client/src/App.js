@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
 import './App.css';
 
@@ -16,49 +16,28 @@ const generateRandomUsername = () => {
   return `${adj}${noun}${num}`;
 };
 
-const ROLE_INFO = {
-  Investigator: {
-    alignment: 'Good',
-    ability: 'Each night, investigate one player to learn if they are suspicious.',
-    goal: 'Eliminate all vampires and survive.'
-  },
-  Lookout: {
-    alignment: 'Good',
-    ability: 'Each night, watch one player to see who visits them.',
-    goal: 'Eliminate all vampires and survive.'
-  },
-  Doctor: {
-    alignment: 'Good',
-    ability: 'Each night, heal one player to save them from vampire attacks. You have 3 heals per game.',
-    goal: 'Eliminate all vampires and survive.'
-  },
-  Jailor: {
-    alignment: 'Good',
-    ability: 'Each night, jail one player for private interrogation. You can choose to execute the prisoner.',
-    goal: 'Eliminate all vampires and survive. Warning: executing an innocent will cost your life!'
-  },
-  Citizen: {
-    alignment: 'Good',
-    ability: 'No special ability. Use your vote wisely during the day.',
-    goal: 'Eliminate all vampires and survive.'
-  },
-  Vampire: {
-    alignment: 'Evil',
-    ability: 'Every other night, vote to turn a citizen. The target with the most votes is turned (ties are random)!',
-    goal: 'Turn or eliminate all non-vampires.'
-  },
-  'Vampire Framer': {
-    alignment: 'Evil',
-    ability: 'Each night, frame one player to appear as a vampire to investigators. Every other night, also vote to turn someone.',
-    goal: 'Turn or eliminate all non-vampires.'
-  },
-  Jester: {
-    alignment: 'Neutral',
-    ability: 'No special night ability. Try to act suspicious!',
-    goal: 'Get yourself voted out during the day to win.'
+// Copy text, with a fallback for non-HTTPS contexts where the Clipboard API is missing
+const copyToClipboard = (text) => {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
   }
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.position = 'fixed';
+  textArea.style.left = '-999999px';
+  textArea.style.top = '-999999px';
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
+  return new Promise((resolve, reject) => {
+    document.execCommand('copy') ? resolve() : reject();
+    textArea.remove();
+  });
 };
 
+// Capitalize an alignment for display ('good' -> 'Good')
+const formatAlignment = (alignment) => alignment ? alignment.charAt(0).toUpperCase() + alignment.slice(1) : null;
+
 // Pre-generate snowflake data outside component to prevent regeneration
 const SNOWFLAKE_DATA = Array.from({ length: 50 }, (_, i) => ({
   id: i,
@@ -90,6 +69,524 @@ const Snowfall = React.memo(() => {
   );
 });
 
+// Daytime phases (chat is public, day theme)
+const DAY_PHASES = ['DAY_DISCUSS', 'DAY_VOTE', 'DEFENSE', 'JUDGEMENT'];
+
+const VERDICT_OPTIONS = [
+  { verdict: 'GUILTY', label: '👎 Guilty' },
+  { verdict: 'INNOCENT', label: '👍 Innocent' },
+  { verdict: 'ABSTAIN', label: 'Abstain' }
+];
+
+// --- REPLAY ---
+// Helpers for stepping through a saved game journal (entry schema: server/game-journal.js)
+
+const formatReplayPhase = (round, phase) => {
+  if (phase === 'NIGHT') return `Night ${round}`;
+  if (phase === 'DAY_DISCUSS') return `Day ${round} - Discussion`;
+  if (phase === 'DAY_VOTE') return `Day ${round} - Voting`;
+  if (phase === 'DEFENSE') return `Day ${round} - Defense`;
+  if (phase === 'JUDGEMENT') return `Day ${round} - Judgement`;
+  if (phase === 'GAME_OVER') return 'Game Over';
+  return 'Lobby';
+};
+
+// Split the journal into timeline steps: the lobby, every phase and the end of the game
+const getReplaySteps = (journal) => {
+  const steps = [];
+  journal.forEach((entry, index) => {
+    if (index === 0 || entry.type === 'PHASE_STARTED' || entry.type === 'GAME_OVER') {
+      steps.push({ round: entry.round, phase: entry.phase, start: index, end: index });
+    }
+    steps[steps.length - 1].end = index;
+  });
+  return steps;
+};
+
+const BITE_OUTCOMES = {
+  TURNED: 'and turned them',
+  KILLED: 'and killed them',
+  JAILED: 'but they were in jail',
+  HEALED: 'but a Doctor saved them',
+  FAILED: 'but nothing happened'
+};
+
+const STAKE_OUTCOMES = {
+  KILLED: 'and killed them',
+  JAILED: 'but they were in jail',
+  HEALED: 'but a Doctor saved them',
+  FAILED: 'but they were already dead'
+};
+
+const CHAT_CHANNEL_ICONS = {
+  public: '💬',
+  vampire: '🧛',
+  jail: '🔒',
+  dead: '👻'
+};
+
+// Archived chat sections still shown in the live chat: the current night, or all phases of the current day
+const isLiveChatSection = (section, gameState) => gameState.state !== 'GAME_OVER' &&
+  section.round === gameState.round &&
+  DAY_PHASES.includes(section.phase) === DAY_PHASES.includes(gameState.state);
+
+// Same limit as the server (see action-validator.js)
+const WILL_MAX_LENGTH = 500;
+
+const DEATH_CAUSES = {
+  lynch: 'was lynched',
+  execution: 'was executed by the Jailor',
+  stake: 'was staked by a Vampire Hunter',
+  bite: 'was killed by the vampires',
+  guilt: 'was consumed by guilt',
+  host: 'was struck down by the host'
+};
+
+// One line of the replay timeline, or null for bookkeeping entries
+const describeReplayEntry = (entry, name, showRole) => {
+  switch (entry.type) {
+    case 'PLAYER_JOINED': return `👋 ${name(entry.playerId)} joined${entry.isNPC ? ' (NPC)' : ''}`;
+    case 'PLAYER_LEFT': return `🚪 ${name(entry.playerId)} left`;
+    case 'GAME_STARTED': return '🎲 The game started';
+    case 'ROLE_ASSIGNED': return `🎭 ${name(entry.playerId)} is the ${entry.role}${entry.fakeRole ? ` (claims ${entry.fakeRole})` : ''}`;
+    case 'ROLE_CHANGED': return entry.by === 'objective'
+      ? `🃏 ${name(entry.playerId)} lost their target and became the ${entry.role}`
+      : `🎭 The host made ${name(entry.playerId)} the ${entry.role}`;
+    case 'OBJECTIVE_ASSIGNED': return entry.targetId ? `🪓 ${name(entry.playerId)} must get ${name(entry.targetId)} lynched` : null;
+    case 'OBJECTIVE_COMPLETED': return `🏆 ${name(entry.playerId)} completed their objective`;
+    case 'OBJECTIVE_CLEARED': return `🧛 ${name(entry.playerId)} lost their objective (turned)`;
+    case 'NIGHT_ACTION': return `🌙 ${name(entry.actorId)} chose ${entry.action}${entry.targetId ? ` on ${name(entry.targetId)}` : ''}`;
+    case 'NIGHT_ACTION_CLEARED': return `↩️ ${name(entry.actorId)} cancelled ${entry.action}`;
+    // Prisoners never learn who their Jailor is
+    case 'PLAYER_JAILED': return showRole(entry.actorId)
+      ? `🔒 ${name(entry.actorId)} jailed ${name(entry.targetId)}`
+      : `🔒 ${name(entry.targetId)} was jailed`;
+    case 'PLAYER_RELEASED': return showRole(entry.actorId)
+      ? `🔓 ${name(entry.actorId)} released ${name(entry.targetId)}`
+      : `🔓 ${name(entry.targetId)} was released`;
+    case 'JAIL_CHAT': return entry.sender === 'Jailor' && !showRole(entry.senderId)
+      ? `🔒 Jailor: ${entry.message}`
+      : `🔒 ${entry.sender} ${name(entry.senderId)}: ${entry.message}`;
+    case 'CHAT_MESSAGE': {
+      // The dead never learn who the Medium is
+      const sender = entry.isMedium && !showRole(entry.senderId) ? 'Medium' : name(entry.senderId);
+      return `${CHAT_CHANNEL_ICONS[entry.channel] || '💬'} ${sender}: ${entry.message}`;
+    }
+    case 'VOTE': return entry.targetId
+      ? `🗳️ ${name(entry.voterId)} voted for ${name(entry.targetId)}`
+      : `🗳️ ${name(entry.voterId)} withdrew their vote`;
+    case 'LYNCH_RESULT': {
+      const tally = Object.entries(entry.votes || {}).map(([id, count]) => `${name(id)} ${count}`).join(', ');
+      return `⚖️ Votes: ${tally || 'none'}${entry.targetId ? '' : ' - no one was lynched'}`;
+    }
+    case 'TRIAL_STARTED': return `⚖️ ${name(entry.targetId)} was put on trial`;
+    case 'ROLE_REVEALED': return `🎩 ${name(entry.playerId)} revealed themselves as the ${entry.role}`;
+    case 'VERDICT': return `🗳️ ${name(entry.voterId)} voted ${entry.verdict.toLowerCase()}`;
+    case 'TRIAL_RESULT': return `⚖️ ${entry.guilty} guilty, ${entry.innocent} innocent, ${entry.abstain} abstained - ${name(entry.targetId)} was ${entry.lynched ? 'found guilty' : 'spared'}`;
+    case 'HEAL': return `💉 ${name(entry.actorId)} healed ${name(entry.targetId)}${entry.saved ? ' and saved them' : ''}`;
+    case 'FRAME': return `🎭 ${name(entry.actorId)} framed ${name(entry.targetId)}`;
+    case 'STAKE': return `🗡️ ${name(entry.actorId)} staked ${name(entry.targetId)} ${STAKE_OUTCOMES[entry.outcome] || ''}`;
+    case 'BITE': return `🧛 The vampires bit ${name(entry.targetId)}${entry.tied ? ' (tie broken randomly)' : ''} ${BITE_OUTCOMES[entry.outcome] || ''}`;
+    case 'PLAYER_TURNED': return `🩸 ${name(entry.playerId)} became a Vampire${showRole(entry.playerId) ? ` (was ${entry.previousRole})` : ''}`;
+    case 'ACTION_BLOCKED': return `💃 ${name(entry.actorId)} was roleblocked - their ${entry.action} failed`;
+    case 'ACTION_RESULT': return `🔍 ${name(entry.actorId)} learned about ${name(entry.targetId)}: ${entry.result}`;
+    case 'PLAYER_DIED': return `💀 ${name(entry.playerId)} ${DEATH_CAUSES[entry.cause] || 'died'}${showRole(entry.playerId) ? ` - ${entry.role}` : ''}`;
+    case 'WILL_WRITTEN': return `📜 ${name(entry.playerId)} ${entry.will ? 'updated' : 'cleared'} their last will`;
+    case 'DEATH_NOTE_WRITTEN': return `✒️ ${name(entry.playerId)} ${entry.note ? 'updated' : 'cleared'} their death note`;
+    case 'WILL_REVEALED': {
+      if (!entry.will && !entry.deathNote) return `📜 ${name(entry.playerId)} left no last will`;
+      const will = entry.will ? `📜 ${name(entry.playerId)}'s last will: "${entry.will}"` : `📜 ${name(entry.playerId)} left no last will`;
+      return entry.deathNote ? `${will} ✒️ Death note: "${entry.deathNote}"` : will;
+    }
+    case 'PLAYER_REVIVED': return `😇 ${name(entry.playerId)} was revived by the host`;
+    case 'GAME_OVER': return `🏁 Winner: ${entry.winner === 'GOOD' ? 'Citizens' : entry.winner === 'EVIL' ? 'Vampires' : entry.winner}`;
+    default: return null;
+  }
+};
+
+/**
+ * Replay the journal up to (and including) endIndex.
+ * With a viewerId only what that player saw is visible; without one everything is.
+ * @returns {{ players: object, visible: number[], revealRoles: boolean }}
+ */
+const replayJournal = (journal, endIndex, viewerId, roleRegistry) => {
+  const players = {};
+  const visible = [];
+  let jail = null; // Tonight's { actorId, targetId }
+  let revealRoles = false;
+  const isVampireTeam = (id) => roleRegistry?.roles[players[id]?.role]?.team === 'vampire';
+
+  const canSee = (entry) => {
+    if (!viewerId) return true;
+    switch (entry.type) {
+      case 'CHAT_MESSAGE':
+        // The graveyard is heard by the dead, and by a living Medium at night
+        if (entry.channel === 'dead') return !players[viewerId]?.alive || (entry.phase === 'NIGHT' && !!roleRegistry?.roles[players[viewerId]?.role]?.seance);
+        return entry.channel === 'public' || isVampireTeam(viewerId);
+      case 'ROLE_ASSIGNED':
+      case 'ROLE_CHANGED':
+      case 'PLAYER_TURNED':
+      case 'OBJECTIVE_ASSIGNED':
+      case 'OBJECTIVE_COMPLETED':
+      case 'OBJECTIVE_CLEARED':
+      case 'WILL_WRITTEN':
+      case 'DEATH_NOTE_WRITTEN':
+        return entry.playerId === viewerId;
+      case 'NIGHT_ACTION':
+      case 'NIGHT_ACTION_CLEARED':
+        // Vampires are told about each other's bite votes
+        return entry.actorId === viewerId || (entry.action === 'BITE' && isVampireTeam(viewerId));
+      case 'HEAL':
+      case 'FRAME':
+      case 'STAKE':
+      case 'ACTION_BLOCKED':
+      case 'ACTION_RESULT':
+        return entry.actorId === viewerId;
+      case 'BITE':
+        return isVampireTeam(viewerId);
+      case 'PLAYER_JAILED':
+      case 'PLAYER_RELEASED':
+        return entry.actorId === viewerId || entry.targetId === viewerId;
+      case 'JAIL_CHAT':
+        return jail && (jail.actorId === viewerId || jail.targetId === viewerId);
+      default:
+        return true;
+    }
+  };
+
+  journal.slice(0, endIndex + 1).forEach((entry, index) => {
+    if (entry.type === 'PLAYER_JAILED') jail = { actorId: entry.actorId, targetId: entry.targetId };
+    if (canSee(entry)) visible.push(index);
+
+    const player = players[entry.playerId];
+    switch (entry.type) {
+      case 'PLAYER_JOINED':
+        players[entry.playerId] = { id: entry.playerId, name: entry.name, isNPC: entry.isNPC, role: null, alignment: null, alive: true };
+        break;
+      case 'NPC_UPDATED':
+        if (player) players[entry.playerId] = { ...player, name: entry.name };
+        break;
+      case 'PLAYER_LEFT':
+        delete players[entry.playerId];
+        break;
+      case 'GAME_STARTED':
+        revealRoles = !!entry.settings?.revealRole;
+        break;
+      case 'ROLE_ASSIGNED':
+      case 'ROLE_CHANGED':
+        if (player) players[entry.playerId] = { ...player, role: entry.role, alignment: entry.alignment, fakeRole: entry.fakeRole ?? player.fakeRole };
+        break;
+      case 'ROLE_REVEALED':
+        if (player) players[entry.playerId] = { ...player, revealedRole: entry.role };
+        break;
+      case 'PLAYER_TURNED':
+        if (player) players[entry.playerId] = { ...player, role: 'Vampire', alignment: 'evil', isTurned: true };
+        break;
+      case 'PLAYER_DIED':
+        if (player) players[entry.playerId] = { ...player, alive: false };
+        break;
+      case 'PLAYER_REVIVED':
+        if (player) players[entry.playerId] = { ...player, alive: true };
+        break;
+      case 'PHASE_STARTED':
+        if (entry.phase === 'NIGHT') jail = null;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { players, visible, revealRoles };
+};
+
+// Editor for a role-list preset ({ name, slots, constraints }, see server/role-list.js)
+const RoleListEditor = ({ preset, roleRegistry, playerCount, savedPresets, onChange, onSave }) => {
+  const buckets = roleRegistry?.buckets || {};
+  const roleNames = (roleRegistry?.order || []).filter(key => key !== roleRegistry.fillerRole);
+  const constraints = preset.constraints || {};
+  const presetOptions = [
+    ...(roleRegistry?.presets || []).map((p, i) => ({ key: `builtin:${i}`, label: `⭐ ${p.name}`, preset: p })),
+    ...savedPresets.map((p, i) => ({ key: `saved:${i}`, label: `💾 ${p.name}`, preset: p }))
+  ];
+
+  const setSlot = (index, value) => onChange({ ...preset, slots: preset.slots.map((slot, i) => (i === index ? value : slot)) });
+  const removeSlot = (index) => onChange({ ...preset, slots: preset.slots.filter((_, i) => i !== index) });
+  const setConstraint = (role, limit) => {
+    const next = { ...constraints };
+    if (limit) next[role] = limit; else delete next[role];
+    onChange({ ...preset, constraints: next });
+  };
+  const parseLimit = (value) => (value === '' ? undefined : Math.max(0, parseInt(value) || 0));
+
+  const importJSON = () => {
+    const text = window.prompt('Paste a role list (JSON):');
+    if (!text) return;
+    try {
+      const imported = JSON.parse(text);
+      if (!Array.isArray(imported?.slots)) throw new Error('missing slots');
+      onChange(imported);
+    } catch (err) {
+      alert(`That is not a valid role list: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="role-list-editor">
+      <div className="role-list-toolbar">
+        <select
+          className="setting-select"
+          value=""
+          onChange={e => {
+            const option = presetOptions.find(o => o.key === e.target.value);
+            if (option) onChange(option.preset);
+          }}
+        >
+          <option value="">Load a preset...</option>
+          {presetOptions.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+        </select>
+        <input
+          type="text"
+          className="role-list-name"
+          value={preset.name || ''}
+          maxLength={40}
+          placeholder="Role list name"
+          onChange={e => onChange({ ...preset, name: e.target.value })}
+        />
+        <button className="btn-small" onClick={() => onSave(preset)}>💾 Save</button>
+        <button
+          className="btn-small"
+          onClick={() => copyToClipboard(JSON.stringify(preset)).then(() => alert('Role list copied as JSON!')).catch(() => alert('Failed to copy.'))}
+        >
+          📋 Copy JSON
+        </button>
+        <button className="btn-small" onClick={importJSON}>📥 Import JSON</button>
+      </div>
+
+      <ol className="role-list-slots">
+        {preset.slots.map((slot, i) => (
+          <li key={i} className={i >= playerCount ? 'role-list-slot-unused' : ''}>
+            <select className="setting-select" value={slot} onChange={e => setSlot(i, e.target.value)}>
+              <optgroup label="Random">
+                {Object.entries(buckets).map(([key, bucket]) => <option key={key} value={key}>{bucket.label}</option>)}
+              </optgroup>
+              <optgroup label="Roles">
+                {roleNames.map(name => <option key={name} value={name}>{roleRegistry.roles[name].icon} {name}</option>)}
+              </optgroup>
+            </select>
+            <button className="counter-btn" onClick={() => removeSlot(i)} disabled={preset.slots.length <= 1} title="Remove slot">✕</button>
+          </li>
+        ))}
+      </ol>
+      <button className="btn-small" onClick={() => onChange({ ...preset, slots: [...preset.slots, 'RANDOM_TOWN'] })}>+ Add Slot</button>
+
+      <div className="role-list-constraints">
+        <h4>Constraints</h4>
+        {Object.entries(constraints).map(([role, limit]) => (
+          <div key={role} className="role-list-constraint">
+            <span className="role-list-constraint-name">{roleRegistry.roles[role]?.icon} {role}</span>
+            <label>
+              Min
+              <input type="number" min="0" value={limit.min ?? ''} onChange={e => setConstraint(role, { ...limit, min: parseLimit(e.target.value) })} />
+            </label>
+            <label>
+              Max
+              <input type="number" min="0" value={limit.max ?? ''} disabled={limit.unique} onChange={e => setConstraint(role, { ...limit, max: parseLimit(e.target.value) })} />
+            </label>
+            <label>
+              <input type="checkbox" checked={!!limit.unique} onChange={e => setConstraint(role, { ...limit, unique: e.target.checked })} />
+              Unique
+            </label>
+            <button className="counter-btn" onClick={() => setConstraint(role, null)} title="Remove constraint">✕</button>
+          </div>
+        ))}
+        <select
+          className="setting-select"
+          value=""
+          onChange={e => e.target.value && setConstraint(e.target.value, { min: 0 })}
+        >
+          <option value="">+ Add constraint...</option>
+          {roleNames.filter(name => !constraints[name]).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+
+      <div className="role-config-summary">
+        <div className="role-summary-item">
+          Players: <span>{playerCount}</span>
+        </div>
+        <div className="role-summary-item">
+          Slots: <span>{preset.slots.length}</span>
+        </div>
+        {preset.slots.length > playerCount && (
+          <div className="role-summary-warning">Only the first {playerCount} slots are used.</div>
+        )}
+        {preset.slots.length < playerCount && (
+          <div className="role-summary-warning">{playerCount - preset.slots.length} extra player(s) will be {roleRegistry?.fillerRole}s.</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Balance report for the lobby's role setup (see server/balance-analyzer.js)
+const BALANCE_ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+
+const BalanceReport = ({ report }) => {
+  const { estimate, cutRoles, warnings } = report;
+  const bars = estimate ? [
+    { key: 'town', label: 'Town', share: estimate.town },
+    { key: 'evil', label: 'Vampires', share: estimate.evil },
+    { key: 'neutral', label: 'Neutral', share: estimate.neutral },
+    { key: 'draw', label: 'Draw', share: estimate.draw }
+  ].filter(bar => bar.share > 0) : [];
+
+  return (
+    <div className="balance-report">
+      <h4>⚖️ Balance Report</h4>
+      {estimate && (
+        <>
+          <div className="balance-bar">
+            {bars.map(bar => (
+              <div key={bar.key} className={`balance-bar-segment ${bar.key}`} style={{ width: `${bar.share * 100}%` }}>
+                {bar.share >= 0.1 && `${Math.round(bar.share * 100)}%`}
+              </div>
+            ))}
+          </div>
+          <div className="balance-legend">
+            {bars.map(bar => (
+              <span key={bar.key} className={`balance-legend-item ${bar.key}`}>{bar.label} {Math.round(bar.share * 100)}%</span>
+            ))}
+          </div>
+          <div className="hint-text">
+            Estimated from {estimate.games} simulated games (about {Math.round(estimate.avgRounds)} nights each).
+          </div>
+        </>
+      )}
+      {cutRoles.length > 0 && (
+        <div className="balance-cuts">
+          <strong>Roles cut to fit the players:</strong>
+          <ul>
+            {cutRoles.map(cut => (
+              <li key={cut.alignment}>
+                {cut.count} × {cut.roles.length === 1 ? cut.roles[0] : `random from ${cut.roles.join(', ')}`}
+                {cut.alignment === 'any' && ' (the balance cannot be kept)'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <ul className="balance-warnings">
+          {warnings.map((warning, i) => (
+            <li key={i} className={`balance-warning ${warning.level}`}>{BALANCE_ICONS[warning.level]} {warning.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Step-through viewer for a finished game, defined outside App like Snowfall
+const ReplayViewer = ({ replay, roleRegistry, onClose }) => {
+  const { journal } = replay;
+  const steps = useMemo(() => getReplaySteps(journal), [journal]);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [viewerId, setViewerId] = useState(''); // '' = omniscient
+
+  const step = steps[Math.min(stepIndex, steps.length - 1)];
+  const { players, visible, revealRoles } = useMemo(
+    () => replayJournal(journal, step.end, viewerId || null, roleRegistry),
+    [journal, step, viewerId, roleRegistry]
+  );
+
+  // Names never disappear, even for players who left the lobby
+  const names = useMemo(() => {
+    const map = {};
+    journal.forEach(e => { if (e.name && e.playerId) map[e.playerId] = e.name; });
+    return map;
+  }, [journal]);
+  const nameOf = (id) => names[id] || 'Unknown';
+
+  const viewerIsVampire = !!viewerId && roleRegistry?.roles[players[viewerId]?.role]?.team === 'vampire';
+  const isRoleKnown = (id) => {
+    const p = players[id];
+    if (!viewerId || step.phase === 'GAME_OVER' || id === viewerId) return true;
+    if (viewerIsVampire && roleRegistry?.roles[p?.role]?.team === 'vampire') return true;
+    return revealRoles && p && !p.alive;
+  };
+
+  const stepEntries = visible
+    .filter(index => index >= step.start && index <= step.end)
+    .map(index => ({ index, text: describeReplayEntry(journal[index], nameOf, isRoleKnown) }))
+    .filter(e => e.text);
+
+  return (
+    <div className="container game-layout replay-layout">
+      <div className="game-header">
+        <div className="phase-indicator">
+          <span className="phase-label">Replay: {replay.code}</span>
+          <span className="timer-badge">{formatReplayPhase(step.round, step.phase)}</span>
+        </div>
+        <div className="replay-perspective">
+          <span className="role-label">Perspective</span>
+          <select className="input-modern" value={viewerId} onChange={e => setViewerId(e.target.value)}>
+            <option value="">👁️ Omniscient</option>
+            {Object.values(players).map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </div>
+        <button className="btn-small" onClick={onClose}>Close Replay</button>
+      </div>
+
+      <div className="replay-timeline">
+        <button className="btn-small" onClick={() => setStepIndex(i => Math.max(0, i - 1))} disabled={stepIndex === 0}>◀</button>
+        <input
+          type="range"
+          className="replay-scrubber"
+          min={0}
+          max={steps.length - 1}
+          value={stepIndex}
+          onChange={e => setStepIndex(Number(e.target.value))}
+        />
+        <button className="btn-small" onClick={() => setStepIndex(i => Math.min(steps.length - 1, i + 1))} disabled={stepIndex === steps.length - 1}>▶</button>
+        <span className="hint-text">{stepIndex + 1} / {steps.length}</span>
+      </div>
+
+      <div className="game-board">
+        <div className="players-section">
+          {Object.values(players).map(p => {
+            const roleDef = roleRegistry?.roles[p.role];
+            const known = isRoleKnown(p.id);
+            return (
+              <div key={p.id} className={`game-player-card ${!p.alive ? 'dead' : ''} ${p.id === viewerId ? 'me' : ''} ${p.isNPC ? 'npc-card' : ''}`}>
+                <div className="card-top">
+                  <span className="name">{p.isNPC && '🤖 '}{p.name}</span>
+                  {!p.alive && <span className="vote-count">👻 Dead</span>}
+                </div>
+                <div className={`summary-role ${known ? p.alignment || '' : ''}`}>
+                  {known && p.role ? `${roleDef?.icon || ''} ${p.role}` : '???'}
+                  {known && p.fakeRole && <div className="hint-text">Claims {p.fakeRole}</div>}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="sidebar">
+          <div className="panel logs-panel replay-events-panel">
+            <h4>{formatReplayPhase(step.round, step.phase)}</h4>
+            <div className="scroll-box">
+              {stepEntries.length > 0
+                ? stepEntries.map(e => <div key={e.index} className="log-entry">{e.text}</div>)
+                : <div className="log-entry">Nothing happened that {viewerId ? nameOf(viewerId) : 'anyone'} could see.</div>}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 function App() {
   // Initialize state from localStorage where applicable
   const [view, setView] = useState(() => {
@@ -111,10 +608,10 @@ function App() {
   const [privateMsg, setPrivateMsg] = useState(() => localStorage.getItem('vampire_private_msg') || '');
   const [timer, setTimer] = useState(0);
   const [selectedPlayerRole, setSelectedPlayerRole] = useState(null); // For host role viewing modal
-  const [nightTarget, setNightTarget] = useState(null); // Track who we targeted at night
-  const [frameTarget, setFrameTarget] = useState(null); // Track frame target for Vampire Framer (separate from nightTarget)
+  const [nightTargets, setNightTargets] = useState({}); // Track night targets per action slot ({ main, frame, ... })
   const [voteTarget, setVoteTarget] = useState(null); // Track who we voted for
   const [roleRevealed, setRoleRevealed] = useState(false); // Track if role is revealed
+  const [willDraft, setWillDraft] = useState(null); // Last will being edited ({ will, deathNote }), null when closed
   const [shareLinkCopied, setShareLinkCopied] = useState(false); // Track if share link was copied
   const [showShareModal, setShowShareModal] = useState(false); // Track if share modal is open
   const [jailChatInput, setJailChatInput] = useState(''); // Jail chat input
@@ -122,8 +619,14 @@ function App() {
   const [executionPending, setExecutionPending] = useState(false); // Track if Jailor decided to execute
   const [gameChat, setGameChat] = useState([]); // Game chat messages
   const [chatInput, setChatInput] = useState(''); // Game chat input
+  const [deadChat, setDeadChat] = useState([]); // Graveyard chat (the dead, and the Medium at night)
+  const [deadChatInput, setDeadChatInput] = useState(''); // Graveyard chat input
   const [editingNPC, setEditingNPC] = useState(null); // NPC being edited (holds { id, name, personality, talkingStyle, elevenlabsVoiceId })
   const [elevenlabsOptions, setElevenlabsOptions] = useState({ models: [], voices: [] }); // ElevenLabs models and voices
+  const [llmOptions, setLlmOptions] = useState([]); // LLM providers available on the server
+  const [roleRegistry, setRoleRegistry] = useState(null); // Role registry sent by the server ({ roles, order, fillerRole })
+  const [replay, setReplay] = useState(null); // Finished game being replayed ({ code, journal })
+  const [replayCode, setReplayCode] = useState(''); // Code typed into the replay box on the menu
   const prevGameState = useRef(null); // Track previous game state for transitions
   const chatMessagesRef = useRef(null); // Ref for auto-scrolling chat
   const jailChatMessagesRef = useRef(null); // Ref for auto-scrolling jail chat
@@ -150,6 +653,14 @@ function App() {
       discussionTime: 120,
       nightTime: 60,
       votingTime: 15,
+      enableTrial: false,
+      defenseTime: 20,
+      judgementTime: 15,
+      biteCadence: 'EVEN_NIGHTS',
+      biteInterval: 3,
+      biteMode: 'CONVERT',
+      maxConversions: 0,
+      youngestVampireOnly: false,
       revealRole: true,
       chatEnabled: true,
       enableAI: false,
@@ -160,16 +671,10 @@ function App() {
       sttProvider: 'deepgram',
       elevenlabsModel: 'eleven_turbo_v2_5',
       npcNationality: 'english',
-      npcAllowedRoles: {
-        Investigator: true,
-        Lookout: true,
-        Doctor: true,
-        Jailor: true,
-        Vampire: true,
-        'Vampire Framer': true,
-        Jester: true,
-        Citizen: true
-      }
+      llmProvider: 'gemini',
+      llmModel: '', // '' = the provider's default model
+      llmEndpoint: '', // '' = the server's default endpoint, otherwise one of its allowed endpoints
+      npcAllowedRoles: {} // Missing roles are allowed
     };
     if (savedSettings) {
       return { ...defaultSettings, ...JSON.parse(savedSettings) };
@@ -185,9 +690,14 @@ function App() {
       Lookout: 1,
       Doctor: 1,
       Jailor: 0,
+      'Vampire Hunter': 0,
+      Escort: 0,
+      Mayor: 0,
+      Medium: 0,
       Vampire: 1,
       'Vampire Framer': 0,
-      Jester: 1
+      Jester: 1,
+      Executioner: 0
     };
     const savedRoleConfig = localStorage.getItem('vampire_role_config');
     if (savedRoleConfig) {
@@ -197,6 +707,12 @@ function App() {
     return defaultConfig;
   });
 
+  // Role lists saved by this browser (see RoleListEditor)
+  const [savedPresets, setSavedPresets] = useState(() => JSON.parse(localStorage.getItem('vampire_role_presets') || '[]'));
+
+  // Balance report for the host's role setup (lobby only)
+  const [balanceReport, setBalanceReport] = useState(null);
+
   // Theme selection - default to dark theme
   const [selectedTheme, setSelectedTheme] = useState(() => {
     const savedTheme = localStorage.getItem('vampire_theme');
@@ -336,12 +852,19 @@ function App() {
       return;
     }
 
-    const savedCode = localStorage.getItem('vampire_code');
-    const savedId = localStorage.getItem('vampire_id');
+    // Rejoin on every (re)connect so a server restart or network drop is transparent
+    const rejoin = () => {
+      const savedCode = localStorage.getItem('vampire_code');
+      const savedId = localStorage.getItem('vampire_id');
 
-    if (savedCode && savedId) {
-      socket.emit('rejoin_game', { code: savedCode, playerId: savedId });
-    }
+      if (savedCode && savedId) {
+        socket.emit('rejoin_game', { code: savedCode, playerId: savedId });
+      }
+    };
+
+    if (socket.connected) rejoin();
+    socket.on('connect', rejoin);
+    return () => socket.off('connect', rejoin);
   }, []);
 
   // 1.1 Check for join code in URL query parameter (?join=CODE)
@@ -383,10 +906,9 @@ function App() {
     const prev = prevGameState.current;
     if (!gameState) return;
 
-    // Reset nightTarget and frameTarget when entering a new NIGHT phase (different round)
+    // Reset night targets when entering a new NIGHT phase (different round)
     if (gameState.state === 'NIGHT' && (!prev || prev.state !== 'NIGHT' || prev.round !== gameState.round)) {
-      setNightTarget(null);
-      setFrameTarget(null);
+      setNightTargets({});
       setJailChat([]); // Reset jail chat for new night
       setExecutionPending(false); // Reset execution state for new night
     }
@@ -404,13 +926,19 @@ function App() {
       setGameChat(gameState.gameChat);
     }
 
+    // Sync graveyard chat from gameState (only sent to its current members)
+    const nextDeadChat = gameState.deadChat || [];
+    if (JSON.stringify(nextDeadChat) !== JSON.stringify(deadChat)) {
+      setDeadChat(nextDeadChat);
+    }
+
     // Sync jail chat from gameState when we first enter jail (jailInfo appears)
     if (gameState.jailInfo && (!prev?.jailInfo) && gameState.jailInfo.jailChat) {
       setJailChat(gameState.jailInfo.jailChat);
     }
 
     prevGameState.current = gameState;
-  }, [gameState, gameChat]);
+  }, [gameState, gameChat, deadChat]);
 
   // Request microphone permission when game starts (if voice chat is enabled)
   useEffect(() => {
@@ -461,7 +989,7 @@ function App() {
 
   // 1.5 Theme switching based on game phase and user selection
   useEffect(() => {
-    const isDayPhase = gameState?.state === 'DAY_DISCUSS' || gameState?.state === 'DAY_VOTE';
+    const isDayPhase = DAY_PHASES.includes(gameState?.state);
     const isNightPhase = gameState?.state === 'NIGHT';
     const isInGame = gameState?.state && gameState.state !== 'LOBBY';
 
@@ -534,6 +1062,19 @@ function App() {
     };
   }, [gameState?.state, gameState?.players, myId, gameState?.voiceInputMode, gameState?.enableSTT, sttAvailable, isListening, startVADListening, stopVADListening]);
 
+  // Ask the server for a balance report whenever the host changes the role setup or players join
+  const isLobbyHost = view === 'LOBBY' && gameState?.state === 'LOBBY' && gameState?.host === myId;
+  const lobbyPlayerCount = gameState?.players?.length || 0;
+  useEffect(() => {
+    if (!isLobbyHost) {
+      setBalanceReport(null);
+      return;
+    }
+    // Debounced so clicking through the role counters sends one request
+    const timeout = setTimeout(() => socket.emit('analyze_balance', { code, roleConfig }), 500);
+    return () => clearTimeout(timeout);
+  }, [isLobbyHost, code, roleConfig, settings, lobbyPlayerCount]);
+
   // Handle theme change
   const changeTheme = (theme) => {
     setSelectedTheme(theme);
@@ -587,6 +1128,28 @@ function App() {
       });
     };
 
+    // Server rejected a night action or vote - show why and roll back the optimistic selection
+    const handleActionError = ({ kind, message, actionType }) => {
+      setPrivateMsg(prev => {
+        const newMsg = `> ⚠️ ${message}\n` + prev;
+        localStorage.setItem('vampire_private_msg', newMsg);
+        return newMsg;
+      });
+      if (kind === 'settings') {
+        alert(message);
+      } else if (kind === 'day_vote') {
+        setVoteTarget(null);
+      } else if (kind === 'night_action') {
+        setNightTargets(prev => {
+          const next = { ...prev };
+          Object.keys(next).forEach(slot => {
+            if (next[slot]?.type === actionType) next[slot] = null;
+          });
+          return next;
+        });
+      }
+    };
+
     const handleKicked = () => {
       clearSession();
       alert("You have been kicked from the game.");
@@ -611,6 +1174,10 @@ function App() {
       setGameChat(chatMessages);
     };
 
+    const handleDeadChatUpdate = (chatMessages) => {
+      setDeadChat(chatMessages);
+    };
+
     const handleNPCDetails = (data) => {
       setEditingNPC(data);
     };
@@ -619,6 +1186,22 @@ function App() {
       setElevenlabsOptions(data);
     };
 
+    const handleLlmOptions = (data) => {
+      setLlmOptions(data);
+    };
+
+    const handleRoleRegistry = (registry) => {
+      setRoleRegistry(registry);
+    };
+
+    const handleBalanceReport = (report) => {
+      setBalanceReport(report);
+    };
+
+    const handleReplayData = (data) => {
+      setReplay(data);
+    };
+
     // TTS Audio handler with queue for sequential playback
     const handleTTSAudio = ({ audio, senderName, senderId }) => {
       console.log(`[TTS] Received audio for ${senderName}`);
@@ -680,14 +1263,20 @@ function App() {
     socket.on('timer_update', handleTimerUpdate);
     socket.on('role_info', handleRoleInfo);
     socket.on('private_message', handlePrivateMessage);
+    socket.on('action_error', handleActionError);
     socket.on('kicked', handleKicked);
     socket.on('error', handleError);
     socket.on('player_role_info', handlePlayerRoleInfo);
     socket.on('jail_chat_update', handleJailChatUpdate);
     socket.on('chat_update', handleChatUpdate);
+    socket.on('dead_chat_update', handleDeadChatUpdate);
     socket.on('npc_details', handleNPCDetails);
     socket.on('tts_audio', handleTTSAudio);
     socket.on('elevenlabs_options', handleElevenlabsOptions);
+    socket.on('llm_options', handleLlmOptions);
+    socket.on('role_registry', handleRoleRegistry);
+    socket.on('balance_report', handleBalanceReport);
+    socket.on('replay_data', handleReplayData);
 
     // STT availability handler
     const handleSTTAvailable = (available) => {
@@ -697,6 +1286,7 @@ function App() {
 
     // Request ElevenLabs options and STT availability on mount
     socket.emit('get_elevenlabs_options');
+    socket.emit('get_llm_options');
     socket.emit('get_stt_available');
 
     // Cleanup: remove only the specific listeners we added
@@ -707,14 +1297,20 @@ function App() {
       socket.off('timer_update', handleTimerUpdate);
       socket.off('role_info', handleRoleInfo);
       socket.off('private_message', handlePrivateMessage);
+      socket.off('action_error', handleActionError);
       socket.off('kicked', handleKicked);
       socket.off('error', handleError);
       socket.off('player_role_info', handlePlayerRoleInfo);
       socket.off('jail_chat_update', handleJailChatUpdate);
       socket.off('chat_update', handleChatUpdate);
+      socket.off('dead_chat_update', handleDeadChatUpdate);
       socket.off('npc_details', handleNPCDetails);
       socket.off('tts_audio', handleTTSAudio);
       socket.off('elevenlabs_options', handleElevenlabsOptions);
+      socket.off('llm_options', handleLlmOptions);
+      socket.off('role_registry', handleRoleRegistry);
+      socket.off('balance_report', handleBalanceReport);
+      socket.off('replay_data', handleReplayData);
       socket.off('stt_available', handleSTTAvailable);
     };
     // Debug connection events removed
@@ -778,41 +1374,23 @@ function App() {
 
   const startGame = () => socket.emit('start_game', { code, roleConfig });
   const sendAction = (targetId, type) => {
-    // Special handling for EXECUTE - no targetId, target is the jailed player
+    const actionDef = roleRegistry?.roles[myRole?.role]?.actions.find(a => a.type === type);
+
+    // Prisoner actions (EXECUTE) have no targetId - the target is the jailed player
     // Server sends the private message, so we don't add one here
-    if (type === 'EXECUTE') {
+    if (actionDef?.target === 'prisoner') {
       socket.emit('night_action', { code, action: { targetId: null, type } });
       return;
     }
 
-    // Special handling for FRAME - uses separate frameTarget state so Vampire Framer can do both FRAME and BITE
-    if (type === 'FRAME') {
-      // Toggle behavior: if clicking same target, clear it
-      if (frameTarget === targetId) {
-        socket.emit('night_action', { code, action: { targetId: null, type, clear: true } });
-        setFrameTarget(null);
-        setPrivateMsg(prev => {
-          const newMsg = `> Cancelled framing\n` + prev;
-          localStorage.setItem('vampire_private_msg', newMsg);
-          return newMsg;
-        });
-        return;
-      }
-      socket.emit('night_action', { code, action: { targetId, type } });
-      setFrameTarget(targetId);
-      const targetPlayer = gameState?.players.find(p => p.id === targetId);
-      setPrivateMsg(prev => {
-        const newMsg = `> 🎭 Framing: ${targetPlayer?.name || 'Unknown'}\n` + prev;
-        localStorage.setItem('vampire_private_msg', newMsg);
-        return newMsg;
-      });
-      return;
-    }
+    // Each action slot is tracked separately so e.g. a Vampire Framer can both FRAME and BITE
+    const slot = actionDef?.slot || 'main';
+    const current = nightTargets[slot];
 
     // Toggle behavior: if clicking same target with same action, clear it
-    if (nightTarget?.targetId === targetId && nightTarget?.type === type) {
+    if (current?.targetId === targetId && current?.type === type) {
       socket.emit('night_action', { code, action: { targetId: null, type, clear: true } });
-      setNightTarget(null);
+      setNightTargets(prev => ({ ...prev, [slot]: null }));
       setPrivateMsg(prev => {
         const newMsg = `> Cancelled action\n` + prev;
         localStorage.setItem('vampire_private_msg', newMsg);
@@ -821,11 +1399,10 @@ function App() {
       return;
     }
     socket.emit('night_action', { code, action: { targetId, type } });
-    setNightTarget({ targetId, type });
+    setNightTargets(prev => ({ ...prev, [slot]: { targetId, type } }));
     const targetPlayer = gameState?.players.find(p => p.id === targetId);
     setPrivateMsg(prev => {
-      const actionNames = { 'INVESTIGATE': 'Investigating', 'LOOKOUT': 'Watching', 'BITE': 'Voting for', 'HEAL': 'Healing', 'JAIL': '🔒 Jailing', 'FRAME': '🎭 Framing' };
-      const newMsg = `> ${actionNames[type] || 'Action on'}: ${targetPlayer?.name || 'Unknown'}\n` + prev;
+      const newMsg = `> ${actionDef?.notice || 'Action on'}: ${targetPlayer?.name || 'Unknown'}\n` + prev;
       localStorage.setItem('vampire_private_msg', newMsg);
       return newMsg;
     });
@@ -840,6 +1417,22 @@ function App() {
     socket.emit('day_vote', { code, targetId });
     setVoteTarget(targetId);
   };
+  const judge = (verdict) => socket.emit('trial_verdict', { code, verdict });
+  const revealRole = () => {
+    if (window.confirm(`Reveal yourself as the ${myRole?.role}? Everyone will know, and Doctors can no longer heal you.`)) {
+      socket.emit('reveal_role', { code });
+    }
+  };
+  const openWill = () => setWillDraft({ will: gameState?.myWill?.will || '', deathNote: gameState?.myWill?.deathNote || '' });
+  const saveWill = () => {
+    if (willDraft.will !== (gameState?.myWill?.will || '')) {
+      socket.emit('set_will', { code, will: willDraft.will });
+    }
+    if (gameState?.myWill?.canLeaveDeathNote && willDraft.deathNote !== (gameState.myWill.deathNote || '')) {
+      socket.emit('set_death_note', { code, note: willDraft.deathNote });
+    }
+    setWillDraft(null);
+  };
   const skipTimer = () => socket.emit('skip_timer', { code });
   const endGame = () => {
     if (window.confirm("Are you sure you want to end the game?")) {
@@ -913,8 +1506,16 @@ function App() {
     window.location.reload();
   };
 
+  const loadReplay = (replayGameCode) => {
+    if (replayGameCode) socket.emit('get_replay', { code: replayGameCode });
+  };
+
   // --- RENDER ---
 
+  if (replay) {
+    return <ReplayViewer replay={replay} roleRegistry={roleRegistry} onClose={() => setReplay(null)} />;
+  }
+
   if (view === 'MENU') {
     return (
       <div className="container center-screen">
@@ -933,6 +1534,12 @@ function App() {
             <input className="input-modern" placeholder="ROOM CODE" value={code} onChange={e => setCode(e.target.value.toUpperCase())} />
             <button className="btn-secondary" onClick={initiateJoinGame}>Join Game</button>
           </div>
+
+          <div className="card menu-card">
+            <h3>Watch Replay</h3>
+            <input className="input-modern" placeholder="FINISHED GAME CODE" value={replayCode} onChange={e => setReplayCode(e.target.value.toUpperCase())} />
+            <button className="btn-secondary" onClick={() => loadReplay(replayCode)}>Load Replay</button>
+          </div>
         </div>
 
         {/* Theme Selector */}
@@ -995,19 +1602,16 @@ function App() {
   if (view === 'LOBBY') {
     const isHost = gameState?.host === myId;
     const playerCount = gameState?.players?.length || 0;
+    const selectedLlm = llmOptions.find(option => option.id === (settings.llmProvider || 'gemini'));
+    const openaiEndpoints = llmOptions.find(option => option.id === 'openai')?.endpoints || [];
 
-    // Role configuration helpers
-    const roleData = [
-      { key: 'Investigator', icon: '🔍', alignment: 'good', name: 'Investigator' },
-      { key: 'Lookout', icon: '👁️', alignment: 'good', name: 'Lookout' },
-      { key: 'Doctor', icon: '💉', alignment: 'good', name: 'Doctor' },
-      { key: 'Jailor', icon: '🔒', alignment: 'good', name: 'Jailor' },
-      { key: 'Vampire', icon: '🧛', alignment: 'evil', name: 'Vampire' },
-      { key: 'Vampire Framer', icon: '🎭', alignment: 'evil', name: 'Vampire Framer' },
-      { key: 'Jester', icon: '🃏', alignment: 'neutral', name: 'Jester' }
-    ];
-
-    const totalConfiguredRoles = roleConfig.Investigator + roleConfig.Lookout + roleConfig.Doctor + (roleConfig.Jailor || 0) + roleConfig.Vampire + (roleConfig['Vampire Framer'] || 0) + roleConfig.Jester;
+    // Role configuration helpers - every registry role except the filler (Citizen) is configurable
+    const roleData = (roleRegistry?.order || [])
+      .filter(key => key !== roleRegistry.fillerRole)
+      .map(key => ({ key, icon: roleRegistry.roles[key].icon, alignment: roleRegistry.roles[key].alignment, name: key }));
+    const fillerRole = roleRegistry?.roles[roleRegistry.fillerRole];
+
+    const totalConfiguredRoles = roleData.reduce((sum, role) => sum + (roleConfig[role.key] || 0), 0);
     const citizenCount = Math.max(0, playerCount - totalConfiguredRoles);
 
     const updateRoleCount = (roleKey, delta) => {
@@ -1017,10 +1621,25 @@ function App() {
       localStorage.setItem('vampire_role_config', JSON.stringify(newConfig));
     };
 
+    const updateRolePreset = (rolePreset) => {
+      const newSettings = { ...settings, rolePreset };
+      setSettings(newSettings);
+      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+      socket.emit('update_settings', { code, settings: newSettings });
+    };
+
     const toggleRoleMode = (useDefault) => {
       const newConfig = { ...roleConfig, useDefault };
       setRoleConfig(newConfig);
       localStorage.setItem('vampire_role_config', JSON.stringify(newConfig));
+      if (settings.rolePreset) updateRolePreset(null);
+    };
+
+    const saveRolePreset = (preset) => {
+      const name = preset.name?.trim() || 'Custom role list';
+      const newPresets = [...savedPresets.filter(p => p.name !== name), { ...preset, name }];
+      setSavedPresets(newPresets);
+      localStorage.setItem('vampire_role_presets', JSON.stringify(newPresets));
     };
 
     return (
@@ -1066,27 +1685,6 @@ function App() {
                   className={`btn-copy ${shareLinkCopied ? 'copied' : ''}`}
                   onClick={() => {
                     const shareUrl = `${window.location.origin}${window.location.pathname}?join=${code}`;
-
-                    // Clipboard API fallback for non-HTTPS contexts
-                    const copyToClipboard = (text) => {
-                      if (navigator.clipboard && window.isSecureContext) {
-                        return navigator.clipboard.writeText(text);
-                      } else {
-                        const textArea = document.createElement('textarea');
-                        textArea.value = text;
-                        textArea.style.position = 'fixed';
-                        textArea.style.left = '-999999px';
-                        textArea.style.top = '-999999px';
-                        document.body.appendChild(textArea);
-                        textArea.focus();
-                        textArea.select();
-                        return new Promise((resolve, reject) => {
-                          document.execCommand('copy') ? resolve() : reject();
-                          textArea.remove();
-                        });
-                      }
-                    };
-
                     copyToClipboard(shareUrl).then(() => {
                       setShareLinkCopied(true);
                       setTimeout(() => setShareLinkCopied(false), 2000);
@@ -1272,6 +1870,149 @@ function App() {
                   <span className="setting-unit">sec</span>
                 </div>
               </div>
+              <div className="game-setting-item checkbox-setting">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={settings.enableTrial || false}
+                    onChange={e => {
+                      const newSettings = { ...settings, enableTrial: e.target.checked };
+                      setSettings(newSettings);
+                      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                      socket.emit('update_settings', { code, settings: newSettings });
+                    }}
+                  />
+                  Trials (defense + guilty/innocent vote)
+                </label>
+              </div>
+              {settings.enableTrial && (
+                <div className="game-setting-item">
+                  <label>Defense Time</label>
+                  <div className="game-setting-input-row">
+                    <input
+                      type="number"
+                      min="5"
+                      max="120"
+                      value={settings.defenseTime}
+                      onChange={e => {
+                        const newSettings = { ...settings, defenseTime: parseInt(e.target.value) || 20 };
+                        setSettings(newSettings);
+                        localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                        socket.emit('update_settings', { code, settings: newSettings });
+                      }}
+                    />
+                    <span className="setting-unit">sec</span>
+                  </div>
+                </div>
+              )}
+              {settings.enableTrial && (
+                <div className="game-setting-item">
+                  <label>Judgement Time</label>
+                  <div className="game-setting-input-row">
+                    <input
+                      type="number"
+                      min="5"
+                      max="120"
+                      value={settings.judgementTime}
+                      onChange={e => {
+                        const newSettings = { ...settings, judgementTime: parseInt(e.target.value) || 15 };
+                        setSettings(newSettings);
+                        localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                        socket.emit('update_settings', { code, settings: newSettings });
+                      }}
+                    />
+                    <span className="setting-unit">sec</span>
+                  </div>
+                </div>
+              )}
+              <div className="game-setting-item">
+                <label>Vampire Bites</label>
+                <select
+                  className="setting-select"
+                  value={settings.biteCadence || 'EVEN_NIGHTS'}
+                  onChange={e => {
+                    const newSettings = { ...settings, biteCadence: e.target.value };
+                    setSettings(newSettings);
+                    localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                    socket.emit('update_settings', { code, settings: newSettings });
+                  }}
+                >
+                  <option value="EVERY_NIGHT">Every night</option>
+                  <option value="EVEN_NIGHTS">Even nights</option>
+                  <option value="EVERY_NTH_NIGHT">Every Nth night</option>
+                </select>
+              </div>
+              {settings.biteCadence === 'EVERY_NTH_NIGHT' && (
+                <div className="game-setting-item">
+                  <label>Bite Every</label>
+                  <div className="game-setting-input-row">
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={settings.biteInterval}
+                      onChange={e => {
+                        const newSettings = { ...settings, biteInterval: parseInt(e.target.value) || 3 };
+                        setSettings(newSettings);
+                        localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                        socket.emit('update_settings', { code, settings: newSettings });
+                      }}
+                    />
+                    <span className="setting-unit">nights</span>
+                  </div>
+                </div>
+              )}
+              <div className="game-setting-item">
+                <label>Bite Effect</label>
+                <select
+                  className="setting-select"
+                  value={settings.biteMode || 'CONVERT'}
+                  onChange={e => {
+                    const newSettings = { ...settings, biteMode: e.target.value };
+                    setSettings(newSettings);
+                    localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                    socket.emit('update_settings', { code, settings: newSettings });
+                  }}
+                >
+                  <option value="CONVERT">Turn into a vampire</option>
+                  <option value="KILL">Kill</option>
+                </select>
+              </div>
+              {settings.biteMode !== 'KILL' && (
+                <div className="game-setting-item">
+                  <label>Max Conversions</label>
+                  <div className="game-setting-input-row">
+                    <input
+                      type="number"
+                      min="0"
+                      max="20"
+                      value={settings.maxConversions || 0}
+                      onChange={e => {
+                        const newSettings = { ...settings, maxConversions: parseInt(e.target.value) || 0 };
+                        setSettings(newSettings);
+                        localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                        socket.emit('update_settings', { code, settings: newSettings });
+                      }}
+                    />
+                    <span className="setting-unit">0 = unlimited, then bites kill</span>
+                  </div>
+                </div>
+              )}
+              <div className="game-setting-item checkbox-setting">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={settings.youngestVampireOnly || false}
+                    onChange={e => {
+                      const newSettings = { ...settings, youngestVampireOnly: e.target.checked };
+                      setSettings(newSettings);
+                      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                      socket.emit('update_settings', { code, settings: newSettings });
+                    }}
+                  />
+                  Only the youngest vampire bites
+                </label>
+              </div>
               <div className="game-setting-item checkbox-setting">
                 <label>
                   <input
@@ -1302,6 +2043,65 @@ function App() {
                   Enable AI NPCs
                 </label>
               </div>
+              {settings.enableAI && (
+                <div className="game-setting-item">
+                  <label>AI Provider:</label>
+                  <select
+                    className="setting-select"
+                    value={settings.llmProvider || 'gemini'}
+                    onChange={e => {
+                      const newSettings = { ...settings, llmProvider: e.target.value, llmModel: '' };
+                      setSettings(newSettings);
+                      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                      socket.emit('update_settings', { code, settings: newSettings });
+                    }}
+                  >
+                    {llmOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                  {selectedLlm?.unavailableReason && (
+                    <small className="setting-warning">⚠️ Not available on this server: {selectedLlm.unavailableReason}. NPCs will be scripted.</small>
+                  )}
+                </div>
+              )}
+              {settings.enableAI && settings.llmProvider !== 'scripted' && (
+                <div className="game-setting-item">
+                  <label>AI Model:</label>
+                  <input
+                    type="text"
+                    className="setting-input"
+                    value={settings.llmModel || ''}
+                    placeholder={selectedLlm?.defaultModel || ''}
+                    onChange={e => {
+                      const newSettings = { ...settings, llmModel: e.target.value.trim() };
+                      setSettings(newSettings);
+                      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                      socket.emit('update_settings', { code, settings: newSettings });
+                    }}
+                  />
+                </div>
+              )}
+              {settings.enableAI && settings.llmProvider === 'openai' && openaiEndpoints.length > 1 && (
+                <div className="game-setting-item">
+                  <label>AI Endpoint:</label>
+                  {/* Only the endpoints the server allows (see llm-providers.js) */}
+                  <select
+                    className="setting-select"
+                    value={openaiEndpoints.indexOf(settings.llmEndpoint) > 0 ? settings.llmEndpoint : ''}
+                    onChange={e => {
+                      const newSettings = { ...settings, llmEndpoint: e.target.value };
+                      setSettings(newSettings);
+                      localStorage.setItem('vampire_settings', JSON.stringify(newSettings));
+                      socket.emit('update_settings', { code, settings: newSettings });
+                    }}
+                  >
+                    {openaiEndpoints.map((endpoint, i) => (
+                      <option key={endpoint} value={i === 0 ? '' : endpoint}>{endpoint}{i === 0 ? ' (default)' : ''}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               {settings.enableAI && (
                 <div className="game-setting-item">
                   <label>NPCs Nationality</label>
@@ -1324,7 +2124,7 @@ function App() {
                 <div className="game-setting-item">
                   <label>NPC Allowed Roles:</label>
                   <div className="npc-roles-grid">
-                    {['Investigator', 'Lookout', 'Doctor', 'Jailor', 'Vampire', 'Vampire Framer', 'Jester', 'Citizen'].map(role => (
+                    {(roleRegistry?.order || []).map(role => (
                       <label key={role} className="npc-role-checkbox">
                         <input
                           type="checkbox"
@@ -1462,21 +2262,36 @@ function App() {
               <h3>🎭 Role Configuration</h3>
               <div className="role-config-toggle">
                 <button
-                  className={`toggle-btn ${roleConfig.useDefault ? 'active' : ''}`}
+                  className={`toggle-btn ${!settings.rolePreset && roleConfig.useDefault ? 'active' : ''}`}
                   onClick={() => toggleRoleMode(true)}
                 >
                   Default
                 </button>
                 <button
-                  className={`toggle-btn ${!roleConfig.useDefault ? 'active' : ''}`}
+                  className={`toggle-btn ${!settings.rolePreset && !roleConfig.useDefault ? 'active' : ''}`}
                   onClick={() => toggleRoleMode(false)}
                 >
                   Custom
                 </button>
+                <button
+                  className={`toggle-btn ${settings.rolePreset ? 'active' : ''}`}
+                  onClick={() => !settings.rolePreset && updateRolePreset(roleRegistry?.presets?.[0] || { name: 'Custom role list', slots: ['Vampire'], constraints: {} })}
+                >
+                  Role List
+                </button>
               </div>
             </div>
 
-            {roleConfig.useDefault ? (
+            {settings.rolePreset ? (
+              <RoleListEditor
+                preset={settings.rolePreset}
+                roleRegistry={roleRegistry}
+                playerCount={playerCount}
+                savedPresets={savedPresets}
+                onChange={updateRolePreset}
+                onSave={saveRolePreset}
+              />
+            ) : roleConfig.useDefault ? (
               <div className="role-config-default-message">
                 Roles will be automatically assigned based on player count.
                 <br />
@@ -1516,13 +2331,13 @@ function App() {
                   ))}
 
                   {/* Citizen card - shows auto-calculated count */}
-                  <div className="role-config-card good">
+                  <div className={`role-config-card ${fillerRole?.alignment || 'good'}`}>
                     <div className="role-config-card-header">
                       <div className="role-config-card-title">
-                        <span className="role-config-icon">👤</span>
-                        <span className="role-config-name">Citizen</span>
+                        <span className="role-config-icon">{fillerRole?.icon}</span>
+                        <span className="role-config-name">{roleRegistry?.fillerRole}</span>
                       </div>
-                      <span className="role-config-alignment good">good</span>
+                      <span className={`role-config-alignment ${fillerRole?.alignment || 'good'}`}>{fillerRole?.alignment}</span>
                     </div>
                     <div className="role-config-counter">
                       <span className="counter-value" style={{ minWidth: 'auto', opacity: 0.7 }}>
@@ -1547,6 +2362,18 @@ function App() {
                 </div>
               </>
             )}
+
+            {balanceReport && <BalanceReport report={balanceReport} />}
+          </div>
+        )}
+
+        {/* Public role list (role-list presets only) */}
+        {gameState?.roleList && (
+          <div className="role-list-public">
+            <h3>📜 Role List{gameState.roleListName ? `: ${gameState.roleListName}` : ''}</h3>
+            <ol>
+              {gameState.roleList.map((label, i) => <li key={i}>{label}</li>)}
+            </ol>
           </div>
         )}
 
@@ -1563,8 +2390,27 @@ function App() {
   const amIAlive = gameState?.players.find(p => p.id === myId)?.alive;
   const isNight = gameState?.state === 'NIGHT';
   const isVoting = gameState?.state === 'DAY_VOTE';
-  const canTurn = (gameState?.round % 2 === 0);
+  const canBite = !!gameState?.bite?.canBiteTonight;
+  const biterId = gameState?.vampireInfo?.biterId;
   const isHost = gameState?.host === myId;
+  const myRoleDef = roleRegistry?.roles[myRole?.role];
+  const amIVampireTeam = myRoleDef?.team === 'vampire';
+
+  // Whether I can use a night action from my role on a player
+  const canTargetWithAction = (actionDef, p) => {
+    if (typeof actionDef.target !== 'object') return false; // Prisoner actions live in the jail modal
+    if (p.id === myId && !actionDef.target.self) return false;
+    if (!actionDef.target.teammates && amIVampireTeam && p.isVampire) return false;
+    if (actionDef.turnNightOnly && (!canBite || (biterId && biterId !== myId))) return false;
+
+    const slotTarget = nightTargets[actionDef.slot || 'main'];
+    const isSelected = slotTarget?.targetId === p.id && slotTarget?.type === actionDef.type;
+    // Out of uses - keep only the already selected target so it can be cancelled
+    if (actionDef.uses && (gameState?.usesRemaining?.[actionDef.type] || 0) <= 0 && slotTarget?.type !== actionDef.type) return false;
+    // Immediate actions (JAIL) can't be changed once made
+    if (actionDef.immediate && slotTarget?.type === actionDef.type && !isSelected) return false;
+    return true;
+  };
   const isGameActive = gameState?.state !== 'LOBBY' && gameState?.state !== 'GAME_OVER';
 
   return (
@@ -1579,6 +2425,12 @@ function App() {
           <span className="role-label">Role</span>
           <span className="role-value">Show</span>
         </div>
+        {isGameActive && amIAlive && (
+          <div className="role-display will-display" onClick={openWill} title="Write your last will">
+            <span className="role-label">Will</span>
+            <span className="role-value">📜 Edit</span>
+          </div>
+        )}
         {isHost && isGameActive && (
           <div className="host-controls">
             <button className="btn-small btn-skip" onClick={skipTimer}>Skip Timer</button>
@@ -1597,40 +2449,137 @@ function App() {
               <div className="role-detail-row">
                 <span className="detail-label">Alignment</span>
                 <span className={`detail-value alignment-${myRole?.alignment}`}>
-                  {ROLE_INFO[myRole?.role]?.alignment || myRole?.alignment || 'Unknown'}
+                  {formatAlignment(myRoleDef?.alignment || myRole?.alignment) || 'Unknown'}
                 </span>
               </div>
               <div className="role-detail-row">
                 <span className="detail-label">Ability</span>
-                <span className="detail-value">{ROLE_INFO[myRole?.role]?.ability || 'Unknown ability'}</span>
+                <span className="detail-value">{myRoleDef?.ability || 'Unknown ability'}</span>
               </div>
               <div className="role-detail-row">
                 <span className="detail-label">Goal</span>
-                <span className="detail-value">{ROLE_INFO[myRole?.role]?.goal || 'Unknown goal'}</span>
+                <span className="detail-value">{myRoleDef?.goal || 'Unknown goal'}</span>
               </div>
+              {gameState?.objective?.targetName && (
+                <div className="role-detail-row">
+                  <span className="detail-label">Target</span>
+                  <span className="detail-value">{gameState.objective.targetName}</span>
+                </div>
+              )}
             </div>
             <button className="btn-secondary" onClick={() => setRoleRevealed(false)}>Close</button>
           </div>
         </div>
       )}
 
+      {/* Last will editor (and death note for killing roles) */}
+      {willDraft && (
+        <div className="modal-overlay" onClick={() => setWillDraft(null)}>
+          <div className="modal-content will-panel" onClick={e => e.stopPropagation()}>
+            <h2>📜 Last Will</h2>
+            <p className="will-hint">Revealed to everyone when you die.</p>
+            <textarea
+              className="will-input"
+              maxLength={WILL_MAX_LENGTH}
+              value={willDraft.will}
+              placeholder="e.g. I am the Investigator. N1: Alex - Vampire"
+              onChange={e => setWillDraft({ ...willDraft, will: e.target.value })}
+            />
+            {gameState?.myWill?.canLeaveDeathNote && (
+              <>
+                <h3>✒️ Death Note</h3>
+                <p className="will-hint">Left on anyone you kill.</p>
+                <textarea
+                  className="will-input"
+                  maxLength={WILL_MAX_LENGTH}
+                  value={willDraft.deathNote}
+                  onChange={e => setWillDraft({ ...willDraft, deathNote: e.target.value })}
+                />
+              </>
+            )}
+            <div className="button-row">
+              <button className="btn-secondary" onClick={() => setWillDraft(null)}>Cancel</button>
+              <button className="btn-primary" onClick={saveWill}>Save</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {amIAlive === false && <div className="banner-dead">YOU ARE DEAD</div>}
 
       {/* Vampire voting info panel */}
-      {myRole?.role === 'Vampire' && isNight && canTurn && gameState?.vampireInfo?.needsVoting && (
+      {amIVampireTeam && isNight && canBite && gameState?.vampireInfo?.needsVoting && (
         <div className="vampire-voting-banner">
           🧛 Vampire Vote: {gameState.vampireInfo.totalVampires} vampires active.
-          Target with the most votes will be turned!
+          Target with the most votes will be {gameState.bite.mode === 'KILL' ? 'killed' : 'turned'}!
+        </div>
+      )}
+      {amIVampireTeam && isNight && canBite && biterId && (
+        <div className="vampire-voting-banner">
+          🧛 {biterId === myId ? 'You are' : `${gameState.vampireInfo.biterName} is`} the only one who can bite tonight (the youngest vampire not in jail).
+          {gameState.bite.mode === 'KILL' ? ' The bite will kill.' : ' The bite will turn.'}
+        </div>
+      )}
+      {amIVampireTeam && isNight && !canBite && gameState?.bite && (
+        <div className="vampire-voting-banner">
+          🧛 No bite tonight. Vampires bite {gameState.bite.cadence}.
+        </div>
+      )}
+
+      {/* Trial - the accused defends themselves, then the living vote guilty or innocent */}
+      {gameState?.trial && (
+        <div className="trial-banner">
+          {gameState.state === 'DEFENSE' ? (
+            <div>⚖️ <strong>{gameState.trial.playerId === myId ? 'You are' : `${gameState.trial.name} is`}</strong> on trial. {gameState.trial.playerId === myId ? 'Make your defense!' : 'Listen to their defense.'}</div>
+          ) : (
+            <>
+              <div>⚖️ Is <strong>{gameState.trial.name}</strong> guilty? ({gameState.trial.verdictCount} voted)</div>
+              {amIAlive && gameState.trial.playerId !== myId && (
+                <div className="trial-verdict-buttons">
+                  {VERDICT_OPTIONS.map(v => (
+                    <button
+                      key={v.verdict}
+                      className={`btn-verdict ${v.verdict.toLowerCase()} ${gameState.trial.myVerdict === v.verdict ? 'selected' : ''}`}
+                      onClick={() => judge(v.verdict)}
+                    >
+                      {v.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
         </div>
       )}
 
-      {/* Doctor Info Banner */}
-      {myRole?.role === 'Doctor' && (
-        <div className="role-info-banner doctor-banner">
-          💉 You have <strong>{gameState?.healsRemaining ?? '?'}</strong> heals remaining.
+      {/* Hidden objective (Executioner target) */}
+      {gameState?.objective?.targetName && gameState.state !== 'GAME_OVER' && (
+        <div className="role-info-banner executioner-banner">
+          🪓 Your target: <strong>{gameState.objective.targetName}</strong>
+          {gameState.objective.achieved ? ' - lynched! You have won.' : ' - get them lynched to win.'}
         </div>
       )}
 
+      {/* Public reveal (Mayor) */}
+      {myRoleDef?.reveal && amIAlive && DAY_PHASES.includes(gameState?.state) && (
+        <div className="role-info-banner mayor-banner">
+          {gameState.players.find(p => p.id === myId)?.revealedRole ? (
+            <>{myRoleDef.icon} You are revealed. Your vote counts <strong>{myRoleDef.reveal.voteWeight}</strong> times.</>
+          ) : (
+            <button className="btn-reveal" onClick={revealRole}>
+              {myRoleDef.icon} Reveal as {myRole.role} ({myRoleDef.reveal.voteWeight} votes)
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Limited-use banners (e.g. Doctor heals) */}
+      {(myRoleDef?.actions || []).filter(a => a.uses).map(a => (
+        <div key={a.type} className={`role-info-banner ${myRole.role.toLowerCase().replace(/\s+/g, '-')}-banner`}>
+          {myRoleDef.icon} You have <strong>{gameState?.usesRemaining?.[a.type] ?? '?'}</strong> {a.usesNoun || 'uses'} remaining.
+        </div>
+      ))}
+
       {/* Jail Chat Modal - shows for Jailor with prisoner or jailed player */}
       {isNight && gameState?.jailInfo && (
         <div className="jail-modal">
@@ -1709,21 +2658,101 @@ function App() {
             <h2 className={`winner-title ${gameState.winner === 'GOOD' ? 'good-win' : gameState.winner === 'EVIL' ? 'evil-win' : 'neutral-win'}`}>
               Winner: {gameState.winner === 'GOOD' ? 'Citizens' : gameState.winner === 'EVIL' ? 'Vampires' : gameState.winner}
             </h2>
+            {gameState.winnerIds?.length > 0 && (
+              <p className="winners-list">
+                🏆 {gameState.players.filter(p => gameState.winnerIds.includes(p.id)).map(p => p.name).join(', ')}
+              </p>
+            )}
 
             <div className="game-over-summary">
               <h3>Player Roles</h3>
               <div className="summary-grid">
-                {gameState.players.map(p => (
-                  <div key={p.id} className={`summary-card ${p.alignment || 'unknown'}`}>
-                    <div className="summary-name">{p.name} {p.id === myId && '(You)'}</div>
-                    <div className="summary-role">{p.role || 'Unknown'}</div>
-                    {!p.alive && <div className="summary-dead">👻 Dead</div>}
+                {gameState.players.map(p => {
+                  const recapPlayer = gameState.recap?.players.find(r => r.id === p.id);
+                  return (
+                    <div key={p.id} className={`summary-card ${p.alignment || 'unknown'}`}>
+                      <div className="summary-name">{p.name} {p.id === myId && '(You)'}</div>
+                      <div className="summary-role">{p.role || 'Unknown'}</div>
+                      {recapPlayer?.turnedRound && (
+                        <div className="summary-role">🩸 Was {recapPlayer.startingRole}, turned night {recapPlayer.turnedRound}</div>
+                      )}
+                      {recapPlayer?.fakeRole && <div className="summary-role">🎭 Claimed {recapPlayer.fakeRole}</div>}
+                      {recapPlayer?.revealedRound && <div className="summary-role">🎩 Revealed on day {recapPlayer.revealedRound}</div>}
+                      {recapPlayer?.objectiveTarget && (
+                        <div className="summary-role">🪓 Target: {recapPlayer.objectiveTarget}{recapPlayer.objectiveCompleted ? ' (lynched)' : ''}</div>
+                      )}
+                      {gameState.winnerIds?.includes(p.id) && <div className="summary-winner">🏆 Won</div>}
+                      {!p.alive && <div className="summary-dead">👻 Dead</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {gameState.recap?.rounds.length > 0 && (
+              <div className="game-over-summary recap-section">
+                <h3>Night by Night</h3>
+                {gameState.recap.rounds.map(r => (
+                  <div key={r.round} className="recap-round">
+                    <h4>🌙 Night {r.round}</h4>
+                    <ul className="recap-list">
+                      {r.nightActions.map((a, i) => (
+                        <li key={`a${i}`}>{a.actor} → {a.action}{a.target ? ` → ${a.target}` : ''}</li>
+                      ))}
+                      {r.nightActions.length === 0 && <li>No night actions were used.</li>}
+                      {r.jail && (
+                        <li>🔒 {r.jail.jailor} jailed {r.jail.prisoner} and {r.jail.executed ? 'executed them' : 'released them'}</li>
+                      )}
+                      {r.blocked.map((b, i) => <li key={`b${i}`}>💃 {b.by} roleblocked {b.actor} ({b.action} failed)</li>)}
+                      {r.frames.map((f, i) => <li key={`f${i}`}>🎭 {f.actor} framed {f.target}</li>)}
+                      {r.stakes.map((st, i) => <li key={`s${i}`}>🗡️ {st.actor} staked {st.target} {STAKE_OUTCOMES[st.outcome]}</li>)}
+                      {r.heals.map((h, i) => (
+                        <li key={`h${i}`}>💉 {h.actor} healed {h.target}{h.saved ? ' and saved them from the vampires' : ''}</li>
+                      ))}
+                      {r.results.map((res, i) => <li key={`r${i}`}>🔍 {res.actor} on {res.target}: {res.result}</li>)}
+                      {r.bite && (
+                        <li>
+                          🧛 The vampires bit {r.bite.target} ({r.bite.votes.map(v => `${v.name}: ${v.count}`).join(', ')}
+                          {r.bite.tied && ', tie broken randomly'}) {BITE_OUTCOMES[r.bite.outcome]}
+                        </li>
+                      )}
+                      {r.turned.map(name => <li key={`t${name}`}>🩸 {name} was turned into a Vampire</li>)}
+                      {r.deaths.filter(d => d.phase === 'NIGHT').map((d, i) => (
+                        <li key={`d${i}`}>💀 {d.name} ({d.role}) {DEATH_CAUSES[d.cause] || 'died'}</li>
+                      ))}
+                    </ul>
+                    <h4>☀️ Day {r.round}</h4>
+                    <ul className="recap-list">
+                      {r.deaths.filter(d => d.phase !== 'NIGHT').map((d, i) => (
+                        <li key={`d${i}`}>💀 {d.name} ({d.role}) {DEATH_CAUSES[d.cause] || 'died'}</li>
+                      ))}
+                      {r.trial && (
+                        <>
+                          <li>⚖️ {r.trial.target} was put on trial ({r.trial.ballots.map(b => b.voter).join(', ')})</li>
+                          {r.trial.guilty !== undefined && (
+                            <li>🗳️ {r.trial.guilty} guilty, {r.trial.innocent} innocent, {r.trial.abstain} abstained - {r.trial.lynched ? 'lynched' : 'spared'}</li>
+                          )}
+                          {r.trial.verdicts.map((v, i) => <li key={`v${i}`} className="recap-ballot">{v.voter} voted {v.verdict.toLowerCase()}</li>)}
+                        </>
+                      )}
+                      {r.lynch ? (
+                        <>
+                          <li>⚖️ {r.lynch.target ? `${r.lynch.target} was lynched` : 'No one was lynched'} ({r.lynch.votes.map(v => `${v.name}: ${v.count}`).join(', ') || 'no votes'})</li>
+                          {r.lynch.ballots.map((b, i) => <li key={`b${i}`} className="recap-ballot">{b.voter} voted {b.target}</li>)}
+                        </>
+                      ) : !r.trial && (
+                        <li>No vote took place.</li>
+                      )}
+                    </ul>
                   </div>
                 ))}
               </div>
-            </div>
+            )}
 
-            <button className="btn-primary" onClick={logout}>Back to Menu</button>
+            <div className="button-row">
+              <button className="btn-secondary" onClick={() => loadReplay(gameState.code)}>Watch Replay</button>
+              <button className="btn-primary" onClick={logout}>Back to Menu</button>
+            </div>
           </div>
         </div>
       }
@@ -1753,22 +2782,14 @@ function App() {
             <div className="role-change-section">
               <h4>Change Role</h4>
               <div className="role-change-buttons">
-                {['Investigator', 'Lookout', 'Doctor', 'Jailor', 'Citizen', 'Vampire', 'Vampire Framer', 'Jester'].map(role => (
+                {(roleRegistry?.order || []).map(role => (
                   <button
                     key={role}
-                    className={`btn-role-change ${selectedPlayerRole.role === role ? 'active' : ''} ${role === 'Vampire' || role === 'Vampire Framer' ? 'evil' : role === 'Jester' ? 'neutral' : 'good'}`}
+                    className={`btn-role-change ${selectedPlayerRole.role === role ? 'active' : ''} ${roleRegistry.roles[role].alignment}`}
                     onClick={() => changePlayerRole(selectedPlayerRole.playerId, role)}
                     disabled={selectedPlayerRole.role === role}
                   >
-                    {role === 'Investigator' && '🔍 '}
-                    {role === 'Lookout' && '👁️ '}
-                    {role === 'Doctor' && '💉 '}
-                    {role === 'Jailor' && '🔒 '}
-                    {role === 'Citizen' && '👤 '}
-                    {role === 'Vampire' && '🧛 '}
-                    {role === 'Vampire Framer' && '🎭 '}
-                    {role === 'Jester' && '🃏 '}
-                    {role}
+                    {roleRegistry.roles[role].icon} {role}
                   </button>
                 ))}
               </div>
@@ -1805,24 +2826,24 @@ function App() {
       <div className="game-board">
         <div className="players-section">
           {gameState?.players.map(p => (
-            <div key={p.id} className={`game-player-card ${!p.alive ? 'dead' : ''} ${p.id === myId ? 'me' : ''} ${p.isNPC ? 'npc-card' : ''} ${nightTarget?.targetId === p.id && isNight ? 'target-night' : ''} ${p.isVampire && (myRole?.role === 'Vampire' || myRole?.role === 'Vampire Framer') ? 'vampire-teammate' : ''}`}>
+            <div key={p.id} className={`game-player-card ${!p.alive ? 'dead' : ''} ${p.id === myId ? 'me' : ''} ${p.isNPC ? 'npc-card' : ''} ${nightTargets.main?.targetId === p.id && isNight ? 'target-night' : ''} ${p.isVampire && amIVampireTeam ? 'vampire-teammate' : ''}`}>
               {/* Vampire teammate indicator - always visible to vampires */}
-              {p.isVampire && (myRole?.role === 'Vampire' || myRole?.role === 'Vampire Framer') && p.id !== myId && (
-                <div className="vampire-badge">{p.vampireRole === 'Vampire Framer' ? '🎭 Framer' : '🧛 Vampire'}</div>
+              {p.isVampire && amIVampireTeam && p.id !== myId && (
+                <div className="vampire-badge">{roleRegistry?.roles[p.vampireRole]?.icon} {p.vampireRole}</div>
+              )}
+              {/* Publicly revealed role (Mayor) */}
+              {p.revealedRole && (
+                <div className="revealed-badge">{roleRegistry?.roles[p.revealedRole]?.icon} {p.revealedRole}</div>
               )}
               {/* Target indicator badges */}
-              {nightTarget?.targetId === p.id && isNight && (
-                <div className="target-badge night-target-badge">
-                  {nightTarget.type === 'INVESTIGATE' && '🔍 Investigating'}
-                  {nightTarget.type === 'LOOKOUT' && '👁️ Watching'}
-                  {nightTarget.type === 'BITE' && '🧛 Voted'}
-                  {nightTarget.type === 'HEAL' && '💉 Healing'}
-                  {nightTarget.type === 'JAIL' && '🔒 Jailing'}
+              {isNight && Object.values(nightTargets).filter(t => t?.targetId === p.id).map(t => (
+                <div key={t.type} className="target-badge night-target-badge">
+                  {myRoleDef?.actions.find(a => a.type === t.type)?.badge}
                 </div>
-              )}
+              ))}
 
               {/* Vampire vote count badge - visible to vampires during turning nights */}
-              {myRole?.role === 'Vampire' && isNight && canTurn && !p.isVampire && p.vampireVotes > 0 && (
+              {amIVampireTeam && isNight && canBite && !p.isVampire && p.vampireVotes > 0 && (
                 <div className="vampire-vote-count-badge">
                   🩸 {p.vampireVotes} vote{p.vampireVotes > 1 ? 's' : ''}
                 </div>
@@ -1845,45 +2866,17 @@ function App() {
                 {(!amIAlive || !isVoting) && p.votes > 0 && <span className="vote-count">{p.votes} votes</span>}
               </div>
 
-              {p.alive && isNight && amIAlive && (p.id !== myId || myRole?.role === 'Doctor') && (
+              {p.alive && isNight && amIAlive && (
                 <div className="action-buttons">
-                  {myRole?.role === 'Investigator' && (
-                    <button className={`btn-action ${nightTarget?.targetId === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'INVESTIGATE')}>
-                      {nightTarget?.targetId === p.id ? '✓ Investigating' : 'Investigate'}
-                    </button>
-                  )}
-                  {myRole?.role === 'Lookout' && (
-                    <button className={`btn-action ${nightTarget?.targetId === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'LOOKOUT')}>
-                      {nightTarget?.targetId === p.id ? '✓ Watching' : 'Watch'}
-                    </button>
-                  )}
-                  {myRole?.role === 'Vampire' && canTurn && !p.isVampire && (
-                    <button className={`btn-action btn-danger ${nightTarget?.targetId === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'BITE')}>
-                      {nightTarget?.targetId === p.id ? '✓ Voted' : 'Vote to Turn'} {p.vampireVotes > 0 ? `(${p.vampireVotes})` : ''}
-                    </button>
-                  )}
-                  {myRole?.role === 'Doctor' && (gameState?.healsRemaining > 0 || nightTarget?.type === 'HEAL') && (
-                    <button className={`btn-action btn-good ${nightTarget?.targetId === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'HEAL')}>
-                      {nightTarget?.targetId === p.id ? '✓ Healing' : 'Heal'}
-                    </button>
-                  )}
-                  {myRole?.role === 'Jailor' && p.id !== myId && !gameState?.jailInfo?.isJailor && (
-                    <button className={`btn-action btn-jail ${nightTarget?.targetId === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'JAIL')}>
-                      {nightTarget?.targetId === p.id ? '✓ Jailing' : '🔒 Jail'}
-                    </button>
-                  )}
-                  {myRole?.role === 'Vampire Framer' && !p.isVampire && (
-                    <>
-                      <button className={`btn-action btn-frame ${frameTarget === p.id ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'FRAME')}>
-                        {frameTarget === p.id ? '✓ Framing' : '🎭 Frame'}
+                  {(myRoleDef?.actions || []).filter(a => canTargetWithAction(a, p)).map(a => {
+                    const slotTarget = nightTargets[a.slot || 'main'];
+                    const isSelected = slotTarget?.targetId === p.id && slotTarget?.type === a.type;
+                    return (
+                      <button key={a.type} className={`btn-action ${a.buttonClass || ''} ${isSelected ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, a.type)}>
+                        {isSelected ? a.activeLabel : a.label} {a.teamVote && p.vampireVotes > 0 ? `(${p.vampireVotes})` : ''}
                       </button>
-                      {canTurn && (
-                        <button className={`btn-action btn-danger ${nightTarget?.targetId === p.id && nightTarget?.type === 'BITE' ? 'action-selected' : ''}`} onClick={() => sendAction(p.id, 'BITE')}>
-                          {nightTarget?.targetId === p.id && nightTarget?.type === 'BITE' ? '✓ Voted' : 'Vote to Turn'} {p.vampireVotes > 0 ? `(${p.vampireVotes})` : ''}
-                        </button>
-                      )}
-                    </>
-                  )}
+                    );
+                  })}
                 </div>
               )}
             </div>
@@ -1930,10 +2923,12 @@ function App() {
           {/* Chat Panel - only show if chat is enabled and (day phase OR vampire at night) */}
           {gameState?.chatEnabled && (() => {
             const isNight = gameState?.state === 'NIGHT';
-            const isDayPhase = gameState?.state === 'DAY_DISCUSS' || gameState?.state === 'DAY_VOTE';
+            const isDayPhase = DAY_PHASES.includes(gameState?.state);
             const myPlayer = gameState?.players.find(p => p.id === myId);
-            const amIVampire = myRole?.role === 'Vampire' || myRole?.role === 'Vampire Framer';
-            const canChat = myPlayer?.alive && (isDayPhase || (isNight && amIVampire));
+            const amIVampire = amIVampireTeam;
+            // During a defense only the accused may speak
+            const isSilenced = gameState?.state === 'DEFENSE' && gameState.trial?.playerId !== myId;
+            const canChat = myPlayer?.alive && ((isDayPhase && !isSilenced) || (isNight && amIVampire));
 
             // Hide chat panel completely for non-vampires at night
             if (isNight && !amIVampire) return null;
@@ -1981,7 +2976,9 @@ function App() {
                     </button>
                   </div>
                 ) : !myPlayer?.alive ? (
-                  <div className="chat-disabled">Dead players cannot chat</div>
+                  <div className="chat-disabled">Dead players can only talk in the graveyard</div>
+                ) : isSilenced ? (
+                  <div className="chat-disabled">Only {gameState.trial.name} may speak during their defense</div>
                 ) : null}
 
                 {/* Voice input button - only during DAY_DISCUSS phase */}
@@ -2014,6 +3011,89 @@ function App() {
               </div>
             );
           })()}
+          {/* Graveyard Panel - the dead talk among themselves; a living Medium joins at night (séance) */}
+          {gameState?.chatEnabled && gameState?.deadChat && (() => {
+            const isSeance = amIAlive;
+            const sendDeadChat = () => {
+              if (!deadChatInput.trim()) return;
+              socket.emit('dead_chat_message', { code: gameState.code, message: deadChatInput.trim() });
+              setDeadChatInput('');
+            };
+
+            return (
+              <div className="panel chat-panel graveyard-chat">
+                <h4>{isSeance ? '🔮 Séance' : '👻 Graveyard'}</h4>
+                {isSeance && <div className="chat-hint">The dead hear you as "Medium".</div>}
+                <div className="chat-messages">
+                  {deadChat.length > 0 ? (
+                    deadChat.map((msg, i) => (
+                      <div key={i} className={`chat-message ${msg.senderId === myId ? 'own-message' : ''} ${msg.isMedium ? 'medium-message' : ''}`}>
+                        <span className="chat-sender">{msg.isMedium ? '🔮 ' : ''}{msg.senderName}:</span>
+                        <span className="chat-text">{msg.message}</span>
+                      </div>
+                    ))
+                  ) : (
+                    <div className="chat-empty">{isSeance ? 'The spirits are silent...' : 'No messages yet...'}</div>
+                  )}
+                </div>
+                <div className="chat-input-container">
+                  <input
+                    type="text"
+                    className="chat-input"
+                    placeholder={isSeance ? 'Speak to the dead...' : 'Talk with the dead...'}
+                    value={deadChatInput}
+                    onChange={e => setDeadChatInput(e.target.value)}
+                    onKeyPress={e => {
+                      if (e.key === 'Enter') sendDeadChat();
+                    }}
+                  />
+                  <button className="btn-send" onClick={sendDeadChat}>Send</button>
+                </div>
+              </div>
+            );
+          })()}
+
+          {gameState?.wills?.some(w => w.will || w.deathNote) && (
+            <div className="panel wills-panel">
+              <h4>📜 Last Wills</h4>
+              <div className="scroll-box">
+                {gameState.wills.filter(w => w.will || w.deathNote).slice().reverse().map(w => (
+                  <div key={w.playerId} className="will-entry">
+                    <div className="will-author">{w.name}</div>
+                    <div className="will-text">{w.will || <em>No last will.</em>}</div>
+                    {w.deathNote && <div className="will-death-note">✒️ Death note: {w.deathNote}</div>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {/* Previous Days - the chats of earlier phases this player could read (see server/chat-archive.js) */}
+          {(() => {
+            const sections = (gameState?.chatArchive || []).filter(s => !isLiveChatSection(s, gameState));
+            if (sections.length === 0) return null;
+
+            return (
+              <div className="panel chat-archive-panel">
+                <h4>🗂️ Previous Days</h4>
+                <div className="scroll-box">
+                  {sections.map((section, i) => (
+                    <div key={i} className={`chat-archive-section ${section.channel}-section`}>
+                      <div className="chat-archive-title">
+                        {CHAT_CHANNEL_ICONS[section.channel]} {formatReplayPhase(section.round, section.phase)}
+                        {section.channel !== 'public' && ` (${section.channel === 'vampire' ? 'vampire chat' : 'jail'})`}
+                      </div>
+                      {section.messages.map((msg, j) => (
+                        <div key={j} className={`chat-message ${msg.senderId === myId ? 'own-message' : ''}`}>
+                          <span className="chat-sender">{msg.senderName}:</span>
+                          <span className="chat-text">{msg.message}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })()}
           <div className="panel logs-panel">
             <h4>Game Logs</h4>
             <div className="scroll-box">
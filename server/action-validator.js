@@ -0,0 +1,201 @@
+/**
+ * Action Validator
+ * Authoritative checks for night actions, day votes, trial verdicts and role
+ * reveals. Every action, whether it comes from a client socket or an NPC, is
+ * validated against the actor's role (see roles.js), remaining uses, the
+ * current phase, target liveness and the role's self/teammate targeting rules
+ * before it is stored.
+ */
+
+const { getAction, getReveal, areTeammates, canLeaveDeathNote } = require('./roles');
+
+// Rejection codes sent to the client in 'action_error' events
+const REJECTION = {
+    NOT_IN_GAME: 'NOT_IN_GAME',
+    WRONG_PHASE: 'WRONG_PHASE',
+    ACTOR_DEAD: 'ACTOR_DEAD',
+    ROLE_CANNOT_ACT: 'ROLE_CANNOT_ACT',
+    JAILED: 'JAILED',
+    NOT_TURN_NIGHT: 'NOT_TURN_NIGHT',
+    NOT_BITER: 'NOT_BITER',
+    NO_USES_LEFT: 'NO_USES_LEFT',
+    NO_PRISONER: 'NO_PRISONER',
+    ALREADY_USED: 'ALREADY_USED',
+    INVALID_TARGET: 'INVALID_TARGET',
+    TARGET_DEAD: 'TARGET_DEAD',
+    SELF_TARGET: 'SELF_TARGET',
+    TEAMMATE_TARGET: 'TEAMMATE_TARGET',
+    ON_TRIAL: 'ON_TRIAL',
+    INVALID_VERDICT: 'INVALID_VERDICT',
+    TARGET_UNHEALABLE: 'TARGET_UNHEALABLE',
+    ALREADY_REVEALED: 'ALREADY_REVEALED',
+    TOO_LONG: 'TOO_LONG',
+    INVALID_PRESET: 'INVALID_PRESET'
+};
+
+// Maximum length of a last will or death note
+const WILL_MAX_LENGTH = 500;
+
+// Phases in which a role can be revealed
+const REVEAL_PHASES = ['DAY_DISCUSS', 'DAY_VOTE', 'DEFENSE', 'JUDGEMENT'];
+
+// Verdicts a player can cast during JUDGEMENT
+const VERDICTS = ['GUILTY', 'INNOCENT', 'ABSTAIN'];
+
+function reject(code, message) {
+    return { ok: false, code, message };
+}
+
+/**
+ * Validate a night action submitted by a player
+ * @param {object} game - The game (players, state, jail state, round)
+ * @param {object} player - The acting player
+ * @param {object} action - { type, targetId, clear }
+ * @returns {object} { ok: true, actionDef, target } or { ok: false, code, message }
+ */
+function validateNightAction(game, player, action) {
+    if (!player) return reject(REJECTION.NOT_IN_GAME, 'You are not in this game.');
+    if (game.state !== 'NIGHT') return reject(REJECTION.WRONG_PHASE, 'Night actions can only be used at night.');
+    if (!player.alive) return reject(REJECTION.ACTOR_DEAD, 'Dead players cannot act.');
+
+    // CANCEL_EXECUTE is the undo of the role's EXECUTE action
+    const actionType = action?.type === 'CANCEL_EXECUTE' ? 'EXECUTE' : action?.type;
+    const actionDef = getAction(player.role, actionType);
+    if (!actionDef) return reject(REJECTION.ROLE_CANNOT_ACT, 'Your role cannot perform that action.');
+
+    // Clearing an action only requires owning it
+    const isClear = action.clear || action.type === 'CANCEL_EXECUTE' ||
+        (action.targetId === null && actionDef.target !== 'prisoner');
+    if (isClear) return { ok: true, actionDef, target: null };
+
+    if (game.jailedPlayerId === player.id) {
+        return reject(REJECTION.JAILED, '🔒 You are in jail and cannot perform your night action.');
+    }
+    if (actionDef.turnNightOnly && !game.canBiteTonight()) {
+        return reject(REJECTION.NOT_TURN_NIGHT, 'Vampires cannot bite anyone tonight.');
+    }
+    if (actionDef.turnNightOnly) {
+        const biter = game.getBiter();
+        if (biter && biter.id !== player.id) {
+            return reject(REJECTION.NOT_BITER, `Only the youngest vampire not in jail (${biter.name}) can bite tonight.`);
+        }
+    }
+    if (actionDef.uses && (player.usesRemaining?.[actionDef.type] || 0) <= 0) {
+        return reject(REJECTION.NO_USES_LEFT, `You have no ${actionDef.usesNoun || 'uses'} remaining!`);
+    }
+
+    // Prisoner actions (EXECUTE) always target the actor's own prisoner
+    if (actionDef.target === 'prisoner') {
+        if (game.jailorId !== player.id || !game.jailedPlayerId) {
+            return reject(REJECTION.NO_PRISONER, 'You have no prisoner to execute.');
+        }
+        const prisoner = game.players.find(p => p.id === game.jailedPlayerId);
+        return { ok: true, actionDef, target: prisoner || null };
+    }
+
+    // Immediate actions (JAIL) can only be used once per night
+    if (actionDef.immediate && game.jailorId === player.id) {
+        return reject(REJECTION.ALREADY_USED, 'You have already used your ability tonight.');
+    }
+
+    const target = game.players.find(p => p.id === action.targetId);
+    if (!target) return reject(REJECTION.INVALID_TARGET, 'Invalid target.');
+    if (!target.alive) return reject(REJECTION.TARGET_DEAD, 'Your target is dead.');
+    if (target.id === player.id && !actionDef.target.self) {
+        return reject(REJECTION.SELF_TARGET, 'You cannot target yourself!');
+    }
+    if (!actionDef.target.teammates && areTeammates(player.role, target.role)) {
+        return reject(REJECTION.TEAMMATE_TARGET, 'Cannot target a fellow vampire!');
+    }
+    if (actionDef.protects && target.revealedRole && getReveal(target.revealedRole)?.unhealable) {
+        return reject(REJECTION.TARGET_UNHEALABLE, `A revealed ${target.revealedRole} cannot be healed.`);
+    }
+
+    return { ok: true, actionDef, target };
+}
+
+/**
+ * Validate a day vote
+ * @param {object} game - The game
+ * @param {object} player - The voting player
+ * @param {string|null} targetId - Player voted for, or null to unvote
+ * @returns {object} { ok: true, target } or { ok: false, code, message }
+ */
+function validateDayVote(game, player, targetId) {
+    if (!player) return reject(REJECTION.NOT_IN_GAME, 'You are not in this game.');
+    if (game.state !== 'DAY_VOTE') return reject(REJECTION.WRONG_PHASE, 'Voting is not open.');
+    if (!player.alive) return reject(REJECTION.ACTOR_DEAD, 'Dead players cannot vote.');
+    if (targetId === null || targetId === undefined) return { ok: true, target: null };
+
+    const target = game.players.find(p => p.id === targetId);
+    if (!target) return reject(REJECTION.INVALID_TARGET, 'Invalid vote target.');
+    if (!target.alive) return reject(REJECTION.TARGET_DEAD, 'You cannot vote for a dead player.');
+    if (target.id === player.id) return reject(REJECTION.SELF_TARGET, 'You cannot vote for yourself!');
+
+    return { ok: true, target };
+}
+
+/**
+ * Validate a guilty/innocent/abstain verdict on the player on trial
+ * @param {object} game - The game (state, trialPlayerId)
+ * @param {object} player - The voting player
+ * @param {string} verdict - One of VERDICTS
+ * @returns {object} { ok: true } or { ok: false, code, message }
+ */
+function validateJudgement(game, player, verdict) {
+    if (!player) return reject(REJECTION.NOT_IN_GAME, 'You are not in this game.');
+    if (game.state !== 'JUDGEMENT') return reject(REJECTION.WRONG_PHASE, 'Judgement is not open.');
+    if (!player.alive) return reject(REJECTION.ACTOR_DEAD, 'Dead players cannot vote.');
+    if (player.id === game.trialPlayerId) return reject(REJECTION.ON_TRIAL, 'You cannot judge your own trial!');
+    if (!VERDICTS.includes(verdict)) return reject(REJECTION.INVALID_VERDICT, 'Invalid verdict.');
+
+    return { ok: true };
+}
+
+/**
+ * Validate a public role reveal (Mayor)
+ * @param {object} game - The game (state)
+ * @param {object} player - The revealing player
+ * @returns {object} { ok: true, reveal } or { ok: false, code, message }
+ */
+function validateReveal(game, player) {
+    if (!player) return reject(REJECTION.NOT_IN_GAME, 'You are not in this game.');
+    if (!REVEAL_PHASES.includes(game.state)) return reject(REJECTION.WRONG_PHASE, 'You can only reveal during the day.');
+    if (!player.alive) return reject(REJECTION.ACTOR_DEAD, 'Dead players cannot reveal.');
+    const reveal = getReveal(player.role);
+    if (!reveal) return reject(REJECTION.ROLE_CANNOT_ACT, 'Your role cannot reveal itself.');
+    if (player.revealedRole) return reject(REJECTION.ALREADY_REVEALED, 'You have already revealed yourself.');
+
+    return { ok: true, reveal };
+}
+
+/**
+ * Validate an edit to a last will, or with isDeathNote to a killer's death note
+ * @param {object} game - The game (state)
+ * @param {object} player - The writing player
+ * @param {string} text - The new text ('' clears it)
+ * @param {boolean} [isDeathNote]
+ * @returns {object} { ok: true, text } (trimmed) or { ok: false, code, message }
+ */
+function validateWill(game, player, text, isDeathNote = false) {
+    const noun = isDeathNote ? 'death note' : 'last will';
+    if (!player) return reject(REJECTION.NOT_IN_GAME, 'You are not in this game.');
+    if (game.state === 'LOBBY' || game.state === 'GAME_OVER') return reject(REJECTION.WRONG_PHASE, `You can only write a ${noun} during the game.`);
+    if (!player.alive) return reject(REJECTION.ACTOR_DEAD, `Dead players cannot change their ${noun}.`);
+    if (isDeathNote && !canLeaveDeathNote(player.role)) return reject(REJECTION.ROLE_CANNOT_ACT, 'Only killing roles can leave a death note.');
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (trimmed.length > WILL_MAX_LENGTH) return reject(REJECTION.TOO_LONG, `Your ${noun} can be at most ${WILL_MAX_LENGTH} characters.`);
+
+    return { ok: true, text: trimmed };
+}
+
+module.exports = {
+    REJECTION,
+    VERDICTS,
+    WILL_MAX_LENGTH,
+    validateNightAction,
+    validateDayVote,
+    validateJudgement,
+    validateReveal,
+    validateWill
+};
@@ -0,0 +1,237 @@
+/**
+ * AI Output Schemas
+ * JSON schemas for the NPC decisions the LLM answers in JSON (see ai.js).
+ * They are built per decision, so target names can only be players that
+ * can be chosen right now. Each decision spec is used twice:
+ * - passed to the provider for native structured output where it has it
+ *   (see llm-providers.js)
+ * - checked with validateDecision() before the decision is used; an invalid
+ *   answer gets one repair prompt (see getRepairPrompt)
+ *
+ * Decision spec: { name, schema, check?, strict? } - check(decision) returns
+ * extra errors the schema cannot express (e.g. a target the chosen action
+ * cannot take). Every property is required, as OpenAI's strict mode wants,
+ * except in specs with strict: false.
+ *
+ * validateDecision() supports the subset of JSON Schema used here: type (a
+ * name or a list), enum, properties, required, items and maxLength. Extra keys are
+ * ignored (additionalProperties is only for the providers).
+ */
+
+const { getRole, getRoleNames, getReveal, areTeammates } = require('./roles');
+const { canBiteOnNight, getBiteRules, getYoungestVampire } = require('./bite-rules');
+const { VERDICTS } = require('./action-validator');
+
+const objectSchema = (properties, optional = []) => ({
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(key => !optional.includes(key)),
+    additionalProperties: false
+});
+
+// A player name from the list, or null
+const nameOrNull = names => ({ type: ['string', 'null'], enum: [...names, null] });
+
+/**
+ * The night actions a player can use right now, with the names they can target
+ * @returns {object[]} [{ type, targetNames }]
+ */
+function getNightActionOptions(player, gameState) {
+    if (gameState.jailedPlayerId === player.id) return [];
+    const players = gameState.players || [];
+    const canBite = canBiteOnNight(gameState.settings, gameState.round || 1);
+    const biter = getBiteRules(gameState.settings).youngestVampireOnly ? getYoungestVampire(players, gameState.jailedPlayerId) : null;
+
+    return (getRole(player.role)?.actions || [])
+        .filter(a => !a.uses || (player.usesRemaining?.[a.type] || 0) > 0)
+        .filter(a => !a.turnNightOnly || (canBite && (!biter || biter.id === player.id)))
+        .map(a => {
+            if (a.target === 'prisoner') {
+                const prisoner = gameState.jailorId === player.id ? players.find(p => p.id === gameState.jailedPlayerId) : null;
+                return { type: a.type, targetNames: prisoner ? [prisoner.name] : [] };
+            }
+            const targets = players.filter(p => p.alive &&
+                (p.id !== player.id || a.target.self) &&
+                (a.target.teammates || p.id === player.id || !areTeammates(player.role, p.role)) &&
+                !(a.protects && p.revealedRole && getReveal(p.revealedRole)?.unhealable));
+            return { type: a.type, targetNames: targets.map(p => p.name) };
+        })
+        .filter(option => option.targetNames.length > 0);
+}
+
+/**
+ * { action, targetName } - an action the player can use now on one of its targets, or NONE
+ */
+function getNightActionSpec(player, gameState) {
+    const options = getNightActionOptions(player, gameState);
+    const allNames = [...new Set(options.flatMap(option => option.targetNames))];
+    return {
+        name: 'night_action',
+        schema: objectSchema({
+            action: { type: 'string', enum: [...options.map(option => option.type), 'NONE'] },
+            targetName: nameOrNull(allNames)
+        }),
+        check: ({ action, targetName }) => {
+            if (action === 'NONE') return [];
+            const option = options.find(o => o.type === action);
+            if (!targetName) return [`${action} needs a targetName`];
+            return option.targetNames.includes(targetName)
+                ? []
+                : [`${targetName} cannot be the target of ${action} (choose one of: ${option.targetNames.join(', ')})`];
+        }
+    };
+}
+
+/**
+ * { vote[, reveal] } - a living player other than the voter, or null to abstain
+ * @param {boolean} canReveal - Whether the player may reveal with the vote (Mayor)
+ */
+function getVoteSpec(player, gameState, canReveal = false) {
+    const names = (gameState.players || []).filter(p => p.alive && p.id !== player.id).map(p => p.name);
+    if (!canReveal) return { name: 'day_vote', schema: objectSchema({ vote: nameOrNull(names) }) };
+    return {
+        name: 'day_vote',
+        schema: objectSchema({ vote: nameOrNull(names), reveal: { type: 'boolean' } }, ['reveal']),
+        strict: false
+    };
+}
+
+/**
+ * { vote } - the same choice for a re-vote
+ */
+function getUpdatedVoteSpec(player, gameState) {
+    return { ...getVoteSpec(player, gameState, false), name: 'updated_vote' };
+}
+
+/**
+ * { execute, reason }
+ */
+function getExecuteSpec() {
+    return {
+        name: 'execute_decision',
+        schema: objectSchema({
+            execute: { type: 'boolean' },
+            reason: { type: 'string' }
+        })
+    };
+}
+
+/**
+ * { verdict } - GUILTY, INNOCENT or ABSTAIN on the player on trial
+ */
+function getJudgementSpec() {
+    return { name: 'judgement', schema: objectSchema({ verdict: { type: 'string', enum: VERDICTS } }) };
+}
+
+/**
+ * { name, gender, personality, talkingStyle } - with a name nobody has yet
+ */
+function getProfileSpec(existingNames = []) {
+    const taken = existingNames.map(name => name.trim().toLowerCase());
+    return {
+        name: 'npc_profile',
+        schema: objectSchema({
+            name: { type: 'string', maxLength: 20 },
+            gender: { type: 'string', enum: ['male', 'female'] },
+            personality: { type: 'string' },
+            talkingStyle: { type: 'string' }
+        }),
+        check: ({ name }) => {
+            if (!name.trim()) return ['name is empty'];
+            return taken.includes(name.trim().toLowerCase()) ? [`the name ${name} is already taken`] : [];
+        }
+    };
+}
+
+/**
+ * { players: [{ name, suspicion, claim, contradiction, evidence }] } - the
+ * end-of-phase belief update (see npc-beliefs.js)
+ */
+function getBeliefSpec(player, gameState) {
+    const names = (gameState.players || []).filter(p => p.alive && p.id !== player.id).map(p => p.name);
+    const note = { type: ['string', 'null'] };
+    return {
+        name: 'belief_update',
+        schema: objectSchema({
+            players: {
+                type: 'array',
+                items: objectSchema({
+                    name: { type: 'string', enum: names },
+                    suspicion: { type: 'integer' },
+                    claim: { type: ['string', 'null'], enum: [...getRoleNames(), null] },
+                    contradiction: note,
+                    evidence: note
+                })
+            }
+        })
+    };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'number' ? (Number.isInteger(value) ? 'integer' : 'number') : typeof value;
+}
+
+/**
+ * Errors of a value against a schema (empty when it is valid)
+ */
+function validateSchema(schema, value, path = 'answer') {
+    const types = [].concat(schema.type || []);
+    const type = typeOf(value);
+    if (types.length > 0 && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        return [`${path} must be ${types.join(' or ')}, got ${type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`];
+    }
+    if (type === 'string' && schema.maxLength && value.length > schema.maxLength) {
+        return [`${path} must be at most ${schema.maxLength} characters`];
+    }
+    if (type === 'array' && schema.items) {
+        return value.flatMap((item, i) => validateSchema(schema.items, item, `${path}[${i}]`));
+    }
+    if (type !== 'object' || !schema.properties) return [];
+
+    const errors = (schema.required || [])
+        .filter(key => !(key in value))
+        .map(key => `${path}.${key} is missing`);
+    Object.keys(schema.properties).filter(key => key in value).forEach(key => {
+        errors.push(...validateSchema(schema.properties[key], value[key], `${path}.${key}`));
+    });
+    return errors;
+}
+
+/**
+ * Errors of a parsed decision against its spec (empty when it can be used)
+ */
+function validateDecision(spec, decision) {
+    const errors = validateSchema(spec.schema, decision);
+    return errors.length === 0 && spec.check ? spec.check(decision) : errors;
+}
+
+/**
+ * The original prompt again, with the invalid answer and what is wrong with it
+ */
+function getRepairPrompt(prompt, answer, errors, spec) {
+    return `${prompt}
+
+    Your previous answer could not be used:
+    ${String(answer).slice(0, 500)}
+    Problems: ${errors.join('; ')}.
+    Answer again with only a JSON object that matches this JSON schema:
+    ${JSON.stringify(spec.schema)}`;
+}
+
+module.exports = {
+    getNightActionOptions,
+    getNightActionSpec,
+    getVoteSpec,
+    getUpdatedVoteSpec,
+    getExecuteSpec,
+    getJudgementSpec,
+    getProfileSpec,
+    getBeliefSpec,
+    validateDecision,
+    getRepairPrompt
+};
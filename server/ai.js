@@ -1,11 +1,78 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { getSystemPrompt, getGoal, getProfileGenerationPrompt, getJailInterrogationPrompt } = require("./npc-system-prompt");
+const { isVampireRole, getReveal, canLeaveDeathNote } = require("./roles");
+const { WILL_MAX_LENGTH } = require("./action-validator");
+const { canBiteOnNight, getBiteMode, getYoungestVampire, getBiteRules, describeBiteCadence } = require("./bite-rules");
+const { getSystemPrompt, getGoal, getProfileGenerationPrompt, getJailInterrogationPrompt, getDeadChatPrompt, getObjectiveTargetName, formatNightActionHints, formatRoleNames } = require("./npc-system-prompt");
+const { createLogger } = require("./game-logger");
+const { getNightActionSpec, getVoteSpec, getUpdatedVoteSpec, getExecuteSpec, getJudgementSpec, getProfileSpec, getBeliefSpec, validateDecision, getRepairPrompt } = require("./ai-schemas");
+const { getBeliefUpdatePrompt } = require("./npc-beliefs");
+const { getChatSummaryPrompt, CHAT_SUMMARY_MAX_LENGTH } = require("./chat-archive");
+
+// An LLM that has not answered by then is treated as failed, so a phase never waits on it
+const LLM_TIMEOUT_MS = 45000;
 
 class AIController {
-    constructor(apiKey, nationality = 'english') {
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    /**
+     * @param {object} llm - LLM provider with generate(prompt) (see llm-providers.js)
+     * @param {string} nationality - NPC nationality ('english' | 'lithuanian')
+     * @param {Logger} logger - Game-scoped logger (see game-logger.js)
+     * @param {ScriptedAI} [scripted] - Answers instead of the LLM when it fails or times out (see scripted-ai.js)
+     */
+    constructor(llm, nationality = 'english', logger = createLogger('AI'), scripted = null) {
+        this.llm = llm;
         this.nationality = nationality;
+        this.logger = logger;
+        this.scripted = scripted;
+        this.outputFailures = {}; // Decision name -> { invalid, repaired, failed } (see decide)
+    }
+
+    /**
+     * Ask the LLM, failing after LLM_TIMEOUT_MS
+     * @param {object} [spec] - Decision spec for native structured output (see ai-schemas.js)
+     */
+    async complete(prompt, spec = null) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No answer within ${LLM_TIMEOUT_MS / 1000}s`)), LLM_TIMEOUT_MS);
+        });
+        try {
+            return await Promise.race([this.llm.generate(prompt, spec), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Ask for a JSON decision and check it against its spec (see ai-schemas.js).
+     * An invalid answer gets one repair prompt; when that fails too this throws,
+     * so the caller falls back as on any other LLM error.
+     */
+    async decide(spec, prompt, player = null) {
+        const logOptions = player ? { playerIds: [player.id] } : {};
+        const answer = await this.complete(prompt, spec);
+        const first = this.parseJSON(answer);
+        const errors = validateDecision(spec, first);
+        if (errors.length === 0) return first;
+
+        this.countFailure(spec.name, 'invalid');
+        this.logger.warn(`Invalid ${spec.name} answer: ${errors.join('; ')}`, { ...logOptions, data: answer });
+        const repairedAnswer = await this.complete(getRepairPrompt(prompt, answer, errors, spec), spec);
+        const decision = this.parseJSON(repairedAnswer);
+        const repairErrors = validateDecision(spec, decision);
+        this.countFailure(spec.name, repairErrors.length === 0 ? 'repaired' : 'failed');
+        if (repairErrors.length > 0) throw new Error(`Invalid ${spec.name} answer after the repair prompt: ${repairErrors.join('; ')}`);
+        return decision;
+    }
+
+    countFailure(name, outcome) {
+        const counts = (this.outputFailures[name] = this.outputFailures[name] || { invalid: 0, repaired: 0, failed: 0 });
+        counts[outcome]++;
+    }
+
+    /**
+     * The scripted answer after an LLM failure, or the given default without a scripted AI
+     */
+    fallback(method, args, defaultValue) {
+        return this.scripted ? this.scripted[method](...args) : defaultValue;
     }
 
     getSystemPrompt(player, gameState) {
@@ -13,12 +80,12 @@ class AIController {
     }
 
     async generateNightAction(player, gameState) {
-        console.log(`[AI] Generating Night Action for ${player.name} (${player.role})...`);
+        this.logger.info(`Generating Night Action for ${player.name} (${player.role})...`, { playerIds: [player.id] });
 
-        // Determine if vampires can bite tonight (even nights only)
+        // Determine if vampires can bite tonight (host's bite rules)
         const round = gameState.round || 1;
-        const isEvenNight = round % 2 === 0;
-        const canVampiresBite = isEvenNight;
+        const canVampiresBite = canBiteOnNight(gameState.settings, round);
+        const biteCadence = describeBiteCadence(gameState.settings);
 
         // Build Doctor-specific reasoning context
         let doctorContext = '';
@@ -28,20 +95,20 @@ class AIController {
             if (!canVampiresBite) {
                 doctorContext = `
       
-      ⚠️ CRITICAL DOCTOR STRATEGY FOR NIGHT ${round} (ODD NIGHT):
-      Vampires CANNOT bite on odd nights (Night 1, 3, 5...). This means NO ONE can be turned into a vampire tonight.
+      ⚠️ CRITICAL DOCTOR STRATEGY FOR NIGHT ${round} (NO BITE TONIGHT):
+      Vampires can only bite ${biteCadence}, so NO ONE can be bitten tonight.
       
-      STRONG RECOMMENDATION: Save your heal for an even night when vampires CAN actually bite!
+      STRONG RECOMMENDATION: Save your heal for a night when vampires CAN actually bite!
       You only have 3 heals total - don't waste them when there's no threat.
       
       Return { "action": "NONE", "targetName": null } to save your heal for when it matters.
       
-      Only heal tonight if you have a very specific reason (which is rare on odd nights).`;
+      Only heal tonight if you have a very specific reason (e.g. a Vampire Hunter might stake someone).`;
             } else {
                 doctorContext = `
       
-      STRATEGIC HEAL TARGET SELECTION (EVEN NIGHT - VAMPIRES CAN BITE!):
-      This is an even night - vampires CAN bite tonight! Your heal could save someone's life.
+      STRATEGIC HEAL TARGET SELECTION (VAMPIRES CAN BITE TONIGHT!):
+      Vampires can bite ${biteCadence} - tonight is one of those nights! Your heal could save someone's life.
       
       CHAT HISTORY - Analyze who might be targeted:
       ${recentChats}
@@ -60,12 +127,38 @@ class AIController {
             }
         }
 
+        // Build Vampire Hunter-specific reasoning context
+        let hunterContext = '';
+        if (player.role === 'Vampire Hunter') {
+            hunterContext = `
+      
+      VAMPIRE HUNTER STRATEGY:
+      You have ${player.usesRemaining?.STAKE ?? 0} stake(s) left. If you stake a town member, you die of guilt tomorrow.
+      - Only STAKE someone you are confident is a vampire (an Investigator found them, a Lookout caught them, or their claim was proven false).
+      - Remember that a Vampire Framer can make innocents look like vampires.
+      - If you are not confident, return { "action": "NONE", "targetName": null } and keep your stake.`;
+        }
+
         // Build vampire-specific reasoning context
         let vampireContext = '';
-        if (player.alignment === 'evil' && (player.role === 'Vampire' || player.role === 'Vampire Framer')) {
+        if (player.alignment === 'evil' && isVampireRole(player.role)) {
             const recentChats = gameState.gameChat?.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No chat history)";
+            const biteMode = getBiteMode(gameState.settings, gameState.conversions || 0);
+            const biter = getBiteRules(gameState.settings).youngestVampireOnly ? getYoungestVampire(gameState.players, gameState.jailedPlayerId) : null;
+            let biteRule;
+            if (!canVampiresBite) {
+                biteRule = `Vampires cannot bite tonight (they bite ${biteCadence}). Do NOT choose BITE.`;
+            } else if (biter && biter.id !== player.id) {
+                biteRule = `Only ${biter.name}, the youngest vampire not in jail, can bite tonight. Do NOT choose BITE.`;
+            } else {
+                biteRule = biteMode === 'KILL'
+                    ? 'A bite tonight KILLS the target instead of turning them.'
+                    : 'A bite tonight turns the target into a Vampire.';
+            }
             vampireContext = `
       
+      BITE RULES: ${biteRule}
+      
       STRATEGIC BITE TARGET SELECTION:
       Before choosing who to bite, carefully analyze ALL information:
       
@@ -93,14 +186,9 @@ class AIController {
         const prompt = this.getSystemPrompt(player, gameState) +
             `\nIt is currently NIGHT. You need to perform your night action.
       Available actions based on your role (${player.role}):
-      - Investigator: INVESTIGATE <target_name>
-      - Lookout: LOOKOUT <target_name>
-      - Doctor: HEAL <target_name>
-      - Jailor: JAIL <target_name> (or EXECUTE if you have a prisoner)
-      - Vampire: BITE <target_name> (only if turn is available, otherwise coordinate)
-      - Vampire Framer: FRAME <target_name> (and BITE if available)
-      - Citizen/Jester: NO_ACTION
+      ${formatNightActionHints()}
       ${doctorContext}
+      ${hunterContext}
       ${vampireContext}
       
       Respond with a JSON object: { "action": "ACTION_TYPE", "targetName": "PlayerName" }
@@ -108,22 +196,22 @@ class AIController {
       Do not include markdown formatting, just raw JSON.`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const text = result.response.text();
-            const decision = this.parseJSON(text);
-            console.log(`[AI] Night Action Decision for ${player.name}:`, JSON.stringify(decision));
+            const decision = await this.decide(getNightActionSpec(player, gameState), prompt, player);
+            this.logger.info(`Night Action Decision for ${player.name}`, { playerIds: [player.id], data: decision });
             return decision;
         } catch (error) {
-            console.error("AI Night Action Error:", error);
-            return { action: "NONE", targetName: null };
+            this.logger.error("Night Action Error", { playerIds: [player.id], error });
+            return this.fallback('generateNightAction', [player, gameState], { action: "NONE", targetName: null });
         }
     }
 
     async generateDayVote(player, gameState) {
-        console.log(`[AI] Generating Day Vote for ${player.name}...`);
+        this.logger.info(`Generating Day Vote for ${player.name}...`, { playerIds: [player.id] });
 
         // Get chat history for context
         const recentChats = gameState.gameChat?.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No chat history)";
+        const executionerTarget = getObjectiveTargetName(player, gameState);
+        const canReveal = !!getReveal(player.role) && !player.revealedRole;
 
         const prompt = this.getSystemPrompt(player, gameState) +
             `\nIt is currently DAY VOTING. You need to decide who to vote for lynching.
@@ -149,29 +237,32 @@ class AIController {
          ${player.alignment === 'evil' ?
                 '- You are EVIL. Vote for town members, not your vampire allies. Try to blend in with town voting patterns.' :
                 '- You are GOOD. Vote for the most suspicious player to eliminate vampires.'}
+         - A revealed Mayor is confirmed town and their vote counts 3 times. Voting against them looks suspicious.
          ${player.role === 'Jester' ? '- You are Jester! Try to get yourself lynched by acting slightly suspicious.' : ''}
+         ${executionerTarget ? `- You are Executioner! Vote for your target ${executionerTarget} whenever it does not expose you.` : ''}
       
       Based on ALL this information, choose who to vote for.
-      Respond with a JSON object: { "vote": "PlayerName" } or { "vote": null } if you abstain.
+      Respond with a JSON object: { "vote": "PlayerName" } or { "vote": null } if you abstain.${canReveal ? `
+      You are the unrevealed ${player.role}. Add "reveal": true to reveal yourself now so your vote counts 3 times
+      (e.g. { "vote": "PlayerName", "reveal": true }). Doctors cannot heal you afterwards, so only reveal when your votes decide the lynch.` : ''}
       Do not include markdown formatting, just raw JSON.`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const text = result.response.text();
-            const decision = this.parseJSON(text);
-            console.log(`[AI] Vote Decision for ${player.name}:`, JSON.stringify(decision));
+            const decision = await this.decide(getVoteSpec(player, gameState, canReveal), prompt, player);
+            this.logger.info(`Vote Decision for ${player.name}`, { playerIds: [player.id], data: decision });
             return decision;
         } catch (error) {
-            console.error("AI Day Vote Error:", error);
-            return { vote: null };
+            this.logger.error("Day Vote Error", { playerIds: [player.id], error });
+            return this.fallback('generateDayVote', [player, gameState], { vote: null });
         }
     }
 
     async generateUpdatedVote(player, gameState, currentVoteName) {
-        console.log(`[AI] Re-evaluating Vote for ${player.name} (Currently voting: ${currentVoteName})...`);
+        this.logger.info(`Re-evaluating Vote for ${player.name} (Currently voting: ${currentVoteName})...`, { playerIds: [player.id] });
 
         // Get chat history for context
         const recentChats = gameState.gameChat?.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No chat history)";
+        const executionerTarget = getObjectiveTargetName(player, gameState);
 
         const prompt = this.getSystemPrompt(player, gameState) +
             `\nIt is currently DAY VOTING.
@@ -191,6 +282,7 @@ class AIController {
       ${player.alignment === 'evil' ?
                 '- As evil, try to vote with town to blend in, or push votes away from vampires.' :
                 '- As town, focus on voting out the most suspicious player.'}
+      ${executionerTarget ? `- You are Executioner! Move your vote to your target ${executionerTarget} if the town is turning on them.` : ''}
       
       Based on the current situation, do you want to CHANGE your vote?
       
@@ -202,26 +294,104 @@ class AIController {
       Do not include markdown formatting, just raw JSON.`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const text = result.response.text();
-            const decision = this.parseJSON(text);
-            console.log(`[AI] Updated Vote Decision for ${player.name}:`, JSON.stringify(decision));
+            const decision = await this.decide(getUpdatedVoteSpec(player, gameState), prompt, player);
+            this.logger.info(`Updated Vote Decision for ${player.name}`, { playerIds: [player.id], data: decision });
             return decision;
         } catch (error) {
-            console.error("AI Updated Vote Error:", error);
-            return { vote: currentVoteName }; // Default to keeping current vote
+            this.logger.error("Updated Vote Error", { playerIds: [player.id], error });
+            return this.fallback('generateUpdatedVote', [player, gameState, currentVoteName], { vote: currentVoteName }); // Default to keeping current vote
+        }
+    }
+
+    /**
+     * Generate a defense speech for an NPC who is on trial
+     */
+    async generateDefense(player, gameState) {
+        this.logger.info(`Generating Defense for ${player.name}...`, { playerIds: [player.id] });
+
+        const recentChats = gameState.gameChat?.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No chat history)";
+
+        // Language instruction based on nationality
+        const languageInstruction = this.nationality === 'lithuanian'
+            ? `IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}).`
+            : 'Respond in English.';
+
+        const prompt = this.getSystemPrompt(player, gameState) +
+            `\nIt is currently DEFENSE. The town voted to put YOU on trial. Round: ${gameState.round}
+      Only you can speak now. After your defense, the town votes guilty or innocent.
+      
+      Recent Chat History:
+      ${recentChats}
+      
+      Plead your case:
+      - Answer the accusations made against you in chat
+      - Claim your role (or your fake role if you are evil) and share any results that support it
+      - Point the town at someone more suspicious if you can
+      ${player.role === 'Jester' ? '- You are Jester! You WANT to be voted guilty, so make a weak or suspicious defense.' : ''}
+      
+      Respond with a short, in-character defense.
+      - Keep it under 150 characters
+      ${languageInstruction}`;
+
+        try {
+            const msg = (await this.complete(prompt)).trim();
+            this.logger.info(`Defense from ${player.name}`, { playerIds: [player.id], data: msg });
+            return msg || null;
+        } catch (error) {
+            this.logger.error("Defense Error", { playerIds: [player.id], error });
+            return this.fallback('generateDefense', [player, gameState], null);
+        }
+    }
+
+    /**
+     * Decide a guilty/innocent/abstain verdict on the player on trial
+     */
+    async generateJudgement(player, gameState) {
+        const accused = gameState.players.find(p => p.id === gameState.trialPlayerId);
+        this.logger.info(`Generating Judgement for ${player.name} on ${accused?.name}...`, { playerIds: [player.id] });
+
+        const recentChats = gameState.gameChat?.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No chat history)";
+        const executionerTarget = getObjectiveTargetName(player, gameState);
+
+        const prompt = this.getSystemPrompt(player, gameState) +
+            `\nIt is currently JUDGEMENT. ${accused?.name || 'A player'} is on trial and has made their defense.
+      You must decide whether they are guilty (they will be lynched) or innocent (they will be spared).
+      
+      RECENT CHAT HISTORY (including their defense):
+      ${recentChats}
+      
+      CONSIDER:
+      - Was their defense convincing? Did their role claim make sense?
+      - Does their claim conflict with any night results you know of?
+      - Lynching an innocent town member helps the vampires.
+      ${player.alignment === 'evil' ?
+                '- You are EVIL. Vote innocent to save a fellow vampire, and guilty on town members if it does not look suspicious.' :
+                '- You are GOOD. Vote guilty only if you believe they are evil.'}
+      ${player.role === 'Jester' ? '- You are Jester! Lynching someone else does not help you.' : ''}
+      ${executionerTarget && executionerTarget === accused?.name ? `- You are Executioner and ${executionerTarget} is your target! Vote GUILTY.` : ''}
+      
+      Respond with a JSON object: { "verdict": "GUILTY" }, { "verdict": "INNOCENT" } or { "verdict": "ABSTAIN" }.
+      Do not include markdown formatting, just raw JSON.`;
+
+        try {
+            const decision = await this.decide(getJudgementSpec(), prompt, player);
+            this.logger.info(`Judgement Decision for ${player.name}`, { playerIds: [player.id], data: decision });
+            return decision;
+        } catch (error) {
+            this.logger.error("Judgement Error", { playerIds: [player.id], error });
+            return this.fallback('generateJudgement', [player, gameState], { verdict: 'ABSTAIN' });
         }
     }
 
     async generateChat(player, gameState, isAddressed = false, isProactive = false) {
-        console.log(`[AI] Generating Chat for ${player.name}...`);
+        this.logger.info(`Generating Chat for ${player.name}...`, { playerIds: [player.id] });
 
         // Get last 10 chat messages
         const recentChats = gameState.gameChat.slice(-10).map(c => `${c.senderName}: ${c.message}`).join("\n");
 
         // Language instruction based on nationality
         const languageInstruction = this.nationality === 'lithuanian'
-            ? 'IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (Investigator, Lookout, Doctor, Jailor, Citizen, Vampire, Vampire Framer, Jester). For example: "Aš esu Investigator" NOT "Aš esu Tyrėjas".'
+            ? `IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}). For example: "Aš esu Investigator" NOT "Aš esu Tyrėjas".`
             : 'Respond in English.';
 
         // Build appropriate speaking instruction based on context
@@ -268,13 +438,12 @@ class AIController {
       ${languageInstruction}`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const msg = result.response.text().trim();
-            console.log(`[AI] Chat Message from ${player.name}:`, msg);
+            const msg = (await this.complete(prompt)).trim();
+            this.logger.info(`Chat Message from ${player.name}`, { playerIds: [player.id], data: msg });
             return msg === "SILENCE" ? null : msg;
         } catch (error) {
-            console.error("AI Chat Error:", error);
-            return null;
+            this.logger.error("Chat Error", { playerIds: [player.id], error });
+            return this.fallback('generateChat', [player, gameState, isAddressed, isProactive], null);
         }
     }
 
@@ -282,11 +451,11 @@ class AIController {
      * Generate a response for a jailed NPC (prisoner responding to jailor)
      */
     async generateJailResponse(player, gameState, jailChat, jailorName) {
-        console.log(`[AI] Generating Jail Response for ${player.name}...`);
+        this.logger.info(`Generating Jail Response for ${player.name}...`, { playerIds: [player.id] });
 
         // Language instruction based on nationality
         const languageInstruction = this.nationality === 'lithuanian'
-            ? 'IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (Investigator, Lookout, Doctor, Jailor, Citizen, Vampire, Vampire Framer, Jester).'
+            ? `IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}).`
             : 'Respond in English.';
 
         const prompt = getJailInterrogationPrompt(player, gameState, jailChat, false, jailorName) +
@@ -295,13 +464,12 @@ class AIController {
             ${languageInstruction}`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const msg = result.response.text().trim();
-            console.log(`[AI] Jail Response from ${player.name}:`, msg);
+            const msg = (await this.complete(prompt)).trim();
+            this.logger.info(`Jail Response from ${player.name}`, { playerIds: [player.id], data: msg });
             return msg;
         } catch (error) {
-            console.error("AI Jail Response Error:", error);
-            return "I'm innocent, I swear!";
+            this.logger.error("Jail Response Error", { playerIds: [player.id], error });
+            return this.fallback('generateJailResponse', [player, gameState, jailChat, jailorName], "I'm innocent, I swear!");
         }
     }
 
@@ -309,11 +477,11 @@ class AIController {
      * Generate an interrogation message for an NPC Jailor
      */
     async generateJailorMessage(player, gameState, jailChat, prisonerName) {
-        console.log(`[AI] Generating Jailor Interrogation for ${player.name}...`);
+        this.logger.info(`Generating Jailor Interrogation for ${player.name}...`, { playerIds: [player.id] });
 
         // Language instruction based on nationality
         const languageInstruction = this.nationality === 'lithuanian'
-            ? 'IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (Investigator, Lookout, Doctor, Jailor, Citizen, Vampire, Vampire Framer, Jester).'
+            ? `IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}).`
             : 'Respond in English.';
 
         const prompt = getJailInterrogationPrompt(player, gameState, jailChat, true, prisonerName) +
@@ -322,13 +490,12 @@ class AIController {
             ${languageInstruction}`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const msg = result.response.text().trim();
-            console.log(`[AI] Jailor Message from ${player.name}:`, msg);
+            const msg = (await this.complete(prompt)).trim();
+            this.logger.info(`Jailor Message from ${player.name}`, { playerIds: [player.id], data: msg });
             return msg;
         } catch (error) {
-            console.error("AI Jailor Message Error:", error);
-            return "What is your role?";
+            this.logger.error("Jailor Message Error", { playerIds: [player.id], error });
+            return this.fallback('generateJailorMessage', [player, gameState, jailChat, prisonerName], "What is your role?");
         }
     }
 
@@ -336,7 +503,7 @@ class AIController {
      * Generate an execution decision for an NPC Jailor
      */
     async generateExecuteDecision(player, gameState, jailChat, prisonerName) {
-        console.log(`[AI] Generating Execute Decision for ${player.name}...`);
+        this.logger.info(`Generating Execute Decision for ${player.name}...`, { playerIds: [player.id] });
 
         // Language instruction based on nationality (for the reason field)
         const languageInstruction = this.nationality === 'lithuanian'
@@ -358,14 +525,125 @@ class AIController {
             ${languageInstruction}`;
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const text = result.response.text();
-            const decision = this.parseJSON(text);
-            console.log(`[AI] Execute Decision from ${player.name}:`, JSON.stringify(decision));
+            const decision = await this.decide(getExecuteSpec(), prompt, player);
+            this.logger.info(`Execute Decision from ${player.name}`, { playerIds: [player.id], data: decision });
             return decision;
         } catch (error) {
-            console.error("AI Execute Decision Error:", error);
-            return { execute: false, reason: "Uncertain - better safe than sorry" };
+            this.logger.error("Execute Decision Error", { playerIds: [player.id], error });
+            return this.fallback('generateExecuteDecision', [player, gameState, jailChat, prisonerName], { execute: false, reason: "Uncertain - better safe than sorry" });
+        }
+    }
+
+    /**
+     * Rewrite an NPC's last will (and a killing role's death note) from what
+     * it did at night. Evil NPCs write a will that fits their fake claim.
+     * @returns {Promise<{ will: string, deathNote: string|null }|null>} null on failure
+     */
+    async generateWill(player, gameState) {
+        this.logger.info(`Generating Last Will for ${player.name}...`, { playerIds: [player.id] });
+
+        const claimedRole = player.fakeRole || player.role;
+        const history = (player.actionHistory || [])
+            .map(h => `- Night ${h.round}: ${h.action} on ${h.targetName}${h.result ? ` → ${h.result}` : ''}`)
+            .join("\n") || "(No night actions yet)";
+        const willInstruction = player.fakeRole
+            ? `You are secretly ${player.role}. Write a FAKE will as a ${claimedRole}: invent believable night results for a ${claimedRole} that match what you have claimed in chat and never hint at your real role.`
+            : `Write an honest will as the ${claimedRole}: list your night actions and their results from YOUR PAST ACTIONS.`;
+        const deathNoteInstruction = canLeaveDeathNote(player.role)
+            ? `You may also leave a short death note on anyone you kill (or "" for none).`
+            : '';
+
+        // Language instruction based on nationality
+        const languageInstruction = this.nationality === 'lithuanian'
+            ? `IMPORTANT: Write in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}).`
+            : 'Write in English.';
+
+        const prompt = this.getSystemPrompt(player, gameState) +
+            `\nUpdate your LAST WILL. It stays hidden until you die, then everyone can read it.
+      Your current will: ${player.will ? `"${player.will}"` : '(empty)'}
+      Your night actions so far:
+      ${history}
+      
+      ${willInstruction}
+      Keep it short (one line per night, at most ${WILL_MAX_LENGTH} characters).
+      ${deathNoteInstruction}
+      ${languageInstruction}
+      
+      Respond with a JSON object: { "will": "...", "deathNote": ${canLeaveDeathNote(player.role) ? '"..."' : 'null'} }
+      Do not include markdown formatting, just raw JSON.`;
+
+        try {
+            const decision = this.parseJSON(await this.complete(prompt));
+            if (!decision || typeof decision.will !== 'string') return null;
+            this.logger.info(`Last Will from ${player.name}`, { playerIds: [player.id], data: decision });
+            return {
+                will: decision.will.slice(0, WILL_MAX_LENGTH),
+                deathNote: typeof decision.deathNote === 'string' ? decision.deathNote.slice(0, WILL_MAX_LENGTH) : null
+            };
+        } catch (error) {
+            this.logger.error("Last Will Error", { playerIds: [player.id], error });
+            return this.fallback('generateWill', [player, gameState], null);
+        }
+    }
+
+    /**
+     * Generate a graveyard chat message for a dead NPC, or a séance question
+     * for a living Medium NPC
+     */
+    async generateDeadChat(player, gameState, deadChat) {
+        this.logger.info(`Generating Graveyard Chat for ${player.name}...`, { playerIds: [player.id] });
+
+        // Language instruction based on nationality
+        const languageInstruction = this.nationality === 'lithuanian'
+            ? `IMPORTANT: You MUST respond in Lithuanian language. EXCEPTION: Role names must ALWAYS be written in English (${formatRoleNames()}).`
+            : 'Respond in English.';
+
+        const prompt = getDeadChatPrompt(player, gameState, deadChat) +
+            `\n\n${player.alive ? 'Ask the dead a question.' : 'Reply to the graveyard chat, or respond with just "SILENCE" if you have nothing to add.'}
+            Keep it under 100 characters. Respond with just your message, no JSON formatting.
+            ${languageInstruction}`;
+
+        try {
+            const msg = (await this.complete(prompt)).trim();
+            this.logger.info(`Graveyard Message from ${player.name}`, { playerIds: [player.id], data: msg });
+            return msg === "SILENCE" ? null : msg;
+        } catch (error) {
+            this.logger.error("Graveyard Chat Error", { playerIds: [player.id], error });
+            return this.fallback('generateDeadChat', [player, gameState, deadChat], null);
+        }
+    }
+
+    /**
+     * Update an NPC's notes on the other players at the end of a phase (see npc-beliefs.js)
+     * @param {object} record - What the NPC saw of the phase (see getPhaseRecord)
+     * @returns {Promise<object>} { players: [{ name, suspicion, claim, contradiction, evidence }] }
+     */
+    async generateBeliefUpdate(player, gameState, record) {
+        this.logger.info(`Updating Beliefs of ${player.name} after ${record.label}...`, { playerIds: [player.id] });
+        const prompt = getBeliefUpdatePrompt(player, gameState, record);
+
+        try {
+            const update = await this.decide(getBeliefSpec(player, gameState), prompt, player);
+            this.logger.info(`Belief Update from ${player.name}`, { playerIds: [player.id], data: update });
+            return update;
+        } catch (error) {
+            this.logger.error("Belief Update Error", { playerIds: [player.id], error });
+            return this.fallback('generateBeliefUpdate', [player, gameState, record], { players: [] });
+        }
+    }
+
+    /**
+     * Fold one archived chat section into the channel's rolling summary (see chat-archive.js)
+     * @returns {Promise<string|null>} The new summary, or null to keep the old one
+     */
+    async summarizeChat(summary, section) {
+        this.logger.info(`Summarizing the ${section.channel} chat (${section.messages.length} messages)...`);
+        try {
+            const text = String(await this.complete(getChatSummaryPrompt(summary, section))).trim();
+            return text ? text.slice(0, CHAT_SUMMARY_MAX_LENGTH) : null;
+        } catch (error) {
+            this.logger.error("Chat Summary Error", { error });
+            return null;
         }
     }
 
@@ -401,16 +679,16 @@ class AIController {
                 }
             }
 
-            console.error("Failed to parse JSON:", text);
+            this.logger.warn("Failed to parse JSON", { data: text });
             return {};
         } catch (e) {
-            console.error("Failed to parse JSON:", text);
+            this.logger.warn("Failed to parse JSON", { data: text });
             return {};
         }
     }
 
     async generateNPCProfile(existingNames = []) {
-        console.log(`[AI] Generating NPC Profile (nationality: ${this.nationality})...`);
+        this.logger.info(`Generating NPC Profile (nationality: ${this.nationality})...`);
         const forbiddenNames = existingNames.map(n => n.trim()).join(", ");
 
         // Name instructions based on nationality
@@ -421,18 +699,12 @@ class AIController {
         const prompt = getProfileGenerationPrompt(forbiddenNames, nameInstruction);
 
         try {
-            const result = await this.model.generateContent(prompt);
-            const text = result.response.text();
-            const profile = this.parseJSON(text);
-            console.log("[AI] Generated Profile:", JSON.stringify(profile));
-            // Validate minimal requirements
-            if (profile.name && profile.personality && profile.talkingStyle) {
-                return profile;
-            }
-            throw new Error("Invalid profile format");
+            const profile = await this.decide(getProfileSpec(existingNames), prompt);
+            this.logger.info("Generated Profile", { data: profile });
+            return profile;
         } catch (error) {
-            console.error("AI Profile Generation Error:", error);
-            return null;
+            this.logger.error("Profile Generation Error", { error });
+            return this.fallback('generateNPCProfile', [existingNames], null);
         }
     }
 
@@ -0,0 +1,160 @@
+/**
+ * Balance Analyzer
+ * The lobby's balance report for the host's role setup: which configured
+ * roles the smart exclusion will cut (see cutExcessRoles in role-list.js),
+ * an estimate of the town / evil / neutral win rates from a batch of
+ * simulated games (see simulation.js), and warnings about the setup.
+ *
+ * Report:
+ *     {
+ *         mode: 'default' | 'custom' | 'preset',
+ *         playerCount,
+ *         cutRoles: [{ alignment, count, roles }],   // roles: the candidates for the cut
+ *         composition: { good, evil, neutral },      // average roles per alignment at the start
+ *         estimate: { town, evil, neutral, draw, games, avgRounds, method },
+ *         warnings: [{ level: 'error' | 'warning' | 'info', message }]
+ *     }
+ *
+ * Reports are cached per settings and player count, as the lobby asks again
+ * after every settings change.
+ */
+
+const { getRole } = require('./roles');
+const { validateRolePreset, getConfiguredRoles, planRoleCuts } = require('./role-list');
+const { runSimulations, aggregateResults } = require('./simulation');
+
+// Enough for a rough estimate in the lobby, where the report runs on the server's event loop
+const DEFAULT_GAMES = 40;
+const CACHE_SIZE = 50;
+const MIN_PLAYERS = 4;
+
+// Win rate beyond which a side is called favoured
+const LOPSIDED = 0.7;
+
+// Cache key -> Promise of the report, oldest first
+const reportCache = new Map();
+
+const percent = share => `${Math.round(share * 100)}%`;
+
+/**
+ * Configured roles the smart exclusion will cut, per alignment
+ * @returns {object[]} [{ alignment, count, roles }] - alignment 'any' when the cut cannot keep the balance
+ */
+function getCutRoles(settings, playerCount) {
+    const config = settings.roleConfig;
+    if (!config || config.useDefault || validateRolePreset(settings.rolePreset).ok) return [];
+
+    const roles = getConfiguredRoles(config);
+    if (roles.length <= playerCount) return [];
+    const byAlign = align => roles.filter(role => getRole(role).alignment === align);
+    const plan = planRoleCuts({ good: byAlign('good').length, evil: byAlign('evil').length, neutral: byAlign('neutral').length }, playerCount);
+
+    return ['evil', 'neutral', 'good', 'any']
+        .filter(align => plan[align] > 0)
+        .map(align => ({
+            alignment: align,
+            count: plan[align],
+            roles: [...new Set(align === 'any' ? roles : byAlign(align))]
+        }));
+}
+
+/**
+ * Share of the simulated setups for which a condition holds
+ */
+function shareOf(results, condition) {
+    return results.filter(result => condition(result.roles)).length / results.length;
+}
+
+/**
+ * Warnings about a setup, from the roles dealt in the simulated games
+ */
+function getWarnings(results, estimate, cutRoles) {
+    const warnings = [];
+    const add = (level, share, always, sometimes) => {
+        if (share === 1) warnings.push({ level, message: always });
+        else if (share > 0) warnings.push({ level: level === 'error' ? 'warning' : level, message: `${sometimes} (${percent(share)} of setups).` });
+    };
+    const countAlign = (roles, align) => roles.filter(role => getRole(role)?.alignment === align).length;
+    const hasCategory = (roles, category) => roles.some(role => getRole(role)?.alignment === 'good' && getRole(role).category === category);
+
+    add('error', shareOf(results, roles => countAlign(roles, 'evil') === 0),
+        'There are no vampires: the town wins at the first dawn.',
+        'There can be no vampires');
+    add('error', shareOf(results, roles => {
+        const evil = countAlign(roles, 'evil');
+        return evil > 0 && evil >= roles.length / 2;
+    }), 'The vampires start at parity: they win at the first dawn.', 'The vampires can start at parity');
+    add('warning', shareOf(results, roles => !hasCategory(roles, 'investigative')),
+        'There are no investigative roles: the town has to find the vampires blind.',
+        'There can be no investigative roles');
+    add('info', shareOf(results, roles => !hasCategory(roles, 'protective')),
+        'There are no protective roles.',
+        'There can be no protective roles');
+
+    if (estimate.evil >= LOPSIDED) warnings.push({ level: 'warning', message: `The vampires are heavily favoured (${percent(estimate.evil)} of games).` });
+    if (estimate.town >= LOPSIDED) warnings.push({ level: 'warning', message: `The town is heavily favoured (${percent(estimate.town)} of games).` });
+    if (estimate.draw > 0.1) warnings.push({ level: 'info', message: `Many games stall without a winner (${percent(estimate.draw)}).` });
+
+    const cutCount = cutRoles.reduce((sum, cut) => sum + cut.count, 0);
+    if (cutCount > 0) warnings.push({ level: 'info', message: `${cutCount} configured role${cutCount === 1 ? '' : 's'} will be cut to fit the players.` });
+    return warnings;
+}
+
+/**
+ * Analyze the balance of a role setup (cached, see the module header)
+ * @param {object} settings - Game settings (roleConfig, rolePreset, bite rules, trial, ...)
+ * @param {number} playerCount
+ * @param {object} [options] - { games, seed }
+ * @returns {Promise<object>} The report (see the module header)
+ */
+function analyzeBalance(settings, playerCount, { games = DEFAULT_GAMES, seed = 1 } = {}) {
+    const key = JSON.stringify({ settings, playerCount, games, seed });
+    if (!reportCache.has(key)) {
+        const report = buildReport(structuredClone(settings), playerCount, games, seed);
+        report.catch(() => reportCache.delete(key));
+        reportCache.set(key, report);
+        if (reportCache.size > CACHE_SIZE) reportCache.delete(reportCache.keys().next().value);
+    }
+    return reportCache.get(key);
+}
+
+async function buildReport(settings, playerCount, games, seed) {
+    const mode = validateRolePreset(settings.rolePreset).ok
+        ? 'preset'
+        : (settings.roleConfig && !settings.roleConfig.useDefault ? 'custom' : 'default');
+    const cutRoles = getCutRoles(settings, playerCount);
+
+    if (playerCount < MIN_PLAYERS) {
+        return {
+            mode,
+            playerCount,
+            cutRoles,
+            composition: null,
+            estimate: null,
+            warnings: [{ level: 'info', message: `Add at least ${MIN_PLAYERS} players to see a balance estimate.` }]
+        };
+    }
+
+    // A preset that is valid on its own may still not deal to this many players (e.g. no evil slot yet)
+    const deal = mode === 'preset' ? validateRolePreset(settings.rolePreset, playerCount) : null;
+    if (deal && !deal.ok) {
+        return { mode, playerCount, cutRoles, composition: null, estimate: null, warnings: [{ level: 'error', message: deal.message }] };
+    }
+
+    const results = await runSimulations({ settings, playerCount, games, seed });
+    const summary = aggregateResults(results);
+    const estimate = { ...summary.winRates, games: summary.games, avgRounds: summary.avgRounds, method: 'simulation' };
+    const average = align => Math.round(results.reduce((sum, result) =>
+        sum + result.roles.filter(role => getRole(role).alignment === align).length, 0) / results.length * 10) / 10;
+
+    return {
+        mode,
+        playerCount,
+        cutRoles,
+        composition: { good: average('good'), evil: average('evil'), neutral: average('neutral') },
+        estimate,
+        warnings: getWarnings(results, estimate, cutRoles)
+    };
+}
+
+module.exports = { analyzeBalance, getCutRoles };
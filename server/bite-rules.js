@@ -0,0 +1,106 @@
+/**
+ * Bite Rules
+ * The host-configurable vampire rules, read from the game settings by the
+ * engine, the action validator and the NPC prompts (the client gets the
+ * result through getPlayerView), so everyone agrees on when and how the
+ * vampires bite.
+ *
+ * Settings:
+ * - biteCadence:         EVERY_NIGHT | EVEN_NIGHTS | EVERY_NTH_NIGHT
+ * - biteInterval:        N for EVERY_NTH_NIGHT (bites on Night N, 2N, ...)
+ * - biteMode:            CONVERT (the target becomes a Vampire) | KILL
+ * - maxConversions:      conversions allowed per game, after which bites
+ *                        kill (0 = unlimited)
+ * - youngestVampireOnly: only the most recently turned vampire can bite
+ *
+ * In youngestVampireOnly mode a jailed youngest vampire hands the bite to the
+ * next youngest one for that night. A roleblock is only known at dawn, when the
+ * bite resolves, so a roleblocked biter bites nobody that night (like any
+ * other roleblocked action).
+ */
+
+const { isVampireRole, getAction } = require('./roles');
+
+const BITE_CADENCES = ['EVERY_NIGHT', 'EVEN_NIGHTS', 'EVERY_NTH_NIGHT'];
+const BITE_MODES = ['CONVERT', 'KILL'];
+
+// The classic rules: convert on even nights, no cap, every vampire votes
+const DEFAULT_BITE_RULES = {
+    cadence: 'EVEN_NIGHTS',
+    interval: 2,
+    mode: 'CONVERT',
+    maxConversions: 0,
+    youngestVampireOnly: false
+};
+
+/**
+ * Normalized bite rules from the game settings (invalid values fall back to the defaults)
+ * @param {object} settings - Game settings
+ * @returns {{ cadence: string, interval: number, mode: string, maxConversions: number, youngestVampireOnly: boolean }}
+ */
+function getBiteRules(settings = {}) {
+    const interval = parseInt(settings.biteInterval, 10);
+    const maxConversions = parseInt(settings.maxConversions, 10);
+    return {
+        cadence: BITE_CADENCES.includes(settings.biteCadence) ? settings.biteCadence : DEFAULT_BITE_RULES.cadence,
+        interval: interval >= 1 ? interval : DEFAULT_BITE_RULES.interval,
+        mode: BITE_MODES.includes(settings.biteMode) ? settings.biteMode : DEFAULT_BITE_RULES.mode,
+        maxConversions: maxConversions >= 0 ? maxConversions : DEFAULT_BITE_RULES.maxConversions,
+        youngestVampireOnly: !!settings.youngestVampireOnly
+    };
+}
+
+/**
+ * Whether the vampires can bite on the given night
+ */
+function canBiteOnNight(settings, round) {
+    const { cadence, interval } = getBiteRules(settings);
+    if (cadence === 'EVERY_NIGHT') return true;
+    if (cadence === 'EVEN_NIGHTS') return round % 2 === 0;
+    return round % interval === 0;
+}
+
+/**
+ * What a bite does after the given number of conversions
+ * @returns {string} CONVERT | KILL
+ */
+function getBiteMode(settings, conversions = 0) {
+    const { mode, maxConversions } = getBiteRules(settings);
+    if (mode === 'KILL') return 'KILL';
+    return maxConversions > 0 && conversions >= maxConversions ? 'KILL' : 'CONVERT';
+}
+
+/**
+ * The living vampire allowed to bite in youngestVampireOnly mode: the most
+ * recently turned one who is not in jail, or the last original vampire if
+ * nobody was turned
+ * @param {object[]} players
+ * @param {string|null} [jailedPlayerId] - Tonight's prisoner, who cannot bite
+ * @returns {object|null}
+ */
+function getYoungestVampire(players, jailedPlayerId = null) {
+    const biters = players.filter(p => p.alive && p.id !== jailedPlayerId && isVampireRole(p.role) && getAction(p.role, 'BITE'));
+    return biters.reduce((youngest, p) => (!youngest || (p.turnedRound || 0) >= (youngest.turnedRound || 0) ? p : youngest), null);
+}
+
+/**
+ * The bite nights in words, e.g. "on even nights (Night 2, 4, 6...)"
+ */
+function describeBiteCadence(settings) {
+    const { cadence, interval } = getBiteRules(settings);
+    if (cadence === 'EVERY_NIGHT') return 'every night';
+    if (cadence === 'EVEN_NIGHTS') return 'on even nights (Night 2, 4, 6...)';
+    if (interval === 1) return 'every night';
+    return `every ${interval} nights (Night ${interval}, ${interval * 2}, ${interval * 3}...)`;
+}
+
+module.exports = {
+    BITE_CADENCES,
+    BITE_MODES,
+    DEFAULT_BITE_RULES,
+    getBiteRules,
+    canBiteOnNight,
+    getBiteMode,
+    getYoungestVampire,
+    describeBiteCadence
+};
@@ -0,0 +1,106 @@
+/**
+ * Chat Archive
+ * The live chats (gameChat, jailChat) are cleared at every night and day, so
+ * the engine also keeps every message in this.chatArchive, one section per
+ * round, phase and channel:
+ *
+ *     { round, phase, channel: 'public'|'vampire'|'jail', participantIds?, messages: [{ senderId?, senderName, message, timestamp }] }
+ *
+ * Jail sections only name the participants (Jailor and prisoner), and their
+ * messages carry the 'Jailor' / 'Prisoner' labels, so the Jailor stays anonymous.
+ *
+ * Players see the sections of their channels in the "previous days" view
+ * (getChatArchiveView). NPC prompts get rolling summaries instead of the full
+ * archive: at the end of every phase the public and vampire sections of that
+ * phase are folded into one short LLM-written summary per channel
+ * (AIController.summarizeChat, stored in engine.chatSummaries through the
+ * SET_CHAT_SUMMARY action), so the prompt size stays bounded however long the game gets.
+ */
+
+const { isVampireRole } = require('./roles');
+
+const CHAT_CHANNELS = ['public', 'vampire', 'jail'];
+
+// Channels with a rolling summary (jail talks are private to two players and
+// already part of their jail prompts)
+const SUMMARY_CHANNELS = ['public', 'vampire'];
+
+// Hard limit of a summary, whatever the LLM answers
+const CHAT_SUMMARY_MAX_LENGTH = 1500;
+
+const PHASE_LABELS = {
+    NIGHT: 'Night',
+    DAY_DISCUSS: 'Day',
+    DAY_VOTE: 'Voting',
+    DEFENSE: 'Defense',
+    JUDGEMENT: 'Judgement'
+};
+
+const describeSection = ({ round, phase }) => `${PHASE_LABELS[phase] || phase} ${round}`;
+
+function canSeeSection(section, player, showAll) {
+    if (showAll || section.channel === 'public') return true;
+    if (!player) return false;
+    if (section.channel === 'vampire') return isVampireRole(player.role);
+    return (section.participantIds || []).includes(player.id);
+}
+
+/**
+ * The archive sections a player can read (all of them once the game is over)
+ */
+function getChatArchiveView(archive = [], player, showAll = false) {
+    return archive.filter(section => canSeeSection(section, player, showAll));
+}
+
+/**
+ * The sections of one phase that have a rolling summary
+ * @param {{ round: number, phase: string }} ended - See getEndedPhase (npc-beliefs.js)
+ */
+function getSummarySections(archive = [], { round, phase }) {
+    return archive.filter(section => section.round === round && section.phase === phase &&
+        SUMMARY_CHANNELS.includes(section.channel) && section.messages.length > 0);
+}
+
+/**
+ * The prompt that folds one archived section into the channel's summary
+ */
+function getChatSummaryPrompt(summary, section) {
+    const transcript = section.messages.map(m => `${m.senderName}: ${m.message}`).join('\n    ');
+    const channel = section.channel === 'vampire' ? 'the vampires\' private night chat' : 'the public chat';
+    return `You keep a running summary of ${channel} in a social deduction game (like Mafia/Werewolf).
+
+    SUMMARY SO FAR:
+    ${summary || '(nothing yet)'}
+
+    NEW MESSAGES (${describeSection(section)}):
+    ${transcript}
+
+    Write the updated summary of the whole game so far. Keep who claimed which role, who accused or defended whom and why,
+    results people shared, and anything that contradicts what someone said earlier. Drop small talk.
+    Use the player names, label what happened by day or night (e.g. "Day 2:"), and write at most 150 words.
+    Respond with the summary only, in English, without markdown.`;
+}
+
+/**
+ * The summaries a player may read, for its system prompt
+ */
+function formatChatSummaries(player, gameState) {
+    const summaries = gameState.chatSummaries || {};
+    const parts = [];
+    if (summaries.public?.text) parts.push(`Public chat: ${summaries.public.text}`);
+    if (summaries.vampire?.text && isVampireRole(player.role)) parts.push(`Vampire chat: ${summaries.vampire.text}`);
+    if (parts.length === 0) return '';
+    return `
+
+    **EARLIER IN THE GAME (summary of the chats of previous phases):**
+    ${parts.join('\n    ')}`;
+}
+
+module.exports = {
+    CHAT_CHANNELS,
+    CHAT_SUMMARY_MAX_LENGTH,
+    getChatArchiveView,
+    getSummarySections,
+    getChatSummaryPrompt,
+    formatChatSummaries
+};
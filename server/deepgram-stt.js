@@ -2,9 +2,11 @@
 // This module handles speech-to-text transcription using Deepgram's NOVA-3 model
 
 const { createClient } = require('@deepgram/sdk');
+const { createLogger } = require('./game-logger');
 
 class DeepgramSTTController {
-    constructor() {
+    constructor(logger = createLogger('STT')) {
+        this.logger = logger;
         this.client = null;
         this.available = false;
         this.initialize();
@@ -17,14 +19,14 @@ class DeepgramSTTController {
             if (apiKey) {
                 this.client = createClient(apiKey);
                 this.available = true;
-                console.log('[STT] Deepgram NOVA-3 Speech-to-Text initialized successfully');
+                this.logger.info('Deepgram NOVA-3 Speech-to-Text initialized successfully');
             } else {
-                console.log('[STT] No Deepgram API key found (DEEPGRAM_API_KEY). Deepgram STT disabled.');
+                this.logger.info('No Deepgram API key found (DEEPGRAM_API_KEY). Deepgram STT disabled.');
                 this.available = false;
             }
         } catch (error) {
-            console.log('[STT] Deepgram Speech-to-Text not available:', error.message);
-            console.log('[STT] Set DEEPGRAM_API_KEY environment variable to enable Deepgram voice transcription');
+            this.logger.warn('Deepgram Speech-to-Text not available', { error });
+            this.logger.info('Set DEEPGRAM_API_KEY environment variable to enable Deepgram voice transcription');
             this.available = false;
         }
     }
@@ -37,11 +39,12 @@ class DeepgramSTTController {
      * Transcribe audio buffer to text using Deepgram NOVA-3
      * @param {string} audioBase64 - Base64 encoded audio data (webm format from browser)
      * @param {string} language - Language code ('english', 'russian', 'lithuanian')
+     * @param {object} logger - Logger to report to (defaults to the controller's logger)
      * @returns {Promise<string|null>} - Transcribed text or null if failed
      */
-    async recognizeStream(audioBase64, language = 'english') {
+    async recognizeStream(audioBase64, language = 'english', logger = this.logger) {
         if (!this.available || !this.client) {
-            console.log('[STT] Deepgram Speech-to-Text not available');
+            logger.info('Deepgram Speech-to-Text not available');
             return null;
         }
 
@@ -57,7 +60,7 @@ class DeepgramSTTController {
             };
             const languageCode = languageCodeMap[language] || 'en';
 
-            console.log(`[STT] Deepgram: Transcribing audio (language=${language} -> ${languageCode}, ${audioBuffer.length} bytes, model=nova-3-general)...`);
+            logger.info(`Deepgram: Transcribing audio (language=${language} -> ${languageCode}, ${audioBuffer.length} bytes, model=nova-3-general)...`);
 
             // Use Deepgram's pre-recorded transcription with NOVA-3 model
             const { result, error } = await this.client.listen.prerecorded.transcribeFile(
@@ -72,26 +75,25 @@ class DeepgramSTTController {
             );
 
             if (error) {
-                console.error('[STT] Deepgram transcription error:', error);
+                logger.error('Deepgram transcription error', { error });
                 return null;
             }
 
-            console.log('[STT] Deepgram response received');
+            logger.info('Deepgram response received');
 
             // Extract transcript from response
             const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript;
 
             if (!transcript) {
-                console.log('[STT] Deepgram: No transcription results - audio may be too short or contain no speech');
+                logger.info('Deepgram: No transcription results - audio may be too short or contain no speech');
                 return null;
             }
 
-            console.log('[STT] Deepgram transcription successful:', transcript);
+            logger.info('Deepgram transcription successful', { data: transcript });
             return transcript;
 
         } catch (error) {
-            console.error('[STT] Deepgram transcription error:', error.message);
-            console.error('[STT] Error details:', error);
+            logger.error('Deepgram transcription error', { error });
             return null;
         }
     }
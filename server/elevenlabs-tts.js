@@ -3,6 +3,8 @@
  * Provides TTS synthesis using the ElevenLabs API
  */
 
+const { createLogger } = require('./game-logger');
+
 // Available ElevenLabs models
 const ELEVENLABS_MODELS = [
     { id: 'eleven_turbo_v2_5', name: 'Turbo v2.5 (Fast, English)', language: 'english' },
@@ -28,7 +30,8 @@ const ELEVENLABS_VOICES = [
 ];
 
 class ElevenLabsTTSController {
-    constructor() {
+    constructor(logger = createLogger('ElevenLabs')) {
+        this.logger = logger;
         this.client = null;
         this.enabled = false;
         this.npcVoices = {}; // Store assigned voice per NPC for consistency
@@ -47,7 +50,7 @@ class ElevenLabsTTSController {
 
     async initialize() {
         if (!this.apiKey) {
-            console.log('[ElevenLabs] No API key found (ELEVENLABS_API_KEY). ElevenLabs TTS disabled.');
+            this.logger.info('No API key found (ELEVENLABS_API_KEY). ElevenLabs TTS disabled.');
             return;
         }
 
@@ -56,9 +59,9 @@ class ElevenLabsTTSController {
             const { ElevenLabsClient } = await import('@elevenlabs/elevenlabs-js');
             this.client = new ElevenLabsClient({ apiKey: this.apiKey });
             this.enabled = true;
-            console.log(`[ElevenLabs] Text-to-Speech initialized successfully (using key ${this.currentKeyIndex + 1} of ${this.apiKeys.length})`);
+            this.logger.info(`Text-to-Speech initialized successfully (using key ${this.currentKeyIndex + 1} of ${this.apiKeys.length})`);
         } catch (error) {
-            console.error('[ElevenLabs] Failed to initialize:', error.message);
+            this.logger.error('Failed to initialize', { error });
             this.enabled = false;
         }
     }
@@ -69,21 +72,21 @@ class ElevenLabsTTSController {
      */
     async switchToNextKey() {
         if (this.currentKeyIndex + 1 >= this.apiKeys.length) {
-            console.log('[ElevenLabs] No more backup API keys available');
+            this.logger.info('No more backup API keys available');
             return false;
         }
 
         this.currentKeyIndex++;
         this.apiKey = this.apiKeys[this.currentKeyIndex];
-        console.log(`[ElevenLabs] Switching to backup API key ${this.currentKeyIndex + 1} of ${this.apiKeys.length}`);
+        this.logger.info(`Switching to backup API key ${this.currentKeyIndex + 1} of ${this.apiKeys.length}`);
 
         try {
             const { ElevenLabsClient } = await import('@elevenlabs/elevenlabs-js');
             this.client = new ElevenLabsClient({ apiKey: this.apiKey });
-            console.log('[ElevenLabs] Successfully switched to backup API key');
+            this.logger.info('Successfully switched to backup API key');
             return true;
         } catch (error) {
-            console.error('[ElevenLabs] Failed to initialize backup key:', error.message);
+            this.logger.error('Failed to initialize backup key', { error });
             this.enabled = false;
             return false;
         }
@@ -131,15 +134,16 @@ class ElevenLabsTTSController {
      * @param {string} npcId - The NPC's unique ID
      * @param {string} voiceIdOverride - Optional specific voice ID to use
      * @param {string} gender - Optional gender ('male' or 'female') to filter voices
+     * @param {object} logger - Logger to report to (defaults to the controller's logger)
      * @returns {object} Voice configuration
      */
-    getVoiceForNPC(npcId, voiceIdOverride = null, gender = null) {
+    getVoiceForNPC(npcId, voiceIdOverride = null, gender = null, logger = this.logger) {
         // If a specific voice override is provided, use it
         if (voiceIdOverride) {
             const voice = ELEVENLABS_VOICES.find(v => v.id === voiceIdOverride);
             if (voice) {
                 this.npcVoices[npcId] = voice;
-                console.log(`[ElevenLabs] Using custom voice ${voice.name} for NPC ${npcId}`);
+                logger.info(`Using custom voice ${voice.name} for NPC ${npcId}`);
                 return voice;
             }
         }
@@ -155,14 +159,14 @@ class ElevenLabsTTSController {
             const genderFiltered = ELEVENLABS_VOICES.filter(v => v.gender === gender);
             if (genderFiltered.length > 0) {
                 voicePool = genderFiltered;
-                console.log(`[ElevenLabs] Filtering voices by gender: ${gender} (${genderFiltered.length} voices available)`);
+                logger.info(`Filtering voices by gender: ${gender} (${genderFiltered.length} voices available)`);
             }
         }
 
         // Assign random voice from the filtered pool
         const selectedVoice = voicePool[Math.floor(Math.random() * voicePool.length)];
         this.npcVoices[npcId] = selectedVoice;
-        console.log(`[ElevenLabs] Assigned voice ${selectedVoice.name} (${selectedVoice.gender}) to NPC ${npcId}`);
+        logger.info(`Assigned voice ${selectedVoice.name} (${selectedVoice.gender}) to NPC ${npcId}`);
         return selectedVoice;
     }
 
@@ -171,12 +175,13 @@ class ElevenLabsTTSController {
      * @param {string} text - The text to convert to speech
      * @param {string} npcId - The NPC's ID for voice consistency
      * @param {string} nationality - Language preference (unused, kept for interface compatibility)
-     * @param {object} options - Optional overrides { voiceId, modelId }
+     * @param {object} options - Optional overrides { voiceId, modelId, gender, logger }
      * @returns {Promise<string|null>} Base64 encoded audio or null on failure
      */
     async synthesizeSpeech(text, npcId, nationality = 'english', options = {}) {
+        const logger = options.logger || this.logger;
         if (!this.enabled || !this.client) {
-            console.log('[ElevenLabs] TTS not enabled, skipping synthesis');
+            logger.info('TTS not enabled, skipping synthesis');
             return null;
         }
 
@@ -184,7 +189,7 @@ class ElevenLabsTTSController {
             return null;
         }
 
-        const voice = this.getVoiceForNPC(npcId, options.voiceId, options.gender);
+        const voice = this.getVoiceForNPC(npcId, options.voiceId, options.gender, logger);
         const modelId = options.modelId || 'eleven_flash_v2_5';
 
         // Try synthesis with current key, switch to backup if quota exhausted
@@ -193,7 +198,7 @@ class ElevenLabsTTSController {
 
         while (attempts < maxAttempts) {
             try {
-                console.log(`[ElevenLabs] Synthesizing with model ${modelId}, voice ${voice.name}: "${text.substring(0, 50)}..."`);
+                logger.info(`Synthesizing with model ${modelId}, voice ${voice.name}: "${text.substring(0, 50)}..."`);
 
                 const audioStream = await this.client.textToSpeech.convert(voice.id, {
                     text: text,
@@ -214,14 +219,14 @@ class ElevenLabsTTSController {
                 const audioBuffer = Buffer.concat(chunks);
                 const audioBase64 = audioBuffer.toString('base64');
 
-                console.log(`[ElevenLabs] Successfully generated ${audioBase64.length} bytes of audio`);
+                logger.info(`Successfully generated ${audioBase64.length} bytes of audio`);
                 return audioBase64;
             } catch (error) {
-                console.error('[ElevenLabs] Speech synthesis failed:', error.message);
+                logger.error('Speech synthesis failed', { error });
 
                 // Check if this is a quota/credits exhausted error
                 if (this.isQuotaExhaustedError(error)) {
-                    console.log('[ElevenLabs] API key appears to be out of credits, attempting to switch...');
+                    logger.info('API key appears to be out of credits, attempting to switch...');
                     const switched = await this.switchToNextKey();
                     if (switched) {
                         attempts++;
@@ -234,7 +239,7 @@ class ElevenLabsTTSController {
             }
         }
 
-        console.error('[ElevenLabs] All API keys exhausted or failed');
+        logger.error('All API keys exhausted or failed');
         return null;
     }
 
@@ -243,7 +248,7 @@ class ElevenLabsTTSController {
      */
     clearVoiceAssignments() {
         this.npcVoices = {};
-        console.log('[ElevenLabs] Cleared NPC voice assignments');
+        this.logger.info('Cleared NPC voice assignments');
     }
 
     /**
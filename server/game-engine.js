@@ -0,0 +1,1720 @@
+/**
+ * Game Engine
+ * The rules of the game, separated from Socket.IO, timers and the AI.
+ *
+ * The engine is driven by actions and answers with events:
+ *
+ *     const events = engine.dispatch({ type: 'NIGHT_ACTION', playerId, action });
+ *
+ * It never talks to sockets or schedules anything itself. Randomness comes from
+ * a seeded RNG and time from an injectable clock, so the same seed plus the
+ * same action sequence always produces the same game. Phases advance on
+ * TICK actions (one per second) or SKIP_PHASE, which the server runtime sends.
+ *
+ * Actions:
+ * - ADD_PLAYER      { player: { id, name, isNPC, ...profile } }
+ * - REMOVE_PLAYER   { playerId }
+ * - UPDATE_NPC      { playerId, name, personality, talkingStyle, elevenlabsVoiceId }
+ * - UPDATE_SETTINGS { settings }
+ * - START_GAME      { roleConfig }
+ * - NIGHT_ACTION    { playerId, action: { type, targetId, clear } }
+ * - DAY_VOTE        { playerId, targetId }
+ * - JUDGEMENT_VOTE  { playerId, verdict } - GUILTY | INNOCENT | ABSTAIN
+ * - REVEAL          { playerId } - public day reveal (Mayor)
+ * - SET_WILL        { playerId, will } - last will, revealed when the player dies
+ * - SET_DEATH_NOTE  { playerId, note } - left on the victims of a killing role
+ * - CHAT_MESSAGE    { playerId, message, isVoiceMessage }
+ * - JAIL_CHAT       { playerId, message }
+ * - DEAD_CHAT       { playerId, message } - graveyard chat (the dead, and a living Medium at night)
+ * - SET_BELIEFS     { playerId, beliefs } - an NPC's notes on the other players (see npc-beliefs.js)
+ * - SET_CHAT_SUMMARY { channel, summary, round, phase } - rolling chat summary up to that phase (see chat-archive.js)
+ * - TICK            advance the phase timer by one second
+ * - SKIP_PHASE      end the current phase immediately
+ * - END_GAME        { winner }
+ * - HOST_SET_ROLE   { playerId, role }
+ * - HOST_SET_ALIVE  { playerId, alive }
+ *
+ * Events (routed by the runtime; playerId/playerIds address private events):
+ * - STATE_CHANGED     public or per-player state changed (see getPlayerView)
+ * - PHASE_STARTED     { phase, round }
+ * - TIMER             { timer }
+ * - PRIVATE_MESSAGE   { playerId, message }
+ * - ROLE_INFO         { playerId, role, alignment }
+ * - CHAT_UPDATE       { playerIds, message }
+ * - JAIL_CHAT_UPDATE  { playerIds }
+ * - DEAD_CHAT_UPDATE  { playerIds, senderId } - see getDeadChatView
+ * - PLAYER_JAILED     { jailorId, prisonerId, biterId } - biterId: the vampire who bites instead of the prisoner, or null
+ * - GAME_OVER         { winner, winnerIds }
+ * - ACTION_REJECTED   { playerId, kind, code, message, actionType, targetId }
+ * - BELIEFS_UPDATED   { playerId } - nothing to show, but the game should be saved
+ * - CHAT_SUMMARIZED   { channel } - likewise
+ *
+ * With settings.enableTrial, a majority during DAY_VOTE puts the player on
+ * trial instead of lynching them: DEFENSE (only the accused may speak) is
+ * followed by JUDGEMENT, and the accused is lynched if there are more guilty
+ * than innocent verdicts.
+ *
+ * Some roles have a hidden objective (see roles.js): the Jester wants to be
+ * lynched, the Executioner wants their town target lynched and becomes a
+ * Jester if the target dies any other way. A completed objective adds the
+ * player to winnerIds whichever faction wins.
+ *
+ * Every chat message is also kept in this.chatArchive by round, phase and
+ * channel, as the live chats are cleared at each night and day (see chat-archive.js).
+ *
+ * Every player keeps a last will, and killing roles a death note. Both are
+ * revealed in this.wills when the player (or the killer's victim) dies.
+ *
+ * At dawn the night actions resolve type by type in priority order (see
+ * NIGHT_RESOLVERS and the priority field in roles.js). A roleblock resolves
+ * first and cancels the target's actions before anything else happens.
+ *
+ * Besides events, the engine appends every state change to this.journal
+ * (see game-journal.js for the entry schema).
+ */
+
+const { getRole, getAction, getActionKey, getNightActionOrder, getObjective, getReveal, canLeaveDeathNote, applyRole, isVampireRole, canHoldSeance, getClaimableRoles, FILLER_ROLE } = require('./roles');
+const { validateNightAction, validateDayVote, validateJudgement, validateReveal, validateWill } = require('./action-validator');
+const { SeededRandom, createSeed, normalizeSeed } = require('./rng');
+const { createLogger } = require('./game-logger');
+const { JOURNAL_VERSION } = require('./game-journal');
+const { buildRecap } = require('./game-recap');
+const { validateRolePreset, resolveRoleList, getDefaultRoleCounts, getConfiguredRoles, cutExcessRoles, getDealtRoleList } = require('./role-list');
+const { getBiteRules, canBiteOnNight, getBiteMode, getYoungestVampire, describeBiteCadence } = require('./bite-rules');
+const { CHAT_CHANNELS, CHAT_SUMMARY_MAX_LENGTH, getChatArchiveView } = require('./chat-archive');
+
+// Fields that make up the serializable game state
+const STATE_FIELDS = [
+    'code', 'host', 'seed', 'state', 'round', 'settings', 'timer', 'phaseStartedAt',
+    'players', 'nightActions', 'votes', 'winner', 'winnerIds', 'logs',
+    'jailedPlayerId', 'jailorId', 'jailorPendingDeath', 'jailChat', 'pendingGuiltDeaths',
+    'framedPlayers', 'conversions', 'wills', 'gameChat', 'deadChat', 'trialPlayerId', 'verdicts', 'journal',
+    'chatArchive', 'chatSummaries'
+];
+
+// Phases that run on a timer
+const TIMED_PHASES = ['NIGHT', 'DAY_DISCUSS', 'DAY_VOTE', 'DEFENSE', 'JUDGEMENT'];
+
+// Night action type -> engine method that resolves it. Types resolve in the
+// priority order given by the role registry, so a new action (a transporter
+// swapping targets, a witch redirecting them) only needs a priority in
+// roles.js and a resolver here.
+const NIGHT_RESOLVERS = {
+    ROLEBLOCK: 'resolveRoleblocks',
+    HEAL: 'resolveHeals',
+    FRAME: 'resolveFrames',
+    STAKE: 'resolveStakes',
+    BITE: 'resolveBites',
+    INVESTIGATE: 'resolveInvestigations',
+    LOOKOUT: 'resolveLookouts',
+    EXECUTE: 'resolveExecutions'
+};
+
+const ROLEBLOCKED_RESULT = 'You were roleblocked!';
+
+const systemClock = { now: () => Date.now() };
+
+class GameEngine {
+    /**
+     * @param {object} options
+     * @param {string} options.code - Game code
+     * @param {string} options.host - Player ID of the host
+     * @param {object} options.settings - Game settings
+     * @param {number|string} [options.seed] - RNG seed (random if omitted)
+     * @param {object} [options.clock] - { now() } used for timestamps
+     * @param {object} [options.logger] - Logger (see game-logger.js), defaults to a console logger
+     */
+    constructor({ code, host, settings = {}, seed, clock = systemClock, logger = createLogger('Game') } = {}) {
+        this.code = code;
+        this.host = host;
+        this.seed = normalizeSeed(seed ?? createSeed());
+        this.rng = new SeededRandom(this.seed);
+        this.clock = clock;
+        this.logger = logger;
+
+        this.state = 'LOBBY';
+        this.round = 0;
+        this.settings = settings;
+        this.timer = 0;
+        this.phaseStartedAt = null;
+        this.players = [];
+        this.nightActions = {};
+        this.votes = {};
+        this.winner = null;
+        // Everyone who won: the winning faction plus completed hidden objectives
+        this.winnerIds = [];
+        this.logs = [];
+        // Jailor state
+        this.jailedPlayerId = null;
+        this.jailorId = null;
+        this.jailorPendingDeath = false;
+        this.jailChat = [];
+        // Vampire Hunters who staked a town member (they die at dawn)
+        this.pendingGuiltDeaths = [];
+        // Vampire Framer state
+        this.framedPlayers = {};
+        // Players turned by a bite so far (see maxConversions in bite-rules.js)
+        this.conversions = 0;
+        // Last wills and death notes revealed so far (see revealWill)
+        this.wills = [];
+        // Game chat state
+        this.gameChat = [];
+        // Graveyard chat (kept for the whole game)
+        this.deadChat = [];
+        // Every chat message by round, phase and channel (see chat-archive.js)
+        this.chatArchive = [];
+        // Rolling summaries of the archive for the NPC prompts, by channel
+        this.chatSummaries = {};
+        // Trial state (settings.enableTrial)
+        this.trialPlayerId = null;
+        this.verdicts = {};
+        // Append-only record of state changes (see game-journal.js)
+        this.journal = [];
+        // End screen breakdown, built once from the journal at GAME_OVER
+        this.recap = null;
+        // The validated role preset and its public role list (see getPublicRoleList)
+        this.roleListCache = null;
+
+        this.events = [];
+        this.record('GAME_CREATED', { version: JOURNAL_VERSION, code, host, seed: this.seed });
+    }
+
+    /**
+     * Rebuild an engine from a snapshot created by getState()
+     */
+    static fromState(snapshot, options = {}) {
+        const engine = new GameEngine({ ...options, code: snapshot.code, host: snapshot.host, seed: snapshot.seed });
+        STATE_FIELDS.forEach(field => {
+            if (snapshot[field] !== undefined) engine[field] = structuredClone(snapshot[field]);
+        });
+        engine.rng.setState(snapshot.rngState ?? snapshot.seed);
+        if (engine.state === 'GAME_OVER') engine.recap = buildRecap(engine.journal);
+        return engine;
+    }
+
+    /**
+     * Plain, serializable copy of the game state (including the RNG state)
+     */
+    getState() {
+        const snapshot = {};
+        STATE_FIELDS.forEach(field => {
+            snapshot[field] = structuredClone(this[field]);
+        });
+        snapshot.rngState = this.rng.getState();
+        return snapshot;
+    }
+
+    /**
+     * Apply an action and return the events it produced
+     * @param {object} action - { type, ...payload }
+     * @returns {object[]} events
+     */
+    dispatch(action) {
+        this.events = [];
+        switch (action.type) {
+            case 'ADD_PLAYER': this.addPlayer(action.player); break;
+            case 'REMOVE_PLAYER': this.removePlayer(action.playerId); break;
+            case 'UPDATE_NPC': this.updateNPC(action); break;
+            case 'UPDATE_SETTINGS': this.updateSettings(action.settings); break;
+            case 'START_GAME': this.start(action.roleConfig); break;
+            case 'NIGHT_ACTION': this.submitNightAction(this.getPlayer(action.playerId), action.action || {}); break;
+            case 'DAY_VOTE': this.submitDayVote(this.getPlayer(action.playerId), action.targetId ?? null); break;
+            case 'JUDGEMENT_VOTE': this.submitVerdict(this.getPlayer(action.playerId), action.verdict); break;
+            case 'REVEAL': this.revealPlayer(this.getPlayer(action.playerId)); break;
+            case 'SET_WILL': this.setWill(this.getPlayer(action.playerId), action.will); break;
+            case 'SET_DEATH_NOTE': this.setWill(this.getPlayer(action.playerId), action.note, true); break;
+            case 'CHAT_MESSAGE': this.chatMessage(this.getPlayer(action.playerId), action.message, action.isVoiceMessage); break;
+            case 'JAIL_CHAT': this.jailChatMessage(this.getPlayer(action.playerId), action.message); break;
+            case 'DEAD_CHAT': this.deadChatMessage(this.getPlayer(action.playerId), action.message); break;
+            case 'SET_BELIEFS': this.setBeliefs(this.getPlayer(action.playerId), action.beliefs); break;
+            case 'SET_CHAT_SUMMARY': this.setChatSummary(action); break;
+            case 'TICK': this.tick(); break;
+            case 'SKIP_PHASE': this.skipPhase(); break;
+            case 'END_GAME': this.endGame(action.winner); break;
+            case 'HOST_SET_ROLE': this.setPlayerRole(this.getPlayer(action.playerId), action.role); break;
+            case 'HOST_SET_ALIVE': this.setPlayerAlive(this.getPlayer(action.playerId), action.alive); break;
+            default:
+                this.logger.warn(`Unknown engine action: ${action.type}`);
+        }
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+
+    emit(type, payload = {}) {
+        this.events.push({ type, ...payload });
+    }
+
+    /**
+     * Append an entry to the game journal
+     */
+    record(type, fields = {}) {
+        this.journal.push({
+            seq: this.journal.length + 1,
+            ts: this.clock.now(),
+            round: this.round,
+            phase: this.state,
+            type,
+            ...fields
+        });
+    }
+
+    privateMessage(player, message) {
+        if (player) this.emit('PRIVATE_MESSAGE', { playerId: player.id, message });
+    }
+
+    // Notify every living vampire except the given player
+    notifyVampires(message, exceptId = null) {
+        this.players
+            .filter(p => isVampireRole(p.role) && p.alive && p.id !== exceptId)
+            .forEach(vamp => this.privateMessage(vamp, message));
+    }
+
+    reject(player, kind, result, actionType, targetId) {
+        this.emit('ACTION_REJECTED', {
+            playerId: player?.id || null,
+            kind,
+            code: result.code,
+            message: result.message,
+            actionType: actionType || null,
+            targetId: targetId ?? null
+        });
+    }
+
+    getPlayer(playerId) {
+        return this.players.find(p => p.id === playerId) || null;
+    }
+
+    // Whether tonight is a bite night (see bite-rules.js)
+    canBiteTonight() {
+        return canBiteOnNight(this.settings, this.round);
+    }
+
+    /**
+     * The only vampire allowed to bite tonight in youngestVampireOnly mode, otherwise null
+     * (the prisoner cannot bite, see bite-rules.js)
+     */
+    getBiter() {
+        return getBiteRules(this.settings).youngestVampireOnly ? getYoungestVampire(this.players, this.jailedPlayerId) : null;
+    }
+
+    // --- LOBBY ---
+
+    addPlayer(playerData) {
+        if (this.state !== 'LOBBY' || !playerData?.id || this.getPlayer(playerData.id)) return;
+        const player = {
+            ...playerData,
+            role: null, alignment: null,
+            alive: true, isTurned: false,
+            isNPC: playerData.isNPC || false
+        };
+        if (player.isNPC) {
+            player.actionHistory = []; // Track NPC's performed actions for context in AI decisions
+            player.receivedEvents = []; // Track events that happened TO the NPC (jailed, turned, healed, etc.)
+            player.beliefs = {}; // NPC's notes on the other players, kept for the whole game (see npc-beliefs.js)
+        }
+        this.players.push(player);
+        this.record('PLAYER_JOINED', { playerId: player.id, name: player.name, isNPC: player.isNPC });
+        this.emit('STATE_CHANGED');
+    }
+
+    removePlayer(playerId) {
+        if (this.getPlayer(playerId)) this.record('PLAYER_LEFT', { playerId });
+        this.players = this.players.filter(p => p.id !== playerId);
+        this.emit('STATE_CHANGED');
+    }
+
+    updateNPC({ playerId, name, personality, talkingStyle, elevenlabsVoiceId }) {
+        const target = this.getPlayer(playerId);
+        if (this.state !== 'LOBBY' || !target || !target.isNPC) return;
+        target.name = name.trim();
+        target.personality = personality?.trim() || null;
+        target.talkingStyle = talkingStyle?.trim() || null;
+        target.elevenlabsVoiceId = elevenlabsVoiceId || null;
+        this.record('NPC_UPDATED', { playerId: target.id, name: target.name });
+        this.emit('STATE_CHANGED');
+    }
+
+    updateSettings(settings) {
+        if (this.state !== 'LOBBY') return;
+        // A role-list preset (possibly pasted as JSON) must be valid to be kept
+        if (settings.rolePreset) {
+            const result = validateRolePreset(settings.rolePreset);
+            if (result.ok) {
+                settings = { ...settings, rolePreset: result.preset };
+                this.roleListCache = { rolePreset: result.preset, preset: result.preset, playerCount: null, roleList: null };
+            } else {
+                this.reject(this.getPlayer(this.host), 'settings', result, 'UPDATE_SETTINGS', null);
+                const { rolePreset, ...rest } = settings;
+                settings = rest;
+            }
+        }
+        // Merge new settings with existing settings
+        this.settings = { ...this.settings, ...settings };
+        this.emit('STATE_CHANGED');
+    }
+
+    assignRoles() {
+        const total = this.players.length;
+        let pool = [];
+
+        // A role-list preset takes precedence over roleConfig (see role-list.js)
+        const preset = this.settings.rolePreset ? validateRolePreset(this.settings.rolePreset, total) : null;
+        if (preset?.ok) {
+            pool = resolveRoleList(preset.preset, total, this.rng).map(role => ({ role, align: getRole(role).alignment }));
+            this.logger.info(`Rolled role list "${preset.preset.name}": ${pool.map(r => r.role).join(', ')}`);
+        } else if (this.settings.roleConfig && !this.settings.roleConfig.useDefault) {
+            // Check if custom role configuration is provided
+            const config = this.settings.roleConfig;
+
+            // Add roles based on custom configuration
+            getConfiguredRoles(config).forEach(roleName => {
+                pool.push({ role: roleName, align: getRole(roleName).alignment });
+            });
+
+            // Fill remaining slots with Citizens
+            while (pool.length < total) {
+                pool.push({ role: FILLER_ROLE, align: getRole(FILLER_ROLE).alignment });
+            }
+
+            // If we have more roles than players, smart exclusion to ensure game balance
+            if (pool.length > total) {
+                const { kept, cut } = cutExcessRoles(pool, total, this.rng);
+                pool = kept;
+                this.logger.info(`Smart role exclusion: removed ${cut.length} roles (${cut.map(r => r.role).join(', ')}) while maintaining game balance`);
+            }
+        } else {
+            // Default calculation based on percentages
+            Object.entries(getDefaultRoleCounts(total)).forEach(([roleName, count]) => {
+                for (let i = 0; i < count; i++) pool.push({ role: roleName, align: getRole(roleName).alignment });
+            });
+
+            while (pool.length < total) pool.push({ role: FILLER_ROLE, align: getRole(FILLER_ROLE).alignment });
+        }
+
+        pool = this.rng.shuffle(pool);
+
+        this.players.forEach((p, i) => {
+            applyRole(p, pool[i].role);
+        });
+
+        // Check NPC allowed roles setting and reassign disallowed roles
+        const npcAllowedRoles = this.settings.npcAllowedRoles || {};
+        const allRolesAllowed = Object.keys(npcAllowedRoles).length === 0 ||
+            Object.values(npcAllowedRoles).every(v => v !== false);
+
+        if (!allRolesAllowed) {
+            const npcs = this.players.filter(p => p.isNPC);
+            const humans = this.players.filter(p => !p.isNPC);
+
+            for (const npc of npcs) {
+                // Check if NPC's role is disallowed
+                if (npcAllowedRoles[npc.role] === false) {
+                    // Try to swap with a human who has an allowed role
+                    let swapped = false;
+                    for (const human of humans) {
+                        // Check if human's role is allowed for NPCs
+                        if (npcAllowedRoles[human.role] !== false) {
+                            // Swap roles (limited-use counters are reset for both)
+                            const tempRole = npc.role;
+                            applyRole(npc, human.role);
+                            applyRole(human, tempRole);
+
+                            swapped = true;
+                            break;
+                        }
+                    }
+
+                    // If no swap possible, assign NPC to Citizen (fallback)
+                    if (!swapped) {
+                        applyRole(npc, FILLER_ROLE);
+                    }
+                }
+            }
+        }
+
+        // Assign fake roles to Evil and Neutral NPCs
+        const goodRoles = getClaimableRoles();
+        this.players.forEach(p => {
+            if (p.isNPC && (p.alignment === 'evil' || p.alignment === 'neutral')) {
+                // Pick a random good role to pretend to be
+                const fakeRole = this.rng.pick(goodRoles);
+                p.fakeRole = fakeRole;
+                this.logger.info(`Assigned fake role ${fakeRole} to evil NPC ${p.name} (${p.role})`, { playerIds: [p.id] });
+            }
+        });
+    }
+
+    start(roleConfig) {
+        if (this.state !== 'LOBBY') return;
+        // Update roleConfig in settings before starting
+        if (roleConfig) {
+            this.settings.roleConfig = roleConfig;
+        }
+        // The preset was checked against all its slots; now check the slots actually dealt
+        if (this.settings.rolePreset) {
+            const result = validateRolePreset(this.settings.rolePreset, this.players.length);
+            if (!result.ok) {
+                this.reject(this.getPlayer(this.host), 'settings', result, 'START_GAME', null);
+                return;
+            }
+        }
+        this.logger.info(`Starting game ${this.code} with seed ${this.seed}`);
+        this.assignRoles();
+        this.record('GAME_STARTED', { settings: structuredClone(this.settings) });
+        this.players.forEach(p => {
+            p.will = '';
+            p.deathNote = '';
+            this.record('ROLE_ASSIGNED', { playerId: p.id, role: p.role, alignment: p.alignment, fakeRole: p.fakeRole });
+            this.emit('ROLE_INFO', { playerId: p.id, role: p.role, alignment: p.alignment });
+        });
+        this.players.forEach(p => this.assignObjective(p));
+        this.startNight();
+    }
+
+    // --- PHASES ---
+
+    getPhaseDuration(phase) {
+        if (phase === 'NIGHT') return this.settings.nightTime || 25;
+        if (phase === 'DAY_DISCUSS') return this.settings.discussionTime || 45;
+        if (phase === 'DEFENSE') return this.settings.defenseTime || 20;
+        if (phase === 'JUDGEMENT') return this.settings.judgementTime || 15;
+        return this.settings.votingTime || 15;
+    }
+
+    startPhase(phase) {
+        this.state = phase;
+        this.timer = this.getPhaseDuration(phase);
+        this.phaseStartedAt = this.clock.now();
+        this.record('PHASE_STARTED', { duration: this.timer });
+        this.emit('STATE_CHANGED');
+        this.emit('PHASE_STARTED', { phase, round: this.round });
+    }
+
+    tick() {
+        if (!TIMED_PHASES.includes(this.state)) return;
+        this.timer--;
+        if (this.timer <= 0) {
+            this.advancePhase();
+        }
+        this.emit('TIMER', { timer: this.timer });
+    }
+
+    skipPhase() {
+        if (!TIMED_PHASES.includes(this.state)) return;
+        this.timer = 0;
+        this.emit('TIMER', { timer: 0 });
+        this.advancePhase();
+    }
+
+    advancePhase() {
+        if (this.state === 'NIGHT') this.resolveNight();
+        else if (this.state === 'DAY_DISCUSS') this.startDayVote();
+        else if (this.state === 'DAY_VOTE') this.resolveVoting();
+        else if (this.state === 'DEFENSE') this.startPhase('JUDGEMENT');
+        else if (this.state === 'JUDGEMENT') this.resolveJudgement();
+    }
+
+    startNight() {
+        this.round++;
+        this.nightActions = {};
+        this.votes = {};
+        this.trialPlayerId = null;
+        this.verdicts = {};
+        // Reset jail state for new night
+        this.jailedPlayerId = null;
+        this.jailorId = null;
+        this.jailChat = [];
+        // Reset framed players for new night
+        this.framedPlayers = {};
+        // Clear game chat for new night (vampire chat starts fresh)
+        this.gameChat = [];
+        this.startPhase('NIGHT');
+    }
+
+    resolveNight() {
+        this.record('NIGHT_RESOLVED', {
+            actions: Object.values(this.nightActions).map(({ type, actorId, targetId }) => ({ actorId, action: type, targetId }))
+        });
+
+        // Working state shared by the night resolvers. Actions are copies, so a
+        // resolver may cancel (blocked) or redirect (targetId) actions that
+        // resolve after it without touching the submitted nightActions.
+        const night = {
+            actions: Object.values(this.nightActions).map(action => ({ ...action })),
+            visits: {},
+            results: {},
+            heals: [],
+            savedTargetIds: new Set(),
+            blocked: {},
+            turnedPlayer: null,
+            executed: false
+        };
+
+        // Jailing is not stored in nightActions but still counts as a visit
+        if (this.jailedPlayerId && this.jailorId) {
+            this.addVisit(night, this.jailorId, this.jailedPlayerId);
+        }
+
+        // 1. Resolve actions type by type in priority order (see roles.js).
+        // Only actions that actually resolve count as visits, so a roleblocked
+        // player is not seen by a Lookout.
+        getNightActionOrder().forEach(type => {
+            const actions = night.actions.filter(a => a.type === type && !a.blocked);
+            actions.forEach(action => {
+                const actionDef = getAction(this.getPlayer(action.actorId)?.role, action.type);
+                if (actionDef?.target !== 'prisoner') this.addVisit(night, action.actorId, action.targetId);
+            });
+            const resolver = NIGHT_RESOLVERS[type];
+            if (resolver && actions.length > 0) this[resolver](actions, night);
+        });
+
+        night.heals.forEach(({ actorId, targetId }) => {
+            this.record('HEAL', { actorId, targetId, saved: night.savedTargetIds.has(targetId) });
+        });
+
+        // 2. Tell roleblocked players their action failed
+        Object.keys(night.blocked).forEach(pId => {
+            const player = this.getPlayer(pId);
+            if (!player) return;
+            this.privateMessage(player, ROLEBLOCKED_RESULT);
+            if (player.isNPC && player.actionHistory) {
+                player.actionHistory
+                    .filter(entry => entry.round === this.round && !entry.result)
+                    .forEach(entry => { entry.result = ROLEBLOCKED_RESULT; });
+            }
+        });
+
+        // 3. Send private results and store in NPC's actionHistory
+        Object.keys(night.results).forEach(pId => {
+            const player = this.getPlayer(pId);
+            if (!player) return;
+            const { action, result } = night.results[pId];
+            this.privateMessage(player, result);
+            this.record('ACTION_RESULT', { actorId: pId, action: action.type, targetId: action.targetId, result });
+
+            // Store result in NPC's actionHistory so they can remember what they discovered
+            if (player.isNPC && player.actionHistory && player.actionHistory.length > 0) {
+                // Find the most recent action for this round and add the result
+                const lastAction = player.actionHistory[player.actionHistory.length - 1];
+                if (lastAction.round === this.round && !lastAction.result) {
+                    lastAction.result = result;
+                }
+            }
+        });
+
+        // Notify turned player and send updated role info
+        const { turnedPlayer } = night;
+        if (turnedPlayer) {
+            this.privateMessage(turnedPlayer, '🧛 You have been turned into a Vampire! You are now part of the vampire faction.');
+            this.emit('ROLE_INFO', { playerId: turnedPlayer.id, role: turnedPlayer.role, alignment: turnedPlayer.alignment });
+
+            // Tell the newly turned player who the other vampires are
+            const otherVampires = this.players
+                .filter(p => isVampireRole(p.role) && p.alive && p.id !== turnedPlayer.id)
+                .map(p => p.name);
+            if (otherVampires.length > 0) {
+                this.privateMessage(turnedPlayer, `🧛 Your fellow vampires are: ${otherVampires.join(', ')}`);
+            }
+        }
+
+        // 4. A prisoner who was not executed is released at dawn
+        if (this.jailedPlayerId && this.jailorId && !night.executed) {
+            const jailor = this.getPlayer(this.jailorId);
+            const prisoner = this.getPlayer(this.jailedPlayerId);
+            this.record('PLAYER_RELEASED', { actorId: this.jailorId, targetId: this.jailedPlayerId });
+            this.privateMessage(prisoner, '🔓 Dawn breaks. The Jailor releases you from jail.');
+            // Record being released in NPC prisoner's receivedEvents
+            if (prisoner && prisoner.isNPC) {
+                if (!prisoner.receivedEvents) prisoner.receivedEvents = [];
+                prisoner.receivedEvents.push({ round: this.round, event: 'WAS_RELEASED', byName: jailor?.name || 'Jailor', note: 'The Jailor released you without executing.' });
+            }
+        }
+
+        // 5. Séance - NPC Mediums remember what the dead told them tonight
+        this.players.filter(p => p.isNPC && p.alive && canHoldSeance(p.role)).forEach(medium => {
+            const heard = this.getDeadChatView(medium.id).filter(m => !m.isMedium);
+            if (heard.length === 0) return;
+            if (!medium.receivedEvents) medium.receivedEvents = [];
+            medium.receivedEvents.push({
+                round: this.round,
+                event: 'SEANCE',
+                note: `The dead told you: ${heard.map(m => `${m.senderName}: "${m.message}"`).join(' ')}`
+            });
+        });
+
+        this.checkWinCondition();
+        if (this.state !== 'GAME_OVER') this.startDayDiscuss();
+    }
+
+    // --- NIGHT RESOLVERS ---
+    // Each resolver handles every unblocked action of one type, see NIGHT_RESOLVERS
+
+    addVisit(night, actorId, targetId) {
+        const actor = this.getPlayer(actorId);
+        if (!actor) return;
+        if (!night.visits[targetId]) night.visits[targetId] = [];
+        night.visits[targetId].push(actor.name);
+    }
+
+    setResult(night, action, result) {
+        night.results[action.actorId] = { action, result };
+    }
+
+    resolveRoleblocks(actions, night) {
+        // Roleblocks land together, so two Escorts cannot cancel each other
+        const targets = {};
+        actions.forEach(action => { targets[action.targetId] = action.actorId; });
+
+        night.actions.forEach(action => {
+            const byId = targets[action.actorId];
+            if (!byId || action.blocked) return;
+            const actionDef = getAction(this.getPlayer(action.actorId)?.role, action.type);
+            if (actionDef?.unblockable) return;
+            action.blocked = true;
+            night.blocked[action.actorId] = byId;
+            this.record('ACTION_BLOCKED', { actorId: action.actorId, action: action.type, targetId: action.targetId, byId });
+        });
+    }
+
+    resolveHeals(actions, night) {
+        // Every heal that goes through uses one of the Doctor's limited heals, successful or not
+        actions.forEach(({ actorId, targetId }) => {
+            const doctor = this.getPlayer(actorId);
+            if (doctor && doctor.usesRemaining?.HEAL > 0) {
+                doctor.usesRemaining.HEAL--;
+            }
+            night.heals.push({ actorId, targetId });
+        });
+    }
+
+    resolveFrames(actions) {
+        actions.forEach(action => {
+            const actor = this.getPlayer(action.actorId);
+            if (actor && getAction(actor.role, 'FRAME') && actor.alive) {
+                this.framedPlayers[action.targetId] = true;
+                this.record('FRAME', { actorId: action.actorId, targetId: action.targetId });
+                const target = this.getPlayer(action.targetId);
+                this.privateMessage(actor, `🎭 You have framed ${target?.name || 'your target'}. They will appear as a Vampire to investigators tonight.`);
+            }
+        });
+    }
+
+    resolveStakes(actions, night) {
+        actions.forEach(action => {
+            const hunter = this.getPlayer(action.actorId);
+            const target = this.getPlayer(action.targetId);
+            if (!hunter || !target) return;
+            // Every stake that goes through is used up, successful or not (like heals)
+            if (hunter.usesRemaining?.STAKE > 0) hunter.usesRemaining.STAKE--;
+
+            let outcome = 'KILLED';
+            if (!target.alive) outcome = 'FAILED';
+            else if (this.jailedPlayerId === target.id) outcome = 'JAILED';
+            else if (night.heals.some(h => h.targetId === target.id)) outcome = 'HEALED';
+            this.record('STAKE', { actorId: hunter.id, targetId: target.id, outcome });
+
+            if (outcome === 'FAILED') {
+                this.setResult(night, action, 'Your target was already dead.');
+            } else if (outcome === 'JAILED') {
+                this.setResult(night, action, 'Your target was in jail and could not be reached.');
+            } else if (outcome === 'HEALED') {
+                night.savedTargetIds.add(target.id);
+                this.setResult(night, action, 'Your target was saved by a Doctor.');
+                this.logs.push(`[Night ${this.round}] Someone was staked, but a doctor saved them!`);
+                night.heals.filter(h => h.targetId === target.id).forEach(h => {
+                    this.privateMessage(this.getPlayer(h.actorId), '💉 You saved your target from a Vampire Hunter\'s stake!');
+                });
+                if (target.isNPC) {
+                    if (!target.receivedEvents) target.receivedEvents = [];
+                    target.receivedEvents.push({ round: this.round, event: 'WAS_SAVED', note: 'A Doctor saved you from a Vampire Hunter\'s stake.' });
+                }
+            } else {
+                target.alive = false;
+                this.logs.push(`[Night ${this.round}] ${target.name} was staked by a Vampire Hunter.`);
+                this.record('PLAYER_DIED', { playerId: target.id, role: target.role, cause: 'stake', byId: hunter.id });
+                this.revealWill(target, 'stake', hunter);
+                if (isVampireRole(target.role)) {
+                    this.setResult(night, action, `You staked ${target.name}. They were a ${target.role}!`);
+                } else {
+                    this.setResult(night, action, `You staked ${target.name}, but they were a ${target.role}.`);
+                    // Staking a town member costs the hunter their life at dawn (like the Jailor)
+                    if (target.alignment === 'good') {
+                        this.pendingGuiltDeaths.push(hunter.id);
+                        this.privateMessage(hunter, '⚠️ You staked an innocent person! Guilt consumes you...');
+                    }
+                }
+            }
+        });
+    }
+
+    resolveBites(actions, night) {
+        if (!this.canBiteTonight()) return;
+        // Only living vampires take part (a vampire may have been staked), and
+        // only the youngest one in youngestVampireOnly mode
+        const biter = this.getBiter();
+        const vampActions = actions.filter(a => this.getPlayer(a.actorId)?.alive && (!biter || a.actorId === biter.id));
+        const aliveVampires = this.players.filter(p => isVampireRole(p.role) && p.alive);
+        if (vampActions.length === 0) return;
+
+        // Count votes for each target
+        const voteCount = {};
+        vampActions.forEach(action => {
+            voteCount[action.targetId] = (voteCount[action.targetId] || 0) + 1;
+        });
+
+        // Find the maximum number of votes
+        let maxVotes = 0;
+        for (const count of Object.values(voteCount)) {
+            if (count > maxVotes) maxVotes = count;
+        }
+
+        // Find all targets with the maximum votes
+        const topTargets = Object.keys(voteCount).filter(targetId => voteCount[targetId] === maxVotes);
+
+        // Pick one target (randomly if tied)
+        const potentialTargetId = this.rng.pick(topTargets);
+
+        // If there was a tie, notify vampires
+        if (topTargets.length > 1) {
+            aliveVampires.forEach(vamp => {
+                this.privateMessage(vamp, '🧛 The vampire vote was tied! A target was picked randomly among the top votes.');
+            });
+        }
+
+        const target = this.getPlayer(potentialTargetId);
+        const bite = { targetId: potentialTargetId, votes: voteCount, tied: topTargets.length > 1, outcome: 'FAILED' };
+        const previousRole = target?.role;
+        if (target && target.alive && !isVampireRole(target.role)) {
+            // Check if target is jailed - jailed players are protected from vampire bites
+            const isJailed = this.jailedPlayerId === potentialTargetId;
+            const isHealed = night.heals.some(h => h.targetId === potentialTargetId);
+
+            if (isJailed) {
+                bite.outcome = 'JAILED';
+                // Jailed players are protected from vampire bites
+                this.logs.push(`[Night ${this.round}] The vampires tried to attack, but their target was unreachable!`);
+                aliveVampires.forEach(vamp => this.privateMessage(vamp, '🧛 Your target was protected by the Jailor!'));
+            } else if (isHealed) {
+                bite.outcome = 'HEALED';
+                night.savedTargetIds.add(potentialTargetId);
+                this.logs.push(`[Night ${this.round}] The vampires tried to attack, but their target was saved by a doctor!`);
+                aliveVampires.forEach(vamp => this.privateMessage(vamp, '🧛 Your target was saved by a Doctor!'));
+                night.heals.filter(h => h.targetId === potentialTargetId).forEach(h => {
+                    this.privateMessage(this.getPlayer(h.actorId), '💉 You successfully saved your target from a vampire attack!');
+                    // Record being saved in the target NPC's receivedEvents
+                    if (target.isNPC) {
+                        if (!target.receivedEvents) target.receivedEvents = [];
+                        target.receivedEvents.push({ round: this.round, event: 'WAS_SAVED', note: 'A Doctor saved you from a vampire attack.' });
+                    }
+                });
+            } else if (getBiteMode(this.settings, this.conversions) === 'KILL') {
+                target.alive = false;
+                bite.outcome = 'KILLED';
+                this.logs.push(`[Night ${this.round}] ${target.name} was killed by the vampires.`);
+                this.record('BITE', bite);
+                this.record('PLAYER_DIED', { playerId: target.id, role: target.role, cause: 'bite' });
+                // The note comes from a vampire who voted for the victim
+                const noteWriter = vampActions.map(a => this.getPlayer(a.actorId)).filter(Boolean)
+                    .find(vamp => vamp.deathNote && vampActions.some(a => a.actorId === vamp.id && a.targetId === target.id));
+                this.revealWill(target, 'bite', noteWriter);
+                aliveVampires.forEach(vamp => this.privateMessage(vamp, `🧛 You killed ${target.name}.`));
+                return;
+            } else {
+                applyRole(target, 'Vampire');
+                // A turned Executioner or Jester now wins with the vampires only
+                this.clearObjective(target, 'turned');
+                target.isTurned = true;
+                target.turnedRound = this.round;
+                this.conversions++;
+                night.turnedPlayer = target;
+                bite.outcome = 'TURNED';
+                this.logs.push(`[Night ${this.round}] A dark ritual took place... someone's nature has changed.`);
+
+                // Record being turned in the NPC's receivedEvents
+                if (target.isNPC) {
+                    if (!target.receivedEvents) target.receivedEvents = [];
+                    target.receivedEvents.push({ round: this.round, event: 'WAS_TURNED', note: 'You were bitten and turned into a Vampire. You are now evil.' });
+                }
+            }
+        }
+        this.record('BITE', bite);
+        if (night.turnedPlayer) this.record('PLAYER_TURNED', { playerId: night.turnedPlayer.id, previousRole });
+    }
+
+    resolveInvestigations(actions, night) {
+        actions.forEach(action => {
+            const target = this.getPlayer(action.targetId);
+            // Check if target is framed - framed players appear as Vampire
+            if (this.framedPlayers[action.targetId]) {
+                this.setResult(night, action, 'Target is a Vampire');
+            } else {
+                this.setResult(night, action, target ? `Target is a ${target.role}` : 'Unknown');
+            }
+        });
+    }
+
+    resolveLookouts(actions, night) {
+        actions.forEach(action => {
+            const visitors = night.visits[action.targetId] || [];
+            const actorName = this.getPlayer(action.actorId)?.name;
+            const filtered = visitors.filter(name => name !== actorName);
+            this.setResult(night, action, filtered.length > 0
+                ? `Visited by: ${filtered.join(', ')}`
+                : 'No one visited.');
+        });
+    }
+
+    resolveExecutions(actions, night) {
+        actions.forEach(action => {
+            if (action.actorId !== this.jailorId) return;
+            const jailor = this.getPlayer(this.jailorId);
+            const prisoner = this.getPlayer(this.jailedPlayerId);
+            if (!prisoner || !prisoner.alive) return;
+
+            // Execute the prisoner
+            prisoner.alive = false;
+            night.executed = true;
+            this.logs.push(`[Night ${this.round}] ${prisoner.name} was executed by the Jailor.`);
+            this.record('PLAYER_DIED', { playerId: prisoner.id, role: prisoner.role, cause: 'execution', byId: jailor?.id });
+            this.revealWill(prisoner, 'execution', jailor);
+
+            // If prisoner was innocent (good alignment), jailor will die
+            if (prisoner.alignment === 'good') {
+                this.jailorPendingDeath = true;
+                this.privateMessage(jailor, '⚠️ You executed an innocent person! Guilt consumes you...');
+            } else {
+                this.privateMessage(jailor, '🔒 Justice served. The prisoner was guilty.');
+            }
+        });
+    }
+
+    startDayDiscuss() {
+        // Jailor dies if they executed an innocent
+        if (this.jailorPendingDeath) {
+            const jailor = this.getPlayer(this.jailorId);
+            if (jailor && jailor.alive) {
+                jailor.alive = false;
+                this.logs.push(`[Day ${this.round}] ${jailor.name} was consumed by guilt and died!`);
+                this.record('PLAYER_DIED', { playerId: jailor.id, role: jailor.role, cause: 'guilt' });
+                this.revealWill(jailor, 'guilt');
+            }
+            this.jailorPendingDeath = false;
+        }
+
+        // Vampire Hunters die if they staked a town member
+        this.pendingGuiltDeaths.forEach(hunterId => {
+            const hunter = this.getPlayer(hunterId);
+            if (hunter && hunter.alive) {
+                hunter.alive = false;
+                this.logs.push(`[Day ${this.round}] ${hunter.name} was consumed by guilt and died!`);
+                this.record('PLAYER_DIED', { playerId: hunter.id, role: hunter.role, cause: 'guilt' });
+                this.revealWill(hunter, 'guilt');
+            }
+        });
+        this.pendingGuiltDeaths = [];
+        this.checkObjectives();
+
+        // Clear jail state
+        this.jailedPlayerId = null;
+        this.jailorId = null;
+        this.jailChat = [];
+
+        // Clear game chat for new day
+        this.gameChat = [];
+
+        this.startPhase('DAY_DISCUSS');
+    }
+
+    startDayVote() {
+        this.votes = {};
+        this.startPhase('DAY_VOTE');
+    }
+
+    /**
+     * How many votes a player's ballot is worth (a revealed Mayor's counts 3 times)
+     */
+    getVoteWeight(player) {
+        if (!player?.revealedRole || player.revealedRole !== player.role) return 1;
+        return getReveal(player.role)?.voteWeight ?? 1;
+    }
+
+    /**
+     * Count the weighted day votes and find the first player with a majority (>= 50% of the living)
+     */
+    tallyVotes() {
+        const counts = {};
+        Object.entries(this.votes).forEach(([voterId, targetId]) => {
+            counts[targetId] = (counts[targetId] || 0) + this.getVoteWeight(this.getPlayer(voterId));
+        });
+
+        const livingCount = this.players.filter(p => p.alive).length;
+        const majorityId = Object.keys(counts).find(targetId => counts[targetId] >= livingCount / 2) || null;
+        return { counts, majorityId };
+    }
+
+    resolveVoting() {
+        const { counts, majorityId } = this.tallyVotes();
+
+        // With trials, reaching a majority starts the trial straight away (see submitDayVote)
+        if (this.settings.enableTrial && majorityId) {
+            this.startTrial(majorityId, counts);
+            return;
+        }
+
+        this.record('LYNCH_RESULT', { targetId: majorityId, votes: counts, ballots: { ...this.votes } });
+        if (majorityId) {
+            this.lynch(this.getPlayer(majorityId));
+            if (this.state === 'GAME_OVER') return;
+        } else {
+            this.logs.push(this.settings.enableTrial
+                ? `[Day ${this.round}] No one was put on trial.`
+                : `[Day ${this.round}] No one received enough votes.`);
+        }
+
+        this.checkWinCondition();
+        if (this.state !== 'GAME_OVER') this.startNight();
+    }
+
+    lynch(victim) {
+        victim.alive = false;
+        this.logs.push(`[Day ${this.round}] ${victim.name} was lynched!`);
+        this.record('PLAYER_DIED', { playerId: victim.id, role: victim.role, cause: 'lynch' });
+        this.revealWill(victim, 'lynch');
+        this.completeLynchObjectives(victim);
+
+        if (victim.role === 'Jester') {
+            this.finish('Jester', `[Day ${this.round}] The Jester was lynched! Jester Wins!`);
+            return;
+        }
+
+        if (this.settings.revealRole) {
+            this.logs.push(`[Day ${this.round}] ${victim.name} was a ${victim.role}`);
+        }
+    }
+
+    // --- TRIAL ---
+
+    startTrial(targetId, counts) {
+        const accused = this.getPlayer(targetId);
+        this.trialPlayerId = targetId;
+        this.verdicts = {};
+        this.record('TRIAL_STARTED', { targetId, votes: counts, ballots: { ...this.votes } });
+        this.logs.push(`[Day ${this.round}] ${accused.name} was put on trial!`);
+        this.startPhase('DEFENSE');
+    }
+
+    resolveJudgement() {
+        const accused = this.getPlayer(this.trialPlayerId);
+        const jury = this.players.filter(p => p.alive && p.id !== this.trialPlayerId);
+        const count = (verdict) => jury
+            .filter(p => this.verdicts[p.id] === verdict)
+            .reduce((sum, p) => sum + this.getVoteWeight(p), 0);
+        const guilty = count('GUILTY');
+        const innocent = count('INNOCENT');
+        // Players who did not vote abstain
+        const abstain = jury.filter(p => !this.verdicts[p.id] || this.verdicts[p.id] === 'ABSTAIN').length;
+        const lynched = !!accused?.alive && guilty > innocent;
+
+        this.record('TRIAL_RESULT', {
+            targetId: this.trialPlayerId,
+            guilty,
+            innocent,
+            abstain,
+            verdicts: { ...this.verdicts },
+            lynched
+        });
+        this.logs.push(`[Day ${this.round}] The town voted ${guilty} guilty, ${innocent} innocent (${abstain} abstained).`);
+
+        if (lynched) {
+            this.lynch(accused);
+            if (this.state === 'GAME_OVER') return;
+        } else if (accused?.alive) {
+            this.logs.push(`[Day ${this.round}] ${accused.name} was found innocent and spared.`);
+        }
+
+        this.checkWinCondition();
+        if (this.state !== 'GAME_OVER') this.startNight();
+    }
+
+    checkWinCondition() {
+        this.checkObjectives();
+        const living = this.players.filter(p => p.alive);
+        const vamps = living.filter(p => p.alignment === 'evil');
+
+        if (vamps.length === 0) {
+            this.finish('GOOD', 'The vampires have been eliminated! Good wins!');
+        } else if (vamps.length >= living.length / 2) {
+            this.finish('EVIL', 'The vampires have taken over! Evil wins!');
+        }
+    }
+
+    finish(winner, logMessage) {
+        this.state = 'GAME_OVER';
+        this.winner = winner;
+        this.winnerIds = this.getWinnerIds(winner);
+        this.timer = 0;
+        this.logs.push(logMessage);
+        this.players
+            .filter(p => p.objective?.achieved && p.objective.type === 'lynchTarget')
+            .forEach(p => this.logs.push(`${p.name} the ${p.role} got their target lynched and also wins!`));
+        this.record('GAME_OVER', { winner, winnerIds: this.winnerIds });
+        this.recap = buildRecap(this.journal);
+        this.emit('STATE_CHANGED');
+        this.emit('GAME_OVER', { winner, winnerIds: this.winnerIds });
+    }
+
+    /**
+     * Players who won: the winning faction plus everyone who completed their objective
+     */
+    getWinnerIds(winner) {
+        const alignment = { GOOD: 'good', EVIL: 'evil' }[winner];
+        return this.players
+            .filter(p => p.objective?.achieved || (alignment && p.alignment === alignment))
+            .map(p => p.id);
+    }
+
+    // --- OBJECTIVES ---
+
+    /**
+     * Give a player the hidden objective of their current role (see roles.js),
+     * replacing any previous one
+     */
+    assignObjective(player) {
+        const objective = getObjective(player.role);
+        player.objective = null;
+        if (!objective) return;
+
+        if (objective.type !== 'lynchTarget') {
+            player.objective = { type: objective.type, achieved: false };
+            this.record('OBJECTIVE_ASSIGNED', { playerId: player.id, objective: objective.type });
+            return;
+        }
+
+        const candidates = this.players.filter(p => p.alive && p.id !== player.id && p.alignment === 'good');
+        if (candidates.length === 0) {
+            this.failObjective(player, 'There is no one in town for you to target');
+            return;
+        }
+        const target = this.rng.pick(candidates);
+        player.objective = { type: objective.type, targetId: target.id, achieved: false };
+        this.record('OBJECTIVE_ASSIGNED', { playerId: player.id, objective: objective.type, targetId: target.id });
+        this.privateMessage(player, `🪓 Your target is ${target.name}. Get them lynched to win!`);
+    }
+
+    // The player loses their objective (e.g. turned into a vampire)
+    clearObjective(player, reason) {
+        if (!player.objective) return;
+        this.record('OBJECTIVE_CLEARED', { playerId: player.id, objective: player.objective.type, reason });
+        player.objective = null;
+    }
+
+    /**
+     * Mark the objectives a lynch completes
+     */
+    completeLynchObjectives(victim) {
+        this.players.forEach(p => {
+            const objective = p.objective;
+            if (!objective || objective.achieved) return;
+            const achieved = objective.type === 'beLynched'
+                ? p.id === victim.id
+                : objective.type === 'lynchTarget' && objective.targetId === victim.id && p.alive;
+            if (!achieved) return;
+
+            objective.achieved = true;
+            this.record('OBJECTIVE_COMPLETED', { playerId: p.id, objective: objective.type, targetId: objective.targetId });
+            if (objective.type === 'lynchTarget') {
+                this.privateMessage(p, `🪓 Your target ${victim.name} was lynched. You win!`);
+                if (p.isNPC) {
+                    if (!p.receivedEvents) p.receivedEvents = [];
+                    p.receivedEvents.push({ round: this.round, event: 'OBJECTIVE_COMPLETED', note: `Your target ${victim.name} was lynched. You have already won.` });
+                }
+            }
+        });
+    }
+
+    /**
+     * Executioners whose target died without being lynched take their fallback role
+     */
+    checkObjectives() {
+        this.players.forEach(p => {
+            const objective = p.objective;
+            if (!p.alive || objective?.type !== 'lynchTarget' || objective.achieved) return;
+            const target = this.getPlayer(objective.targetId);
+            if (target?.alive) return;
+            this.failObjective(p, `Your target ${target?.name || 'Unknown'} died without being lynched`);
+        });
+    }
+
+    failObjective(player, reason) {
+        const fallbackRole = getObjective(player.role)?.fallbackRole;
+        player.objective = null;
+        if (!fallbackRole) return;
+
+        applyRole(player, fallbackRole);
+        this.record('ROLE_CHANGED', { playerId: player.id, role: player.role, alignment: player.alignment, by: 'objective' });
+        this.emit('ROLE_INFO', { playerId: player.id, role: player.role, alignment: player.alignment });
+        this.privateMessage(player, `🃏 ${reason}. You are now a ${fallbackRole}!`);
+        if (player.isNPC) {
+            if (!player.receivedEvents) player.receivedEvents = [];
+            player.receivedEvents.push({ round: this.round, event: 'ROLE_CHANGED', note: `${reason}. You are now a ${fallbackRole}: ${getRole(fallbackRole).npc.goal}` });
+        }
+        this.assignObjective(player);
+        this.emit('STATE_CHANGED');
+    }
+
+    endGame(winner = 'Host Ended') {
+        if (this.state === 'GAME_OVER') return;
+        this.finish(winner, 'The host has ended the game.');
+    }
+
+    // --- ACTIONS ---
+
+    /**
+     * Validate and apply a night action from a player or NPC
+     */
+    submitNightAction(player, action) {
+        const result = validateNightAction(this, player, action);
+        if (!result.ok) {
+            this.reject(player, 'night_action', result, action?.type, action?.targetId);
+            return;
+        }
+
+        const { actionDef, target } = result;
+        const actionKey = getActionKey(player.id, actionDef);
+
+        // Handle CANCEL_EXECUTE - Jailor can cancel their execution decision
+        if (action.type === 'CANCEL_EXECUTE') {
+            if (this.nightActions[actionKey]?.type === 'EXECUTE') {
+                delete this.nightActions[actionKey];
+                this.record('NIGHT_ACTION_CLEARED', { actorId: player.id, action: 'EXECUTE' });
+
+                const prisoner = this.getPlayer(this.jailedPlayerId);
+                this.privateMessage(player, `❌ Execution cancelled. ${prisoner?.name || 'The prisoner'} will be released at dawn.`);
+                this.privateMessage(prisoner, '😌 The Jailor has decided to spare you.');
+            }
+            return;
+        }
+
+        // Handle clearing/uncasting of action (but not EXECUTE which intentionally has null targetId)
+        if (action.clear || (action.targetId === null && actionDef.target !== 'prisoner')) {
+            // Check if we're clearing a team vote (BITE) - notify teammates
+            if (actionDef.teamVote && this.nightActions[actionKey]) {
+                this.notifyVampires(`🧛 ${player.name} cancelled their vote`, player.id);
+            }
+            if (this.nightActions[actionKey]) {
+                this.record('NIGHT_ACTION_CLEARED', { actorId: player.id, action: this.nightActions[actionKey].type });
+            }
+            delete this.nightActions[actionKey];
+            this.emit('STATE_CHANGED');
+            return;
+        }
+
+        // Record action in NPC's history for context
+        if (player.isNPC) {
+            if (!player.actionHistory) player.actionHistory = [];
+            player.actionHistory.push({ round: this.round, action: actionDef.type, targetName: target?.name || 'unknown' });
+        }
+
+        // JAIL - takes effect immediately
+        if (actionDef.immediate) {
+            const previousBiter = this.getBiter();
+            this.jailedPlayerId = target.id;
+            this.jailorId = player.id;
+            this.jailChat = [];
+            this.record('PLAYER_JAILED', { actorId: player.id, targetId: target.id });
+
+            // Clear any existing actions the jailed player may have submitted
+            Object.keys(this.nightActions).forEach(key => {
+                const existingAction = this.nightActions[key];
+                if (existingAction.actorId !== target.id) return;
+                // If jailed player was a vampire who voted, notify other vampires
+                if (existingAction.type === 'BITE') {
+                    this.notifyVampires(`🧛 ${target.name}'s vote was cancelled (jailed)`, target.id);
+                }
+                this.record('NIGHT_ACTION_CLEARED', { actorId: target.id, action: existingAction.type });
+                delete this.nightActions[key];
+            });
+
+            // Record being jailed in the prisoner's receivedEvents (if they are an NPC)
+            if (target.isNPC) {
+                if (!target.receivedEvents) target.receivedEvents = [];
+                target.receivedEvents.push({ round: this.round, event: 'WAS_JAILED', byName: player.name });
+            }
+
+            // Notify both parties
+            this.privateMessage(player, `🔒 You have jailed ${target.name}. You may now interrogate them.`);
+            this.privateMessage(target, '🔒 You have been jailed! The Jailor wishes to speak with you. Your night action has been cancelled.');
+
+            // A jailed youngest vampire hands tonight's bite to the next youngest one
+            const biter = this.getBiter();
+            const biterChanged = !!biter && previousBiter?.id !== biter.id && this.canBiteTonight();
+            if (biterChanged) this.notifyVampires(`🧛 ${target.name} is in jail: ${biter.name} bites tonight instead.`, target.id);
+
+            this.emit('PLAYER_JAILED', { jailorId: player.id, prisonerId: target.id, biterId: biterChanged ? biter.id : null });
+            this.emit('STATE_CHANGED');
+            return;
+        }
+
+        // EXECUTE - targets the Jailor's prisoner
+        if (actionDef.target === 'prisoner') {
+            this.nightActions[actionKey] = { type: actionDef.type, actorId: player.id, targetId: this.jailedPlayerId };
+            this.record('NIGHT_ACTION', { actorId: player.id, action: actionDef.type, targetId: this.jailedPlayerId });
+
+            this.privateMessage(player, `☠️ You have decided to execute ${target?.name || 'the prisoner'}.`);
+            this.privateMessage(target, '☠️ The Jailor has decided to execute you!');
+
+            this.emit('STATE_CHANGED');
+            return;
+        }
+
+        // Team vote (BITE) - notify all vampires about this vote (only if there are 2+ vampires)
+        if (actionDef.teamVote) {
+            this.notifyVampires(`🧛 ${player.name} voted to turn ${target.name}`, player.id);
+        }
+
+        this.nightActions[actionKey] = { type: actionDef.type, targetId: target.id, actorId: player.id };
+        this.record('NIGHT_ACTION', { actorId: player.id, action: actionDef.type, targetId: target.id });
+
+        // Update state to show vote counts for vampires
+        this.emit('STATE_CHANGED');
+    }
+
+    /**
+     * Validate and apply a day vote (targetId null = unvote)
+     */
+    submitDayVote(player, targetId) {
+        const result = validateDayVote(this, player, targetId);
+        if (!result.ok) {
+            this.reject(player, 'day_vote', result, 'VOTE', targetId);
+            return;
+        }
+
+        if (result.target) {
+            this.votes[player.id] = result.target.id;
+        } else {
+            delete this.votes[player.id];
+        }
+        this.record('VOTE', { voterId: player.id, targetId: result.target?.id || null });
+
+        if (this.settings.enableTrial && result.target) {
+            const { counts, majorityId } = this.tallyVotes();
+            if (majorityId) {
+                this.startTrial(majorityId, counts);
+                return;
+            }
+        }
+        this.emit('STATE_CHANGED');
+    }
+
+    /**
+     * Validate and apply a verdict on the player on trial
+     */
+    submitVerdict(player, verdict) {
+        const result = validateJudgement(this, player, verdict);
+        if (!result.ok) {
+            this.reject(player, 'judgement', result, verdict, this.trialPlayerId);
+            return;
+        }
+
+        this.verdicts[player.id] = verdict;
+        this.record('VERDICT', { voterId: player.id, verdict });
+        this.emit('STATE_CHANGED');
+    }
+
+    /**
+     * Publicly reveal a role with a reveal ability (Mayor)
+     */
+    revealPlayer(player) {
+        const result = validateReveal(this, player);
+        if (!result.ok) {
+            this.reject(player, 'reveal', result, 'REVEAL', null);
+            return;
+        }
+
+        player.revealedRole = player.role;
+        this.record('ROLE_REVEALED', { playerId: player.id, role: player.role });
+        this.logs.push(`[Day ${this.round}] ${player.name} has revealed themselves as the ${player.role}! Their vote now counts ${result.reveal.voteWeight} times.`);
+        this.emit('STATE_CHANGED');
+    }
+
+    // --- LAST WILLS ---
+
+    /**
+     * Write (or clear) a player's last will, or with isDeathNote their death note
+     */
+    setWill(player, text, isDeathNote = false) {
+        const result = validateWill(this, player, text, isDeathNote);
+        if (!result.ok) {
+            this.reject(player, 'will', result, isDeathNote ? 'SET_DEATH_NOTE' : 'SET_WILL', null);
+            return;
+        }
+
+        if (isDeathNote) {
+            player.deathNote = result.text;
+            this.record('DEATH_NOTE_WRITTEN', { playerId: player.id, note: result.text });
+        } else {
+            player.will = result.text;
+            this.record('WILL_WRITTEN', { playerId: player.id, will: result.text });
+        }
+        this.emit('STATE_CHANGED');
+    }
+
+    /**
+     * Replace an NPC's notes on the other players (see npc-beliefs.js)
+     */
+    setBeliefs(player, beliefs) {
+        if (!player?.isNPC || this.state === 'LOBBY' || this.state === 'GAME_OVER') return;
+        if (!beliefs || typeof beliefs !== 'object') return;
+        player.beliefs = beliefs;
+        this.record('BELIEFS_UPDATED', { playerId: player.id });
+        this.emit('BELIEFS_UPDATED', { playerId: player.id });
+    }
+
+    /**
+     * Publish a dead player's last will, with the killer's death note if they left one
+     * @param {object} victim
+     * @param {string} cause - PLAYER_DIED cause
+     * @param {object} [killer] - Player whose death note is left on the victim
+     */
+    revealWill(victim, cause, killer = null) {
+        const entry = {
+            playerId: victim.id,
+            name: victim.name,
+            round: this.round,
+            cause,
+            will: victim.will || '',
+            deathNote: killer?.deathNote || ''
+        };
+        this.wills.push(entry);
+        this.record('WILL_REVEALED', { playerId: victim.id, will: entry.will, deathNote: entry.deathNote, byId: entry.deathNote ? killer.id : undefined });
+    }
+
+    // --- CHAT ---
+
+    chatMessage(player, message, isVoiceMessage = false) {
+        if (this.state === 'LOBBY' || this.state === 'GAME_OVER') return;
+        if (!player || !player.alive || !message) return;
+        // Voice messages are only accepted during the day discussion
+        if (isVoiceMessage && this.state !== 'DAY_DISCUSS') return;
+
+        const isVampire = isVampireRole(player.role);
+        const isNightPhase = this.state === 'NIGHT';
+
+        // Night: only vampires can chat
+        if (isNightPhase && !isVampire) return;
+        // Defense: only the accused can speak
+        if (this.state === 'DEFENSE' && player.id !== this.trialPlayerId) return;
+
+        const chatMessage = {
+            senderId: player.id,
+            senderName: player.name,
+            message: message.substring(0, 300), // Limit message length
+            isVampireChat: isNightPhase && isVampire,
+            timestamp: this.clock.now()
+        };
+        if (isVoiceMessage) chatMessage.isVoiceMessage = true; // Flag to distinguish voice messages
+
+        this.gameChat.push(chatMessage);
+        this.archiveChat(chatMessage.isVampireChat ? 'vampire' : 'public', chatMessage);
+        this.record('CHAT_MESSAGE', {
+            senderId: player.id,
+            channel: chatMessage.isVampireChat ? 'vampire' : 'public',
+            message: chatMessage.message,
+            ...(isVoiceMessage && { isVoiceMessage: true })
+        });
+
+        // Day: broadcast to all players. Night: only to vampires
+        const recipients = isNightPhase
+            ? this.players.filter(p => isVampireRole(p.role))
+            : this.players;
+        this.emit('CHAT_UPDATE', { playerIds: recipients.map(p => p.id), message: chatMessage });
+    }
+
+    /**
+     * Add a message to the archive section of the current round, phase and
+     * channel (a jail section per Jailor and prisoner)
+     */
+    archiveChat(channel, { senderId, senderName, message, timestamp }, participantIds) {
+        let section = this.chatArchive[this.chatArchive.length - 1];
+        const isCurrent = s => s && s.round === this.round && s.phase === this.state && s.channel === channel &&
+            (!participantIds || participantIds.every(id => s.participantIds.includes(id)));
+        if (!isCurrent(section)) section = this.chatArchive.findLast(isCurrent);
+        if (!section) {
+            section = { round: this.round, phase: this.state, channel, ...(participantIds && { participantIds }), messages: [] };
+            this.chatArchive.push(section);
+        }
+        section.messages.push({ ...(senderId && { senderId }), senderName, message, timestamp });
+    }
+
+    /**
+     * Replace the rolling summary of a chat channel (see chat-archive.js)
+     */
+    setChatSummary({ channel, summary, round, phase }) {
+        if (this.state === 'LOBBY' || !CHAT_CHANNELS.includes(channel) || typeof summary !== 'string') return;
+        this.chatSummaries[channel] = { text: summary.slice(0, CHAT_SUMMARY_MAX_LENGTH), round, phase };
+        this.record('CHAT_SUMMARIZED', { channel, summary: this.chatSummaries[channel].text });
+        this.emit('CHAT_SUMMARIZED', { channel });
+    }
+
+    jailChatMessage(player, message) {
+        if (this.state !== 'NIGHT' || !player || !message) return;
+
+        // Only Jailor or jailed player can send messages
+        if (player.id !== this.jailorId && player.id !== this.jailedPlayerId) return;
+
+        const jailMessage = {
+            sender: player.id === this.jailorId ? 'Jailor' : 'Prisoner',
+            message: message.substring(0, 200), // Limit message length
+            timestamp: this.clock.now()
+        };
+        this.jailChat.push(jailMessage);
+        this.archiveChat('jail', { senderName: jailMessage.sender, ...jailMessage }, [this.jailorId, this.jailedPlayerId]);
+        this.record('JAIL_CHAT', { senderId: player.id, sender: jailMessage.sender, message: jailMessage.message });
+
+        // Send to both parties
+        this.emit('JAIL_CHAT_UPDATE', { playerIds: [this.jailorId, this.jailedPlayerId] });
+    }
+
+    /**
+     * Players in the graveyard chat right now: the dead, plus any living
+     * Medium during the night (the séance)
+     */
+    getDeadChatMembers() {
+        return this.players.filter(p => !p.alive || (this.state === 'NIGHT' && canHoldSeance(p.role)));
+    }
+
+    deadChatMessage(player, message) {
+        if (this.state === 'LOBBY' || this.state === 'GAME_OVER') return;
+        if (!player || !message || !this.getDeadChatMembers().includes(player)) return;
+
+        // The living Medium speaks anonymously
+        const isMedium = player.alive;
+        const deadMessage = {
+            senderId: player.id,
+            senderName: isMedium ? 'Medium' : player.name,
+            message: message.substring(0, 300), // Limit message length
+            isMedium,
+            round: this.round,
+            phase: this.state,
+            timestamp: this.clock.now()
+        };
+        this.deadChat.push(deadMessage);
+        this.record('CHAT_MESSAGE', {
+            senderId: player.id,
+            channel: 'dead',
+            message: deadMessage.message,
+            ...(isMedium && { isMedium: true })
+        });
+
+        this.emit('DEAD_CHAT_UPDATE', { playerIds: this.getDeadChatMembers().map(p => p.id), senderId: player.id });
+    }
+
+    /**
+     * The graveyard chat as one player sees it: the dead see everything (but
+     * not who the Medium is), a living Medium only hears tonight's séance
+     */
+    getDeadChatView(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player) return [];
+        const messages = player.alive
+            ? this.deadChat.filter(m => this.state === 'NIGHT' && canHoldSeance(player.role) && m.round === this.round && m.phase === 'NIGHT')
+            : this.deadChat;
+        return messages.map(m => (m.isMedium && m.senderId !== playerId ? { ...m, senderId: null } : m));
+    }
+
+    // --- HOST TOOLS ---
+
+    setPlayerRole(target, newRole) {
+        if (!target || !getRole(newRole)) return;
+
+        applyRole(target, newRole);
+        this.record('ROLE_CHANGED', { playerId: target.id, role: target.role, alignment: target.alignment, by: 'host' });
+        if (this.state !== 'LOBBY') this.assignObjective(target);
+
+        // Send updated role info to the target player
+        this.emit('ROLE_INFO', { playerId: target.id, role: target.role, alignment: target.alignment });
+        this.privateMessage(target, `🎭 Your role has been changed to ${newRole}!`);
+
+        // Log the change (only visible to host/server)
+        this.logger.info(`Host changed ${target.name}'s role to ${newRole}`, { playerIds: [target.id] });
+
+        // Refresh vampire teammate visibility etc.
+        this.emit('STATE_CHANGED');
+    }
+
+    setPlayerAlive(target, alive) {
+        if (!target) return;
+        target.alive = alive;
+        this.record(alive ? 'PLAYER_REVIVED' : 'PLAYER_DIED', alive
+            ? { playerId: target.id }
+            : { playerId: target.id, role: target.role, cause: 'host' });
+        if (!alive && this.state !== 'LOBBY') this.revealWill(target, 'host');
+
+        this.privateMessage(target, alive
+            ? '😇 You have been revived by the host!'
+            : '💀 You have been killed by the host!');
+
+        this.logs.push(alive
+            ? `The host revived ${target.name}.`
+            : `The host struck down ${target.name}.`);
+        if (!alive && this.state !== 'LOBBY') this.checkObjectives();
+
+        this.emit('STATE_CHANGED');
+    }
+
+    // --- VIEWS ---
+
+    countVotesFor(pid) {
+        if (this.state !== 'DAY_VOTE') return 0;
+        return Object.entries(this.votes)
+            .filter(([, targetId]) => targetId === pid)
+            .reduce((sum, [voterId]) => sum + this.getVoteWeight(this.getPlayer(voterId)), 0);
+    }
+
+    countVampireVotesFor(pid) {
+        if (this.state !== 'NIGHT') return 0;
+        return Object.values(this.nightActions)
+            .filter(a => a.type === 'BITE' && a.targetId === pid)
+            .length;
+    }
+
+    /**
+     * The public role list dealt to the current players, or null without a
+     * valid preset. The preset is validated once when it changes (usually by
+     * UPDATE_SETTINGS), and the list is only dealt again when players join or leave.
+     */
+    getPublicRoleList() {
+        const { rolePreset } = this.settings;
+        if (!this.roleListCache || this.roleListCache.rolePreset !== rolePreset) {
+            const result = rolePreset ? validateRolePreset(rolePreset) : null;
+            this.roleListCache = { rolePreset, preset: result?.ok ? result.preset : null, playerCount: null, roleList: null };
+        }
+        const cache = this.roleListCache;
+        if (cache.preset && cache.playerCount !== this.players.length) {
+            cache.playerCount = this.players.length;
+            cache.roleList = getDealtRoleList(cache.preset, cache.playerCount);
+        }
+        return cache.roleList;
+    }
+
+    /**
+     * The game state as seen by one player (sent as 'game_update')
+     */
+    getPlayerView(playerId) {
+        const player = this.getPlayer(playerId);
+        const isVampire = isVampireRole(player?.role);
+        const canBite = this.canBiteTonight();
+        const biter = this.getBiter();
+        const vampireCount = this.players.filter(p => isVampireRole(p.role) && p.alive).length;
+        const showVampireVotes = isVampire && this.state === 'NIGHT' && canBite;
+        const inJail = this.state === 'NIGHT' && !!player && (player.id === this.jailorId || player.id === this.jailedPlayerId);
+
+        return {
+            code: this.code,
+            host: this.host,
+            state: this.state,
+            round: this.round,
+            timer: this.timer,
+            winner: this.winner,
+            winnerIds: this.state === 'GAME_OVER' ? this.winnerIds : undefined,
+            logs: this.logs,
+            chatEnabled: this.settings.chatEnabled !== false,
+            enableSTT: this.settings.enableSTT || false,
+            voiceInputMode: this.settings.voiceInputMode || 'push-to-talk',
+            gameChat: this.gameChat,
+            // Chat of the earlier phases, only the channels this player could read (see chat-archive.js)
+            chatArchive: getChatArchiveView(this.chatArchive, player, this.state === 'GAME_OVER'),
+            // Graveyard chat, only for its current members
+            deadChat: player && this.getDeadChatMembers().includes(player) ? this.getDeadChatView(playerId) : undefined,
+            // Limited-use counters (e.g. Doctor heals) are only sent to their owner
+            usesRemaining: player?.usesRemaining,
+            // The player's own last will and death note
+            myWill: player && this.state !== 'LOBBY' ? {
+                will: player.will || '',
+                deathNote: player.deathNote || '',
+                canLeaveDeathNote: canLeaveDeathNote(player.role)
+            } : undefined,
+            // Revealed wills of the dead, in order of death
+            wills: this.wills,
+            // Public role list when the game uses a role-list preset (slot labels, not the rolled roles)
+            roleList: this.getPublicRoleList(),
+            roleListName: this.settings.rolePreset?.name,
+            // Hidden objective (Executioner target), also only for its owner
+            objective: player?.objective ? {
+                ...player.objective,
+                targetName: this.getPlayer(player.objective.targetId)?.name
+            } : undefined,
+            players: this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                alive: p.alive,
+                votes: this.countVotesFor(p.id),
+                // Publicly revealed role (Mayor)
+                revealedRole: p.revealedRole,
+                isNPC: p.isNPC || false,
+                role: (this.state === 'GAME_OVER') ? p.role : undefined,
+                alignment: (this.state === 'GAME_OVER') ? p.alignment : undefined,
+                // Always show vampire status to other vampires (not just during night)
+                isVampire: isVampire ? isVampireRole(p.role) : undefined,
+                // Show the actual vampire role to teammates (Vampire or Vampire Framer)
+                vampireRole: isVampire && isVampireRole(p.role) ? p.role : undefined,
+                // Show vampire turning votes to vampires during night
+                vampireVotes: showVampireVotes ? this.countVampireVotesFor(p.id) : undefined
+            })),
+            // Include vampire coordination info for vampires during night
+            vampireInfo: showVampireVotes ? {
+                totalVampires: vampireCount,
+                requiredVotes: 1,
+                needsVoting: !biter && vampireCount > 1,
+                // The only vampire who can bite tonight (youngestVampireOnly mode)
+                biterId: biter?.id || null,
+                biterName: biter?.name || null
+            } : undefined,
+            // The host's bite rules, public so everyone knows what a bite does tonight
+            bite: {
+                canBiteTonight: canBite,
+                mode: getBiteMode(this.settings, this.conversions),
+                cadence: describeBiteCadence(this.settings),
+                youngestVampireOnly: !!biter
+            },
+            // The player on trial, and this player's verdict during JUDGEMENT
+            trial: this.trialPlayerId && (this.state === 'DEFENSE' || this.state === 'JUDGEMENT') ? {
+                playerId: this.trialPlayerId,
+                name: this.getPlayer(this.trialPlayerId)?.name,
+                myVerdict: this.verdicts[playerId] || null,
+                verdictCount: Object.keys(this.verdicts).length
+            } : undefined,
+            // Include jail info for Jailor and jailed player
+            jailInfo: inJail ? {
+                isJailor: player.id === this.jailorId,
+                isJailed: player.id === this.jailedPlayerId,
+                prisonerName: player.id === this.jailorId ? this.getPlayer(this.jailedPlayerId)?.name : null,
+                jailorName: player.id === this.jailedPlayerId ? this.getPlayer(this.jailorId)?.name : null,
+                jailChat: this.jailChat
+            } : undefined,
+            // Night-by-night breakdown for the end screen
+            recap: this.state === 'GAME_OVER' ? this.recap : undefined
+        };
+    }
+}
+
+/**
+ * Pure form of the engine: apply one action to a state snapshot
+ * @param {object} state - Snapshot from getState()
+ * @param {object} action - Engine action
+ * @param {object} [options] - { clock, logger }
+ * @returns {{ state: object, events: object[] }}
+ */
+function reduce(state, action, options = {}) {
+    const engine = GameEngine.fromState(state, options);
+    const events = engine.dispatch(action);
+    return { state: engine.getState(), events };
+}
+
+module.exports = {
+    GameEngine,
+    reduce,
+    STATE_FIELDS,
+    TIMED_PHASES
+};
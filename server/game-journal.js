@@ -0,0 +1,115 @@
+/**
+ * Game Journal Module
+ * Machine-readable record of everything that changed the state of a game,
+ * appended to events.jsonl next to the other game logs while the game runs
+ * (see GameLogger.appendEventJournal), so a crash mid-game keeps everything
+ * up to the last action. It is meant for
+ * replays, analytics and regression tests built from real games.
+ *
+ * The engine appends one entry per state-changing event (entries are never
+ * rewritten or removed). The journal is part of the engine state, so it
+ * survives a server restart together with the game.
+ *
+ * Every entry shares the same envelope:
+ *
+ *     { seq, ts, round, phase, type, ...fields }
+ *
+ * - seq    1-based, strictly increasing sequence number
+ * - ts     epoch milliseconds from the engine clock
+ * - round  game round when the event happened (0 in the lobby)
+ * - phase  LOBBY | NIGHT | DAY_DISCUSS | DAY_VOTE | DEFENSE | JUDGEMENT | GAME_OVER
+ * - type   one of the JOURNAL_EVENTS below, with its fields
+ *
+ * Player references are always player IDs; names are in PLAYER_JOINED.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bump when an entry type or field changes meaning:
+// 2 - LYNCH_RESULT/TRIAL_STARTED votes are weighted (a revealed Mayor counts 3 times),
+//     BITE outcome can be KILLED (biteMode KILL)
+const JOURNAL_VERSION = 2;
+
+// Entry type -> fields (the schema; keep in sync with the engine)
+const JOURNAL_EVENTS = {
+    GAME_CREATED: '{ version, code, host, seed }',
+    PLAYER_JOINED: '{ playerId, name, isNPC }',
+    PLAYER_LEFT: '{ playerId }',
+    NPC_UPDATED: '{ playerId, name }',
+    GAME_STARTED: '{ settings }',
+    ROLE_ASSIGNED: '{ playerId, role, alignment, fakeRole? } - one per player at the start',
+    OBJECTIVE_ASSIGNED: '{ playerId, objective, targetId? } - hidden objective (see roles.js); targetId for lynchTarget',
+    OBJECTIVE_COMPLETED: '{ playerId, objective, targetId? }',
+    OBJECTIVE_CLEARED: '{ playerId, objective, reason } - the objective no longer counts (reason: turned)',
+    WILL_WRITTEN: '{ playerId, will } - the player edited their last will (private until they die)',
+    DEATH_NOTE_WRITTEN: '{ playerId, note } - a killing role edited their death note',
+    CHAT_SUMMARIZED: '{ channel, summary } - the rolling summary of a chat channel for the NPC prompts (see chat-archive.js)',
+    BELIEFS_UPDATED: '{ playerId } - an NPC updated its notes on the other players (kept in the snapshot, see npc-beliefs.js)',
+    PHASE_STARTED: '{ duration } - seconds on the phase timer',
+    NIGHT_ACTION: '{ actorId, action, targetId } - an action was chosen (or changed)',
+    NIGHT_ACTION_CLEARED: '{ actorId, action }',
+    NIGHT_RESOLVED: '{ actions: [{ actorId, action, targetId }] } - the final choices, before any results',
+    PLAYER_JAILED: '{ actorId, targetId }',
+    JAIL_CHAT: '{ senderId, sender, message } - sender is Jailor | Prisoner',
+    CHAT_MESSAGE: '{ senderId, channel, message, isVoiceMessage?, isMedium? } - channel is public | vampire | dead (graveyard; isMedium marks the living Medium)',
+    VOTE: '{ voterId, targetId } - targetId null means the vote was withdrawn',
+    HEAL: '{ actorId, targetId, saved }',
+    FRAME: '{ actorId, targetId }',
+    STAKE: '{ actorId, targetId, outcome } - outcome is KILLED | JAILED | HEALED | FAILED',
+    BITE: '{ targetId, votes, tied, outcome } - outcome is TURNED | KILLED | JAILED | HEALED | FAILED (KILLED per the bite rules, see bite-rules.js)',
+    PLAYER_TURNED: '{ playerId, previousRole }',
+    ACTION_BLOCKED: '{ actorId, action, targetId, byId } - byId roleblocked the actor, so the action did not resolve',
+    ACTION_RESULT: '{ actorId, action, targetId, result } - private investigation/lookout result',
+    PLAYER_RELEASED: '{ actorId, targetId } - the Jailor let the prisoner go',
+    LYNCH_RESULT: '{ targetId, votes, ballots } - weighted votes per target, ballots voterId -> targetId; targetId null when nobody was lynched',
+    TRIAL_STARTED: '{ targetId, votes, ballots } - a majority put targetId on trial (same fields as LYNCH_RESULT)',
+    VERDICT: '{ voterId, verdict } - verdict is GUILTY | INNOCENT | ABSTAIN',
+    ROLE_REVEALED: '{ playerId, role } - public day reveal (Mayor)',
+    TRIAL_RESULT: '{ targetId, guilty, innocent, abstain, verdicts, lynched } - weighted guilty/innocent, verdicts voterId -> verdict',
+    PLAYER_DIED: '{ playerId, role, cause, byId? } - cause is lynch | execution | stake | bite | guilt | host',
+    WILL_REVEALED: '{ playerId, will, deathNote, byId? } - after every PLAYER_DIED; byId left the death note',
+    PLAYER_REVIVED: '{ playerId }',
+    ROLE_CHANGED: '{ playerId, role, alignment, by } - by is host | objective (an Executioner whose target died)',
+    GAME_OVER: '{ winner, winnerIds } - winnerIds includes players who completed their objective'
+};
+
+/**
+ * Append journal entries as JSON lines (the file is never rewritten)
+ * @param {string} filePath - Usually <game log folder>/events.jsonl
+ * @param {object[]} entries - New entries from the engine, in order
+ * @returns {Promise<void>}
+ */
+async function appendJournal(filePath, entries) {
+    if (entries.length === 0) return;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+}
+
+/**
+ * Read a journal written by appendJournal (blank lines are ignored)
+ * @param {string} filePath
+ * @returns {object[]}
+ */
+function readJournal(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Whether a journal covers a whole game. events.jsonl is appended while the
+ * game runs, so an unfinished one reveals every role and night action.
+ */
+function isJournalFinished(journal = []) {
+    return journal.some(entry => entry.type === 'GAME_OVER');
+}
+
+module.exports = {
+    JOURNAL_VERSION,
+    JOURNAL_EVENTS,
+    appendJournal,
+    readJournal,
+    isJournalFinished
+};
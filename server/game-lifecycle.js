@@ -0,0 +1,105 @@
+/**
+ * Game Lifecycle Manager
+ * Periodically evicts games that are no longer needed so a long-running
+ * server does not keep every game in memory forever:
+ * - finished games (GAME_OVER) after a grace period, so players can still
+ *   look at the results
+ * - lobbies that have seen no activity for a while
+ *
+ * Evicted games are disposed (timers and pending NPC work are released) and
+ * removed from the game store.
+ */
+
+const { createLogger } = require('./game-logger');
+
+const DEFAULT_GAME_OVER_GRACE_MS = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_LOBBY_IDLE_MS = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+function readMs(envValue, fallback) {
+    const value = Number(envValue);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+class GameLifecycleManager {
+    /**
+     * @param {object} options
+     * @param {object} options.games - The code -> Game map of running games
+     * @param {object} [options.store] - Game store to remove evicted snapshots from
+     * @param {number} [options.gameOverGraceMs] - How long finished games are kept
+     * @param {number} [options.lobbyIdleMs] - How long an idle lobby is kept
+     * @param {number} [options.sweepIntervalMs] - How often to check for expired games
+     * @param {function} [options.onEvict] - Called with (game, reason) after eviction
+     * @param {function} [options.now] - Clock (defaults to Date.now)
+     * @param {object} [options.logger] - Logger (see game-logger.js)
+     */
+    constructor({ games, store = null, gameOverGraceMs, lobbyIdleMs, sweepIntervalMs, onEvict = null, now = Date.now, logger = createLogger('Lifecycle') }) {
+        this.games = games;
+        this.store = store;
+        this.gameOverGraceMs = gameOverGraceMs ?? readMs(process.env.GAME_OVER_GRACE_MS, DEFAULT_GAME_OVER_GRACE_MS);
+        this.lobbyIdleMs = lobbyIdleMs ?? readMs(process.env.LOBBY_IDLE_MS, DEFAULT_LOBBY_IDLE_MS);
+        this.sweepIntervalMs = sweepIntervalMs ?? readMs(process.env.GAME_SWEEP_INTERVAL_MS, DEFAULT_SWEEP_INTERVAL_MS);
+        this.onEvict = onEvict;
+        this.now = now;
+        this.logger = logger;
+        this.interval = null;
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this.sweep(), this.sweepIntervalMs);
+        // Don't keep the process alive just for the sweeper
+        if (this.interval.unref) this.interval.unref();
+    }
+
+    stop() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    /**
+     * Why a game should be evicted, or null to keep it
+     */
+    getEvictionReason(game) {
+        const idleMs = this.now() - game.lastActivityAt;
+        if (game.state === 'GAME_OVER' && idleMs >= this.gameOverGraceMs) {
+            return 'finished';
+        }
+        if (game.state === 'LOBBY' && idleMs >= this.lobbyIdleMs) {
+            return 'idle lobby';
+        }
+        return null;
+    }
+
+    /**
+     * Evict every expired game
+     * @returns {string[]} Codes of the evicted games
+     */
+    sweep() {
+        const evicted = [];
+        Object.values(this.games).forEach(game => {
+            const reason = this.getEvictionReason(game);
+            if (reason) {
+                this.evict(game.code, reason);
+                evicted.push(game.code);
+            }
+        });
+        return evicted;
+    }
+
+    evict(code, reason) {
+        const game = this.games[code];
+        if (!game) return;
+
+        delete this.games[code];
+        game.dispose();
+        if (this.store) this.store.remove(code);
+
+        const idleMinutes = Math.round((this.now() - game.lastActivityAt) / 60000);
+        this.logger.info(`Evicted game ${code} (${reason}, idle ${idleMinutes} min, ${game.players.length} players). ${Object.keys(this.games).length} game(s) remaining.`);
+
+        if (this.onEvict) this.onEvict(game, reason);
+    }
+}
+
+module.exports = GameLifecycleManager;
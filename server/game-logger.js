@@ -1,57 +1,155 @@
 /**
  * Game Logger Module
- * Captures server console output and NPC context memory for each game session.
+ * Scoped, structured logging for each game session.
+ *
+ * Every log entry is a JSON object with a level, the game code, round, phase,
+ * the scope that wrote it ('Game', 'AI', 'TTS', ...) and optional player IDs:
+ *
+ *     { ts, level, game, round, phase, scope, msg, playerIds, data, error }
+ *
+ * Loggers are passed explicitly to the game, the AI controller and the TTS/STT
+ * controllers (instead of capturing the global console.log), so concurrent
+ * games never mix their logs. When a game ends the entries are saved as
+ * structured server-log.jsonl, human-readable server-console.log and the NPC
+ * context report npc-context.log, next to the game's event journal
+ * events.jsonl (see game-journal.js).
+ *
+ * Environment:
+ * - LOG_LEVEL:  debug | info | warn | error (default info)
+ * - LOG_FORMAT: text (default) prints readable lines, json prints JSON lines
  */
 
 const fs = require('fs');
 const path = require('path');
+const { appendJournal } = require('./game-journal');
 
-class GameLogger {
-    constructor(gameCode) {
-        this.gameCode = gameCode;
-        this.startTime = new Date();
-        this.consoleBuffer = [];
-        this.originalConsoleLog = null;
-        this.isCapturing = false;
+const LOGS_DIR = path.join(__dirname, 'logs');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+function serializeError(error) {
+    if (error instanceof Error) return { message: error.message, stack: error.stack };
+    return { message: String(error) };
+}
+
+/**
+ * Human-readable form of an entry: "[AI] Vote Decision for Rasa {...}"
+ */
+function formatText(entry) {
+    let line = `[${entry.scope}] ${entry.msg}`;
+    if (entry.data !== undefined) line += ` ${JSON.stringify(entry.data)}`;
+    if (entry.error) line += ` - ${entry.error.message}`;
+    return line;
+}
+
+function writeToConsole(entry) {
+    if (LOG_FORMAT === 'json') {
+        process.stdout.write(JSON.stringify(entry) + '\n');
+        return;
     }
+    const line = formatText(entry);
+    if (entry.level === 'error') console.error(line);
+    else if (entry.level === 'warn') console.warn(line);
+    else console.log(line);
+}
 
+class Logger {
     /**
-     * Start capturing console.log output for this game
+     * @param {string} scope - Component name shown in each entry ('Game', 'AI', ...)
+     * @param {object} [context] - Fields added to every entry
+     * @param {GameLogger} [sink] - Game logger that records the entries
      */
-    startCapture() {
-        if (this.isCapturing) return;
+    constructor(scope, context = {}, sink = null) {
+        this.scope = scope;
+        this.context = context;
+        this.sink = sink;
+    }
 
-        this.originalConsoleLog = console.log;
-        this.isCapturing = true;
+    /**
+     * Logger for a sub-component that writes into the same game log
+     */
+    child(scope, context = {}) {
+        return new Logger(scope || this.scope, { ...this.context, ...context }, this.sink);
+    }
 
-        // Intercept console.log
-        console.log = (...args) => {
-            // Always call original console.log first
-            this.originalConsoleLog.apply(console, args);
+    debug(msg, fields) { this.write('debug', msg, fields); }
+    info(msg, fields) { this.write('info', msg, fields); }
+    warn(msg, fields) { this.write('warn', msg, fields); }
+    error(msg, fields) { this.write('error', msg, fields); }
 
-            // Capture messages with [Game] or [AI] prefixes
-            const message = args.map(arg =>
-                typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-            ).join(' ');
+    /**
+     * @param {string} level - debug | info | warn | error
+     * @param {string} msg - Message
+     * @param {object} [fields] - { playerIds, data, error, ... }
+     */
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < MIN_LEVEL) return;
 
-            if (message.includes('[Game]') || message.includes('[AI]')) {
-                const timestamp = new Date().toISOString();
-                this.consoleBuffer.push(`[${timestamp}] ${message}`);
-            }
+        const { error, ...rest } = fields;
+        const entry = {
+            ts: new Date().toISOString(),
+            level,
+            ...(this.sink ? this.sink.getContext() : {}),
+            scope: this.scope,
+            msg,
+            ...this.context,
+            ...rest
         };
+        if (error !== undefined) entry.error = serializeError(error);
+
+        if (this.sink) this.sink.record(entry);
+        writeToConsole(entry);
     }
+}
 
+/**
+ * Find the event journal saved for a game (the newest one if the code was reused)
+ * @param {string} gameCode
+ * @returns {string|null} Path of events.jsonl, or null if none was saved
+ */
+function findEventJournal(gameCode) {
+    if (!/^[A-Z0-9]+$/.test(gameCode || '') || !fs.existsSync(LOGS_DIR)) return null;
+
+    const folder = fs.readdirSync(LOGS_DIR)
+        .filter(name => name.startsWith(`game_${gameCode}_`))
+        .sort()
+        .reverse()
+        .find(name => fs.existsSync(path.join(LOGS_DIR, name, 'events.jsonl')));
+    return folder ? path.join(LOGS_DIR, folder, 'events.jsonl') : null;
+}
+
+/**
+ * Logger that is not tied to a game (server startup, shared controllers)
+ */
+function createLogger(scope) {
+    return new Logger(scope);
+}
+
+class GameLogger extends Logger {
     /**
-     * Stop capturing console output and restore original console.log
+     * @param {string} gameCode
+     * @param {function} [getGameContext] - Returns { round, phase } for each entry
      */
-    stopCapture() {
-        if (!this.isCapturing) return;
+    constructor(gameCode, getGameContext = () => ({})) {
+        super('Game');
+        this.sink = this;
+        this.gameCode = gameCode;
+        this.getGameContext = getGameContext;
+        this.startTime = new Date();
+        this.entries = [];
+        // Journal entries already appended to events.jsonl, and the pending append (see appendEventJournal)
+        this.journalLength = 0;
+        this.journalWrite = Promise.resolve(null);
+    }
 
-        if (this.originalConsoleLog) {
-            console.log = this.originalConsoleLog;
-            this.originalConsoleLog = null;
-        }
-        this.isCapturing = false;
+    getContext() {
+        return { game: this.gameCode, ...this.getGameContext() };
+    }
+
+    record(entry) {
+        this.entries.push(entry);
     }
 
     /**
@@ -60,7 +158,7 @@ class GameLogger {
     getLogFolderPath() {
         const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
         const folderName = `game_${this.gameCode}_${timestamp}`;
-        return path.join(__dirname, 'logs', folderName);
+        return path.join(LOGS_DIR, folderName);
     }
 
     /**
@@ -75,25 +173,62 @@ class GameLogger {
     }
 
     /**
-     * Save the console buffer to server-console.log
+     * Save the human-readable log to server-console.log
      */
     saveConsoleLog() {
         try {
             const folderPath = this.ensureLogFolder();
             const filePath = path.join(folderPath, 'server-console.log');
 
-            const content = this.consoleBuffer.length > 0
-                ? this.consoleBuffer.join('\n')
+            const content = this.entries.length > 0
+                ? this.entries.map(entry => `[${entry.ts}] ${formatText(entry)}`).join('\n')
                 : '(No console output captured)';
 
             fs.writeFileSync(filePath, content, 'utf8');
             return filePath;
         } catch (err) {
-            console.error('[GameLogger] Failed to save console log:', err);
+            this.child('GameLogger').error('Failed to save console log', { error: err });
             return null;
         }
     }
 
+    /**
+     * Save the structured entries to server-log.jsonl (one JSON object per line)
+     */
+    saveStructuredLog() {
+        try {
+            const folderPath = this.ensureLogFolder();
+            const filePath = path.join(folderPath, 'server-log.jsonl');
+            const content = this.entries.map(entry => JSON.stringify(entry)).join('\n');
+            fs.writeFileSync(filePath, content ? content + '\n' : '', 'utf8');
+            return filePath;
+        } catch (err) {
+            this.child('GameLogger').error('Failed to save structured log', { error: err });
+            return null;
+        }
+    }
+
+    /**
+     * Append the journal entries not written yet to events.jsonl. Appends run
+     * one after another, so the file keeps the engine's order.
+     * @param {Array} journal - Entries recorded by the engine
+     * @returns {Promise<string|null>} Path of events.jsonl once written, null on failure
+     */
+    appendEventJournal(journal) {
+        const entries = journal.slice(this.journalLength);
+        if (entries.length === 0) return this.journalWrite;
+        this.journalLength = journal.length;
+        const filePath = path.join(this.getLogFolderPath(), 'events.jsonl');
+        this.journalWrite = this.journalWrite
+            .then(() => appendJournal(filePath, entries))
+            .then(() => filePath)
+            .catch(err => {
+                this.child('GameLogger').error('Failed to append to the event journal', { error: err });
+                return null;
+            });
+        return this.journalWrite;
+    }
+
     /**
      * Format a single NPC's context for the log
      */
@@ -185,31 +320,31 @@ class GameLogger {
             fs.writeFileSync(filePath, content, 'utf8');
             return filePath;
         } catch (err) {
-            console.error('[GameLogger] Failed to save NPC context:', err);
+            this.child('GameLogger').error('Failed to save NPC context', { error: err });
             return null;
         }
     }
 
     /**
-     * Save all logs and stop capturing
+     * Save all logs
      * @param {Array} players - Array of all players in the game
+     * @param {Array} [journal] - The game's event journal
      */
-    saveLogs(players) {
-        // Stop capturing first to restore console.log
-        this.stopCapture();
-
-        // Use the original console.log for our status messages
-        const log = this.originalConsoleLog || console.log;
-
+    saveLogs(players, journal = []) {
         const consolePath = this.saveConsoleLog();
+        const structuredPath = this.saveStructuredLog();
+        this.appendEventJournal(journal);
+        const journalPath = path.join(this.getLogFolderPath(), 'events.jsonl');
         const npcPath = this.saveNPCContext(players);
 
         if (consolePath && npcPath) {
-            log(`[GameLogger] Logs saved to: ${this.getLogFolderPath()}`);
+            this.child('GameLogger').info(`Logs saved to: ${this.getLogFolderPath()}`);
         }
 
         return {
             consoleLogPath: consolePath,
+            structuredLogPath: structuredPath,
+            journalPath,
             npcContextPath: npcPath,
             folderPath: this.getLogFolderPath()
         };
@@ -217,3 +352,6 @@ class GameLogger {
 }
 
 module.exports = GameLogger;
+module.exports.Logger = Logger;
+module.exports.createLogger = createLogger;
+module.exports.findEventJournal = findEventJournal;
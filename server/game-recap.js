@@ -0,0 +1,182 @@
+/**
+ * Game Recap Module
+ * Builds the night-by-night breakdown shown on the end screen from the game
+ * journal (see game-journal.js). Everything is resolved to player names so
+ * the client can render it directly.
+ */
+
+/**
+ * @param {object[]} journal - Entries recorded by the engine
+ * @returns {{ players: object[], rounds: object[] }}
+ */
+function buildRecap(journal) {
+    const players = {};
+    const order = [];
+    const rounds = {};
+    const nameOf = (id) => players[id]?.name || 'Unknown';
+
+    const getRound = (round) => {
+        if (!rounds[round]) {
+            rounds[round] = {
+                round,
+                nightActions: [],
+                results: [],
+                heals: [],
+                frames: [],
+                stakes: [],
+                blocked: [],
+                jail: null,
+                bite: null,
+                turned: [],
+                deaths: [],
+                lynch: null,
+                trial: null
+            };
+        }
+        return rounds[round];
+    };
+
+    journal.forEach(entry => {
+        switch (entry.type) {
+            case 'PLAYER_JOINED':
+                players[entry.playerId] = { id: entry.playerId, name: entry.name, isNPC: entry.isNPC, alive: true };
+                order.push(entry.playerId);
+                break;
+            case 'NPC_UPDATED':
+                if (players[entry.playerId]) players[entry.playerId].name = entry.name;
+                break;
+            case 'PLAYER_LEFT':
+                delete players[entry.playerId];
+                break;
+            case 'ROLE_ASSIGNED':
+                if (!players[entry.playerId]) break;
+                Object.assign(players[entry.playerId], {
+                    startingRole: entry.role,
+                    role: entry.role,
+                    alignment: entry.alignment,
+                    fakeRole: entry.fakeRole || null
+                });
+                break;
+            case 'ROLE_REVEALED':
+                if (players[entry.playerId]) players[entry.playerId].revealedRound = entry.round;
+                break;
+            case 'OBJECTIVE_ASSIGNED':
+                if (players[entry.playerId]) {
+                    Object.assign(players[entry.playerId], {
+                        objectiveTarget: entry.targetId ? nameOf(entry.targetId) : null,
+                        objectiveCompleted: false
+                    });
+                }
+                break;
+            case 'OBJECTIVE_COMPLETED':
+                if (players[entry.playerId]) players[entry.playerId].objectiveCompleted = true;
+                break;
+            case 'OBJECTIVE_CLEARED':
+                if (players[entry.playerId]) Object.assign(players[entry.playerId], { objectiveTarget: null, objectiveCompleted: false });
+                break;
+            case 'ROLE_CHANGED':
+                if (players[entry.playerId]) Object.assign(players[entry.playerId], { role: entry.role, alignment: entry.alignment });
+                break;
+            case 'NIGHT_RESOLVED':
+                getRound(entry.round).nightActions = entry.actions.map(a => ({
+                    actor: nameOf(a.actorId),
+                    action: a.action,
+                    target: a.targetId ? nameOf(a.targetId) : null
+                }));
+                break;
+            case 'ACTION_RESULT':
+                getRound(entry.round).results.push({
+                    actor: nameOf(entry.actorId),
+                    action: entry.action,
+                    target: nameOf(entry.targetId),
+                    result: entry.result
+                });
+                break;
+            case 'HEAL':
+                getRound(entry.round).heals.push({ actor: nameOf(entry.actorId), target: nameOf(entry.targetId), saved: entry.saved });
+                break;
+            case 'FRAME':
+                getRound(entry.round).frames.push({ actor: nameOf(entry.actorId), target: nameOf(entry.targetId) });
+                break;
+            case 'STAKE':
+                getRound(entry.round).stakes.push({ actor: nameOf(entry.actorId), target: nameOf(entry.targetId), outcome: entry.outcome });
+                break;
+            case 'ACTION_BLOCKED':
+                getRound(entry.round).blocked.push({ actor: nameOf(entry.actorId), action: entry.action, by: nameOf(entry.byId) });
+                break;
+            case 'PLAYER_JAILED':
+                getRound(entry.round).jail = { jailor: nameOf(entry.actorId), prisoner: nameOf(entry.targetId), executed: false };
+                break;
+            case 'BITE':
+                getRound(entry.round).bite = {
+                    target: nameOf(entry.targetId),
+                    outcome: entry.outcome,
+                    tied: entry.tied,
+                    votes: Object.entries(entry.votes || {}).map(([id, count]) => ({ name: nameOf(id), count }))
+                };
+                break;
+            case 'PLAYER_TURNED':
+                getRound(entry.round).turned.push(nameOf(entry.playerId));
+                if (players[entry.playerId]) {
+                    Object.assign(players[entry.playerId], { role: 'Vampire', alignment: 'evil', turnedRound: entry.round });
+                }
+                break;
+            case 'LYNCH_RESULT':
+                getRound(entry.round).lynch = {
+                    target: entry.targetId ? nameOf(entry.targetId) : null,
+                    votes: Object.entries(entry.votes || {}).map(([id, count]) => ({ name: nameOf(id), count })),
+                    ballots: Object.entries(entry.ballots || {}).map(([voterId, targetId]) => ({ voter: nameOf(voterId), target: nameOf(targetId) }))
+                };
+                break;
+            case 'TRIAL_STARTED':
+                getRound(entry.round).trial = {
+                    target: nameOf(entry.targetId),
+                    ballots: Object.entries(entry.ballots || {}).map(([voterId, targetId]) => ({ voter: nameOf(voterId), target: nameOf(targetId) })),
+                    verdicts: [],
+                    lynched: false
+                };
+                break;
+            case 'TRIAL_RESULT': {
+                const trial = getRound(entry.round).trial;
+                if (!trial) break;
+                Object.assign(trial, {
+                    guilty: entry.guilty,
+                    innocent: entry.innocent,
+                    abstain: entry.abstain,
+                    verdicts: Object.entries(entry.verdicts || {}).map(([voterId, verdict]) => ({ voter: nameOf(voterId), verdict })),
+                    lynched: entry.lynched
+                });
+                break;
+            }
+            case 'PLAYER_DIED': {
+                const round = getRound(entry.round);
+                round.deaths.push({ name: nameOf(entry.playerId), role: entry.role, cause: entry.cause, phase: entry.phase });
+                if (entry.cause === 'execution' && round.jail) round.jail.executed = true;
+                if (players[entry.playerId]) {
+                    Object.assign(players[entry.playerId], { alive: false, diedRound: entry.round, deathCause: entry.cause });
+                }
+                break;
+            }
+            case 'WILL_REVEALED':
+                if (players[entry.playerId]) {
+                    Object.assign(players[entry.playerId], {
+                        will: entry.will || null,
+                        deathNote: entry.deathNote || null
+                    });
+                }
+                break;
+            case 'PLAYER_REVIVED':
+                if (players[entry.playerId]) players[entry.playerId].alive = true;
+                break;
+            default:
+                break;
+        }
+    });
+
+    return {
+        players: order.filter(id => players[id]).map(id => players[id]),
+        rounds: Object.values(rounds).sort((a, b) => a.round - b.round)
+    };
+}
+
+module.exports = { buildRecap };
@@ -0,0 +1,140 @@
+/**
+ * Game Store Module
+ * Persists game snapshots so in-progress games survive a server restart.
+ *
+ * A store implements three methods:
+ * - save(code, snapshot)  store the latest snapshot of a game (may be async)
+ * - remove(code)          forget a game (may be async)
+ * - loadAll()             return every stored snapshot (used on boot, sync)
+ *
+ * The backend is chosen with the GAME_STORE environment variable:
+ * 'json' (default, one file per game in GAME_STORE_DIR), 'memory' or 'none'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./game-logger');
+
+const logger = createLogger('GameStore');
+
+// Bump when the snapshot layout changes; older snapshots are skipped on restore
+const SNAPSHOT_VERSION = 1;
+
+class JsonFileGameStore {
+    constructor(directory = path.join(__dirname, 'data', 'games')) {
+        this.directory = directory;
+        this.writes = new Map(); // code -> promise of the last write, so the writes of a game stay in order
+    }
+
+    getFilePath(code) {
+        return path.join(this.directory, `${code}.json`);
+    }
+
+    // Run a file operation for a game after the ones already queued for it
+    queue(code, operation) {
+        const write = (this.writes.get(code) || Promise.resolve()).then(operation);
+        this.writes.set(code, write);
+        write.then(() => {
+            if (this.writes.get(code) === write) this.writes.delete(code);
+        });
+        return write;
+    }
+
+    /**
+     * Write the snapshot atomically (temp file + rename) so a crash mid-write
+     * never leaves a truncated game file behind
+     * @returns {Promise<void>} Resolves once written (errors are logged, not thrown)
+     */
+    save(code, snapshot) {
+        const json = JSON.stringify(snapshot);
+        return this.queue(code, async () => {
+            try {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                const filePath = this.getFilePath(code);
+                const tempPath = `${filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, json, 'utf8');
+                await fs.promises.rename(tempPath, filePath);
+            } catch (err) {
+                logger.error(`Failed to save game ${code}`, { error: err });
+            }
+        });
+    }
+
+    // Removed after any pending save, so a late write cannot bring the game back
+    remove(code) {
+        return this.queue(code, async () => {
+            try {
+                await fs.promises.rm(this.getFilePath(code), { force: true });
+            } catch (err) {
+                logger.error(`Failed to remove game ${code}`, { error: err });
+            }
+        });
+    }
+
+    loadAll() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        const snapshots = [];
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    snapshots.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+                } catch (err) {
+                    logger.warn(`Skipping unreadable snapshot ${file}`, { error: err });
+                }
+            });
+        return snapshots;
+    }
+}
+
+class MemoryGameStore {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    save(code, snapshot) {
+        this.snapshots.set(code, structuredClone(snapshot));
+    }
+
+    remove(code) {
+        this.snapshots.delete(code);
+    }
+
+    loadAll() {
+        return [...this.snapshots.values()].map(snapshot => structuredClone(snapshot));
+    }
+}
+
+// Store that keeps nothing (persistence disabled)
+class NullGameStore {
+    save() {}
+    remove() {}
+    loadAll() { return []; }
+}
+
+/**
+ * Create the configured game store
+ * @param {string} [type] - 'json' | 'memory' | 'none'
+ * @param {object} [options] - { directory } for the JSON backend
+ */
+function createGameStore(type = process.env.GAME_STORE || 'json', options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryGameStore();
+        case 'none':
+            return new NullGameStore();
+        case 'json':
+            return new JsonFileGameStore(options.directory || process.env.GAME_STORE_DIR || undefined);
+        default:
+            throw new Error(`Unknown game store type: ${type}`);
+    }
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    JsonFileGameStore,
+    MemoryGameStore,
+    NullGameStore,
+    createGameStore
+};
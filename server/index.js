@@ -7,11 +7,26 @@ const https = require('https');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const AIController = require('./ai');
+const { ScriptedAI } = require('./scripted-ai');
 const GoogleTTSController = require('./tts');
 const ElevenLabsTTSController = require('./elevenlabs-tts');
 const GoogleSTTController = require('./stt');
 const DeepgramSTTController = require('./deepgram-stt');
 const GameLogger = require('./game-logger');
+const { createLogger, findEventJournal } = GameLogger;
+const GameLifecycleManager = require('./game-lifecycle');
+const { GameEngine, TIMED_PHASES } = require('./game-engine');
+const { createGameStore, SNAPSHOT_VERSION } = require('./game-store');
+const { getRegistry, canHoldSeance, canLeaveDeathNote } = require('./roles');
+const { getBucketRegistry, ROLE_PRESETS } = require('./role-list');
+const { analyzeBalance } = require('./balance-analyzer');
+const { createLLMProvider, getLLMConfig, getLLMOptions } = require('./llm-providers');
+const { REJECTION } = require('./action-validator');
+const { readJournal, isJournalFinished } = require('./game-journal');
+const { getEndedPhase, getPhaseRecord, applyBeliefUpdate } = require('./npc-beliefs');
+const { getSummarySections } = require('./chat-archive');
+
+const serverLogger = createLogger('Server');
 
 // Initialize TTS controllers (singletons) if credentials are available
 const googleTTSController = new GoogleTTSController();
@@ -44,9 +59,6 @@ function getTTSController(ttsProvider) {
   return googleTTSController.isAvailable() ? googleTTSController : null;
 }
 
-// Load API key from env or use empty string (will fail gracefully if not present)
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
-
 const app = express();
 app.use(cors());
 
@@ -62,11 +74,10 @@ const io = new Server(server, {
     }
 });
 
-// In-memory storage
+// In-memory storage (snapshots are persisted to the game store)
 const games = {};
-
-// Helper: Shuffle
-const shuffle = (array) => array.sort(() => Math.random() - 0.5);
+const gameStore = createGameStore();
+const SAVE_DELAY_MS = 1000; // Coalesces the snapshots of a burst of actions (see Game.persist)
 
 // Random NPC name generator
 const generateNPCName = (existingNames = []) => {
@@ -90,60 +101,337 @@ const generateNPCName = (existingNames = []) => {
   return `NPC_${Date.now()}`;
 };
 
+// Game runtime: wraps the rules engine with sockets, the phase clock and the NPC AI.
+// All rule changes go through dispatch(); the engine's events are translated into emits here.
 class Game {
-  constructor(code, hostPlayerId, settings) {
+  constructor(code, hostPlayerId, settings = {}, engineState = null) {
     this.code = code;
-    this.host = hostPlayerId; // This is the player ID of the host (persistent)
-    this.players = [];
-    this.state = 'LOBBY';
-    this.round = 0;
-    this.settings = settings;
-    this.timer = 0;
+    // Per-game logger: every entry carries the game code, round and phase
+    this.logger = new GameLogger(code, () => ({ round: this.engine.round, phase: this.engine.state }));
+    const engineOptions = { logger: this.logger.child('Game') };
+    this.engine = engineState
+      ? GameEngine.fromState(engineState, engineOptions)
+      : new GameEngine({ ...engineOptions, code, host: hostPlayerId, settings, seed: settings.seed });
+    this.socketIds = {}; // playerId -> socketId (connection state is not part of the engine)
     this.interval = null;
-    this.nightActions = {};
-    this.votes = {};
-    this.winner = null;
-    this.logs = [];
-    // Jailor state
-    this.jailedPlayerId = null;
-    this.jailorId = null;
-    this.jailorPendingDeath = false;
-    this.jailChat = [];
-    // Vampire Framer state
-    this.framedPlayers = {};
-    // Game chat state
-    this.gameChat = [];
+    this.pendingTimeouts = new Set(); // NPC AI timeouts, cancelled on dispose
+    this.pendingSave = null; // Debounced snapshot save (see persist)
+    this.chatSummaryQueue = Promise.resolve(); // Chat summaries run one after another (see updateChatSummaries)
+    this.lastActivityAt = Date.now(); // Used by the lifecycle manager to evict idle games
+    this.disposed = false;
 
     this.npcChatCooldowns = {}; // Tracks last message time per NPC to prevent spam
     this.NPC_CHAT_COOLDOWN_MS = 5000; // 5 second cooldown between NPC messages
 
+    this.ai = null;
+    this.tts = null;
+    this.stt = null;
+    this.refreshControllers(this.settings);
+  }
+
+  /**
+   * Rebuild a game from a stored snapshot (see snapshot())
+   */
+  static fromSnapshot(snapshot) {
+    const { code, host, settings } = snapshot.engine;
+    return new Game(code, host, settings, snapshot.engine);
+  }
+
+  snapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      engine: this.engine.getState()
+    };
+  }
+
+  // Save at most once per SAVE_DELAY_MS: a burst of chat, vote changes or NPC
+  // updates becomes one write of the latest state
+  persist() {
+    if (this.pendingSave) return;
+    this.pendingSave = this.schedule(() => {
+      this.pendingSave = null;
+      gameStore.save(this.code, this.snapshot());
+    }, SAVE_DELAY_MS);
+  }
+
+  // Write the debounced save now instead of waiting (used on shutdown)
+  flushSave() {
+    if (!this.pendingSave) return null;
+    clearTimeout(this.pendingSave);
+    this.pendingTimeouts.delete(this.pendingSave);
+    this.pendingSave = null;
+    return gameStore.save(this.code, this.snapshot());
+  }
+
+  // Resume a restored game: restart the phase clock and NPC AI scheduling
+  resume() {
+    if (!TIMED_PHASES.includes(this.state)) return;
+    this.startClock();
+    this.triggerAIActions();
+
+    // An NPC Jailor who already jailed someone continues the interrogation
+    const jailor = this.getPlayer(this.jailorId);
+    const prisoner = this.getPlayer(this.jailedPlayerId);
+    if (this.state === 'NIGHT' && jailor?.isNPC && prisoner) {
+      this.startNPCJailorInterrogation(jailor, prisoner);
+    }
+  }
+
+  // Read-only views of the engine state (used by the AI, prompts and socket handlers)
+  get host() { return this.engine.host; }
+  get state() { return this.engine.state; }
+  get round() { return this.engine.round; }
+  get settings() { return this.engine.settings; }
+  get timer() { return this.engine.timer; }
+  get players() { return this.engine.players; }
+  get votes() { return this.engine.votes; }
+  get winner() { return this.engine.winner; }
+  get logs() { return this.engine.logs; }
+  get gameChat() { return this.engine.gameChat; }
+  get jailChat() { return this.engine.jailChat; }
+  get jailedPlayerId() { return this.engine.jailedPlayerId; }
+  get jailorId() { return this.engine.jailorId; }
+  get trialPlayerId() { return this.engine.trialPlayerId; }
+  get verdicts() { return this.engine.verdicts; }
+  get conversions() { return this.engine.conversions; }
+  get wills() { return this.engine.wills; }
+  get chatSummaries() { return this.engine.chatSummaries; }
+  get nightActions() { return this.engine.nightActions; }
+
+  // (Re-)initialize the AI, TTS and STT controllers for the given changed settings
+  refreshControllers(changed) {
     // AI Controller
-    if (this.settings.enableAI && GEMINI_API_KEY) {
-      this.ai = new AIController(GEMINI_API_KEY, this.settings.npcNationality || 'english');
-    } else {
-      this.ai = null;
+    const aiKeys = ['enableAI', 'npcNationality', 'llmProvider', 'llmModel', 'llmEndpoint'];
+    if (aiKeys.some(key => changed[key] !== undefined)) {
+      const nationality = this.settings.npcNationality || 'english';
+      const { provider, model, endpoint } = getLLMConfig(this.settings);
+      // The scripted NPCs play without an LLM and stand in whenever it fails
+      const scripted = new ScriptedAI({ seed: `scripted:${this.engine.seed}`, nationality, logger: this.logger.child('AI') });
+      const llm = this.settings.enableAI ? createLLMProvider(this.settings) : null;
+      if (!this.settings.enableAI) {
+        this.ai = null;
+      } else if (llm) {
+        this.ai = new AIController(llm, nationality, this.logger.child('AI'), scripted);
+        this.logger.info(`AI NPCs use ${provider} (${model}${endpoint ? ` at ${endpoint}` : ''})`);
+      } else {
+        if (provider !== 'scripted') this.logger.warn(`AI NPCs are scripted: ${provider} is not configured on this server`);
+        this.ai = scripted;
+      }
     }
 
     // TTS Controller reference (uses global helper to select provider)
-    this.tts = this.settings.enableTTS ? getTTSController(this.settings.ttsProvider) : null;
+    if (changed.enableTTS !== undefined || changed.ttsProvider !== undefined) {
+      this.tts = this.settings.enableTTS ? getTTSController(this.settings.ttsProvider) : null;
+    }
 
     // STT Controller reference (uses global helper to select provider - defaults to Deepgram NOVA-3)
-    this.stt = this.settings.enableSTT ? getSTTController(this.settings.sttProvider) : null;
+    if (changed.enableSTT !== undefined || changed.sttProvider !== undefined) {
+      this.stt = this.settings.enableSTT ? getSTTController(this.settings.sttProvider) : null;
+    }
+  }
+
+  /**
+   * Apply an engine action and translate the resulting events into socket emits
+   * @returns {object[]} The engine events
+   */
+  dispatch(action) {
+    // Late NPC callbacks may still fire after the game was evicted
+    if (this.disposed) return [];
+
+    const events = this.engine.dispatch(action);
+    let stateChanged = false;
+    let phaseStarted = false;
+
+    events.forEach(event => {
+      switch (event.type) {
+        case 'STATE_CHANGED':
+          stateChanged = true;
+          break;
+        case 'PHASE_STARTED':
+          phaseStarted = true;
+          this.startClock();
+          break;
+        case 'TIMER':
+          io.to(this.code).emit('timer_update', event.timer);
+          break;
+        case 'PRIVATE_MESSAGE':
+          this.emitTo(event.playerId, 'private_message', event.message);
+          break;
+        case 'ROLE_INFO':
+          this.emitTo(event.playerId, 'role_info', { role: event.role, alignment: event.alignment });
+          break;
+        case 'CHAT_UPDATE':
+          event.playerIds.forEach(id => this.emitTo(id, 'chat_update', this.gameChat));
+          break;
+        case 'JAIL_CHAT_UPDATE':
+          event.playerIds.forEach(id => this.emitTo(id, 'jail_chat_update', this.jailChat));
+          break;
+        case 'DEAD_CHAT_UPDATE':
+          event.playerIds.forEach(id => this.emitTo(id, 'dead_chat_update', this.engine.getDeadChatView(id)));
+          this.onDeadChatMessage(event.senderId);
+          break;
+        case 'PLAYER_JAILED': {
+          const jailor = this.getPlayer(event.jailorId);
+          if (jailor?.isNPC) {
+            this.startNPCJailorInterrogation(jailor, this.getPlayer(event.prisonerId));
+          }
+          // An NPC vampire who now bites instead of the prisoner picks a target
+          const biter = this.getPlayer(event.biterId);
+          if (biter?.isNPC && this.ai) this.scheduleNPCNightAction(biter, Math.random() * 3000 + 1000);
+          break;
+        }
+        case 'ACTION_REJECTED':
+          this.emitTo(event.playerId, 'action_error', {
+            kind: event.kind,
+            code: event.code,
+            message: event.message,
+            actionType: event.actionType,
+            targetId: event.targetId
+          });
+          break;
+        case 'GAME_OVER':
+          this.stopClock();
+          // How often the LLM's JSON answers needed a repair prompt (see ai-schemas.js)
+          if (Object.keys(this.ai?.outputFailures || {}).length > 0) {
+            this.logger.info('AI output failures', { data: this.ai.outputFailures });
+          }
+          // Save logs when the game ends
+          this.logger.saveLogs(this.players, this.engine.journal);
+          break;
+      }
+    });
+
+    // Snapshot after actions and phase transitions (plain timer ticks are not saved)
+    if (events.some(e => e.type !== 'TIMER')) {
+      this.lastActivityAt = Date.now();
+      this.persist();
+      // The journal goes to disk as it grows, from the start of the game on
+      if (this.state !== 'LOBBY') this.logger.appendEventJournal(this.engine.journal);
+    }
+
+    if (stateChanged) this.broadcastUpdate();
+    if (phaseStarted) {
+      this.updateNPCBeliefs();
+      this.updateChatSummaries();
+      this.triggerAIActions();
+    }
+    return events;
+  }
+
+  // Fold the chat of the phase that just ended into the rolling summaries of the NPC prompts.
+  // Queued, so a slow answer cannot overwrite the summary of a later phase.
+  updateChatSummaries() {
+    const ended = getEndedPhase(this.engine.journal);
+    if (!this.ai?.summarizeChat || !ended || this.state === 'GAME_OVER') return;
+    if (!this.players.some(p => p.isNPC && p.alive)) return;
+
+    getSummarySections(this.engine.chatArchive, ended).forEach(section => {
+      this.chatSummaryQueue = this.chatSummaryQueue.then(async () => {
+        if (this.disposed || this.state === 'GAME_OVER') return;
+        const summary = await this.ai.summarizeChat(this.chatSummaries[section.channel]?.text, section);
+        if (summary) {
+          this.dispatch({ type: 'SET_CHAT_SUMMARY', channel: section.channel, summary, round: section.round, phase: section.phase });
+        }
+      }).catch(err => {
+        // The queue goes on with the next section
+        this.logger.error(`Chat summary of ${section.channel} failed`, { error: err });
+      });
+    });
+  }
+
+  // Each living NPC updates its notes on the other players with what it saw of the phase that just ended
+  updateNPCBeliefs() {
+    const ended = getEndedPhase(this.engine.journal);
+    if (!this.ai || !ended || this.state === 'GAME_OVER') return;
+
+    this.players.filter(p => p.isNPC && p.alive).forEach(npc => {
+      const record = getPhaseRecord(this.engine, npc, ended);
+      if (record.lines.length === 0) return;
+      this.schedule(async () => {
+        if (!npc.alive || this.state === 'GAME_OVER') return;
+        try {
+          const update = await this.ai.generateBeliefUpdate(npc, this, record);
+          this.dispatch({
+            type: 'SET_BELIEFS',
+            playerId: npc.id,
+            beliefs: applyBeliefUpdate(npc.beliefs, update, this.players, ended)
+          });
+        } catch (err) {
+          this.logger.error(`Belief update error for ${npc.name}`, { playerIds: [npc.id], error: err });
+        }
+      }, Math.random() * 2000);
+    });
+  }
+
+  // Drive the engine's phase timer with one TICK per second
+  startClock() {
+    this.stopClock();
+    this.interval = setInterval(() => this.dispatch({ type: 'TICK' }), 1000);
+  }
+
+  stopClock() {
+    if (this.interval) clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  // setTimeout that is cancelled when the game is disposed
+  schedule(callback, delay) {
+    const timeout = setTimeout(() => {
+      this.pendingTimeouts.delete(timeout);
+      callback();
+    }, delay);
+    this.pendingTimeouts.add(timeout);
+    return timeout;
+  }
+
+  // Stop all timers and pending NPC work (used on eviction)
+  dispose() {
+    this.disposed = true;
+    this.stopClock();
+    this.pendingTimeouts.forEach(timeout => clearTimeout(timeout));
+    this.pendingTimeouts.clear();
+  }
+
+  getPlayer(playerId) {
+    return this.engine.getPlayer(playerId);
+  }
+
+  getPlayerBySocket(socketId) {
+    return this.players.find(p => this.socketIds[p.id] === socketId) || null;
+  }
+
+  // Attach (or re-attach after a reconnect) a socket to a player
+  connect(playerId, socketId) {
+    this.socketIds[playerId] = socketId;
+    this.lastActivityAt = Date.now();
+  }
+
+  socketOf(playerId) {
+    return this.socketIds[playerId] || null;
+  }
+
+  emitTo(playerId, eventName, payload) {
+    const socketId = this.socketOf(playerId);
+    if (socketId) io.to(socketId).emit(eventName, payload);
+  }
 
-    // Game Logger - captures console output and NPC context
-    this.logger = new GameLogger(code);
-    this.logger.startCapture();
+  broadcastUpdate() {
+    // Send personalized state to each player
+    this.players.forEach(player => {
+      this.emitTo(player.id, 'game_update', this.engine.getPlayerView(player.id));
+    });
   }
 
   // Trigger AI Actions
   async triggerAIActions() {
     if (!this.ai) {
-      console.log("[Game] AI not enabled or not initialized.");
+      this.logger.info("AI not enabled or not initialized.");
       return;
     }
 
     const npcPlayers = this.players.filter(p => p.isNPC && p.alive);
-    console.log(`[Game] Triggering AI Actions for ${npcPlayers.length} NPCs in phase ${this.state}`);
+    this.logger.info(`Triggering AI Actions for ${npcPlayers.length} NPCs in phase ${this.state}`);
 
     if (npcPlayers.length === 0) return;
 
@@ -151,99 +439,46 @@ class Game {
     if (this.state === 'NIGHT') {
       for (const npc of npcPlayers) {
         // Random delay to simulate thinking
-        setTimeout(async () => {
-          if (!npc.alive) return;
-          const decision = await this.ai.generateNightAction(npc, this);
-          if (decision.action !== 'NONE') {
-            // Find target ID by name
-            const target = this.players.find(p => p.name === decision.targetName);
-            const targetId = target ? target.id : null;
-
-            // Additional logic for specific actions like EXECUTE taking no targetId or null
-            const actionPayload = {
-              targetId: targetId,
-              type: decision.action
-            };
-
-            // Mock socket for internal action handling
-            const mockSocket = {
-              id: null,
-              emit: () => { }
-            };
-
-            // We need to simulate the action. Since 'night_action' handler expects a socket and looks up player by socketId,
-            // we might need a direct method on Game to handle actions or refactor 'night_action' to take playerId.
-            // Refactoring is cleaner. For now, let's just write directly to this.nightActions if valid.
-
-            if (decision.action === 'BITE' && targetId) {
-              // Check valid target
-              if (target.role !== 'Vampire' && target.role !== 'Vampire Framer') {
-                this.nightActions[npc.id] = actionPayload;
-                // Record action in NPC's history for context
-                if (!npc.actionHistory) npc.actionHistory = [];
-                npc.actionHistory.push({ round: this.round, action: 'BITE', targetName: target.name });
-              }
-            } else if (decision.action === 'JAIL' && targetId && npc.role === 'Jailor') {
-              // NPC Jailor jailing someone - set up jail state
-              const jailTarget = this.players.find(p => p.id === targetId);
-              if (jailTarget && jailTarget.alive && jailTarget.id !== npc.id) {
-                this.jailedPlayerId = targetId;
-                this.jailorId = npc.id;
-                this.jailChat = [];
-                console.log(`[Game] NPC Jailor ${npc.name} jailed ${jailTarget.name}`);
-
-                // Record action in NPC's history for context
-                if (!npc.actionHistory) npc.actionHistory = [];
-                npc.actionHistory.push({ round: this.round, action: 'JAIL', targetName: jailTarget.name });
-
-                // Record being jailed in the prisoner's receivedEvents (if they are an NPC)
-                if (jailTarget.isNPC) {
-                  if (!jailTarget.receivedEvents) jailTarget.receivedEvents = [];
-                  jailTarget.receivedEvents.push({ round: this.round, event: 'WAS_JAILED', byName: npc.name });
-                }
-
-                // Notify both parties
-                if (jailTarget.socketId) {
-                  io.to(jailTarget.socketId).emit('private_message', '🔒 You have been jailed! The Jailor wishes to speak with you.');
-                }
-
-                this.broadcastUpdate();
+        this.scheduleNPCNightAction(npc, Math.random() * 5000 + 2000); // 2-7 seconds delay
+      }
 
-                // Start interrogation after a short delay
-                this.startNPCJailorInterrogation(npc, jailTarget);
-              }
-            } else if (targetId || decision.action === 'EXECUTE') {
-              this.nightActions[npc.id] = actionPayload;
-              // Record action in NPC's history for context
-              if (!npc.actionHistory) npc.actionHistory = [];
-              npc.actionHistory.push({ round: this.round, action: decision.action, targetName: target?.name || 'unknown' });
+      // NPC Mediums hold a séance if anyone has died
+      const hasDead = this.players.some(p => !p.alive);
+      npcPlayers.filter(npc => canHoldSeance(npc.role) && hasDead).forEach(medium => {
+        this.schedule(async () => {
+          if (this.state !== 'NIGHT' || !medium.alive) return;
+          try {
+            const message = await this.ai.generateDeadChat(medium, this, this.engine.getDeadChatView(medium.id));
+            if (message && this.state === 'NIGHT') {
+              this.dispatch({ type: 'DEAD_CHAT', playerId: medium.id, message });
             }
+          } catch (err) {
+            this.logger.error(`Séance error for ${medium.name}`, { playerIds: [medium.id], error: err });
           }
-        }, Math.random() * 5000 + 2000); // 2-7 seconds delay
-      }
+        }, Math.random() * 4000 + 3000);
+      });
     }
 
     // Day Voting - Optimized for speed: all NPC votes run in parallel
     if (this.state === 'DAY_VOTE') {
       const handleVote = (npc, voteName) => {
         if (voteName) {
-          let target = this.players.find(p => p.name === voteName);
-          if (!target) {
-            target = this.players.find(p => p.name.includes(voteName) || voteName.includes(p.name));
-          }
-          if (target && target.alive) {
-            if (this.votes[npc.id] !== target.id) {
-              this.votes[npc.id] = target.id;
-              console.log(`[Game] NPC ${npc.name} voted for ${target.name}`);
-              this.broadcastUpdate();
+          // Names are checked against the living players by the AI (see ai-schemas.js)
+          const target = this.players.find(p => p.name === voteName);
+          if (target && this.votes[npc.id] !== target.id) {
+            const events = this.dispatch({ type: 'DAY_VOTE', playerId: npc.id, targetId: target.id });
+            const rejection = events.find(e => e.type === 'ACTION_REJECTED');
+            if (rejection) {
+              this.logger.warn(`NPC ${npc.name} vote for ${target.name} rejected: ${rejection.code}`, { playerIds: [npc.id, target.id] });
+            } else {
+              this.logger.info(`NPC ${npc.name} voted for ${target.name}`, { playerIds: [npc.id, target.id] });
             }
           }
         } else {
           // Null means unvote or abstain
           if (this.votes[npc.id]) {
-            delete this.votes[npc.id];
-            console.log(`[Game] NPC ${npc.name} unvoted/abstained.`);
-            this.broadcastUpdate();
+            this.dispatch({ type: 'DAY_VOTE', playerId: npc.id, targetId: null });
+            this.logger.info(`NPC ${npc.name} unvoted/abstained.`, { playerIds: [npc.id] });
           }
         }
       };
@@ -254,16 +489,18 @@ class Game {
         const initialDelay = 500 + (index * 200) + Math.random() * 1000;
 
         return new Promise(resolve => {
-          setTimeout(async () => {
+          this.schedule(async () => {
             if (!npc.alive || this.state !== 'DAY_VOTE') {
               resolve();
               return;
             }
             try {
               const res = await this.ai.generateDayVote(npc, this);
+              // An unrevealed Mayor may reveal to make their vote count
+              if (res.reveal) this.dispatch({ type: 'REVEAL', playerId: npc.id });
               handleVote(npc, res.vote);
             } catch (err) {
-              console.error(`[Game] Vote error for ${npc.name}:`, err);
+              this.logger.error(`Vote error for ${npc.name}`, { playerIds: [npc.id], error: err });
             }
             resolve();
           }, initialDelay);
@@ -279,7 +516,7 @@ class Game {
         npcPlayers.forEach((npc, index) => {
           const reEvalDelay = 1000 + (index * 300) + Math.random() * 1500;
 
-          setTimeout(async () => {
+          this.schedule(async () => {
             if (!npc.alive || this.state !== 'DAY_VOTE') return;
             try {
               const currentTargetId = this.votes[npc.id];
@@ -287,13 +524,54 @@ class Game {
               const res = await this.ai.generateUpdatedVote(npc, this, currentTarget?.name || null);
               handleVote(npc, res.vote);
             } catch (err) {
-              console.error(`[Game] Re-vote error for ${npc.name}:`, err);
+              this.logger.error(`Re-vote error for ${npc.name}`, { playerIds: [npc.id], error: err });
             }
           }, reEvalDelay);
         });
       });
     }
 
+    // Trial defense - an accused NPC pleads their case
+    if (this.state === 'DEFENSE') {
+      const accused = npcPlayers.find(npc => npc.id === this.trialPlayerId);
+      if (accused) {
+        this.schedule(async () => {
+          if (this.state !== 'DEFENSE' || !accused.alive) return;
+          try {
+            const message = await this.ai.generateDefense(accused, this);
+            if (message && this.state === 'DEFENSE') {
+              const events = this.dispatch({ type: 'CHAT_MESSAGE', playerId: accused.id, message });
+              if (events.some(e => e.type === 'CHAT_UPDATE')) this.speakNPCMessage(accused, message);
+            }
+          } catch (err) {
+            this.logger.error(`Defense error for ${accused.name}`, { playerIds: [accused.id], error: err });
+          }
+        }, Math.random() * 2000 + 1000);
+      }
+    }
+
+    // Trial judgement - every other NPC votes guilty, innocent or abstain
+    if (this.state === 'JUDGEMENT') {
+      npcPlayers.filter(npc => npc.id !== this.trialPlayerId).forEach((npc, index) => {
+        this.schedule(async () => {
+          if (!npc.alive || this.state !== 'JUDGEMENT') return;
+          try {
+            const { verdict } = await this.ai.generateJudgement(npc, this);
+            if (this.state !== 'JUDGEMENT') return;
+            const events = this.dispatch({ type: 'JUDGEMENT_VOTE', playerId: npc.id, verdict });
+            const rejection = events.find(e => e.type === 'ACTION_REJECTED');
+            if (rejection) {
+              this.logger.warn(`NPC ${npc.name} verdict ${verdict} rejected: ${rejection.code}`, { playerIds: [npc.id] });
+            } else {
+              this.logger.info(`NPC ${npc.name} voted ${verdict}`, { playerIds: [npc.id, this.trialPlayerId] });
+            }
+          } catch (err) {
+            this.logger.error(`Judgement error for ${npc.name}`, { playerIds: [npc.id], error: err });
+          }
+        }, 1000 + (index * 300) + Math.random() * 1500);
+      });
+    }
+
     // Day Discussion (Chat) - NPCs respond to new messages and share info proactively
     if (this.state === 'DAY_DISCUSS') {
       // Initialize the set to track which NPCs have responded since the last non-NPC message
@@ -303,7 +581,7 @@ class Game {
       // Send an initial message from one random NPC to start the conversation
       if (npcPlayers.length > 0) {
         const randomNpc = npcPlayers[Math.floor(Math.random() * npcPlayers.length)];
-        setTimeout(async () => {
+        this.schedule(async () => {
           if (this.state !== 'DAY_DISCUSS' || !randomNpc.alive) return;
           await this.triggerNPCChatResponse(randomNpc, false, true); // proactive initial message
         }, Math.random() * 3000 + 2000);
@@ -320,7 +598,7 @@ class Game {
         const jitter = Math.random() * 5000; // Add some randomness
         const delay = baseDelay + jitter;
 
-        setTimeout(async () => {
+        this.schedule(async () => {
           if (this.state !== 'DAY_DISCUSS' || !npc.alive) return;
           // Only trigger if they haven't shared info yet
           if (!this.npcHasSharedInfo.has(npc.id)) {
@@ -329,9 +607,53 @@ class Game {
           }
         }, delay);
       });
+
+      // Each NPC rewrites its last will with last night's results
+      npcPlayers.forEach(npc => {
+        this.schedule(async () => {
+          if (!npc.alive || this.state === 'GAME_OVER') return;
+          try {
+            const res = await this.ai.generateWill(npc, this);
+            if (!res || !npc.alive) return;
+            if (res.will !== npc.will) this.dispatch({ type: 'SET_WILL', playerId: npc.id, will: res.will });
+            if (res.deathNote !== null && res.deathNote !== npc.deathNote && canLeaveDeathNote(npc.role)) {
+              this.dispatch({ type: 'SET_DEATH_NOTE', playerId: npc.id, note: res.deathNote });
+            }
+          } catch (err) {
+            this.logger.error(`Will error for ${npc.name}`, { playerIds: [npc.id], error: err });
+          }
+        }, Math.random() * 10000 + 3000);
+      });
     }
   }
 
+  // An NPC picks and submits its night action (validated like a player's)
+  scheduleNPCNightAction(npc, delay) {
+    this.schedule(async () => {
+      if (this.state !== 'NIGHT' || !npc.alive) return;
+      try {
+        const decision = await this.ai.generateNightAction(npc, this);
+        if (decision.action && decision.action !== 'NONE') {
+          // Find target ID by name
+          const target = this.players.find(p => p.name === decision.targetName);
+
+          // NPC actions go through the same validation as player actions
+          const events = this.dispatch({
+            type: 'NIGHT_ACTION',
+            playerId: npc.id,
+            action: { type: decision.action, targetId: target ? target.id : null }
+          });
+          const rejection = events.find(e => e.type === 'ACTION_REJECTED');
+          if (rejection) {
+            this.logger.warn(`NPC ${npc.name} action ${decision.action} rejected: ${rejection.code}`, { playerIds: [npc.id] });
+          }
+        }
+      } catch (err) {
+        this.logger.error(`Night action error for ${npc.name}`, { playerIds: [npc.id], error: err });
+      }
+    }, delay);
+  }
+
   // Helper method to trigger a single NPC chat response
   async triggerNPCChatResponse(npc, isAddressed = false, isProactive = false) {
     if (!this.ai || this.state !== 'DAY_DISCUSS' || !npc.alive) return;
@@ -340,7 +662,7 @@ class Game {
     const now = Date.now();
     const lastMessageTime = this.npcChatCooldowns[npc.id] || 0;
     if (!isAddressed && (now - lastMessageTime < this.NPC_CHAT_COOLDOWN_MS)) {
-      console.log(`[Game] NPC ${npc.name} is on cooldown, skipping chat response`);
+      this.logger.debug(`NPC ${npc.name} is on cooldown, skipping chat response`, { playerIds: [npc.id] });
       return;
     }
 
@@ -348,57 +670,54 @@ class Game {
       const message = await this.ai.generateChat(npc, this, isAddressed, isProactive);
 
       if (message && message !== 'SILENCE' && this.state === 'DAY_DISCUSS') {
+        const events = this.dispatch({ type: 'CHAT_MESSAGE', playerId: npc.id, message });
+        if (!events.some(e => e.type === 'CHAT_UPDATE')) return;
+
         // Update cooldown timestamp
         this.npcChatCooldowns[npc.id] = Date.now();
 
-        const chatMsg = {
-          senderId: npc.id,
-          senderName: npc.name,
-          message: message,
-          isVampireChat: false,
-          timestamp: Date.now()
-        };
-        this.gameChat.push(chatMsg);
-        io.to(this.code).emit('chat_update', this.gameChat);
-
         // Mark that this NPC has responded since the last non-NPC message
         if (this.npcRespondedSinceLastMessage) {
           this.npcRespondedSinceLastMessage.add(npc.id);
         }
 
-        // Generate TTS audio and send to host only
-        const ttsCtrl = getTTSController(this.settings.ttsProvider);
-        if (this.settings.enableTTS && ttsCtrl) {
-          const provider = this.settings.ttsProvider || 'google';
-          console.log(`[Game] TTS enabled (${provider}), synthesizing for ${npc.name}...`);
-          // Build options for ElevenLabs (voiceId from NPC, modelId from settings, gender for voice matching)
-          const ttsOptions = {
-            voiceId: npc.elevenlabsVoiceId || null,
-            modelId: this.settings.elevenlabsModel || null,
-            gender: npc.gender || null
-          };
-          ttsCtrl.synthesizeSpeech(message, npc.id, this.settings.npcNationality || 'english', ttsOptions)
-            .then(audioBase64 => {
-              if (audioBase64) {
-                const hostPlayer = this.players.find(p => p.id === this.host);
-                if (hostPlayer && hostPlayer.socketId) {
-                  io.to(hostPlayer.socketId).emit('tts_audio', {
-                    audio: audioBase64,
-                    senderName: npc.name,
-                    senderId: npc.id
-                  });
-                  console.log(`[Game] Sent TTS audio to host for ${npc.name}`);
-                }
-              }
-            })
-            .catch(err => console.error('[Game] TTS synthesis error:', err));
-        } else if (this.settings.enableTTS) {
-          const provider = this.settings.ttsProvider || 'google';
-          console.log(`[Game] TTS requested but ${provider} provider not available`);
-        }
+        this.speakNPCMessage(npc, message);
       }
     } catch (err) {
-      console.error(`[Game] Error in AI chat for ${npc.name}:`, err);
+      this.logger.error(`Error in AI chat for ${npc.name}`, { playerIds: [npc.id], error: err });
+    }
+  }
+
+  // Generate TTS audio for an NPC chat message and send it to the host only
+  speakNPCMessage(npc, message) {
+    const ttsCtrl = getTTSController(this.settings.ttsProvider);
+    if (this.settings.enableTTS && ttsCtrl) {
+      const provider = this.settings.ttsProvider || 'google';
+      this.logger.info(`TTS enabled (${provider}), synthesizing for ${npc.name}...`, { playerIds: [npc.id] });
+      // Build options for ElevenLabs (voiceId from NPC, modelId from settings, gender for voice matching)
+      const ttsOptions = {
+        voiceId: npc.elevenlabsVoiceId || null,
+        modelId: this.settings.elevenlabsModel || null,
+        gender: npc.gender || null,
+        logger: this.logger.child('TTS', { playerIds: [npc.id] })
+      };
+      ttsCtrl.synthesizeSpeech(message, npc.id, this.settings.npcNationality || 'english', ttsOptions)
+        .then(audioBase64 => {
+          if (audioBase64) {
+            if (this.socketOf(this.host)) {
+              this.emitTo(this.host, 'tts_audio', {
+                audio: audioBase64,
+                senderName: npc.name,
+                senderId: npc.id
+              });
+              this.logger.info(`Sent TTS audio to host for ${npc.name}`, { playerIds: [npc.id] });
+            }
+          }
+        })
+        .catch(err => this.logger.error('TTS synthesis error', { playerIds: [npc.id], error: err }));
+    } else if (this.settings.enableTTS) {
+      const provider = this.settings.ttsProvider || 'google';
+      this.logger.warn(`TTS requested but ${provider} provider not available`);
     }
   }
 
@@ -434,7 +753,7 @@ class Game {
     // 1. Addressed NPCs respond almost immediately
     mentionedNpcs.forEach((npc, index) => {
       const delay = (index + 1) * (Math.random() * 1000 + 500);
-      setTimeout(async () => {
+      this.schedule(async () => {
         if (this.state !== 'DAY_DISCUSS' || !npc.alive) return;
         await this.triggerNPCChatResponse(npc, true); // true = addressed
       }, delay);
@@ -447,7 +766,7 @@ class Game {
 
     shuffledOthers.forEach((npc, index) => {
       const delay = (mentionedNpcs.length * 1000) + (index + 1) * (Math.random() * 2000 + 1500);
-      setTimeout(async () => {
+      this.schedule(async () => {
         if (this.state !== 'DAY_DISCUSS' || !npc.alive) return;
         // Don't respond if handled above (though arrays are disjoint here)
         await this.triggerNPCChatResponse(npc, false);
@@ -455,33 +774,47 @@ class Game {
     });
   }
 
+  // Dead NPCs answer graveyard messages from humans and from the Medium
+  onDeadChatMessage(senderId) {
+    if (!this.ai) return;
+    const sender = this.getPlayer(senderId);
+    // Dead NPCs don't answer each other, so the graveyard can't loop on its own
+    if (!sender || (sender.isNPC && !sender.alive)) return;
+
+    const deadNpcs = this.players.filter(p => p.isNPC && !p.alive && p.id !== senderId);
+    // A couple of the dead respond (the Medium's questions always get answers)
+    const responders = deadNpcs.sort(() => Math.random() - 0.5).slice(0, sender.alive ? 2 : 1);
+    responders.forEach((npc, index) => {
+      this.schedule(() => this.triggerDeadNPCChat(npc), (index + 1) * (Math.random() * 2000 + 1500));
+    });
+  }
+
+  async triggerDeadNPCChat(npc) {
+    if (!this.ai || npc.alive || this.state === 'LOBBY' || this.state === 'GAME_OVER') return;
+    try {
+      const message = await this.ai.generateDeadChat(npc, this, this.engine.getDeadChatView(npc.id));
+      if (message && !npc.alive && this.state !== 'GAME_OVER') {
+        this.dispatch({ type: 'DEAD_CHAT', playerId: npc.id, message });
+      }
+    } catch (err) {
+      this.logger.error(`Error in graveyard chat for ${npc.name}`, { playerIds: [npc.id], error: err });
+    }
+  }
+
   // Handle NPC Jailor interrogation
   async startNPCJailorInterrogation(jailor, prisoner) {
     if (!this.ai || this.state !== 'NIGHT') return;
 
-    console.log(`[Game] Starting NPC Jailor interrogation: ${jailor.name} -> ${prisoner.name}`);
+    this.logger.info(`Starting NPC Jailor interrogation: ${jailor.name} -> ${prisoner.name}`, { playerIds: [jailor.id, prisoner.id] });
 
     // Send first interrogation message after a delay
-    setTimeout(async () => {
+    this.schedule(async () => {
       if (this.state !== 'NIGHT' || !this.jailedPlayerId) return;
 
       try {
         const message = await this.ai.generateJailorMessage(jailor, this, this.jailChat, prisoner.name);
         if (message && this.state === 'NIGHT' && this.jailedPlayerId) {
-          const chatMsg = {
-            sender: 'Jailor',
-            message: message.substring(0, 200),
-            timestamp: Date.now()
-          };
-          this.jailChat.push(chatMsg);
-
-          // Send to both parties
-          if (jailor.socketId) {
-            io.to(jailor.socketId).emit('jail_chat_update', this.jailChat);
-          }
-          if (prisoner.socketId) {
-            io.to(prisoner.socketId).emit('jail_chat_update', this.jailChat);
-          }
+          this.dispatch({ type: 'JAIL_CHAT', playerId: jailor.id, message });
 
           // If prisoner is also an NPC, they should respond
           if (prisoner.isNPC && prisoner.alive) {
@@ -489,7 +822,7 @@ class Game {
           }
         }
       } catch (err) {
-        console.error('[Game] NPC Jailor interrogation error:', err);
+        this.logger.error('NPC Jailor interrogation error', { playerIds: [jailor.id, prisoner.id], error: err });
       }
     }, Math.random() * 2000 + 2000); // 2-4 seconds for first message
 
@@ -497,54 +830,33 @@ class Game {
     const nightTime = this.settings.nightTime || 25;
     const decisionDelay = Math.max((nightTime - 5) * 1000, 10000); // 5 seconds before night ends, minimum 10 seconds
 
-    setTimeout(async () => {
+    this.schedule(async () => {
       if (this.state !== 'NIGHT' || !this.jailedPlayerId || this.jailorId !== jailor.id) return;
 
       try {
         const decision = await this.ai.generateExecuteDecision(jailor, this, this.jailChat, prisoner.name);
-        console.log(`[Game] NPC Jailor ${jailor.name} decision:`, decision);
+        this.logger.info(`NPC Jailor ${jailor.name} decision`, { playerIds: [jailor.id, prisoner.id], data: decision });
 
         if (decision.execute) {
-          // Submit execute action
-          this.nightActions[jailor.id] = { type: 'EXECUTE', actorId: jailor.id, targetId: this.jailedPlayerId };
-
-          // Notify prisoner
-          if (prisoner.socketId) {
-            io.to(prisoner.socketId).emit('private_message', '☠️ The Jailor has decided to execute you!');
-          }
+          // Submit execute action (also notifies the prisoner)
+          this.dispatch({ type: 'NIGHT_ACTION', playerId: jailor.id, action: { type: 'EXECUTE', targetId: null } });
 
           // Send final message
-          const finalMsg = {
-            sender: 'Jailor',
-            message: `Your time has come. ${decision.reason || 'Justice will be served.'}`,
-            timestamp: Date.now()
-          };
-          this.jailChat.push(finalMsg);
-
-          if (jailor.socketId) {
-            io.to(jailor.socketId).emit('jail_chat_update', this.jailChat);
-          }
-          if (prisoner.socketId) {
-            io.to(prisoner.socketId).emit('jail_chat_update', this.jailChat);
-          }
+          this.dispatch({
+            type: 'JAIL_CHAT',
+            playerId: jailor.id,
+            message: `Your time has come. ${decision.reason || 'Justice will be served.'}`
+          });
         } else {
           // Spare the prisoner
-          const spareMsg = {
-            sender: 'Jailor',
-            message: `I'll let you go... for now. ${decision.reason || 'Stay out of trouble.'}`,
-            timestamp: Date.now()
-          };
-          this.jailChat.push(spareMsg);
-
-          if (jailor.socketId) {
-            io.to(jailor.socketId).emit('jail_chat_update', this.jailChat);
-          }
-          if (prisoner.socketId) {
-            io.to(prisoner.socketId).emit('jail_chat_update', this.jailChat);
-          }
+          this.dispatch({
+            type: 'JAIL_CHAT',
+            playerId: jailor.id,
+            message: `I'll let you go... for now. ${decision.reason || 'Stay out of trouble.'}`
+          });
         }
       } catch (err) {
-        console.error('[Game] NPC Jailor execution decision error:', err);
+        this.logger.error('NPC Jailor execution decision error', { playerIds: [jailor.id, prisoner.id], error: err });
       }
     }, decisionDelay);
   }
@@ -553,79 +865,41 @@ class Game {
   async triggerNPCPrisonerResponse(jailor, prisoner) {
     if (!this.ai || this.state !== 'NIGHT' || !this.jailedPlayerId) return;
 
-    setTimeout(async () => {
+    this.schedule(async () => {
       if (this.state !== 'NIGHT' || !this.jailedPlayerId) return;
 
       try {
         const message = await this.ai.generateJailResponse(prisoner, this, this.jailChat, jailor.name);
         if (message && this.state === 'NIGHT' && this.jailedPlayerId) {
-          const chatMsg = {
-            sender: 'Prisoner',
-            message: message.substring(0, 200),
-            timestamp: Date.now()
-          };
-          this.jailChat.push(chatMsg);
-
-          if (jailor.socketId) {
-            io.to(jailor.socketId).emit('jail_chat_update', this.jailChat);
-          }
-          if (prisoner.socketId) {
-            io.to(prisoner.socketId).emit('jail_chat_update', this.jailChat);
-          }
+          this.dispatch({ type: 'JAIL_CHAT', playerId: prisoner.id, message });
 
           // Jailor NPC responds back (continue conversation)
           if (jailor.isNPC && jailor.alive && this.jailChat.length < 8) {
-            setTimeout(async () => {
+            this.schedule(async () => {
               if (this.state !== 'NIGHT' || !this.jailedPlayerId) return;
 
-              const jailorReply = await this.ai.generateJailorMessage(jailor, this, this.jailChat, prisoner.name);
-              if (jailorReply && this.state === 'NIGHT' && this.jailedPlayerId) {
-                const replyMsg = {
-                  sender: 'Jailor',
-                  message: jailorReply.substring(0, 200),
-                  timestamp: Date.now()
-                };
-                this.jailChat.push(replyMsg);
-
-                if (jailor.socketId) {
-                  io.to(jailor.socketId).emit('jail_chat_update', this.jailChat);
-                }
-                if (prisoner.socketId) {
-                  io.to(prisoner.socketId).emit('jail_chat_update', this.jailChat);
-                }
+              try {
+                const jailorReply = await this.ai.generateJailorMessage(jailor, this, this.jailChat, prisoner.name);
+                if (jailorReply && this.state === 'NIGHT' && this.jailedPlayerId) {
+                  this.dispatch({ type: 'JAIL_CHAT', playerId: jailor.id, message: jailorReply });
 
-                // Continue if prisoner is NPC
-                if (prisoner.isNPC && prisoner.alive && this.jailChat.length < 8) {
-                  this.triggerNPCPrisonerResponse(jailor, prisoner);
+                  // Continue if prisoner is NPC
+                  if (prisoner.isNPC && prisoner.alive && this.jailChat.length < 8) {
+                    this.triggerNPCPrisonerResponse(jailor, prisoner);
+                  }
                 }
+              } catch (err) {
+                this.logger.error('NPC Jailor reply error', { playerIds: [jailor.id, prisoner.id], error: err });
               }
             }, Math.random() * 2000 + 1500);
           }
         }
       } catch (err) {
-        console.error('[Game] NPC Prisoner response error:', err);
+        this.logger.error('NPC Prisoner response error', { playerIds: [jailor.id, prisoner.id], error: err });
       }
     }, Math.random() * 2000 + 1000);
   }
 
-  addPlayer(id, name, socketId) {
-    const existing = this.players.find(p => p.id === id);
-    if (existing) {
-      // Update socket if player reconnects
-      existing.socketId = socketId;
-      existing.connected = true;
-      return existing;
-    }
-    const newPlayer = {
-      id, name, socketId,
-      role: null, alignment: null,
-      alive: true, isTurned: false, connected: true,
-      isNPC: false
-    };
-    this.players.push(newPlayer);
-    return newPlayer;
-  }
-
   async addNPC() {
     const id = 'npc_' + Math.random().toString(36).substr(2, 9);
     const existingNames = this.players.map(p => p.name);
@@ -652,730 +926,32 @@ class Game {
             background = profile.background || null;
             break; // Successfully got a unique name
           } else {
-            console.log(`[AI] Generated duplicate name "${profile.name}", retrying... (attempt ${attempt + 1})`);
-          }
-        }
-      }
-    }
-
-    const npcPlayer = {
-      id, name, socketId: null,
-      role: null, alignment: null,
-      alive: true, isTurned: false, connected: true,
-      isNPC: true,
-      personality,
-      talkingStyle,
-      gender,
-      background,
-      actionHistory: [], // Track NPC's performed actions for context in AI decisions
-      receivedEvents: [] // Track events that happened TO the NPC (jailed, turned, healed, etc.)
-    };
-    this.players.push(npcPlayer);
-    return npcPlayer;
-  }
-
-  removePlayer(playerId) {
-    this.players = this.players.filter(p => p.id !== playerId);
-  }
-
-  assignRoles() {
-    const total = this.players.length;
-    let pool = [];
-
-    // Role alignment mapping
-    const roleAlignments = {
-      'Investigator': 'good',
-      'Lookout': 'good',
-      'Doctor': 'good',
-      'Citizen': 'good',
-      'Jailor': 'good',
-      'Vampire': 'evil',
-      'Vampire Framer': 'evil',
-      'Jester': 'neutral'
-    };
-
-    // Check if custom role configuration is provided
-    if (this.settings.roleConfig && !this.settings.roleConfig.useDefault) {
-      const config = this.settings.roleConfig;
-
-      // Add roles based on custom configuration
-      for (let i = 0; i < (config.Investigator || 0); i++) {
-        pool.push({ role: 'Investigator', align: roleAlignments['Investigator'] });
-      }
-      for (let i = 0; i < (config.Lookout || 0); i++) {
-        pool.push({ role: 'Lookout', align: roleAlignments['Lookout'] });
-      }
-      for (let i = 0; i < (config.Doctor || 0); i++) {
-        pool.push({ role: 'Doctor', align: roleAlignments['Doctor'] });
-      }
-      for (let i = 0; i < (config.Jailor || 0); i++) {
-        pool.push({ role: 'Jailor', align: roleAlignments['Jailor'] });
-      }
-      for (let i = 0; i < (config.Vampire || 0); i++) {
-        pool.push({ role: 'Vampire', align: roleAlignments['Vampire'] });
-      }
-      for (let i = 0; i < (config['Vampire Framer'] || 0); i++) {
-        pool.push({ role: 'Vampire Framer', align: roleAlignments['Vampire Framer'] });
-      }
-      for (let i = 0; i < (config.Jester || 0); i++) {
-        pool.push({ role: 'Jester', align: roleAlignments['Jester'] });
-      }
-
-      // Fill remaining slots with Citizens
-      while (pool.length < total) {
-        pool.push({ role: 'Citizen', align: roleAlignments['Citizen'] });
-      }
-
-      // If we have more roles than players, smart exclusion to ensure game balance
-      if (pool.length > total) {
-        const excessCount = pool.length - total;
-
-        // Separate roles by alignment
-        const evilRoles = pool.filter(r => r.align === 'evil');
-        const goodRoles = pool.filter(r => r.align === 'good');
-        const neutralRoles = pool.filter(r => r.align === 'neutral');
-
-        // Calculate requirements:
-        // 1. At least 1 vampire (evil) must remain
-        // 2. Good players must be majority (more than half)
-        const minEvil = 1;
-        const minGood = Math.floor(total / 2) + 1; // Majority requirement
-
-        let rolesToExclude = [];
-
-        // First, calculate how many of each type we can afford to remove
-        let maxEvilToRemove = Math.max(0, evilRoles.length - minEvil);
-        let maxGoodToRemove = Math.max(0, goodRoles.length - minGood);
-        let maxNeutralToRemove = neutralRoles.length; // Can remove all neutral if needed
-
-        // Prioritize removing excess roles while maintaining balance
-        // Strategy: Try to maintain good majority, so prefer removing evil/neutral over good
-        let remaining = excessCount;
-
-        // 1. Remove excess evil roles (beyond the minimum 1)
-        const evilToRemove = Math.min(remaining, maxEvilToRemove);
-        rolesToExclude.push(...shuffle(evilRoles).slice(0, evilToRemove));
-        remaining -= evilToRemove;
-
-        // 2. Remove neutral roles
-        if (remaining > 0) {
-          const neutralToRemove = Math.min(remaining, maxNeutralToRemove);
-          rolesToExclude.push(...shuffle(neutralRoles).slice(0, neutralToRemove));
-          remaining -= neutralToRemove;
-        }
-
-        // 3. Remove excess good roles if still needed (maintaining majority)
-        if (remaining > 0) {
-          const goodToRemove = Math.min(remaining, maxGoodToRemove);
-          rolesToExclude.push(...shuffle(goodRoles).slice(0, goodToRemove));
-          remaining -= goodToRemove;
-        }
-
-        // 4. If we still have excess, we have to remove more (game might be unbalanced)
-        // This happens when user configured an impossible setup
-        if (remaining > 0) {
-          const remainingPool = pool.filter(r => !rolesToExclude.includes(r));
-          const additionalToRemove = shuffle(remainingPool).slice(0, remaining);
-          rolesToExclude.push(...additionalToRemove);
-        }
-
-        // Remove the excluded roles from pool
-        pool = pool.filter(r => !rolesToExclude.includes(r));
-
-        console.log(`[Game] Smart role exclusion: removed ${excessCount} roles while maintaining game balance`);
-      }
-    } else {
-      // Default calculation based on percentages
-      const investCount = Math.max(1, Math.floor(total * 0.1));
-      const lookoutCount = Math.max(1, Math.floor(total * 0.1));
-      const doctorCount = Math.max(1, Math.floor(total * 0.1)); // Add 1 doctor roughly 10%
-      const jailorCount = total >= 6 ? 1 : 0; // Add Jailor for 6+ players
-      const vampCount = Math.max(1, Math.floor(total * 0.15)); // Slightly more vamps
-      const jesterCount = 1;
-
-      for (let i = 0; i < investCount; i++) pool.push({ role: 'Investigator', align: 'good' });
-      for (let i = 0; i < lookoutCount; i++) pool.push({ role: 'Lookout', align: 'good' });
-      for (let i = 0; i < doctorCount; i++) pool.push({ role: 'Doctor', align: 'good' });
-      for (let i = 0; i < jailorCount; i++) pool.push({ role: 'Jailor', align: 'good' });
-      for (let i = 0; i < vampCount; i++) pool.push({ role: 'Vampire', align: 'evil' });
-      for (let i = 0; i < jesterCount; i++) pool.push({ role: 'Jester', align: 'neutral' });
-
-      while (pool.length < total) pool.push({ role: 'Citizen', align: 'good' });
-    }
-
-    pool = shuffle(pool);
-
-    this.players.forEach((p, i) => {
-      p.role = pool[i].role;
-      p.alignment = pool[i].align;
-      if (p.role === 'Doctor') {
-        p.healsRemaining = 3;
-      } else {
-        delete p.healsRemaining;
-      }
-    });
-
-    // Check NPC allowed roles setting and reassign disallowed roles
-    const npcAllowedRoles = this.settings.npcAllowedRoles || {};
-    const allRolesAllowed = Object.keys(npcAllowedRoles).length === 0 ||
-      Object.values(npcAllowedRoles).every(v => v !== false);
-
-    if (!allRolesAllowed) {
-      const npcs = this.players.filter(p => p.isNPC);
-      const humans = this.players.filter(p => !p.isNPC);
-
-      for (const npc of npcs) {
-        // Check if NPC's role is disallowed
-        if (npcAllowedRoles[npc.role] === false) {
-          // Try to swap with a human who has an allowed role
-          let swapped = false;
-          for (const human of humans) {
-            // Check if human's role is allowed for NPCs
-            if (npcAllowedRoles[human.role] !== false) {
-              // Swap roles
-              const tempRole = npc.role;
-              const tempAlign = npc.alignment;
-              const tempHeals = npc.healsRemaining;
-
-              npc.role = human.role;
-              npc.alignment = human.alignment;
-              npc.healsRemaining = human.healsRemaining;
-
-              human.role = tempRole;
-              human.alignment = tempAlign;
-              human.healsRemaining = tempHeals;
-
-              // Handle Doctor heals
-              if (npc.role === 'Doctor') {
-                npc.healsRemaining = 3;
-              } else {
-                delete npc.healsRemaining;
-              }
-              if (human.role === 'Doctor') {
-                human.healsRemaining = 3;
-              } else {
-                delete human.healsRemaining;
-              }
-
-              swapped = true;
-              break;
-            }
-          }
-
-          // If no swap possible, assign NPC to Citizen (fallback)
-          if (!swapped) {
-            npc.role = 'Citizen';
-            npc.alignment = roleAlignments['Citizen'];
-            delete npc.healsRemaining;
-          }
-        }
-      }
-    }
-
-    // Assign fake roles to Evil NPCs
-    const goodRoles = ['Citizen', 'Doctor', 'Investigator', 'Lookout'];
-    this.players.forEach(p => {
-      if (p.isNPC && (p.alignment === 'evil' || p.role === 'Jester')) {
-        // Pick a random good role to pretend to be
-        const fakeRole = goodRoles[Math.floor(Math.random() * goodRoles.length)];
-        p.fakeRole = fakeRole;
-        console.log(`[Game] Assigned fake role ${fakeRole} to evil NPC ${p.name} (${p.role})`);
-      }
-    });
-  }
-
-  start() {
-    this.assignRoles();
-    this.startNight();
-  }
-
-  startNight() {
-    this.state = 'NIGHT';
-    this.round++;
-    this.nightActions = {};
-    this.votes = {};
-    // Reset jail state for new night
-    this.jailedPlayerId = null;
-    this.jailorId = null;
-    this.jailChat = [];
-    // Reset framed players for new night
-    this.framedPlayers = {};
-    // Clear game chat for new night (vampire chat starts fresh)
-    this.gameChat = [];
-    this.broadcastUpdate();
-    this.startTimer(this.settings.nightTime, () => this.resolveNight());
-    this.triggerAIActions(); // Trigger AI for night
-  }
-
-  resolveNight() {
-    let visits = {};
-    let investigationResults = {};
-    let doctorHeals = [];
-
-    // 1. Process Visits
-    Object.values(this.nightActions).forEach(action => {
-      const { actorId, targetId } = action;
-      if (!visits[targetId]) visits[targetId] = [];
-      const actor = this.players.find(p => p.id === actorId);
-      if (actor) visits[targetId].push(actor.name);
-
-      // Track doctor heals
-      if (action.type === 'HEAL') {
-        doctorHeals.push({ actorId, targetId });
-      }
-    });
-
-    // 1b. Track Jailor visits (jailing is not stored in nightActions but still counts as a visit)
-    if (this.jailedPlayerId && this.jailorId) {
-      const jailor = this.players.find(p => p.id === this.jailorId);
-      if (jailor) {
-        if (!visits[this.jailedPlayerId]) visits[this.jailedPlayerId] = [];
-        visits[this.jailedPlayerId].push(jailor.name);
-      }
-    }
-
-    // 2. Consume Doctor Heals
-    // Doctors lose a heal attempts even if they don't value save anyone, usually? 
-    // The prompt says "3 heals that they can use". We will decrement for every action submitted.
-    doctorHeals.forEach(({ actorId }) => {
-      const doctor = this.players.find(p => p.id === actorId);
-      if (doctor && doctor.role === 'Doctor' && doctor.healsRemaining > 0) {
-        doctor.healsRemaining--;
-      }
-    });
-
-    // 3. Vampire Logic (Every other night, starting night 2)
-    const canTurn = (this.round % 2 === 0);
-    let turnedPlayer = null;
-    if (canTurn) {
-      const vampActions = Object.values(this.nightActions).filter(a => a.type === 'BITE');
-      const aliveVampires = this.players.filter(p => (p.role === 'Vampire' || p.role === 'Vampire Framer') && p.alive);
-
-      if (vampActions.length > 0) {
-        // Count votes for each target
-        const voteCount = {};
-        vampActions.forEach(action => {
-          voteCount[action.targetId] = (voteCount[action.targetId] || 0) + 1;
-        });
-
-        // Find the maximum number of votes
-        let maxVotes = 0;
-        for (const count of Object.values(voteCount)) {
-          if (count > maxVotes) maxVotes = count;
-        }
-
-        // Find all targets with the maximum votes
-        const topTargets = Object.keys(voteCount).filter(targetId => voteCount[targetId] === maxVotes);
-
-        // Pick one target (randomly if tied)
-        let potentialTargetId = null;
-        if (topTargets.length > 0) {
-          potentialTargetId = topTargets[Math.floor(Math.random() * topTargets.length)];
-
-          // If there was a tie, notify vampires
-          if (topTargets.length > 1) {
-            aliveVampires.forEach(vamp => {
-              if (vamp.socketId) {
-                io.to(vamp.socketId).emit('private_message', '🧛 The vampire vote was tied! A target was picked randomly among the top votes.');
-              }
-            });
-          }
-        }
-
-        if (potentialTargetId) {
-          const target = this.players.find(p => p.id === potentialTargetId);
-          if (target && target.alive && target.role !== 'Vampire' && target.role !== 'Vampire Framer') {
-            // Check if target is jailed - jailed players are protected from vampire bites
-            const isJailed = this.jailedPlayerId === potentialTargetId;
-            const isHealed = doctorHeals.some(h => h.targetId === potentialTargetId);
-
-            if (isJailed) {
-              // Jailed players are protected from vampire bites
-              this.logs.push(`[Night ${this.round}] The vampires tried to attack, but their target was unreachable!`);
-              aliveVampires.forEach(vamp => {
-                if (vamp.socketId) io.to(vamp.socketId).emit('private_message', `🧛 Your target was protected by the Jailor!`);
-              });
-            } else if (isHealed) {
-              this.logs.push(`[Night ${this.round}] The vampires tried to attack, but their target was saved by a doctor!`);
-              aliveVampires.forEach(vamp => {
-                if (vamp.socketId) io.to(vamp.socketId).emit('private_message', `🧛 Your target was saved by a Doctor!`);
-              });
-              doctorHeals.filter(h => h.targetId === potentialTargetId).forEach(h => {
-                const doc = this.players.find(p => p.id === h.actorId);
-                if (doc && doc.socketId) {
-                  io.to(doc.socketId).emit('private_message', `💉 You successfully saved your target from a vampire attack!`);
-                }
-                // Record being saved in the target NPC's receivedEvents
-                if (target.isNPC) {
-                  if (!target.receivedEvents) target.receivedEvents = [];
-                  target.receivedEvents.push({ round: this.round, event: 'WAS_SAVED', note: 'A Doctor saved you from a vampire attack.' });
-                }
-              });
-            } else {
-              target.role = 'Vampire';
-              target.alignment = 'evil';
-              target.isTurned = true;
-              turnedPlayer = target;
-              this.logs.push(`[Night ${this.round}] A dark ritual took place... someone's nature has changed.`);
-
-              // Record being turned in the NPC's receivedEvents
-              if (target.isNPC) {
-                if (!target.receivedEvents) target.receivedEvents = [];
-                target.receivedEvents.push({ round: this.round, event: 'WAS_TURNED', note: 'You were bitten and turned into a Vampire. You are now evil.' });
-              }
-            }
-          }
-        }
-      }
-    }
-
-    // 4. Vampire Framer - Process FRAME actions
-    Object.keys(this.nightActions).forEach(actionKey => {
-      const action = this.nightActions[actionKey];
-      if (action.type === 'FRAME') {
-        const actor = this.players.find(p => p.id === action.actorId);
-        if (actor && actor.role === 'Vampire Framer' && actor.alive) {
-          this.framedPlayers[action.targetId] = true;
-          if (actor.socketId) {
-            const target = this.players.find(p => p.id === action.targetId);
-            io.to(actor.socketId).emit('private_message', `🎭 You have framed ${target?.name || 'your target'}. They will appear as a Vampire to investigators tonight.`);
-          }
-        }
-      }
-    });
-
-    // 5. Investigator
-    Object.keys(this.nightActions).forEach(actorId => {
-      const action = this.nightActions[actorId];
-      if (action.type === 'INVESTIGATE') {
-        const target = this.players.find(p => p.id === action.targetId);
-        // Check if target is framed - framed players appear as Vampire
-        const isFramed = this.framedPlayers[action.targetId];
-        if (isFramed) {
-          investigationResults[actorId] = 'Target is a Vampire';
-        } else {
-          investigationResults[actorId] = target ? `Target is a ${target.role}` : 'Unknown';
-        }
-      }
-    });
-
-    // 6. Lookout
-    Object.keys(this.nightActions).forEach(actorId => {
-      const action = this.nightActions[actorId];
-      if (action.type === 'LOOKOUT') {
-        const visitors = visits[action.targetId] || [];
-        const actorName = this.players.find(p => p.id === actorId)?.name;
-        const filtered = visitors.filter(name => name !== actorName);
-        investigationResults[actorId] = filtered.length > 0
-          ? `Visited by: ${filtered.join(', ')}`
-          : 'No one visited.';
-      }
-    });
-
-    // Send private results and store in NPC's actionHistory
-    Object.keys(investigationResults).forEach(pId => {
-      const player = this.players.find(p => p.id === pId);
-      if (player) {
-        io.to(player.socketId).emit('private_message', investigationResults[pId]);
-
-        // Store result in NPC's actionHistory so they can remember what they discovered
-        if (player.isNPC && player.actionHistory && player.actionHistory.length > 0) {
-          // Find the most recent action for this round and add the result
-          const lastAction = player.actionHistory[player.actionHistory.length - 1];
-          if (lastAction.round === this.round && !lastAction.result) {
-            lastAction.result = investigationResults[pId];
-          }
-        }
-      }
-    });
-
-    // Notify turned player and send updated role info
-    if (turnedPlayer && turnedPlayer.socketId) {
-      // Send private notification about being turned
-      io.to(turnedPlayer.socketId).emit('private_message', '🧛 You have been turned into a Vampire! You are now part of the vampire faction.');
-
-      // Send updated role info immediately
-      io.to(turnedPlayer.socketId).emit('role_info', {
-        role: turnedPlayer.role,
-        alignment: turnedPlayer.alignment
-      });
-
-      // Get list of other vampires for the newly turned player
-      const otherVampires = this.players
-        .filter(p => p.role === 'Vampire' && p.alive && p.id !== turnedPlayer.id)
-        .map(p => p.name);
-      if (otherVampires.length > 0) {
-        io.to(turnedPlayer.socketId).emit('private_message', `🧛 Your fellow vampires are: ${otherVampires.join(', ')}`);
-      }
-    }
-
-    // 6. Jailor Execution Logic
-    if (this.jailedPlayerId && this.jailorId) {
-      const jailor = this.players.find(p => p.id === this.jailorId);
-      const prisoner = this.players.find(p => p.id === this.jailedPlayerId);
-      const jailAction = this.nightActions[this.jailorId];
-
-      if (jailAction && jailAction.type === 'EXECUTE' && prisoner && prisoner.alive) {
-        // Execute the prisoner
-        prisoner.alive = false;
-        this.logs.push(`[Night ${this.round}] ${prisoner.name} was executed by the Jailor.`);
-
-        // If prisoner was innocent (good alignment), jailor will die
-        if (prisoner.alignment === 'good') {
-          this.jailorPendingDeath = true;
-          if (jailor && jailor.socketId) {
-            io.to(jailor.socketId).emit('private_message', '⚠️ You executed an innocent person! Guilt consumes you...');
-          }
-        } else {
-          if (jailor && jailor.socketId) {
-            io.to(jailor.socketId).emit('private_message', '🔒 Justice served. The prisoner was guilty.');
+            this.logger.child('AI').info(`Generated duplicate name "${profile.name}", retrying... (attempt ${attempt + 1})`);
           }
         }
-      } else {
-        // Prisoner was not executed, just released
-        if (prisoner && prisoner.socketId) {
-          io.to(prisoner.socketId).emit('private_message', '🔓 Dawn breaks. The Jailor releases you from jail.');
-        }
-        // Record being released in NPC prisoner's receivedEvents
-        if (prisoner && prisoner.isNPC) {
-          if (!prisoner.receivedEvents) prisoner.receivedEvents = [];
-          prisoner.receivedEvents.push({ round: this.round, event: 'WAS_RELEASED', byName: jailor?.name || 'Jailor', note: 'The Jailor released you without executing.' });
-        }
-      }
-    }
-
-    this.checkWinCondition();
-    if (this.state !== 'GAME_OVER') this.startDayDiscuss();
-  }
-
-  startDayDiscuss() {
-    this.state = 'DAY_DISCUSS';
-
-    // Jailor dies if they executed an innocent
-    if (this.jailorPendingDeath) {
-      const jailor = this.players.find(p => p.id === this.jailorId);
-      if (jailor && jailor.alive) {
-        jailor.alive = false;
-        this.logs.push(`[Day ${this.round}] ${jailor.name} was consumed by guilt and died!`);
-      }
-      this.jailorPendingDeath = false;
-    }
-
-    // Clear jail state
-    this.jailedPlayerId = null;
-    this.jailorId = null;
-    this.jailChat = [];
-
-    // Clear game chat for new day
-    this.gameChat = [];
-
-    this.broadcastUpdate();
-    this.startTimer(this.settings.discussionTime, () => this.startDayVote());
-    this.triggerAIActions(); // Trigger AI for discussion
-  }
-
-  startDayVote() {
-    this.state = 'DAY_VOTE';
-    this.votes = {};
-    this.broadcastUpdate();
-    this.startTimer(this.settings.votingTime || 15, () => this.resolveVoting());
-    this.triggerAIActions(); // Trigger AI for voting
-  }
-
-  resolveVoting() {
-    const counts = {};
-    Object.values(this.votes).forEach(targetId => {
-      counts[targetId] = (counts[targetId] || 0) + 1;
-    });
-
-    let lynchedId = null;
-    const livingCount = this.players.filter(p => p.alive).length;
-
-    // Majority >= 50%
-    for (const [targetId, count] of Object.entries(counts)) {
-      if (count >= livingCount / 2) {
-        lynchedId = targetId;
-        break;
       }
     }
 
-    if (lynchedId) {
-      const victim = this.players.find(p => p.id === lynchedId);
-      victim.alive = false;
-      this.logs.push(`[Day ${this.round}] ${victim.name} was lynched!`);
-
-      if (victim.role === 'Jester') {
-        this.state = 'GAME_OVER';
-        this.winner = 'Jester';
-        this.logs.push(`[Day ${this.round}] The Jester was lynched! Jester Wins!`);
-        // Save logs when Jester wins
-        if (this.logger) this.logger.saveLogs(this.players);
-        this.broadcastUpdate();
-        return;
-      }
-
-      if (this.settings.revealRole) {
-        this.logs.push(`[Day ${this.round}] ${victim.name} was a ${victim.role}`);
-      }
-    } else {
-      this.logs.push(`[Day ${this.round}] No one received enough votes.`);
-    }
-
-    this.checkWinCondition();
-    if (this.state !== 'GAME_OVER') this.startNight();
-  }
-
-  checkWinCondition() {
-    const living = this.players.filter(p => p.alive);
-    const vamps = living.filter(p => p.alignment === 'evil');
-
-    if (vamps.length === 0) {
-      this.state = 'GAME_OVER';
-      this.winner = 'GOOD';
-      if (this.interval) clearInterval(this.interval);
-      this.logs.push('The vampires have been eliminated! Good wins!');
-      // Save logs when game ends naturally
-      if (this.logger) this.logger.saveLogs(this.players);
-      this.broadcastUpdate();
-    } else if (vamps.length >= living.length / 2) {
-      this.state = 'GAME_OVER';
-      this.winner = 'EVIL';
-      if (this.interval) clearInterval(this.interval);
-      this.logs.push('The vampires have taken over! Evil wins!');
-      // Save logs when game ends naturally
-      if (this.logger) this.logger.saveLogs(this.players);
-      this.broadcastUpdate();
-    }
-  }
-
-  startTimer(seconds, callback) {
-    if (this.interval) clearInterval(this.interval);
-    this.timer = seconds;
-    this.timerCallback = callback; // Store callback for skip
-    this.broadcastUpdate();
-
-    this.interval = setInterval(() => {
-      this.timer--;
-      if (this.timer <= 0) {
-        clearInterval(this.interval);
-        this.timerCallback = null;
-        callback();
-      }
-      // Sync timer occasionally or every second
-      io.to(this.code).emit('timer_update', this.timer);
-    }, 1000);
-  }
-
-  skipTimer() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.timer = 0;
-      io.to(this.code).emit('timer_update', 0);
-      if (this.timerCallback) {
-        const cb = this.timerCallback;
-        this.timerCallback = null;
-        cb();
-      }
-    }
-  }
-
-  endGame(winner = 'Host Ended') {
-    if (this.interval) clearInterval(this.interval);
-    this.state = 'GAME_OVER';
-    this.winner = winner;
-    this.logs.push('The host has ended the game.');
-    // Save logs when host ends game
-    if (this.logger) this.logger.saveLogs(this.players);
-    this.broadcastUpdate();
-  }
-
-  broadcastUpdate() {
-    // Build base public state
-    const baseState = {
-      code: this.code,
-      host: this.host,
-      state: this.state,
-      round: this.round,
-      timer: this.timer,
-      winner: this.winner,
-      logs: this.logs,
-      chatEnabled: this.settings.chatEnabled !== false,
-      enableSTT: this.settings.enableSTT || false,
-      voiceInputMode: this.settings.voiceInputMode || 'push-to-talk',
-      gameChat: this.gameChat
-    };
-
-    // Calculate vampire info for night phase
-    const aliveVampires = this.players.filter(p => (p.role === 'Vampire' || p.role === 'Vampire Framer') && p.alive);
-    const vampireCount = aliveVampires.length;
-    const canTurn = (this.round % 2 === 0);
-
-    // Send personalized state to each player
-    this.players.forEach(player => {
-      const isVampire = player.role === 'Vampire' || player.role === 'Vampire Framer';
-      const playerState = {
-        ...baseState,
-        // Send heal count to doctor
-        healsRemaining: player.role === 'Doctor' ? player.healsRemaining : undefined,
-        players: this.players.map(p => ({
-          id: p.id,
-          name: p.name,
-          alive: p.alive,
-          votes: this.countVotesFor(p.id),
-          isNPC: p.isNPC || false,
-          role: (this.state === 'GAME_OVER') ? p.role : undefined,
-          alignment: (this.state === 'GAME_OVER') ? p.alignment : undefined,
-          // Always show vampire status to other vampires (not just during night)
-          isVampire: isVampire ? (p.role === 'Vampire' || p.role === 'Vampire Framer') : undefined,
-          // Show the actual vampire role to teammates (Vampire or Vampire Framer)
-          vampireRole: isVampire && (p.role === 'Vampire' || p.role === 'Vampire Framer') ? p.role : undefined,
-          // Show vampire turning votes to vampires during night
-          vampireVotes: (isVampire && this.state === 'NIGHT' && canTurn) ? this.countVampireVotesFor(p.id) : undefined
-        })),
-        // Include vampire coordination info for vampires during night
-        vampireInfo: (isVampire && this.state === 'NIGHT' && canTurn) ? {
-          totalVampires: vampireCount,
-          requiredVotes: 1,
-          needsVoting: vampireCount > 1
-        } : undefined,
-        // Include jail info for Jailor and jailed player
-        jailInfo: (this.state === 'NIGHT' && (player.id === this.jailorId || player.id === this.jailedPlayerId)) ? {
-          isJailor: player.id === this.jailorId,
-          isJailed: player.id === this.jailedPlayerId,
-          prisonerName: player.id === this.jailorId ? this.players.find(p => p.id === this.jailedPlayerId)?.name : null,
-          jailorName: player.id === this.jailedPlayerId ? this.players.find(p => p.id === this.jailorId)?.name : null,
-          jailChat: this.jailChat
-        } : undefined
-      };
-      if (player.socketId) {
-        io.to(player.socketId).emit('game_update', playerState);
-      }
+    this.dispatch({
+      type: 'ADD_PLAYER',
+      player: { id, name, isNPC: true, personality, talkingStyle, gender, background }
     });
-  }
-
-  countVotesFor(pid) {
-    if (this.state !== 'DAY_VOTE') return 0;
-    return Object.values(this.votes).filter(v => v === pid).length;
-  }
-
-  countVampireVotesFor(pid) {
-    if (this.state !== 'NIGHT') return 0;
-    return Object.values(this.nightActions)
-      .filter(a => a.type === 'BITE' && a.targetId === pid)
-      .length;
+    return this.getPlayer(id);
   }
 }
 
 io.on('connection', (socket) => {
+  // Send the role registry so the client can render roles and actions,
+  // with the role-list buckets and built-in presets for the lobby
+  socket.emit('role_registry', { ...getRegistry(), buckets: getBucketRegistry(), presets: ROLE_PRESETS });
 
   // --- REJOIN LOGIC ---
   socket.on('rejoin_game', ({ code, playerId }) => {
     const game = games[code];
     if (game) {
-      const player = game.players.find(p => p.id === playerId);
+      const player = game.getPlayer(playerId);
       if (player) {
-        player.socketId = socket.id; // Update socket
-        player.connected = true;
+        game.connect(player.id, socket.id); // Update socket
         socket.join(code);
 
         // If game is in progress, send role info again
@@ -1399,12 +975,11 @@ io.on('connection', (socket) => {
     const playerId = Math.random().toString(36).substr(2, 9); // Generate stable ID
 
     const game = new Game(code, playerId, settings); // Use playerId as host (persistent)
-    game.addPlayer(playerId, name, socket.id);
     games[code] = game;
-
+    game.connect(playerId, socket.id);
     socket.join(code);
     socket.emit('game_created', { code, playerId });
-    game.broadcastUpdate();
+    game.dispatch({ type: 'ADD_PLAYER', player: { id: playerId, name } });
   });
 
   // --- JOIN ---
@@ -1412,10 +987,10 @@ io.on('connection', (socket) => {
     const game = games[code];
     if (game && game.state === 'LOBBY') {
       const playerId = Math.random().toString(36).substr(2, 9);
-      game.addPlayer(playerId, name, socket.id);
+      game.connect(playerId, socket.id);
       socket.join(code);
       socket.emit('joined', { code, playerId });
-      game.broadcastUpdate();
+      game.dispatch({ type: 'ADD_PLAYER', player: { id: playerId, name } });
     } else {
       socket.emit('error', 'Game not found or started');
     }
@@ -1424,310 +999,141 @@ io.on('connection', (socket) => {
   // --- KICK (Host Only) ---
   socket.on('kick_player', ({ code, targetId }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
       // Find target socket to notify them
-      const target = game.players.find(p => p.id === targetId);
-      if (target) {
-        io.to(target.socketId).emit('kicked');
-        io.sockets.sockets.get(target.socketId)?.leave(code); // Force leave room
+      const targetSocketId = game.socketOf(targetId);
+      if (targetSocketId) {
+        io.to(targetSocketId).emit('kicked');
+        io.sockets.sockets.get(targetSocketId)?.leave(code); // Force leave room
       }
-      game.removePlayer(targetId);
-      game.broadcastUpdate();
+      delete game.socketIds[targetId];
+      game.dispatch({ type: 'REMOVE_PLAYER', playerId: targetId });
     }
   });
 
   // --- HOST: UPDATE SETTINGS ---
   socket.on('update_settings', ({ code, settings }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id && game.state === 'LOBBY') {
-      // Merge new settings with existing settings
-      game.settings = { ...game.settings, ...settings };
-
-      // Re-initialize AI controller if enableAI or npcNationality setting changed
-      if (settings.enableAI !== undefined || settings.npcNationality !== undefined) {
-        if ((settings.enableAI ?? game.settings.enableAI) && GEMINI_API_KEY) {
-          game.ai = new AIController(GEMINI_API_KEY, game.settings.npcNationality || 'english');
-        } else if (settings.enableAI === false) {
-          game.ai = null;
-        }
-      }
-
-      // Re-initialize TTS controller if enableTTS or ttsProvider changed
-      if (settings.enableTTS !== undefined || settings.ttsProvider !== undefined) {
-        const shouldUseTTS = settings.enableTTS ?? game.settings.enableTTS;
-        const provider = settings.ttsProvider || game.settings.ttsProvider;
-
-        if (shouldUseTTS) {
-          game.tts = getTTSController(provider);
-        } else {
-          game.tts = null;
-        }
-      }
-
-      // Re-initialize STT controller if enableSTT or sttProvider changed
-      if (settings.enableSTT !== undefined || settings.sttProvider !== undefined) {
-        const shouldUseSTT = settings.enableSTT ?? game.settings.enableSTT;
-        const provider = settings.sttProvider || game.settings.sttProvider;
+      game.dispatch({ type: 'UPDATE_SETTINGS', settings });
 
-        if (shouldUseSTT) {
-          game.stt = getSTTController(provider);
-        } else {
-          game.stt = null;
-        }
-      }
+      // Re-initialize AI, TTS and STT controllers if their settings changed
+      game.refreshControllers(settings);
+    }
+  });
 
-      game.broadcastUpdate();
+  // Balance report for the lobby, for the role setup the host is about to start with
+  socket.on('analyze_balance', async ({ code, roleConfig }) => {
+    const game = games[code];
+    const player = game?.getPlayerBySocket(socket.id);
+    if (!game || !player || game.host !== player.id || game.state !== 'LOBBY') return;
+    try {
+      const settings = { ...game.settings, roleConfig: roleConfig || game.settings.roleConfig };
+      const report = await analyzeBalance(settings, game.players.length);
+      socket.emit('balance_report', report);
+    } catch (err) {
+      game.logger.error('Balance analysis failed', { error: err });
     }
   });
 
   socket.on('start_game', ({ code, roleConfig }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
-      // Update roleConfig in settings before starting
-      if (roleConfig) {
-        game.settings.roleConfig = roleConfig;
-      }
-      game.start();
-      game.players.forEach(p => {
-        io.to(p.socketId).emit('role_info', { role: p.role, alignment: p.alignment });
-      });
-      game.broadcastUpdate();
+      game.dispatch({ type: 'START_GAME', roleConfig });
     }
   });
 
   socket.on('night_action', ({ code, action }) => {
     const game = games[code];
+    if (!game) return;
     // We need to find the player ID associated with this socket
-    const player = game?.players.find(p => p.socketId === socket.id);
-    if (game && game.state === 'NIGHT' && player) {
-      // Handle clearing/uncasting of action (but not EXECUTE which intentionally has null targetId)
-      if (action.clear || (action.targetId === null && action.type !== 'EXECUTE')) {
-        // Check if we're clearing a BITE action - notify other vampires
-        if (action.type === 'BITE' && game.nightActions[player.id]) {
-          const aliveVampires = game.players.filter(p => (p.role === 'Vampire' || p.role === 'Vampire Framer') && p.alive);
-          if (aliveVampires.length > 1) {
-            aliveVampires.forEach(vamp => {
-              if (vamp.socketId && vamp.id !== player.id) {
-                io.to(vamp.socketId).emit('private_message', `🧛 ${player.name} cancelled their vote`);
-              }
-            });
-          }
-        }
-        // Check if we're clearing a FRAME action - Vampire Framer can have separate FRAME action
-        if (action.type === 'FRAME' && game.nightActions[player.id + '_frame']) {
-          delete game.nightActions[player.id + '_frame'];
-          game.broadcastUpdate();
-          return;
-        }
-        delete game.nightActions[player.id];
-        game.broadcastUpdate();
-        return;
-      }
-
-      // Validate BITE action - vampires can't target other vampires
-      if (action.type === 'BITE') {
-        const target = game.players.find(p => p.id === action.targetId);
-        if (target && (target.role === 'Vampire' || target.role === 'Vampire Framer')) {
-          socket.emit('private_message', 'Cannot turn a fellow vampire!');
-          return;
-        }
-
-        // Notify all vampires about this vote (only if there are 2+ vampires)
-        const aliveVampires = game.players.filter(p => (p.role === 'Vampire' || p.role === 'Vampire Framer') && p.alive);
-        if (aliveVampires.length > 1 && target) {
-          aliveVampires.forEach(vamp => {
-            if (vamp.socketId && vamp.id !== player.id) {
-              io.to(vamp.socketId).emit('private_message', `🧛 ${player.name} voted to turn ${target.name}`);
-            }
-          });
-        }
-      }
-
-      // Validate HEAL action
-      if (action.type === 'HEAL') {
-        if (player.role !== 'Doctor') return;
-        if ((player.healsRemaining || 0) <= 0) {
-          socket.emit('private_message', 'You have no heals remaining!');
-          return;
-        }
-      }
-
-      // Validate JAIL action - only Jailor can jail
-      if (action.type === 'JAIL') {
-        if (player.role !== 'Jailor') return;
-        if (!player.alive) return;
-
-        const target = game.players.find(p => p.id === action.targetId);
-        if (!target || !target.alive) {
-          socket.emit('private_message', 'Invalid target for jail.');
-          return;
-        }
-        if (target.id === player.id) {
-          socket.emit('private_message', 'You cannot jail yourself!');
-          return;
-        }
-
-        // Set jail state
-        game.jailedPlayerId = action.targetId;
-        game.jailorId = player.id;
-        game.jailChat = [];
-
-        // Clear any existing action the jailed player may have submitted
-        const existingAction = game.nightActions[action.targetId];
-        if (existingAction) {
-          // If jailed player was a vampire who voted, notify other vampires
-          if (existingAction.type === 'BITE') {
-            const aliveVampires = game.players.filter(p => p.role === 'Vampire' && p.alive && p.id !== target.id);
-            aliveVampires.forEach(vamp => {
-              if (vamp.socketId) {
-                io.to(vamp.socketId).emit('private_message', `🧛 ${target.name}'s vote was cancelled (jailed)`);
-              }
-            });
-          }
-          delete game.nightActions[action.targetId];
-        }
-
-        // Record being jailed in the prisoner's receivedEvents (if they are an NPC)
-        if (target.isNPC) {
-          if (!target.receivedEvents) target.receivedEvents = [];
-          target.receivedEvents.push({ round: game.round, event: 'WAS_JAILED', byName: player.name });
-        }
-
-        // Notify both parties
-        socket.emit('private_message', `\ud83d\udd12 You have jailed ${target.name}. You may now interrogate them.`);
-        if (target.socketId) {
-          io.to(target.socketId).emit('private_message', '\ud83d\udd12 You have been jailed! The Jailor wishes to speak with you. Your night action has been cancelled.');
-        }
-
-        game.broadcastUpdate();
-        return;
-      }
-
-      // Validate EXECUTE action - only Jailor can execute their prisoner
-      if (action.type === 'EXECUTE') {
-        if (player.role !== 'Jailor') return;
-        if (game.jailorId !== player.id) {
-          socket.emit('private_message', 'You have no prisoner to execute.');
-          return;
-        }
-
-        // Store the execute action
-        game.nightActions[player.id] = { type: 'EXECUTE', actorId: player.id, targetId: game.jailedPlayerId };
-
-        const prisoner = game.players.find(p => p.id === game.jailedPlayerId);
-        socket.emit('private_message', `\u2620\ufe0f You have decided to execute ${prisoner?.name || 'the prisoner'}.`);
-        if (prisoner && prisoner.socketId) {
-          io.to(prisoner.socketId).emit('private_message', '\u2620\ufe0f The Jailor has decided to execute you!');
-        }
-
-        game.broadcastUpdate();
-        return;
-      }
-
-      // Handle CANCEL_EXECUTE - Jailor can cancel their execution decision
-      if (action.type === 'CANCEL_EXECUTE') {
-        if (player.role !== 'Jailor') return;
-        if (game.jailorId !== player.id) return;
-
-        // Remove the execute action if it exists
-        if (game.nightActions[player.id]?.type === 'EXECUTE') {
-          delete game.nightActions[player.id];
-
-          const prisoner = game.players.find(p => p.id === game.jailedPlayerId);
-          socket.emit('private_message', `\u274c Execution cancelled. ${prisoner?.name || 'The prisoner'} will be released at dawn.`);
-          if (prisoner && prisoner.socketId) {
-            io.to(prisoner.socketId).emit('private_message', '\ud83d\ude0c The Jailor has decided to spare you.');
-          }
-        }
-        return;
-      }
-
-      // Block jailed players from performing night actions
-      if (game.jailedPlayerId === player.id) {
-        socket.emit('private_message', '\ud83d\udd12 You are in jail and cannot perform your night action.');
-        return;
-      }
-
-      // Validate FRAME action - only Vampire Framer can frame
-      if (action.type === 'FRAME') {
-        if (player.role !== 'Vampire Framer') return;
-        if (!player.alive) return;
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) {
+      socket.emit('action_error', { kind: 'night_action', code: REJECTION.NOT_IN_GAME, message: 'You are not in this game.', actionType: action?.type || null, targetId: action?.targetId ?? null });
+      return;
+    }
+    game.dispatch({ type: 'NIGHT_ACTION', playerId: player.id, action: action || {} });
+  });
 
-        const target = game.players.find(p => p.id === action.targetId);
-        if (!target || !target.alive) {
-          socket.emit('private_message', 'Invalid target for framing.');
-          return;
-        }
-        if (target.role === 'Vampire' || target.role === 'Vampire Framer') {
-          socket.emit('private_message', 'Cannot frame a fellow vampire!');
-          return;
-        }
+  socket.on('day_vote', ({ code, targetId }) => {
+    const game = games[code];
+    if (!game) return;
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) {
+      socket.emit('action_error', { kind: 'day_vote', code: REJECTION.NOT_IN_GAME, message: 'You are not in this game.', actionType: 'VOTE', targetId: targetId ?? null });
+      return;
+    }
+    game.dispatch({ type: 'DAY_VOTE', playerId: player.id, targetId: targetId ?? null });
+  });
 
-        // Store FRAME action with special key so it doesn't conflict with BITE
-        game.nightActions[player.id + '_frame'] = { ...action, actorId: player.id };
-        game.broadcastUpdate();
-        return;
-      }
+  socket.on('reveal_role', ({ code }) => {
+    const game = games[code];
+    if (!game) return;
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) {
+      socket.emit('action_error', { kind: 'reveal', code: REJECTION.NOT_IN_GAME, message: 'You are not in this game.', actionType: 'REVEAL', targetId: null });
+      return;
+    }
+    game.dispatch({ type: 'REVEAL', playerId: player.id });
+  });
 
-      game.nightActions[player.id] = { ...action, actorId: player.id };
+  socket.on('set_will', ({ code, will }) => {
+    const game = games[code];
+    const player = game?.getPlayerBySocket(socket.id);
+    if (player) game.dispatch({ type: 'SET_WILL', playerId: player.id, will });
+  });
 
-      // Broadcast update to show vote counts for vampires
-      if (action.type === 'BITE') {
-        game.broadcastUpdate();
-      }
-    }
+  socket.on('set_death_note', ({ code, note }) => {
+    const game = games[code];
+    const player = game?.getPlayerBySocket(socket.id);
+    if (player) game.dispatch({ type: 'SET_DEATH_NOTE', playerId: player.id, note });
   });
 
-  socket.on('day_vote', ({ code, targetId }) => {
+  socket.on('trial_verdict', ({ code, verdict }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
-    if (game && game.state === 'DAY_VOTE' && player && player.alive) {
-      // Handle unvoting when targetId is null
-      if (targetId === null) {
-        delete game.votes[player.id];
-      } else {
-        game.votes[player.id] = targetId;
-      }
-      game.broadcastUpdate();
+    if (!game) return;
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) {
+      socket.emit('action_error', { kind: 'judgement', code: REJECTION.NOT_IN_GAME, message: 'You are not in this game.', actionType: verdict || null, targetId: null });
+      return;
     }
+    game.dispatch({ type: 'JUDGEMENT_VOTE', playerId: player.id, verdict });
   });
 
   // --- HOST: SKIP TIMER ---
   socket.on('skip_timer', ({ code }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id && game.state !== 'LOBBY' && game.state !== 'GAME_OVER') {
-      game.skipTimer();
+      game.dispatch({ type: 'SKIP_PHASE' });
     }
   });
 
   // --- HOST: END GAME ---
   socket.on('end_game', ({ code }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
-      game.endGame();
+      game.dispatch({ type: 'END_GAME' });
     }
   });
 
-  // --- HOST: ADD NPC ---
   // --- HOST: ADD NPC ---
   socket.on('add_npc', async ({ code }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id && game.state === 'LOBBY') {
       await game.addNPC();
-      game.broadcastUpdate();
     }
   });
 
   // --- HOST: GET NPC DETAILS ---
   socket.on('get_npc_details', ({ code, targetId }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
       const target = game.players.find(p => p.id === targetId && p.isNPC);
       if (target) {
@@ -1745,19 +1151,17 @@ io.on('connection', (socket) => {
   // --- HOST: UPDATE NPC DETAILS ---
   socket.on('update_npc', ({ code, targetId, name, personality, talkingStyle, elevenlabsVoiceId }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
-    if (game && player && game.host === player.id && game.state === 'LOBBY') {
-      const target = game.players.find(p => p.id === targetId && p.isNPC);
-      if (target) {
-        target.name = name.trim();
-        target.personality = personality?.trim() || null;
-        target.talkingStyle = talkingStyle?.trim() || null;
-        target.elevenlabsVoiceId = elevenlabsVoiceId || null;
-        game.broadcastUpdate();
-      }
+    const player = game?.getPlayerBySocket(socket.id);
+    if (game && player && game.host === player.id) {
+      game.dispatch({ type: 'UPDATE_NPC', playerId: targetId, name, personality, talkingStyle, elevenlabsVoiceId });
     }
   });
 
+  // --- GET LLM OPTIONS ---
+  socket.on('get_llm_options', () => {
+    socket.emit('llm_options', getLLMOptions());
+  });
+
   // --- GET ELEVENLABS OPTIONS ---
   socket.on('get_elevenlabs_options', () => {
     socket.emit('elevenlabs_options', {
@@ -1766,78 +1170,38 @@ io.on('connection', (socket) => {
     });
   });
 
+  // Role details of a player for the host's player modal
+  const sendPlayerRoleInfo = (target) => {
+    socket.emit('player_role_info', {
+      playerId: target.id,
+      name: target.name,
+      role: target.role,
+      alignment: target.alignment,
+      isNPC: target.isNPC,
+      alive: target.alive
+    });
+  };
+
   // --- HOST: GET PLAYER ROLE ---
   socket.on('get_player_role', ({ code, targetId }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
-      const target = game.players.find(p => p.id === targetId);
-      if (target) {
-        socket.emit('player_role_info', {
-          playerId: target.id,
-          name: target.name,
-          role: target.role,
-          alignment: target.alignment,
-          isNPC: target.isNPC,
-          alive: target.alive
-        });
-      }
+      const target = game.getPlayer(targetId);
+      if (target) sendPlayerRoleInfo(target);
     }
   });
 
   // --- HOST: CHANGE PLAYER ROLE ---
   socket.on('change_player_role', ({ code, targetId, newRole }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
-      const target = game.players.find(p => p.id === targetId);
+      const target = game.getPlayer(targetId);
       if (target) {
-        // Role alignment mapping
-        const roleAlignments = {
-          'Investigator': 'good',
-          'Lookout': 'good',
-          'Doctor': 'good',
-          'Citizen': 'good',
-          'Jailor': 'good',
-          'Vampire': 'evil',
-          'Vampire Framer': 'evil',
-          'Jester': 'neutral'
-        };
-
-        // Update the target's role
-        target.role = newRole;
-        target.alignment = roleAlignments[newRole] || 'good';
-
-        if (target.role === 'Doctor') {
-          target.healsRemaining = 3;
-        } else {
-          delete target.healsRemaining;
-        }
-
-        // Send updated role info to the target player
-        if (target.socketId) {
-          io.to(target.socketId).emit('role_info', {
-            role: target.role,
-            alignment: target.alignment
-          });
-          io.to(target.socketId).emit('private_message', `🎭 Your role has been changed to ${newRole}!`);
-        }
-
+        game.dispatch({ type: 'HOST_SET_ROLE', playerId: target.id, role: newRole });
         // Confirm to the host
-        socket.emit('player_role_info', {
-          playerId: target.id,
-          name: target.name,
-          role: target.role,
-          alignment: target.alignment,
-          isNPC: target.isNPC,
-          alive: target.alive
-        });
-
-        // Log the change (only visible to host/server)
-        console.log(`Host changed ${target.name}'s role to ${newRole}`);
-
-        // Broadcast update to refresh vampire teammate visibility etc.
-        game.broadcastUpdate();
+        sendPlayerRoleInfo(target);
       }
     }
   });
@@ -1845,37 +1209,13 @@ io.on('connection', (socket) => {
   // --- HOST: KILL/REVIVE PLAYER ---
   socket.on('set_player_alive_status', ({ code, targetId, alive }) => {
     const game = games[code];
-    const player = game?.players.find(p => p.socketId === socket.id);
+    const player = game?.getPlayerBySocket(socket.id);
     if (game && player && game.host === player.id) {
-      const target = game.players.find(p => p.id === targetId);
+      const target = game.getPlayer(targetId);
       if (target) {
-        target.alive = alive;
-
-        // Notify the player
-        if (target.socketId) {
-          const msg = alive
-            ? "😇 You have been revived by the host!"
-            : "💀 You have been killed by the host!";
-          io.to(target.socketId).emit('private_message', msg);
-        }
-
+        game.dispatch({ type: 'HOST_SET_ALIVE', playerId: target.id, alive });
         // Update host modal view
-        socket.emit('player_role_info', {
-          playerId: target.id,
-          name: target.name,
-          role: target.role,
-          alignment: target.alignment,
-          isNPC: target.isNPC,
-          alive: target.alive
-        });
-
-        // Log to game log
-        const logMsg = alive
-          ? `The host revived ${target.name}.`
-          : `The host struck down ${target.name}.`;
-        game.logs.push(logMsg);
-
-        game.broadcastUpdate();
+        sendPlayerRoleInfo(target);
       }
     }
   });
@@ -1885,38 +1225,22 @@ io.on('connection', (socket) => {
     const game = games[code];
     if (!game || game.state !== 'NIGHT') return;
 
-    const player = game.players.find(p => p.socketId === socket.id);
+    const player = game.getPlayerBySocket(socket.id);
     if (!player) return;
 
-    // Only Jailor or jailed player can send messages
-    if (player.id !== game.jailorId && player.id !== game.jailedPlayerId) return;
+    const events = game.dispatch({ type: 'JAIL_CHAT', playerId: player.id, message });
+    if (!events.some(e => e.type === 'JAIL_CHAT_UPDATE')) return;
 
     const isJailor = player.id === game.jailorId;
-    const chatMessage = {
-      sender: isJailor ? 'Jailor' : 'Prisoner',
-      message: message.substring(0, 200), // Limit message length
-      timestamp: Date.now()
-    };
-
-    game.jailChat.push(chatMessage);
-
-    // Send to both parties
-    const jailor = game.players.find(p => p.id === game.jailorId);
-    const prisoner = game.players.find(p => p.id === game.jailedPlayerId);
-
-    if (jailor && jailor.socketId) {
-      io.to(jailor.socketId).emit('jail_chat_update', game.jailChat);
-    }
-    if (prisoner && prisoner.socketId) {
-      io.to(prisoner.socketId).emit('jail_chat_update', game.jailChat);
-    }
+    const jailor = game.getPlayer(game.jailorId);
+    const prisoner = game.getPlayer(game.jailedPlayerId);
 
     // Trigger NPC response if the other party is an NPC
     if (game.ai) {
       const otherParty = isJailor ? prisoner : jailor;
       if (otherParty && otherParty.isNPC && otherParty.alive) {
         // Delay NPC response to feel natural
-        setTimeout(async () => {
+        game.schedule(async () => {
           if (game.state !== 'NIGHT' || !game.jailedPlayerId) return;
 
           try {
@@ -1934,23 +1258,10 @@ io.on('connection', (socket) => {
             }
 
             if (npcMessage && game.state === 'NIGHT' && game.jailedPlayerId) {
-              const npcChatMessage = {
-                sender: isJailor ? 'Prisoner' : 'Jailor',
-                message: npcMessage.substring(0, 200),
-                timestamp: Date.now()
-              };
-              game.jailChat.push(npcChatMessage);
-
-              // Send updated chat to both parties
-              if (jailor && jailor.socketId) {
-                io.to(jailor.socketId).emit('jail_chat_update', game.jailChat);
-              }
-              if (prisoner && prisoner.socketId) {
-                io.to(prisoner.socketId).emit('jail_chat_update', game.jailChat);
-              }
+              game.dispatch({ type: 'JAIL_CHAT', playerId: otherParty.id, message: npcMessage });
             }
           } catch (err) {
-            console.error('[Game] NPC jail chat error:', err);
+            game.logger.error('NPC jail chat error', { playerIds: [otherParty.id], error: err });
           }
         }, Math.random() * 2000 + 1000); // 1-3 second delay
       }
@@ -1961,50 +1272,28 @@ io.on('connection', (socket) => {
   socket.on('chat_message', ({ code, message }) => {
     const game = games[code];
     if (!game) return;
-    if (game.state === 'LOBBY' || game.state === 'GAME_OVER') return;
     // Chat still works when disabled - it's just hidden from players on the client side
 
-    const player = game.players.find(p => p.socketId === socket.id);
-    if (!player || !player.alive) return;
-
-    const isVampire = player.role === 'Vampire' || player.role === 'Vampire Framer';
-    const isDayPhase = game.state === 'DAY_DISCUSS' || game.state === 'DAY_VOTE';
-    const isNightPhase = game.state === 'NIGHT';
-
-    // Night: only vampires can chat
-    if (isNightPhase && !isVampire) return;
-
-    const chatMessage = {
-      senderId: player.id,
-      senderName: player.name,
-      message: message.substring(0, 300), // Limit message length
-      isVampireChat: isNightPhase && isVampire,
-      timestamp: Date.now()
-    };
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) return;
 
-    game.gameChat.push(chatMessage);
+    // Day: broadcast to all players. Night: only to vampires
+    const events = game.dispatch({ type: 'CHAT_MESSAGE', playerId: player.id, message });
 
     // Trigger NPC responses to this message (during day discussion)
-    game.onNewChatMessage(player.id, message);
-
-    // Day: broadcast to all players. Night: only to vampires
-    if (isDayPhase) {
-      game.players.forEach(p => {
-        if (p.socketId) {
-          io.to(p.socketId).emit('chat_update', game.gameChat);
-        }
-      });
-    } else if (isNightPhase) {
-      // Send to all vampires
-      game.players.forEach(p => {
-        const pIsVampire = p.role === 'Vampire' || p.role === 'Vampire Framer';
-        if (pIsVampire && p.socketId) {
-          io.to(p.socketId).emit('chat_update', game.gameChat);
-        }
-      });
+    if (events.some(e => e.type === 'CHAT_UPDATE')) {
+      game.onNewChatMessage(player.id, message);
     }
   });
 
+  socket.on('dead_chat_message', ({ code, message }) => {
+    const game = games[code];
+    if (!game) return;
+    const player = game.getPlayerBySocket(socket.id);
+    if (!player) return;
+    game.dispatch({ type: 'DEAD_CHAT', playerId: player.id, message });
+  });
+
   // --- VOICE CHAT (Speech-to-Text) ---
   socket.on('voice_audio_chunk', async ({ code, audioChunk }) => {
     const game = games[code];
@@ -2014,7 +1303,7 @@ io.on('connection', (socket) => {
     if (game.state !== 'DAY_DISCUSS') return;
     // Voice chat still works when chat is disabled - it's just hidden from players on the client side
 
-    const player = game.players.find(p => p.socketId === socket.id);
+    const player = game.getPlayerBySocket(socket.id);
     if (!player || !player.alive) return;
 
     // Check if STT is enabled and available
@@ -2025,39 +1314,29 @@ io.on('connection', (socket) => {
 
     try {
 
+      const sttLogger = game.logger.child('STT', { playerIds: [player.id] });
       const transcript = await game.stt.recognizeStream(
         audioChunk,
-        game.settings.npcNationality || 'english'
+        game.settings.npcNationality || 'english',
+        sttLogger
       );
 
       if (transcript && transcript.trim().length > 0) {
-        const chatMessage = {
-          senderId: player.id,
-          senderName: player.name,
-          message: transcript.substring(0, 300), // Limit message length
-          isVampireChat: false,
-          timestamp: Date.now(),
-          isVoiceMessage: true // Flag to distinguish voice messages
-        };
-
-        game.gameChat.push(chatMessage);
-
         // Broadcast to all players
-        io.to(code).emit('chat_update', game.gameChat);
+        const events = game.dispatch({ type: 'CHAT_MESSAGE', playerId: player.id, message: transcript, isVoiceMessage: true });
 
         // Trigger NPC responses to this message
-        // Trigger NPC responses to this message
-        game.onNewChatMessage(player.id, transcript);
-
-
+        if (events.some(e => e.type === 'CHAT_UPDATE')) {
+          game.onNewChatMessage(player.id, transcript);
+        }
 
-        console.log(`[STT] Voice message from ${player.name}: "${transcript}"`);
+        sttLogger.info(`Voice message from ${player.name}: "${transcript}"`);
       } else {
-        console.log(`[STT] No transcript received for ${player.name}`);
+        sttLogger.info(`No transcript received for ${player.name}`);
         // Silently fail - don't show an alert to the user
       }
     } catch (err) {
-      console.error('[STT] Error processing voice input:', err);
+      game.logger.child('STT').error('Error processing voice input', { playerIds: [player.id], error: err });
       socket.emit('error', 'Failed to process voice input');
     }
   });
@@ -2066,8 +1345,77 @@ io.on('connection', (socket) => {
   socket.on('get_stt_available', () => {
     socket.emit('stt_available', googleSTTController.isAvailable());
   });
+
+  // --- REPLAY ---
+  // The journal reveals every role and night action, so only finished games can be replayed
+  socket.on('get_replay', ({ code }) => {
+    const replayCode = (code || '').trim().toUpperCase();
+    const game = games[replayCode];
+    if (game && game.state !== 'GAME_OVER') {
+      socket.emit('error', 'This game is still in progress.');
+      return;
+    }
+
+    let journal = game ? game.engine.journal : null;
+    if (!journal) {
+      const journalPath = findEventJournal(replayCode);
+      try {
+        journal = journalPath ? readJournal(journalPath) : null;
+      } catch (err) {
+        serverLogger.error(`Failed to read replay for ${replayCode}`, { error: err });
+      }
+    }
+
+    if (!journal || journal.length === 0) {
+      socket.emit('error', `No replay found for game ${replayCode}.`);
+      return;
+    }
+    // A journal on disk may belong to a game that is not loaded here (evicted, not restored) but still unfinished
+    if (!isJournalFinished(journal)) {
+      socket.emit('error', 'This game is still in progress.');
+      return;
+    }
+    socket.emit('replay_data', { code: replayCode, journal });
+  });
 });
 
+// Restore games that were running when the server stopped
+function restoreGames() {
+  let restored = 0;
+  gameStore.loadAll().forEach(snapshot => {
+    if (snapshot?.version !== SNAPSHOT_VERSION || !snapshot.engine?.code) {
+      serverLogger.warn(`Skipping incompatible game snapshot (version ${snapshot?.version})`);
+      return;
+    }
+    try {
+      const game = Game.fromSnapshot(snapshot);
+      games[game.code] = game;
+      game.resume();
+      restored++;
+    } catch (err) {
+      serverLogger.error(`Failed to restore game ${snapshot.engine.code}`, { error: err });
+    }
+  });
+  if (restored > 0) serverLogger.info(`Restored ${restored} game(s) from the game store`);
+}
+
+restoreGames();
+
+// Evict finished games and abandoned lobbies
+const lifecycle = new GameLifecycleManager({
+  games,
+  store: gameStore,
+  // Players still in the room are sent back to the menu on their next rejoin
+  onEvict: (game) => io.socketsLeave(game.code)
+});
+lifecycle.start();
+
+// Write the debounced snapshots before exiting, so a restart loses nothing
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+  await Promise.all(Object.values(games).map(game => game.flushSave()));
+  process.exit(0);
+}));
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT} using ${protocol.toUpperCase()} (accessible from all interfaces)`);
@@ -0,0 +1,201 @@
+/**
+ * LLM Providers
+ * The language models behind the NPCs. A provider turns a prompt into text
+ * with generate(prompt); AIController (see ai.js) builds the prompts and
+ * parses the answers, so it does not care which model answered.
+ *
+ * Chosen per game in the settings:
+ * - llmProvider: gemini (default) | openai - any server speaking the OpenAI
+ *                chat completions API (OpenAI, llama.cpp, Ollama, LM Studio...)
+ *                | scripted - no LLM, the rule-based NPCs of scripted-ai.js
+ * - llmModel:    model name, defaults per provider
+ * - llmEndpoint: base URL of the OpenAI-compatible API, one of the server's
+ *                allowed endpoints (other URLs are ignored, so a host cannot
+ *                make the server call arbitrary addresses)
+ *
+ * generate(prompt, spec) may get a decision spec (see ai-schemas.js): Gemini
+ * then answers in JSON following its schema (responseSchema), OpenAI-compatible
+ * servers through response_format json_schema. Servers that refuse
+ * response_format are asked again without it.
+ *
+ * Keys come from the environment: GEMINI_API_KEY, and OPENAI_API_KEY for
+ * hosted OpenAI-compatible APIs (local servers need none). OPENAI_BASE_URL
+ * overrides the default endpoint, and LLM_ENDPOINTS (comma-separated) adds the
+ * endpoints hosts may pick, e.g.
+ * http://localhost:11434/v1 (Ollama),http://localhost:8080/v1 (llama.cpp).
+ * OPENAI_API_KEY is only ever sent to the default endpoint.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Local servers can be slow on first load, but an NPC must not hang a phase forever
+const REQUEST_TIMEOUT_MS = 60000;
+
+const LLM_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash'
+    },
+    openai: {
+        label: 'OpenAI-compatible (llama.cpp, Ollama, ...)',
+        defaultModel: 'llama3.1',
+        defaultEndpoint: 'http://localhost:11434/v1'
+    },
+    // No model: the game uses ScriptedAI (see scripted-ai.js)
+    scripted: {
+        label: 'Scripted (offline, no LLM)',
+        defaultModel: null
+    }
+};
+
+/**
+ * A schema from ai-schemas.js in Gemini's OpenAPI dialect: no type lists
+ * (nullable instead), string enums only, no additionalProperties or maxLength
+ */
+function toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const result = { type: types.find(type => type !== 'null') };
+    if (types.includes('null')) result.nullable = true;
+    const values = (schema.enum || []).filter(value => value !== null);
+    if (values.length > 0) Object.assign(result, { format: 'enum', enum: values });
+    if (schema.items) result.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+        result.required = schema.required;
+    }
+    return result;
+}
+
+class GeminiProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'gemini';
+        this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+    }
+
+    async generate(prompt, spec = null) {
+        const result = await this.model.generateContent(spec
+            ? {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(spec.schema) }
+            }
+            : prompt);
+        return result.response.text();
+    }
+}
+
+class OpenAICompatibleProvider {
+    constructor({ endpoint, model, apiKey }) {
+        this.name = 'openai';
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.structuredOutput = true; // Turned off once the server refuses response_format
+    }
+
+    async generate(prompt, spec = null) {
+        const body = { model: this.model, messages: [{ role: 'user', content: prompt }] };
+        if (spec && this.structuredOutput) {
+            body.response_format = { type: 'json_schema', json_schema: { name: spec.name, strict: spec.strict !== false, schema: spec.schema } };
+        }
+        const response = await fetch(`${this.endpoint}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            const error = await response.text();
+            // Only a refused response_format turns structured output off, other 400s (context length, ...) are errors
+            if (response.status === 400 && body.response_format && error.includes('response_format')) {
+                this.structuredOutput = false;
+                return this.generate(prompt, spec);
+            }
+            throw new Error(`${this.endpoint} answered ${response.status}: ${error.slice(0, 200)}`);
+        }
+        const data = await response.json();
+        // Reasoning models served locally prepend their thoughts
+        return (data.choices?.[0]?.message?.content || '').replace(/^\s*<think>[\s\S]*?<\/think>\s*/, '');
+    }
+}
+
+const normalizeEndpoint = url => String(url || '').trim().replace(/\/+$/, '');
+
+// The OpenAI-compatible endpoint used when a game picks none (the only one OPENAI_API_KEY goes to)
+function getDefaultEndpoint() {
+    return normalizeEndpoint(process.env.OPENAI_BASE_URL || LLM_PROVIDERS.openai.defaultEndpoint);
+}
+
+/**
+ * The OpenAI-compatible endpoints a game may use: the default one and LLM_ENDPOINTS
+ * @returns {string[]}
+ */
+function getAllowedEndpoints() {
+    const extra = (process.env.LLM_ENDPOINTS || '').split(',').map(normalizeEndpoint).filter(Boolean);
+    return [...new Set([getDefaultEndpoint(), ...extra])];
+}
+
+/**
+ * The provider, model and endpoint a game's settings ask for (with defaults).
+ * An endpoint outside getAllowedEndpoints falls back to the default one.
+ * @returns {{ provider: string, model: string, endpoint: string|null }}
+ */
+function getLLMConfig(settings = {}) {
+    const provider = LLM_PROVIDERS[settings.llmProvider] ? settings.llmProvider : 'gemini';
+    const defaults = LLM_PROVIDERS[provider];
+    let endpoint = null;
+    if (provider === 'openai') {
+        const requested = normalizeEndpoint(settings.llmEndpoint);
+        endpoint = getAllowedEndpoints().includes(requested) ? requested : getDefaultEndpoint();
+    }
+    return { provider, model: settings.llmModel || defaults.defaultModel, endpoint };
+}
+
+/**
+ * Why a provider cannot be used on this server, or null when it can
+ */
+function getUnavailableReason(provider) {
+    if (provider === 'gemini' && !process.env.GEMINI_API_KEY) return 'GEMINI_API_KEY is not set';
+    return null;
+}
+
+/**
+ * Create the provider for a game's settings
+ * @returns {object|null} A provider with generate(prompt), or null when it is not configured (or scripted)
+ */
+function createLLMProvider(settings = {}) {
+    const { provider, model, endpoint } = getLLMConfig(settings);
+    if (provider === 'scripted' || getUnavailableReason(provider)) return null;
+    if (provider === 'openai') {
+        // The server's key never goes to an endpoint a host picked
+        const apiKey = endpoint === getDefaultEndpoint() ? process.env.OPENAI_API_KEY || '' : '';
+        return new OpenAICompatibleProvider({ endpoint, model, apiKey });
+    }
+    return new GeminiProvider({ apiKey: process.env.GEMINI_API_KEY, model });
+}
+
+/**
+ * The providers for the lobby settings, with their defaults and availability
+ */
+function getLLMOptions() {
+    return Object.entries(LLM_PROVIDERS).map(([id, provider]) => ({
+        id,
+        label: provider.label,
+        defaultModel: provider.defaultModel,
+        defaultEndpoint: id === 'openai' ? getDefaultEndpoint() : null,
+        endpoints: id === 'openai' ? getAllowedEndpoints() : [],
+        unavailableReason: getUnavailableReason(id)
+    }));
+}
+
+module.exports = {
+    LLM_PROVIDERS,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    getLLMConfig,
+    getAllowedEndpoints,
+    createLLMProvider,
+    getLLMOptions
+};
@@ -0,0 +1,177 @@
+/**
+ * NPC Beliefs
+ * What an NPC thinks of every other player, kept for the whole game so a
+ * claim made on day 1 is still remembered on day 3. Stored on the NPC
+ * (player.beliefs, set through the engine's SET_BELIEFS action, so it is
+ * saved with the game):
+ *
+ *     beliefs[playerId] = {
+ *         suspicion: 50,                        // 0 sure they are town .. 100 sure they are evil
+ *         claims: [{ round, role }],            // roles they claimed
+ *         contradictions: ['Day 2: ...'],       // things that did not add up
+ *         evidence: ['Night 1: ...']            // what the NPC saw itself (night results)
+ *     }
+ *
+ * At the end of every phase each living NPC reads what it could see of that
+ * phase (getPhaseRecord, from the game journal) and updates its beliefs with
+ * one small LLM call (AIController.generateBeliefUpdate, or the scripted
+ * version of scripted-ai.js). formatBeliefs() puts them in the NPC's system
+ * prompt (see npc-system-prompt.js).
+ */
+
+const { getRole, isVampireRole } = require('./roles');
+
+const UNKNOWN_SUSPICION = 50;
+
+// Notes kept per list and player, oldest dropped first
+const MAX_NOTES = 4;
+
+const PHASE_LABELS = {
+    NIGHT: 'Night',
+    DAY_DISCUSS: 'Day',
+    DAY_VOTE: 'Day',
+    DEFENSE: 'Day',
+    JUDGEMENT: 'Day'
+};
+
+const clamp = value => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * The phase that ended when the latest phase started, from the journal
+ * @returns {{ round: number, phase: string }|null}
+ */
+function getEndedPhase(journal = []) {
+    const starts = journal.filter(entry => entry.type === 'PHASE_STARTED');
+    if (starts.length < 2) return null;
+    const ended = starts[starts.length - 2];
+    return { round: ended.round, phase: ended.phase };
+}
+
+/**
+ * What a player could see of one phase: the public chat (and the vampire
+ * chat for vampires), votes, reveals, deaths and wills, and their own night results
+ * @returns {{ label: string, lines: string[] }}
+ */
+function getPhaseRecord(gameState, player, { round, phase }) {
+    const nameOf = id => (gameState.players || []).find(p => p.id === id)?.name || 'someone';
+    const canReadVampireChat = isVampireRole(player.role);
+    const lines = [];
+
+    (gameState.journal || [])
+        .filter(entry => entry.round === round && entry.phase === phase)
+        .forEach(entry => {
+            switch (entry.type) {
+                case 'CHAT_MESSAGE':
+                    if (entry.channel === 'public') lines.push(`${nameOf(entry.senderId)}: ${entry.message}`);
+                    else if (entry.channel === 'vampire' && canReadVampireChat) lines.push(`[vampire chat] ${nameOf(entry.senderId)}: ${entry.message}`);
+                    break;
+                case 'VOTE':
+                    lines.push(entry.targetId ? `${nameOf(entry.voterId)} voted for ${nameOf(entry.targetId)}` : `${nameOf(entry.voterId)} withdrew their vote`);
+                    break;
+                case 'ROLE_REVEALED':
+                    lines.push(`${nameOf(entry.playerId)} revealed as ${entry.role}`);
+                    break;
+                case 'PLAYER_DIED':
+                    lines.push(`${nameOf(entry.playerId)} died (${entry.cause})`);
+                    break;
+                case 'WILL_REVEALED':
+                    if (entry.will) lines.push(`${nameOf(entry.playerId)}'s last will: "${entry.will}"`);
+                    break;
+                case 'ACTION_RESULT':
+                    if (entry.actorId === player.id) lines.push(`Your ${entry.action} on ${nameOf(entry.targetId)}: ${entry.result}`);
+                    break;
+            }
+        });
+
+    return { label: `${PHASE_LABELS[phase] || phase} ${round} (${phase})`, lines };
+}
+
+/**
+ * Merge an update ({ players: [{ name, suspicion, claim, contradiction, evidence }]})
+ * into the beliefs
+ * @returns {object} The new beliefs (the old object is not changed)
+ */
+function applyBeliefUpdate(beliefs = {}, update, players, { round, phase }) {
+    const next = structuredClone(beliefs);
+    const label = `${PHASE_LABELS[phase] || phase} ${round}`;
+    const addNote = (list, text) => (text && !list.some(note => note.endsWith(text)) ? [...list, `${label}: ${text}`].slice(-MAX_NOTES) : list);
+
+    (update?.players || []).forEach(entry => {
+        const target = players.find(p => p.name === entry.name);
+        if (!target) return;
+        const belief = next[target.id] || { suspicion: UNKNOWN_SUSPICION, claims: [], contradictions: [], evidence: [] };
+        if (Number.isFinite(entry.suspicion)) belief.suspicion = clamp(entry.suspicion);
+        if (getRole(entry.claim) && belief.claims[belief.claims.length - 1]?.role !== entry.claim) {
+            belief.claims = [...belief.claims, { round, role: entry.claim }].slice(-MAX_NOTES);
+        }
+        belief.contradictions = addNote(belief.contradictions, entry.contradiction);
+        belief.evidence = addNote(belief.evidence, entry.evidence);
+        next[target.id] = belief;
+    });
+    return next;
+}
+
+function describeSuspicion(suspicion) {
+    if (suspicion >= 80) return 'very likely evil';
+    if (suspicion >= 60) return 'suspicious';
+    if (suspicion > 40) return 'unsure';
+    if (suspicion > 20) return 'probably town';
+    return 'very likely town';
+}
+
+/**
+ * The NPC's beliefs about the living players, for its prompts
+ */
+function formatBeliefs(player, gameState) {
+    const beliefs = player.beliefs || {};
+    const lines = (gameState.players || [])
+        .filter(p => p.alive && p.id !== player.id && beliefs[p.id])
+        .map(p => {
+            const belief = beliefs[p.id];
+            const parts = [`suspicion ${belief.suspicion}/100 (${describeSuspicion(belief.suspicion)})`];
+            if (belief.claims.length > 0) parts.push(`claimed ${belief.claims.map(c => `${c.role} (round ${c.round})`).join(', then ')}`);
+            if (belief.contradictions.length > 0) parts.push(`contradictions: ${belief.contradictions.join('; ')}`);
+            if (belief.evidence.length > 0) parts.push(`your evidence: ${belief.evidence.join('; ')}`);
+            return `- ${p.name}: ${parts.join('; ')}`;
+        });
+    if (lines.length === 0) return '';
+    return `
+
+    **YOUR NOTES ON THE OTHER PLAYERS (kept since the start of the game):**
+    ${lines.join('\n    ')}
+    Update your view when new information comes in, but do not forget earlier claims and contradictions.`;
+}
+
+/**
+ * The prompt of the end-of-phase belief update
+ */
+function getBeliefUpdatePrompt(player, gameState, record) {
+    const others = (gameState.players || []).filter(p => p.alive && p.id !== player.id).map(p => p.name);
+    const role = player.fakeRole
+        ? `You are secretly ${player.role} (${player.alignment}) and publicly claim ${player.fakeRole}.`
+        : `You are ${player.role} (${player.alignment}).`;
+    return `You are ${player.name} in a social deduction game (like Mafia/Werewolf). ${role}
+    You keep private notes on the other players. ${record.label} just ended.${formatBeliefs(player, gameState)}
+
+    WHAT HAPPENED IN ${record.label.toUpperCase()}:
+    ${record.lines.join('\n    ') || '(nothing you could see)'}
+
+    Update your notes for the players this phase told you something about (living players: ${others.join(', ')}).
+    For each of them give:
+    - suspicion: 0 (surely town) to 100 (surely evil), 50 when you have no idea
+    - claim: the role they claimed in this phase, or null
+    - contradiction: a short note if something they said does not add up, or null
+    - evidence: a short note on what YOUR OWN results showed about them, or null
+    Respond with a JSON object: { "players": [{ "name": "...", "suspicion": 50, "claim": null, "contradiction": null, "evidence": null }] }
+    Do not include markdown formatting, just raw JSON.`;
+}
+
+module.exports = {
+    UNKNOWN_SUSPICION,
+    MAX_NOTES,
+    getEndedPhase,
+    getPhaseRecord,
+    applyBeliefUpdate,
+    formatBeliefs,
+    getBeliefUpdatePrompt
+};
@@ -3,60 +3,33 @@
  * Edit this file to customize how AI NPCs behave in the game.
  */
 
+const { ROLES, getRoleNames, isVampireRole } = require('./roles');
+const { getPossibleRoles, getPublicRoleList } = require('./role-list');
+const { getBiteRules, canBiteOnNight, getBiteMode, getYoungestVampire, describeBiteCadence } = require('./bite-rules');
+const { formatBeliefs } = require('./npc-beliefs');
+const { formatChatSummaries } = require('./chat-archive');
+
 // ============================================================================
-// ROLE CATALOG - Complete reference of all roles, abilities, and tips
+// ROLE CATALOG - Built from the role registry (see roles.js)
 // ============================================================================
-const roleCatalog = {
-    'Investigator': {
-        alignment: 'good',
-        ability: 'Investigate one player each night to discover their role',
-        tip: 'Results can be wrong if target was framed by a Vampire Framer'
-    },
-    'Lookout': {
-        alignment: 'good',
-        ability: 'Watch one player to see who visits them at night',
-        tip: 'Can catch vampires or other roles visiting their target'
-    },
-    'Doctor': {
-        alignment: 'good',
-        ability: 'Heal one player each night to protect from vampire bites (3 heals total)',
-        tip: 'Successful saves use 1 heal, can prevent vampire turning'
-    },
-    'Jailor': {
-        alignment: 'good',
-        ability: 'Jail one player each night for interrogation, can execute',
-        tip: 'Jailed players are protected from vampires. Executing an innocent kills you!'
-    },
-    'Citizen': {
-        alignment: 'good',
-        ability: 'No special night ability',
-        tip: 'Use deduction and discussion to find evil players'
-    },
-    'Vampire': {
-        alignment: 'evil',
-        ability: 'Turn one non-vampire into a vampire (ONLY on even nights: Night 2, 4, 6...)',
-        tip: 'Cannot bite on odd nights (Night 1, 3, 5...). Must coordinate with other vampires.'
-    },
-    'Vampire Framer': {
-        alignment: 'evil',
-        ability: 'Frame one player per night to appear as Vampire to investigators',
-        tip: 'Also participates in vampire bite coordination on even nights'
-    },
-    'Jester': {
-        alignment: 'neutral',
-        ability: 'No night ability - win by getting yourself lynched',
-        tip: 'Act suspicious but not too obvious to get voted out'
-    }
-};
+const roleCatalog = Object.fromEntries(Object.entries(ROLES).map(([name, role]) => [name, {
+    alignment: role.alignment,
+    ability: role.npc.ability,
+    tip: role.npc.tip
+}]));
 
 // ============================================================================
 // GAME MECHANICS REFERENCE
 // ============================================================================
 const gameMechanicsText = `
 GAME MECHANICS REFERENCE:
-- VAMPIRE BITES: Vampires can ONLY bite on EVEN nights (Night 2, 4, 6...). Odd nights (1, 3, 5...) they cannot turn anyone.
 - DOCTOR: Has 3 heals total. Each heal attempt (whether successful or not) uses 1 heal.
-- JAIL PROTECTION: Jailed players cannot be bitten by vampires that night.
+- JAIL PROTECTION: Jailed players cannot be bitten or staked that night.
+- VAMPIRE HUNTER: Has 2 stakes total. A staked player dies unless a Doctor heals them. If the hunter stakes a town member, the hunter dies of guilt the next day.
+- ROLEBLOCK: An Escort can roleblock one player per night. That player's night action fails, they are told "You were roleblocked!", and a Lookout does not see them visit.
+- NIGHT ORDER: Roleblocks resolve first, then heals and frames, then stakes and bites, then investigations and lookouts, then the Jailor's execution.
+- MAYOR: A Mayor can reveal publicly during the day. A revealed Mayor's vote counts 3 times and Doctors can no longer heal them. Only town has a real Mayor, but evil players may falsely claim Mayor without revealing.
+- LAST WILLS: Every player keeps a last will that is revealed when they die. Killing roles (Jailor, Vampire Hunter, vampires) may leave a death note on their victim. Evil players write fake wills, so check them against other claims.
 - FRAMING: Framed players appear as "Vampire" to any Investigator checking them that night only.
 - LYNCHING: Majority vote (50%+ of alive players) is needed to lynch someone.
 - ROLE REVEAL: When someone dies, their role may be revealed (depends on game settings).
@@ -64,21 +37,13 @@ GAME MECHANICS REFERENCE:
   * Town wins when all vampires are dead
   * Vampires win when they equal or outnumber town
   * Jester wins immediately if lynched (game ends)
+  * Executioner wins if their secret town target is lynched while they are alive (the game goes on). If the target dies any other way, the Executioner becomes a Jester
 `;
 
 // ============================================================================
 // GOALS BY ROLE
 // ============================================================================
-const goals = {
-    'Investigator': 'Find the vampires by investigating players.',
-    'Lookout': 'Watch for suspicious visits and identify threats.',
-    'Doctor': 'Save innocents from vampire attacks (3 heals remaining).',
-    'Jailor': 'Jail suspicious players, interrogate them, execute the guilty.',
-    'Citizen': 'Find and vote out the vampires through deduction.',
-    'Vampire': 'Turn or eliminate all non-vampires. Coordinate with fellow vampires.',
-    'Vampire Framer': 'Frame innocents to mislead investigators. Help vampires win.',
-    'Jester': 'Get yourself lynched by the town vote to win.'
-};
+const goals = Object.fromEntries(Object.entries(ROLES).map(([name, role]) => [name, role.npc.goal]));
 
 function getGoal(role) {
     return goals[role] || 'Survive and help your faction win.';
@@ -87,21 +52,65 @@ function getGoal(role) {
 // ============================================================================
 // ROLE CATALOG FORMATTER
 // ============================================================================
-function formatRoleCatalog() {
-    let text = "ROLES IN THIS GAME:\n";
-    for (const [role, info] of Object.entries(roleCatalog)) {
+/**
+ * The roles that can be in play (see role-list.js), plus the public role list
+ * when the game uses a preset
+ */
+function formatRoleCatalog(gameState) {
+    const playerCount = gameState.players?.length || 0;
+    const roleList = getPublicRoleList(gameState.settings, playerCount);
+    let text = "";
+    if (roleList) {
+        text += `ROLE LIST (one slot per player, the exact roles are secret): ${roleList.join(', ')}\n`;
+    }
+    text += "ROLES THAT CAN BE IN THIS GAME:\n";
+    for (const role of getPossibleRoles(gameState.settings, playerCount)) {
+        const info = roleCatalog[role];
         text += `- ${role} (${info.alignment}): ${info.ability}\n`;
     }
     return text;
 }
 
+/**
+ * Lists each role's night actions for the night action prompt
+ * @returns {string} One line per role, e.g. "- Doctor: HEAL <target_name>"
+ */
+function formatNightActionHints() {
+    return Object.entries(ROLES).map(([name, role]) => {
+        const hints = role.actions.map(a => a.npcHint).filter(Boolean);
+        return `- ${name}: ${hints.length > 0 ? hints.join(' or ') : 'NO_ACTION'}`;
+    }).join('\n      ');
+}
+
+/**
+ * Comma-separated role names, used when telling NPCs to keep role names in English
+ */
+function formatRoleNames() {
+    return getRoleNames().join(', ');
+}
+
+/**
+ * The host's bite rules in words (see bite-rules.js)
+ * @param {object} gameState - Needs settings and conversions
+ */
+function formatBiteRules(gameState) {
+    const rules = getBiteRules(gameState.settings);
+    const mode = getBiteMode(gameState.settings, gameState.conversions || 0);
+    let text = `VAMPIRE BITES: Vampires can bite ${describeBiteCadence(gameState.settings)}. `;
+    text += mode === 'KILL' ? 'A bite KILLS the target.' : 'A bite turns the target into a Vampire.';
+    if (rules.mode === 'CONVERT' && rules.maxConversions > 0) {
+        text += ` After ${rules.maxConversions} conversion(s) bites kill instead (${gameState.conversions || 0} so far).`;
+    }
+    if (rules.youngestVampireOnly) text += ' Only the most recently turned vampire can bite (the next youngest when they are jailed; a roleblocked biter bites nobody).';
+    return text;
+}
+
 // ============================================================================
 // GAME CONTEXT BUILDER - Strategic context for AI reasoning
 // ============================================================================
 function buildGameContext(gameState, player) {
     const round = gameState.round || 1;
-    const isEvenNight = round % 2 === 0;
-    const canVampiresBite = isEvenNight;
+    const canVampiresBite = canBiteOnNight(gameState.settings, round);
 
     // Living and dead players
     const livingPlayers = gameState.players.filter(p => p.alive);
@@ -111,10 +120,23 @@ function buildGameContext(gameState, player) {
     let context = `
 CURRENT GAME STATE:
 - Round: ${round} (${gameState.state || 'unknown phase'})
-- ${canVampiresBite ? '⚠️ Vampires CAN bite tonight (even night)' : 'Vampires cannot bite tonight (odd night)'}
+- ${formatBiteRules(gameState)}
+- ${canVampiresBite ? `⚠️ Vampires CAN bite on Night ${round}` : `Vampires cannot bite on Night ${round}`}
 - Living players (${livingPlayers.length}): ${livingPlayers.map(p => p.name).join(', ')}
 `;
 
+    // In youngestVampireOnly mode the vampires need to know who bites
+    if (isVampireRole(player?.role) && getBiteRules(gameState.settings).youngestVampireOnly) {
+        const biter = getYoungestVampire(gameState.players, gameState.jailedPlayerId);
+        if (biter) context += `- ${biter.id === player.id ? 'YOU are' : `${biter.name} is`} the only one who can bite (the youngest vampire not in jail)\n`;
+    }
+
+    // Publicly revealed roles (a revealed Mayor's vote counts 3 times)
+    const revealedPlayers = livingPlayers.filter(p => p.revealedRole);
+    if (revealedPlayers.length > 0) {
+        context += `- Revealed (confirmed): ${revealedPlayers.map(p => `${p.name} is the ${p.revealedRole}`).join(', ')} - their vote counts 3 times\n`;
+    }
+
     // Dead players with roles (if revealed)
     if (deadPlayers.length > 0) {
         context += `- Dead players: `;
@@ -153,6 +175,68 @@ function formatLogsWithTimeline(logs, currentRound) {
     return recentLogs.join("\n");
 }
 
+// ============================================================================
+// ACTION HISTORY - What the NPC did at night and what it learned
+// ============================================================================
+function formatActionHistory(player) {
+    if (!player.actionHistory || player.actionHistory.length === 0) return "";
+    const historyLines = player.actionHistory.map(h => {
+        let line = `- Night ${h.round}: You performed ${h.action} on ${h.targetName}`;
+        if (h.result) {
+            line += ` → RESULT: ${h.result}`;
+        }
+        return line;
+    }).join('\n');
+    return `
+    
+    **YOUR PAST ACTIONS AND RESULTS (CRITICAL - this is what YOU did and discovered):**
+    ${historyLines}
+    
+    IMPORTANT: Use the RESULTS from your actions above when discussing the game. If you're a Lookout and saw visitors, share that info. If you're an Investigator and found a role, share that info (from Day 2 onwards).
+    CRITICAL: Only claim actions and results that appear above. Do NOT make up or claim actions/results you didn't perform/receive.`;
+}
+
+// ============================================================================
+// LAST WILLS - Revealed when a player dies
+// ============================================================================
+function formatRevealedWills(gameState) {
+    const wills = (gameState.wills || []).filter(w => w.will || w.deathNote);
+    if (wills.length === 0) return "";
+    const lines = wills.map(w => {
+        let line = `- ${w.name} (died ${w.cause === 'lynch' || w.cause === 'guilt' ? 'Day' : 'Night'} ${w.round}): ${w.will ? `"${w.will}"` : '(no will)'}`;
+        if (w.deathNote) line += `\n      Death note left by the killer: "${w.deathNote}"`;
+        return line;
+    }).join('\n    ');
+    return `
+    
+    **LAST WILLS OF THE DEAD (public):**
+    ${lines}
+    A will can be faked by an evil player, but a town will usually tells you their real role and results.`;
+}
+
+// ============================================================================
+// HIDDEN OBJECTIVES - The Executioner's target
+// ============================================================================
+/**
+ * Name of the Executioner's target while the objective is still open
+ * @returns {string|null}
+ */
+function getObjectiveTargetName(player, gameState) {
+    const objective = player.objective;
+    if (objective?.type !== 'lynchTarget' || objective.achieved) return null;
+    return gameState.players.find(p => p.id === objective.targetId)?.name || null;
+}
+
+function formatObjective(player, gameState) {
+    if (player.objective?.type !== 'lynchTarget') return "";
+    if (player.objective.achieved) {
+        return `\n    Your target was already voted out, so you have won. Play along without drawing attention.`;
+    }
+    const targetName = getObjectiveTargetName(player, gameState);
+    return `\n    YOUR SECRET TARGET: ${targetName}. You win if ${targetName} is voted out during the day while you are alive.
+    Build suspicion against ${targetName} step by step, but never reveal that you are an Executioner.`;
+}
+
 /**
  * Generates the prompt for creating a new NPC profile.
  * @param {string} forbiddenNames - Comma-separated list of names already in use
@@ -237,7 +321,7 @@ function getSystemPrompt(player, gameState) {
     Your alignment is ${player.alignment}.`;
 
     if (player.fakeRole) {
-        roleInstruction += `\n    IMPORTANT: You are EVIL, but you must pretend to be GOOD.
+        roleInstruction += `\n    IMPORTANT: You are ${player.alignment === 'neutral' ? 'NEUTRAL' : 'EVIL'}, but you must pretend to be GOOD.
     Your PUBLIC CLAIM is: ${player.fakeRole}.
     Act consistently as if you are a ${player.fakeRole}.
     Do NOT reveal your true role to anyone unless you are coordinating with other vampires at night.`;
@@ -248,23 +332,7 @@ function getSystemPrompt(player, gameState) {
     const roleTip = roleInfo ? `\n    Role tip: ${roleInfo.tip}` : '';
 
     // Build action history context - CRITICAL for AI to remember what it did AND the results
-    let actionHistoryContext = "";
-    if (player.actionHistory && player.actionHistory.length > 0) {
-        const historyLines = player.actionHistory.map(h => {
-            let line = `- Night ${h.round}: You performed ${h.action} on ${h.targetName}`;
-            if (h.result) {
-                line += ` → RESULT: ${h.result}`;
-            }
-            return line;
-        }).join('\n');
-        actionHistoryContext = `
-    
-    **YOUR PAST ACTIONS AND RESULTS (CRITICAL - this is what YOU did and discovered):**
-    ${historyLines}
-    
-    IMPORTANT: Use the RESULTS from your actions above when discussing the game. If you're a Lookout and saw visitors, share that info. If you're an Investigator and found a role, share that info (from Day 2 onwards).
-    CRITICAL: Only claim actions and results that appear above. Do NOT make up or claim actions/results you didn't perform/receive.`;
-    }
+    const actionHistoryContext = formatActionHistory(player);
 
     // Build received events context - events that happened TO this NPC
     let receivedEventsContext = "";
@@ -286,12 +354,12 @@ function getSystemPrompt(player, gameState) {
     return `You are playing a game of social deduction (like Mafia/Werewolf).
     Your name is ${player.name}.
     ${roleInstruction}
-    Your objective: ${getGoal(player.role)}${roleTip}
-    ${personalityContext}${actionHistoryContext}${receivedEventsContext}
+    Your objective: ${getGoal(player.role)}${formatObjective(player, gameState)}${roleTip}
+    ${personalityContext}${actionHistoryContext}${receivedEventsContext}${formatChatSummaries(player, gameState)}${formatBeliefs(player, gameState)}
     
-    ${formatRoleCatalog()}
+    ${formatRoleCatalog(gameState)}
     ${gameMechanicsText}
-    ${gameContext}
+    ${gameContext}${formatRevealedWills(gameState)}
     
     Recent events:
     ${recentLogs}
@@ -323,7 +391,7 @@ function getJailInterrogationPrompt(player, gameState, jailChat, isJailor, other
 
     let roleContext = '';
     if (player.fakeRole) {
-        roleContext = `Your real role is ${player.role} (EVIL), but you MUST claim to be ${player.fakeRole}.
+        roleContext = `Your real role is ${player.role} (${player.alignment.toUpperCase()}), but you MUST claim to be ${player.fakeRole}.
     DO NOT reveal your true role under any circumstances. Lie convincingly.`;
     } else {
         roleContext = `Your role is ${player.role}. Your alignment is ${player.alignment}.`;
@@ -376,12 +444,71 @@ function getJailInterrogationPrompt(player, gameState, jailChat, isJailor, other
     }
 }
 
+/**
+ * Generates a prompt for the graveyard chat: a dead NPC talking with the other
+ * dead, or a living Medium NPC holding a séance at night.
+ * @param {object} player - The NPC player
+ * @param {object} gameState - Current game state
+ * @param {array} deadChat - Graveyard messages as this NPC sees them
+ * @returns {string} The graveyard chat prompt
+ */
+function getDeadChatPrompt(player, gameState, deadChat) {
+    const recentLogs = formatLogsWithTimeline(gameState.logs, gameState.round);
+    const chatHistory = deadChat.slice(-15).map(c => `${c.senderName}: ${c.message}`).join("\n") || "(No messages yet)";
+    const gameContext = buildGameContext(gameState, player);
+
+    if (player.alive) {
+        return `You are playing a social deduction game. Your name is ${player.name}.
+    You are the MEDIUM (good). It is NIGHT ${gameState.round} and you are holding a séance.
+    The dead can hear you, but they only see you as "Medium" - they do not know who you are.
+    ${formatActionHistory(player)}
+    ${gameMechanicsText}
+    ${gameContext}
+    
+    Recent game events:
+    ${recentLogs}
+    
+    Séance Chat History:
+    ${chatHistory}
+    
+    INSTRUCTIONS:
+    - Ask the dead what they know: their true role, who they suspected, what their night actions showed
+    - Remember that dead vampires may lie to you
+    - Keep responses short and focused (under 100 characters)`;
+    }
+
+    const formerClaim = player.fakeRole ? `\n    While alive you pretended to be ${player.fakeRole}; that no longer matters among the dead.` : '';
+    return `You are playing a social deduction game. Your name is ${player.name}.
+    You are DEAD. Your true role was ${player.role} and your alignment is ${player.alignment}.${formerClaim}
+    You are in the graveyard chat, where only dead players can talk. At night a living Medium
+    may join anonymously (shown as "Medium") to ask the dead questions.
+    ${formatActionHistory(player)}
+    ${gameContext}
+    
+    Recent game events:
+    ${recentLogs}
+    
+    Graveyard Chat History:
+    ${chatHistory}
+    
+    INSTRUCTIONS:
+    - Talk openly with the other dead players - you can share your true role
+    - ${player.alignment === 'good' ? 'You still want the town to win: tell the Medium the truth and everything you learned' : 'You still want your faction to win: mislead the Medium if it helps your side'}
+    - Keep responses short and focused (under 100 characters)`;
+}
+
 module.exports = {
     getSystemPrompt,
     getGoal,
     getProfileGenerationPrompt,
     getJailInterrogationPrompt,
+    getDeadChatPrompt,
+    getObjectiveTargetName,
+    formatBiteRules,
+    formatRevealedWills,
     roleCatalog,
+    formatNightActionHints,
+    formatRoleNames,
     gameMechanicsText,
     buildGameContext
 };
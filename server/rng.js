@@ -0,0 +1,91 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG (mulberry32) used by the game engine so a game can be
+ * reproduced exactly from its seed. The whole generator state is a single
+ * 32-bit integer, so it can be snapshotted together with the game state.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Turn any seed (number or string) into an unsigned 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    // FNV-1a hash for string seeds (e.g. a seed copied from a game log)
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generate a fresh random seed for a new game
+ * @returns {number}
+ */
+function createSeed() {
+    return crypto.randomInt(0, 0xFFFFFFFF);
+}
+
+class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.state = normalizeSeed(seed);
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element (undefined for an empty array)
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Unbiased Fisher-Yates shuffle, returns a new array
+     */
+    shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+module.exports = {
+    SeededRandom,
+    createSeed,
+    normalizeSeed
+};
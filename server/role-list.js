@@ -0,0 +1,420 @@
+/**
+ * Role Lists
+ * Decides which roles are in play. Besides the default percentages and the
+ * exact counts of roleConfig, the host can pick a role-list preset: an
+ * ordered list of slots, each either a role name or a random bucket.
+ *
+ * A preset is plain JSON, so it can be saved and shared:
+ *
+ *     {
+ *         "name": "Classic 8",
+ *         "slots": ["Jailor", "TOWN_INVESTIGATIVE", "TOWN_PROTECTIVE", "RANDOM_TOWN",
+ *                   "RANDOM_TOWN", "Vampire", "RANDOM_EVIL", "ANY"],
+ *         "constraints": { "Vampire": { "min": 1 }, "Doctor": { "max": 1 }, "Escort": { "unique": true } }
+ *     }
+ *
+ * - slots:       filled in order; extra slots are dropped when there are fewer
+ *                players (the slots dealt must still include an evil role),
+ *                extra players get the filler role (Citizen)
+ * - constraints: per-role { min, max, unique } (unique is max 1). Roles with
+ *                unique: true in roles.js are always unique.
+ *
+ * validateRolePreset rejects presets that cannot be dealt within their
+ * constraints. Fixed roles are placed first, then the roles still below their
+ * minimum, then the other buckets from the most specific to the broadest.
+ */
+
+const { ROLES, FILLER_ROLE, getRole, getObjective } = require('./roles');
+const { REJECTION } = require('./action-validator');
+
+const MAX_SLOTS = 30;
+
+// Bucket key -> label and which roles it can produce (never the filler role)
+const ROLE_BUCKETS = {
+    TOWN_INVESTIGATIVE: { label: 'Town Investigative', match: role => role.alignment === 'good' && role.category === 'investigative' },
+    TOWN_PROTECTIVE: { label: 'Town Protective', match: role => role.alignment === 'good' && role.category === 'protective' },
+    TOWN_KILLING: { label: 'Town Killing', match: role => role.alignment === 'good' && role.category === 'killing' },
+    TOWN_SUPPORT: { label: 'Town Support', match: role => role.alignment === 'good' && role.category === 'support' },
+    RANDOM_TOWN: { label: 'Random Town', match: role => role.alignment === 'good' },
+    RANDOM_EVIL: { label: 'Random Evil', match: role => role.alignment === 'evil' },
+    RANDOM_NEUTRAL: { label: 'Random Neutral', match: role => role.alignment === 'neutral' },
+    ANY: { label: 'Any', match: () => true }
+};
+
+// Built-in presets offered in the lobby
+const ROLE_PRESETS = [
+    {
+        name: 'Classic 7',
+        slots: ['Jailor', 'TOWN_INVESTIGATIVE', 'TOWN_PROTECTIVE', 'RANDOM_TOWN', 'Vampire', 'RANDOM_EVIL', 'RANDOM_NEUTRAL'],
+        constraints: {}
+    },
+    {
+        name: 'Ranked 10',
+        slots: ['Jailor', 'TOWN_INVESTIGATIVE', 'TOWN_INVESTIGATIVE', 'TOWN_PROTECTIVE', 'TOWN_KILLING', 'TOWN_SUPPORT',
+            'RANDOM_TOWN', 'Vampire', 'RANDOM_EVIL', 'RANDOM_NEUTRAL'],
+        constraints: { 'Vampire Hunter': { unique: true } }
+    },
+    {
+        name: 'All Any',
+        slots: ['Vampire', 'ANY', 'ANY', 'ANY', 'ANY', 'ANY', 'ANY', 'ANY'],
+        constraints: { Vampire: { max: 2 }, 'Vampire Framer': { unique: true } }
+    }
+];
+
+function isBucket(slot) {
+    return Object.prototype.hasOwnProperty.call(ROLE_BUCKETS, slot);
+}
+
+/**
+ * Roles a bucket can produce, in registry order
+ */
+function getBucketRoles(bucket) {
+    const match = ROLE_BUCKETS[bucket]?.match;
+    if (!match) return [];
+    return Object.keys(ROLES).filter(name => name !== FILLER_ROLE && match(ROLES[name]));
+}
+
+/**
+ * Display name of a slot (a role name or a bucket label)
+ */
+function getSlotLabel(slot) {
+    return ROLE_BUCKETS[slot]?.label || slot;
+}
+
+/**
+ * Buckets with their labels and roles, sent to the client with the role registry
+ */
+function getBucketRegistry() {
+    return Object.fromEntries(Object.entries(ROLE_BUCKETS).map(([key, bucket]) => [key, {
+        label: bucket.label,
+        roles: getBucketRoles(key)
+    }]));
+}
+
+/**
+ * Check a preset (e.g. pasted as JSON) and normalize it. Besides the format,
+ * the slots dealt must respect the constraints: fixed slots within max/unique,
+ * every min reachable, every bucket able to roll a role and at least one
+ * evil role guaranteed.
+ * @param {object} preset
+ * @param {number} [playerCount] - Check the slots dealt to this many players (all slots by default)
+ * @returns {object} { ok: true, preset } or { ok: false, code, message }
+ */
+function validateRolePreset(preset, playerCount) {
+    const invalid = message => ({ ok: false, code: REJECTION.INVALID_PRESET, message });
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return invalid('A role list must be a JSON object.');
+    if (!Array.isArray(preset.slots) || preset.slots.length === 0) return invalid('A role list needs at least one slot.');
+    if (preset.slots.length > MAX_SLOTS) return invalid(`A role list can have at most ${MAX_SLOTS} slots.`);
+
+    const unknownSlot = preset.slots.find(slot => !ROLES[slot] && !isBucket(slot));
+    if (unknownSlot !== undefined) return invalid(`Unknown role or bucket: ${unknownSlot}`);
+
+    const constraints = {};
+    for (const [roleName, limit] of Object.entries(preset.constraints || {})) {
+        if (!ROLES[roleName]) return invalid(`Unknown role in constraints: ${roleName}`);
+        const min = limit?.min ?? 0;
+        const max = limit?.unique ? 1 : (limit?.max ?? null);
+        if (!Number.isInteger(min) || min < 0 || (max !== null && (!Number.isInteger(max) || max < 0))) {
+            return invalid(`Invalid min/max for ${roleName}.`);
+        }
+        if (max !== null && min > max) return invalid(`The minimum for ${roleName} is above its maximum.`);
+        constraints[roleName] = { min, max, unique: !!limit?.unique };
+    }
+
+    const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim().slice(0, 40) : 'Custom role list';
+    const normalized = { name, slots: [...preset.slots], constraints };
+    const problem = getDealProblem(normalized, playerCount ?? normalized.slots.length);
+    if (problem) return invalid(problem);
+    return { ok: true, preset: normalized };
+}
+
+/**
+ * { min, max } for a role, combining the preset constraints and the registry's unique flag
+ */
+function getLimits(preset, roleName) {
+    const limit = preset.constraints?.[roleName] || {};
+    let max = limit.unique ? 1 : (limit.max ?? Infinity);
+    if (getRole(roleName)?.unique) max = Math.min(max, 1);
+    return { min: limit.min || 0, max };
+}
+
+/**
+ * The slots dealt to playerCount players: extra slots are dropped, extra
+ * players get the filler role
+ */
+function getDealtSlots(preset, playerCount) {
+    const slots = preset.slots.slice(0, playerCount);
+    while (slots.length < playerCount) slots.push(FILLER_ROLE);
+    return slots;
+}
+
+function countRoles(roles) {
+    const counts = {};
+    roles.forEach(role => { if (role) counts[role] = (counts[role] || 0) + 1; });
+    return counts;
+}
+
+// Whether the slots always deal an evil role (a fixed one, a bucket of evil roles only or an evil min)
+function guaranteesEvil(preset, slots) {
+    const isEvil = role => getRole(role)?.alignment === 'evil';
+    return slots.some(slot => (isBucket(slot) ? getBucketRoles(slot).every(isEvil) : isEvil(slot))) ||
+        Object.entries(preset.constraints).some(([role, limit]) => limit.min > 0 && isEvil(role));
+}
+
+/**
+ * Size of a maximum matching of the left nodes to the right nodes (Kuhn's algorithm)
+ * @param {number[][]} edges - Right node indexes each left node can take
+ */
+function getMatchingSize(edges) {
+    const owner = [];
+    const assign = (left, seen) => edges[left].some(right => {
+        if (seen.has(right)) return false;
+        seen.add(right);
+        if (owner[right] === undefined || assign(owner[right], seen)) {
+            owner[right] = left;
+            return true;
+        }
+        return false;
+    });
+    return edges.filter((_, left) => assign(left, new Set())).length;
+}
+
+/**
+ * Why the open (null) slots of a partly rolled role list cannot be filled
+ * within the limits, or null when they can. Two matchings decide it: every
+ * open slot needs a role with room left below its max, and every role below
+ * its min needs that many open slots that can roll it. When both exist, a
+ * single assignment does both (Mendelsohn-Dulmage).
+ * @param {string[]} slots - From getDealtSlots
+ * @param {Array<string|null>} roles - The roles rolled so far, null for open slots
+ * @returns {string|null}
+ */
+function getFillProblem(preset, slots, roles) {
+    const counts = countRoles(roles);
+    const open = slots.filter((slot, i) => roles[i] === null);
+    const options = open.map(slot => new Set(getBucketRoles(slot)));
+
+    // One unit per role and per place left below its max
+    const units = [];
+    Object.keys(ROLES).forEach(role => {
+        const room = Math.min(getLimits(preset, role).max - (counts[role] || 0), open.length);
+        for (let n = 0; n < room; n++) units.push(role);
+    });
+    const slotEdges = options.map(roleSet => units.flatMap((role, u) => (roleSet.has(role) ? [u] : [])));
+    if (getMatchingSize(slotEdges) < open.length) {
+        const stuck = open.find((slot, i) => slotEdges[i].length === 0) || open[0];
+        return `Not enough roles for the ${getSlotLabel(stuck)} slots within the role limits.`;
+    }
+
+    const needEdges = [];
+    for (const role of Object.keys(preset.constraints)) {
+        const missing = getLimits(preset, role).min - (counts[role] || 0);
+        const edges = options.flatMap((roleSet, i) => (roleSet.has(role) ? [i] : []));
+        if (missing > edges.length) return `The role list cannot deal the minimum of ${getLimits(preset, role).min} ${role}.`;
+        for (let n = 0; n < missing; n++) needEdges.push(edges);
+    }
+    if (getMatchingSize(needEdges) < needEdges.length) return 'The random slots cannot reach every role minimum at once.';
+    return null;
+}
+
+/**
+ * Why a normalized preset cannot be dealt to playerCount players, or null
+ */
+function getDealProblem(preset, playerCount) {
+    const slots = getDealtSlots(preset, playerCount);
+    const roles = slots.map(slot => (isBucket(slot) ? null : slot));
+    const counts = countRoles(roles);
+    const overLimit = Object.keys(counts).find(role => counts[role] > getLimits(preset, role).max);
+    if (overLimit) return `The role list has ${counts[overLimit]} ${overLimit} slots, more than its limit of ${getLimits(preset, overLimit).max}.`;
+    if (!guaranteesEvil(preset, slots)) {
+        return `The first ${slots.length} slots have no evil role: add a Vampire or a Random Evil slot.`;
+    }
+    return getFillProblem(preset, slots, roles);
+}
+
+/**
+ * Roll a validated preset into one role per player
+ * @param {object} preset - From validateRolePreset, checked for playerCount
+ * @param {number} playerCount
+ * @param {SeededRandom} rng
+ * @returns {string[]} Role names in slot order (not shuffled)
+ */
+function resolveRoleList(preset, playerCount, rng) {
+    const slots = getDealtSlots(preset, playerCount);
+    const roles = slots.map(slot => (isBucket(slot) ? null : slot));
+    const counts = countRoles(roles);
+    const place = (i, role) => {
+        roles[i] = role;
+        if (getFillProblem(preset, slots, roles)) {
+            roles[i] = null;
+            return false;
+        }
+        counts[role] = (counts[role] || 0) + 1;
+        return true;
+    };
+
+    // Narrow buckets first, so "Any" cannot take the only role a specific bucket allows
+    const bucketIndexes = slots
+        .map((slot, i) => i)
+        .filter(i => isBucket(slots[i]))
+        .sort((a, b) => getBucketRoles(slots[a]).length - getBucketRoles(slots[b]).length);
+    const openIndexes = () => bucketIndexes.filter(i => roles[i] === null);
+
+    // Minimums first, each in the narrowest open slot that can roll the role
+    Object.keys(preset.constraints).forEach(role => {
+        while ((counts[role] || 0) < getLimits(preset, role).min) {
+            const placed = openIndexes().some(i => getBucketRoles(slots[i]).includes(role) && place(i, role));
+            if (!placed) throw new Error(`Role list "${preset.name}" cannot deal the minimum of ${role}`);
+        }
+    });
+
+    // Then the other buckets, at random among the roles that keep the rest fillable
+    openIndexes().forEach(i => {
+        let candidates = getBucketRoles(slots[i]).filter(role => (counts[role] || 0) < getLimits(preset, role).max);
+        let role = rng.pick(candidates);
+        while (role && !place(i, role)) {
+            candidates = candidates.filter(candidate => candidate !== role);
+            role = rng.pick(candidates);
+        }
+        if (!role) throw new Error(`Role list "${preset.name}" has no role left for a ${getSlotLabel(slots[i])} slot`);
+    });
+    return roles;
+}
+
+/**
+ * Role counts of the default mode, based on the number of players
+ * @returns {object} Role name -> count (the rest are filler)
+ */
+function getDefaultRoleCounts(total) {
+    return {
+        Investigator: Math.max(1, Math.floor(total * 0.1)),
+        Lookout: Math.max(1, Math.floor(total * 0.1)),
+        Doctor: Math.max(1, Math.floor(total * 0.1)), // Add 1 doctor roughly 10%
+        Jailor: total >= 6 ? 1 : 0, // Add Jailor for 6+ players
+        Vampire: Math.max(1, Math.floor(total * 0.15)), // Slightly more vamps
+        Jester: 1
+    };
+}
+
+/**
+ * Role names of a custom roleConfig ({ roleName: count }), in registry order,
+ * without the filler role
+ * @returns {string[]}
+ */
+function getConfiguredRoles(config = {}) {
+    const roles = [];
+    Object.keys(ROLES).forEach(roleName => {
+        if (roleName === FILLER_ROLE) return;
+        for (let i = 0; i < (config[roleName] || 0); i++) roles.push(roleName);
+    });
+    return roles;
+}
+
+/**
+ * How many roles of each alignment the smart exclusion removes when a custom
+ * config has more roles than players. It keeps at least one evil role and a
+ * good majority when it can: excess evil roles go first, then neutral roles,
+ * then good roles beyond the majority.
+ * @param {{ good: number, evil: number, neutral: number }} counts - Roles per alignment
+ * @param {number} total - Number of players
+ * @returns {{ evil: number, neutral: number, good: number, any: number }} any: cut at random from what is left
+ */
+function planRoleCuts(counts, total) {
+    let remaining = Math.max(0, counts.good + counts.evil + counts.neutral - total);
+    const minEvil = 1;
+    const minGood = Math.floor(total / 2) + 1; // Majority requirement
+
+    const evil = Math.min(remaining, Math.max(0, counts.evil - minEvil));
+    remaining -= evil;
+    const neutral = Math.min(remaining, counts.neutral);
+    remaining -= neutral;
+    const good = Math.min(remaining, Math.max(0, counts.good - minGood));
+    remaining -= good;
+    return { evil, neutral, good, any: remaining };
+}
+
+/**
+ * Cut a role pool down to the player count (see planRoleCuts)
+ * @param {object[]} pool - { role, align } entries
+ * @param {number} total - Number of players
+ * @param {SeededRandom} rng
+ * @returns {{ kept: object[], cut: object[] }}
+ */
+function cutExcessRoles(pool, total, rng) {
+    const byAlign = align => pool.filter(r => r.align === align);
+    const plan = planRoleCuts({ good: byAlign('good').length, evil: byAlign('evil').length, neutral: byAlign('neutral').length }, total);
+
+    // The shuffles draw from the rng in a fixed order (evil, neutral, good), so a seed always cuts the same roles
+    const cut = [...rng.shuffle(byAlign('evil')).slice(0, plan.evil)];
+    if (plan.neutral + plan.good + plan.any > 0) cut.push(...rng.shuffle(byAlign('neutral')).slice(0, plan.neutral));
+    if (plan.good + plan.any > 0) cut.push(...rng.shuffle(byAlign('good')).slice(0, plan.good));
+    // The config cannot keep the balance (e.g. too many evil roles for the players)
+    if (plan.any > 0) cut.push(...rng.shuffle(pool.filter(r => !cut.includes(r))).slice(0, plan.any));
+
+    return { kept: pool.filter(r => !cut.includes(r)), cut };
+}
+
+/**
+ * The public role list: one label per player, for the lobby and the NPC prompts
+ * @returns {string[]|null} null when the game does not use a preset
+ */
+function getPublicRoleList(settings, playerCount) {
+    const result = settings?.rolePreset ? validateRolePreset(settings.rolePreset) : null;
+    if (!result?.ok) return null;
+    return getDealtRoleList(result.preset, playerCount);
+}
+
+/**
+ * The public role list of a preset that was already validated
+ * @returns {string[]}
+ */
+function getDealtRoleList(preset, playerCount) {
+    return getDealtSlots(preset, Math.max(playerCount, 1)).map(getSlotLabel);
+}
+
+/**
+ * Every role that can be in play with these settings (including roles a
+ * player can end up with during the game, like a Jester from an Executioner)
+ * @returns {string[]} Role names in registry order
+ */
+function getPossibleRoles(settings = {}, playerCount = 0) {
+    const possible = new Set();
+    const preset = settings.rolePreset ? validateRolePreset(settings.rolePreset) : null;
+    const config = settings.roleConfig;
+
+    if (preset?.ok) {
+        preset.preset.slots.slice(0, playerCount || undefined).forEach(slot => {
+            (isBucket(slot) ? getBucketRoles(slot) : [slot]).forEach(role => possible.add(role));
+        });
+        if (playerCount > preset.preset.slots.length) possible.add(FILLER_ROLE);
+    } else {
+        const counts = config && !config.useDefault ? config : getDefaultRoleCounts(playerCount);
+        Object.keys(ROLES).forEach(role => { if (counts[role] > 0) possible.add(role); });
+        possible.add(FILLER_ROLE);
+    }
+
+    // Roles taken during the game
+    [...possible].forEach(role => {
+        const fallback = getObjective(role)?.fallbackRole;
+        if (fallback) possible.add(fallback);
+        if (ROLES[role].team === 'vampire') possible.add('Vampire');
+    });
+    return Object.keys(ROLES).filter(role => possible.has(role));
+}
+
+module.exports = {
+    ROLE_BUCKETS,
+    ROLE_PRESETS,
+    getBucketRoles,
+    getSlotLabel,
+    getBucketRegistry,
+    validateRolePreset,
+    resolveRoleList,
+    getDefaultRoleCounts,
+    getConfiguredRoles,
+    planRoleCuts,
+    cutExcessRoles,
+    getPublicRoleList,
+    getDealtRoleList,
+    getPossibleRoles
+};
@@ -0,0 +1,523 @@
+/**
+ * Role Registry
+ * Single source of truth for every role in the game. The engine, the NPC
+ * prompts and the client (which receives this registry over the socket) are
+ * all driven from these entries, so adding a role means adding one entry here.
+ *
+ * Entry fields:
+ * - alignment:   'good' | 'evil' | 'neutral'
+ * - team:        optional faction tag shared by teammates (e.g. 'vampire')
+ * - icon:        emoji shown in the client
+ * - category:    investigative | protective | killing | support | deception |
+ *                chaos - used by the role-list buckets (see role-list.js)
+ * - unique:      at most one per game when roles come from a role list
+ * - ability/goal: player-facing description text
+ * - filler:      role used to fill the remaining slots (Citizen)
+ * - seance:      can talk with the dead at night through the graveyard chat (Medium)
+ * - reveal:      can reveal publicly during the day (Mayor): { voteWeight,
+ *                unhealable } - the revealed player's day votes and verdicts
+ *                count voteWeight times, and unhealable ones can no longer
+ *                be healed
+ * - objective:   hidden win objective tracked per player: { type, fallbackRole? }.
+ *                'beLynched' (Jester) or 'lynchTarget' (Executioner, given a
+ *                random town target at the start). fallbackRole is the role
+ *                taken when the objective can no longer be completed.
+ * - npc:         { ability, tip, goal, claimable } text for NPC prompts;
+ *                claimable roles may be used as an evil NPC's fake claim
+ * - actions:     night actions the role may submit, see below
+ *
+ * Action fields:
+ * - type:        action type sent by the client (INVESTIGATE, HEAL, ...)
+ * - target:      'prisoner' for actions on the Jailor's prisoner, otherwise
+ *                { self, teammates } - whether the actor may target themselves
+ *                and their own team. Targets must always be alive.
+ * - priority:    order in which the action resolves at dawn, lowest first:
+ *                1 control (ROLEBLOCK), 2 protection and deception (HEAL,
+ *                FRAME), 3-4 attacks (STAKE, BITE), 5-6 information
+ *                (INVESTIGATE, LOOKOUT, last so it sees every visit),
+ *                7 execution. Immediate actions have none.
+ * - unblockable: cannot be cancelled by a roleblock
+ * - protects:    protects the target (HEAL); refused on unhealable revealed players
+ * - kills:       can kill the target, so the actor may leave a death note
+ * - uses:        limited number of uses per game (tracked in usesRemaining)
+ * - usesNoun:    noun used when showing the remaining uses ("heals")
+ * - slot:        separate storage slot so the action can be combined with
+ *                the role's other action (Vampire Framer: FRAME + BITE)
+ * - turnNightOnly: only available on bite nights (see bite-rules.js)
+ * - teamVote:    every teammate votes, the top target wins (BITE)
+ * - immediate:   takes effect as soon as it is submitted (JAIL)
+ * - label/activeLabel/badge/notice/buttonClass: client presentation
+ * - npcHint:     how the action is described to NPCs
+ */
+
+const ROLES = {
+    'Investigator': {
+        alignment: 'good',
+        icon: '🔍',
+        category: 'investigative',
+        ability: 'Each night, investigate one player to learn if they are suspicious.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Investigate one player each night to discover their role',
+            tip: 'Results can be wrong if target was framed by a Vampire Framer',
+            goal: 'Find the vampires by investigating players.',
+            claimable: true
+        },
+        actions: [
+            {
+                type: 'INVESTIGATE',
+                priority: 5,
+                target: { self: false, teammates: true },
+                label: 'Investigate',
+                activeLabel: '✓ Investigating',
+                badge: '🔍 Investigating',
+                notice: 'Investigating',
+                buttonClass: '',
+                npcHint: 'INVESTIGATE <target_name>'
+            }
+        ]
+    },
+    'Lookout': {
+        alignment: 'good',
+        icon: '👁️',
+        category: 'investigative',
+        ability: 'Each night, watch one player to see who visits them.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Watch one player to see who visits them at night',
+            tip: 'Can catch vampires or other roles visiting their target',
+            goal: 'Watch for suspicious visits and identify threats.',
+            claimable: true
+        },
+        actions: [
+            {
+                type: 'LOOKOUT',
+                priority: 6,
+                target: { self: false, teammates: true },
+                label: 'Watch',
+                activeLabel: '✓ Watching',
+                badge: '👁️ Watching',
+                notice: 'Watching',
+                buttonClass: '',
+                npcHint: 'LOOKOUT <target_name>'
+            }
+        ]
+    },
+    'Doctor': {
+        alignment: 'good',
+        icon: '💉',
+        category: 'protective',
+        ability: 'Each night, heal one player to save them from vampire attacks. You have 3 heals per game.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Heal one player each night to protect from vampire bites (3 heals total)',
+            tip: 'Successful saves use 1 heal, can prevent vampire turning',
+            goal: 'Save innocents from vampire attacks (3 heals remaining).',
+            claimable: true
+        },
+        actions: [
+            {
+                type: 'HEAL',
+                priority: 2,
+                protects: true,
+                target: { self: true, teammates: true },
+                uses: 3,
+                usesNoun: 'heals',
+                label: 'Heal',
+                activeLabel: '✓ Healing',
+                badge: '💉 Healing',
+                notice: 'Healing',
+                buttonClass: 'btn-good',
+                npcHint: 'HEAL <target_name>'
+            }
+        ]
+    },
+    'Jailor': {
+        alignment: 'good',
+        icon: '🔒',
+        category: 'killing',
+        unique: true,
+        ability: 'Each night, jail one player for private interrogation. You can choose to execute the prisoner.',
+        goal: 'Eliminate all vampires and survive. Warning: executing an innocent will cost your life!',
+        npc: {
+            ability: 'Jail one player each night for interrogation, can execute',
+            tip: 'Jailed players are protected from vampires. Executing an innocent kills you!',
+            goal: 'Jail suspicious players, interrogate them, execute the guilty.'
+        },
+        actions: [
+            {
+                type: 'JAIL',
+                target: { self: false, teammates: true },
+                immediate: true,
+                label: '🔒 Jail',
+                activeLabel: '✓ Jailing',
+                badge: '🔒 Jailing',
+                notice: '🔒 Jailing',
+                buttonClass: 'btn-jail',
+                npcHint: 'JAIL <target_name>'
+            },
+            {
+                type: 'EXECUTE',
+                priority: 7,
+                unblockable: true,
+                kills: true,
+                target: 'prisoner',
+                label: '☠️ Execute Prisoner',
+                npcHint: 'EXECUTE (if you have a prisoner)'
+            }
+        ]
+    },
+    'Vampire Hunter': {
+        alignment: 'good',
+        icon: '🗡️',
+        category: 'killing',
+        ability: 'At night, stake a player you suspect. A staked vampire dies. You have 2 stakes per game.',
+        goal: 'Eliminate all vampires and survive. Warning: staking a town member will cost your life!',
+        npc: {
+            ability: 'Stake one player at night to kill them if they are a vampire (2 stakes total)',
+            tip: 'Doctors can save the target and jailed players cannot be reached. Staking a town member kills you!',
+            goal: 'Stake confirmed or very likely vampires. Never stake on a hunch.',
+            claimable: true
+        },
+        actions: [
+            {
+                type: 'STAKE',
+                priority: 3,
+                kills: true,
+                target: { self: false, teammates: true },
+                uses: 2,
+                usesNoun: 'stakes',
+                label: '🗡️ Stake',
+                activeLabel: '✓ Staking',
+                badge: '🗡️ Staking',
+                notice: '🗡️ Staking',
+                buttonClass: 'btn-stake',
+                npcHint: 'STAKE <target_name> (only if you are confident they are a vampire)'
+            }
+        ]
+    },
+    'Escort': {
+        alignment: 'good',
+        icon: '💃',
+        category: 'support',
+        ability: 'Each night, distract one player so their night action fails.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Roleblock one player each night so their night action fails',
+            tip: 'Blocking a vampire cancels their bite vote. Roleblocked players are told, and are not seen visiting by a Lookout',
+            goal: 'Distract the players you suspect most to stop their night actions.',
+            claimable: true
+        },
+        actions: [
+            {
+                type: 'ROLEBLOCK',
+                priority: 1,
+                unblockable: true,
+                target: { self: false, teammates: true },
+                label: '💃 Distract',
+                activeLabel: '✓ Distracting',
+                badge: '💃 Distracting',
+                notice: '💃 Distracting',
+                buttonClass: 'btn-roleblock',
+                npcHint: 'ROLEBLOCK <target_name>'
+            }
+        ]
+    },
+    'Mayor': {
+        alignment: 'good',
+        icon: '🎩',
+        category: 'support',
+        unique: true,
+        reveal: { voteWeight: 3, unhealable: true },
+        ability: 'Once during the day, reveal yourself as the Mayor. Your vote then counts 3 times, but Doctors can no longer heal you.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Reveal publicly during the day so your vote counts 3 times',
+            tip: 'A revealed Mayor cannot be healed and becomes an obvious vampire target, so reveal when your votes decide the day',
+            goal: 'Lead the town vote. Reveal when your extra votes can lynch a vampire.',
+            claimable: true
+        },
+        actions: []
+    },
+    'Medium': {
+        alignment: 'good',
+        icon: '🔮',
+        category: 'support',
+        seance: true,
+        ability: 'Each night, hold a séance: speak anonymously with the dead in the graveyard chat.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'Talk anonymously with dead players at night (séance)',
+            tip: 'The dead know their true roles, but dead vampires may still lie to you',
+            goal: 'Learn what the dead know and bring it to the town.',
+            claimable: true
+        },
+        actions: []
+    },
+    'Citizen': {
+        alignment: 'good',
+        icon: '👤',
+        filler: true,
+        ability: 'No special ability. Use your vote wisely during the day.',
+        goal: 'Eliminate all vampires and survive.',
+        npc: {
+            ability: 'No special night ability',
+            tip: 'Use deduction and discussion to find evil players',
+            goal: 'Find and vote out the vampires through deduction.',
+            claimable: true
+        },
+        actions: []
+    },
+    'Vampire': {
+        alignment: 'evil',
+        team: 'vampire',
+        icon: '🧛',
+        category: 'killing',
+        ability: 'On bite nights, vote to bite a citizen. The target with the most votes is turned (ties are random)! The host can make bites kill instead.',
+        goal: 'Turn or eliminate all non-vampires.',
+        npc: {
+            ability: 'Bite one non-vampire on bite nights to turn (or, depending on the host\'s rules, kill) them',
+            tip: 'Can only bite on the nights the bite rules allow. Must coordinate with other vampires.',
+            goal: 'Turn or eliminate all non-vampires. Coordinate with fellow vampires.'
+        },
+        actions: [
+            {
+                type: 'BITE',
+                priority: 4,
+                kills: true,
+                target: { self: false, teammates: false },
+                turnNightOnly: true,
+                teamVote: true,
+                label: 'Vote to Bite',
+                activeLabel: '✓ Voted',
+                badge: '🧛 Voted',
+                notice: 'Voting for',
+                buttonClass: 'btn-danger',
+                npcHint: 'BITE <target_name> (only if turn is available, otherwise coordinate)'
+            }
+        ]
+    },
+    'Vampire Framer': {
+        alignment: 'evil',
+        team: 'vampire',
+        icon: '🎭',
+        category: 'deception',
+        ability: 'Each night, frame one player to appear as a vampire to investigators. On bite nights, also vote to bite someone.',
+        goal: 'Turn or eliminate all non-vampires.',
+        npc: {
+            ability: 'Frame one player per night to appear as Vampire to investigators',
+            tip: 'Also participates in vampire bite coordination on bite nights',
+            goal: 'Frame innocents to mislead investigators. Help vampires win.'
+        },
+        actions: [
+            {
+                type: 'FRAME',
+                priority: 2,
+                target: { self: false, teammates: false },
+                slot: 'frame',
+                label: '🎭 Frame',
+                activeLabel: '✓ Framing',
+                badge: '🎭 Framing',
+                notice: '🎭 Framing',
+                buttonClass: 'btn-frame',
+                npcHint: 'FRAME <target_name>'
+            },
+            {
+                type: 'BITE',
+                priority: 4,
+                kills: true,
+                target: { self: false, teammates: false },
+                turnNightOnly: true,
+                teamVote: true,
+                label: 'Vote to Bite',
+                activeLabel: '✓ Voted',
+                badge: '🧛 Voted',
+                notice: 'Voting for',
+                buttonClass: 'btn-danger',
+                npcHint: 'BITE <target_name> (only if turn is available)'
+            }
+        ]
+    },
+    'Jester': {
+        alignment: 'neutral',
+        icon: '🃏',
+        category: 'chaos',
+        objective: { type: 'beLynched' },
+        ability: 'No special night ability. Try to act suspicious!',
+        goal: 'Get yourself voted out during the day to win.',
+        npc: {
+            ability: 'No night ability - win by getting yourself lynched',
+            tip: 'Act suspicious but not too obvious to get voted out',
+            goal: 'Get yourself lynched by the town vote to win.'
+        },
+        actions: []
+    },
+    'Executioner': {
+        alignment: 'neutral',
+        icon: '🪓',
+        category: 'chaos',
+        objective: { type: 'lynchTarget', fallbackRole: 'Jester' },
+        ability: 'You are given a town target at the start. No night ability.',
+        goal: 'Get your target lynched during the day to win. If they die at night, you become a Jester.',
+        npc: {
+            ability: 'No night ability - you know one secret town target',
+            tip: 'Build a case against your target without looking obsessed. You win alongside whoever wins the game',
+            goal: 'Get your target lynched by the town vote.'
+        },
+        actions: []
+    }
+};
+
+const FILLER_ROLE = Object.keys(ROLES).find(name => ROLES[name].filler);
+
+/**
+ * Look up a role entry by name
+ * @param {string} roleName
+ * @returns {object|null}
+ */
+function getRole(roleName) {
+    return ROLES[roleName] || null;
+}
+
+/**
+ * @returns {string[]} All role names in registry order
+ */
+function getRoleNames() {
+    return Object.keys(ROLES);
+}
+
+function getAlignment(roleName) {
+    return ROLES[roleName]?.alignment || 'good';
+}
+
+/**
+ * Whether a role belongs to the vampire team (Vampire, Vampire Framer)
+ */
+function isVampireRole(roleName) {
+    return ROLES[roleName]?.team === 'vampire';
+}
+
+/**
+ * Whether a role can talk with the dead at night (Medium)
+ */
+function canHoldSeance(roleName) {
+    return !!ROLES[roleName]?.seance;
+}
+
+/**
+ * Hidden objective of a role (Jester, Executioner), or null
+ */
+function getObjective(roleName) {
+    return ROLES[roleName]?.objective || null;
+}
+
+/**
+ * Public reveal ability of a role (Mayor), or null
+ */
+function getReveal(roleName) {
+    return ROLES[roleName]?.reveal || null;
+}
+
+/**
+ * Whether a role has a killing action and may leave a death note
+ */
+function canLeaveDeathNote(roleName) {
+    return (ROLES[roleName]?.actions || []).some(a => a.kills);
+}
+
+/**
+ * Whether two players are on the same team (only meaningful for team roles)
+ */
+function areTeammates(roleA, roleB) {
+    const teamA = ROLES[roleA]?.team;
+    return !!teamA && teamA === ROLES[roleB]?.team;
+}
+
+/**
+ * Find the definition of an action type for a role
+ * @returns {object|null}
+ */
+function getAction(roleName, actionType) {
+    const role = ROLES[roleName];
+    if (!role) return null;
+    return role.actions.find(a => a.type === actionType) || null;
+}
+
+/**
+ * Every night action type, in the order the engine resolves them
+ * @returns {string[]}
+ */
+function getNightActionOrder() {
+    const priorities = {};
+    Object.values(ROLES).forEach(role => role.actions.forEach(a => {
+        if (a.immediate) return;
+        priorities[a.type] = Math.min(priorities[a.type] ?? Infinity, a.priority ?? Infinity);
+    }));
+    return Object.keys(priorities).sort((a, b) => priorities[a] - priorities[b]);
+}
+
+/**
+ * Key under which an action is stored in nightActions
+ */
+function getActionKey(playerId, actionDef) {
+    return actionDef?.slot ? `${playerId}_${actionDef.slot}` : playerId;
+}
+
+/**
+ * Initial limited-use counters for a role, e.g. { HEAL: 3 } for the Doctor
+ */
+function getInitialUses(roleName) {
+    const uses = {};
+    (ROLES[roleName]?.actions || []).forEach(a => {
+        if (a.uses) uses[a.type] = a.uses;
+    });
+    return uses;
+}
+
+/**
+ * Set role, alignment and limited-use counters on a player
+ */
+function applyRole(player, roleName) {
+    player.role = roleName;
+    player.alignment = getAlignment(roleName);
+    player.usesRemaining = getInitialUses(roleName);
+}
+
+/**
+ * Roles an evil NPC may pretend to be
+ */
+function getClaimableRoles() {
+    return Object.keys(ROLES).filter(name => ROLES[name].npc?.claimable);
+}
+
+/**
+ * Serializable registry sent to the client
+ */
+function getRegistry() {
+    return {
+        roles: ROLES,
+        order: Object.keys(ROLES),
+        fillerRole: FILLER_ROLE
+    };
+}
+
+module.exports = {
+    ROLES,
+    FILLER_ROLE,
+    getRole,
+    getRoleNames,
+    getAlignment,
+    isVampireRole,
+    canHoldSeance,
+    getObjective,
+    getReveal,
+    canLeaveDeathNote,
+    areTeammates,
+    getAction,
+    getActionKey,
+    getNightActionOrder,
+    getInitialUses,
+    applyRole,
+    getClaimableRoles,
+    getRegistry
+};
@@ -0,0 +1,381 @@
+/**
+ * Scripted AI
+ * A rule-based NPC brain with the same methods and answers as AIController
+ * (see ai.js), without any language model or network:
+ * - night: legal targets picked at random, vampires bite with their team,
+ *   town killers only act on a player they know is evil
+ * - day: votes for a known vampire, otherwise with the plurality
+ * - chat: canned lines that share the NPC's real night results (evil and
+ *   neutral NPCs stick to their fake claim)
+ * - jail: the Jailor only executes a prisoner known to be evil
+ *
+ * Used when the host picks the scripted provider, when no LLM is configured
+ * on the server, and by AIController as the fallback when the LLM fails.
+ * Seeded, so it plays the same way for the same seed and game (tests, the
+ * simulate.js CLI). The canned lines are English only.
+ *
+ * What an NPC knows comes from its own night results, revealed roles, and
+ * "<name> is a <role>" claims in the public chat and the revealed wills.
+ */
+
+const { SeededRandom, normalizeSeed } = require('./rng');
+const { getRole, getReveal, areTeammates, canLeaveDeathNote, getClaimableRoles } = require('./roles');
+const { WILL_MAX_LENGTH } = require('./action-validator');
+const { canBiteOnNight, getBiteRules, getYoungestVampire } = require('./bite-rules');
+const { createLogger } = require('./game-logger');
+
+const NO_ACTION = { action: 'NONE', targetName: null };
+
+const SMALL_TALK = [
+    'Anyone have results to share?',
+    'Let\'s hear some role claims.',
+    'I don\'t trust the quiet ones.',
+    'Who are we voting today?',
+    'Stay calm and share what you know.'
+];
+
+const JAILOR_QUESTIONS = [
+    'What is your role?',
+    'What did you do last night?',
+    'Why should I believe you?'
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The role a "<name> is a <role>" line (or a "<name> → Target is a <role>"
+ * will line) gives a player, or null
+ */
+function findClaimedRole(text, name) {
+    const match = text?.match(new RegExp(`${escapeRegExp(name)}(?: → Target)? is an? ([A-Z][a-z]+)(?: ([A-Z][a-z]+))?`));
+    if (!match) return null;
+    const twoWords = match[2] ? `${match[1]} ${match[2]}` : null;
+    if (twoWords && getRole(twoWords)) return twoWords;
+    return getRole(match[1]) ? match[1] : null;
+}
+
+/**
+ * The role in an investigation result ("Target is a Vampire"), or null
+ */
+function getResultRole(result) {
+    const role = result?.match(/^Target is an? (.+)$/)?.[1];
+    return getRole(role) ? role : null;
+}
+
+class ScriptedAI {
+    /**
+     * @param {object} [options]
+     * @param {number|string} [options.seed] - Seed of the scripted choices
+     * @param {string} [options.nationality] - Kept for AIController compatibility
+     * @param {Logger} [options.logger] - Game-scoped logger (see game-logger.js)
+     */
+    constructor({ seed = 0, nationality = 'english', logger = createLogger('AI') } = {}) {
+        this.rng = new SeededRandom(normalizeSeed(seed));
+        this.nationality = nationality;
+        this.logger = logger;
+        this.shared = new Set(); // "playerId:round" of the night results already told in chat
+        this.claims = {}; // Player ID -> role claimed by a converted vampire (who has no fakeRole)
+    }
+
+    // --- KNOWLEDGE ---
+
+    isTeammate(player, other) {
+        return player.alignment === 'evil' && other.id !== player.id && areTeammates(player.role, other.role);
+    }
+
+    /**
+     * Players a player believes are evil (suspects) or town (cleared)
+     * @returns {{ suspects: Set<string>, cleared: Set<string> }} Player IDs
+     */
+    getKnowledge(player, gameState) {
+        const players = gameState.players || [];
+        const suspects = new Set();
+        const cleared = new Set();
+        const note = (target, role) => {
+            if (!target || !role || target.id === player.id) return;
+            const evil = getRole(role).alignment === 'evil';
+            (evil ? suspects : cleared).add(target.id);
+            (evil ? cleared : suspects).delete(target.id);
+        };
+
+        // Public claims first, so the player's own results overrule them
+        const texts = [
+            ...(gameState.gameChat || []).filter(c => !c.isVampireChat && c.senderId !== player.id).map(c => c.message),
+            ...(gameState.wills || []).map(w => w.will)
+        ];
+        texts.forEach(text => players.forEach(p => note(p, findClaimedRole(text, p.name))));
+        (player.actionHistory || []).forEach(h => {
+            note(players.find(p => p.name === h.targetName), getResultRole(h.result));
+        });
+        players.filter(p => p.revealedRole).forEach(p => note(p, p.revealedRole));
+        return { suspects, cleared };
+    }
+
+    getOthers(player, gameState) {
+        return (gameState.players || []).filter(p => p.alive && p.id !== player.id);
+    }
+
+    /**
+     * The living player with the most day votes from others, or null
+     */
+    getPlurality(player, gameState) {
+        const counts = {};
+        Object.entries(gameState.votes || {}).forEach(([voterId, targetId]) => {
+            if (voterId !== player.id && targetId) counts[targetId] = (counts[targetId] || 0) + 1;
+        });
+        let top = null;
+        this.getOthers(player, gameState).forEach(p => {
+            if (counts[p.id] && (!top || counts[p.id] > counts[top.id])) top = p;
+        });
+        return top;
+    }
+
+    // Evil and neutral players hide their role behind a town claim
+    isLiar(player) {
+        return player.alignment !== 'good';
+    }
+
+    getClaimedRole(player) {
+        if (!this.isLiar(player)) return player.role;
+        if (player.fakeRole) return player.fakeRole;
+        if (!this.claims[player.id]) this.claims[player.id] = this.rng.pick(getClaimableRoles());
+        return this.claims[player.id];
+    }
+
+    /**
+     * The NPC's latest night result as a chat line, once per night
+     */
+    takeNews(player) {
+        const last = (player.actionHistory || []).slice(-1)[0];
+        if (!last?.result || this.shared.has(`${player.id}:${last.round}`)) return null;
+        this.shared.add(`${player.id}:${last.round}`);
+        const role = getResultRole(last.result);
+        return role
+            ? `${last.targetName} is a ${role}! I'm the ${player.role}, I checked them last night.`
+            : `I'm the ${player.role}. Last night I chose ${last.targetName}: ${last.result}`;
+    }
+
+    /**
+     * A lying NPC's story for the night: sometimes a fake accusation of a town member
+     */
+    takeFakeNews(player, gameState) {
+        if (this.shared.has(`${player.id}:${gameState.round}`)) return null;
+        this.shared.add(`${player.id}:${gameState.round}`);
+        const town = this.getOthers(player, gameState).filter(p => !this.isTeammate(player, p));
+        if (this.getClaimedRole(player) === 'Investigator' && town.length > 0 && this.rng.next() < 0.3) {
+            return `${this.rng.pick(town).name} is a Vampire! I'm the Investigator, I checked them last night.`;
+        }
+        return `I'm the ${this.getClaimedRole(player)}, nothing to report.`;
+    }
+
+    // --- NIGHT ---
+
+    async generateNightAction(player, gameState) {
+        // A prisoner cannot act (the jail talk happens in generateJailResponse)
+        if (gameState.jailedPlayerId === player.id) return NO_ACTION;
+        const round = gameState.round || 1;
+        const canBite = canBiteOnNight(gameState.settings, round);
+        const biter = getBiteRules(gameState.settings).youngestVampireOnly ? getYoungestVampire(gameState.players, gameState.jailedPlayerId) : null;
+        const usable = (getRole(player.role)?.actions || []).filter(a =>
+            a.target !== 'prisoner' &&
+            (!a.uses || (player.usesRemaining?.[a.type] || 0) > 0) &&
+            (!a.turnNightOnly || (canBite && (!biter || biter.id === player.id))) &&
+            // Heals are kept for the nights vampires can bite
+            (!a.protects || canBite));
+        const actionDef = usable.find(a => a.teamVote) || usable[0];
+        if (!actionDef) return NO_ACTION;
+
+        const target = this.chooseNightTarget(player, gameState, actionDef);
+        const decision = target ? { action: actionDef.type, targetName: target.name } : NO_ACTION;
+        this.logger.info(`Scripted Night Action for ${player.name}`, { playerIds: [player.id], data: decision });
+        return decision;
+    }
+
+    chooseNightTarget(player, gameState, actionDef) {
+        const { suspects, cleared } = this.getKnowledge(player, gameState);
+        const candidates = this.getOthers(player, gameState)
+            .filter(p => actionDef.target.teammates || !this.isTeammate(player, p))
+            // A revealed Mayor cannot be healed
+            .filter(p => !(actionDef.protects && p.revealedRole && getReveal(p.revealedRole)?.unhealable));
+        if (actionDef.target.self) candidates.push(player);
+        if (candidates.length === 0) return null;
+
+        if (actionDef.teamVote) {
+            // Follow the team's most voted target, otherwise go for a town member who came out
+            const counts = {};
+            Object.values(gameState.nightActions || {})
+                .filter(a => a.type === actionDef.type && a.actorId !== player.id)
+                .forEach(a => { counts[a.targetId] = (counts[a.targetId] || 0) + 1; });
+            const voted = candidates.filter(p => counts[p.id]).sort((a, b) => counts[b.id] - counts[a.id]);
+            if (voted.length > 0) return voted[0];
+            const claimers = candidates.filter(p => cleared.has(p.id));
+            return this.rng.pick(claimers.length > 0 ? claimers : candidates);
+        }
+        if (actionDef.kills || actionDef.immediate) {
+            const known = candidates.filter(p => suspects.has(p.id));
+            if (known.length > 0) return this.rng.pick(known);
+            if (actionDef.kills) return null; // Never kill on a hunch
+            const unknown = candidates.filter(p => !cleared.has(p.id));
+            return this.rng.pick(unknown.length > 0 ? unknown : candidates);
+        }
+        if (actionDef.protects) {
+            const claimers = candidates.filter(p => cleared.has(p.id) && p.id !== player.id);
+            return this.rng.pick(claimers.length > 0 && this.rng.next() < 0.6 ? claimers : candidates);
+        }
+        if (actionDef.type === 'INVESTIGATE') {
+            const checked = new Set((player.actionHistory || []).map(h => h.targetName));
+            const fresh = candidates.filter(p => !checked.has(p.name) && !suspects.has(p.id) && !cleared.has(p.id));
+            return this.rng.pick(fresh.length > 0 ? fresh : candidates);
+        }
+        return this.rng.pick(candidates);
+    }
+
+    // --- DAY ---
+
+    /**
+     * The player to vote for, or null to abstain
+     */
+    chooseVote(player, gameState, currentVoteName = null) {
+        const others = this.getOthers(player, gameState);
+        if (others.length === 0) return null;
+        const current = others.find(p => p.name === currentVoteName) || null;
+        const plurality = this.getPlurality(player, gameState);
+
+        const objective = player.objective;
+        if (objective?.type === 'lynchTarget' && !objective.achieved) {
+            const target = others.find(p => p.id === objective.targetId);
+            if (target) return target;
+        }
+        if (objective?.type === 'beLynched') return current || plurality || this.rng.pick(others);
+
+        if (player.alignment === 'evil') {
+            const town = others.filter(p => !this.isTeammate(player, p));
+            if (plurality && !this.isTeammate(player, plurality)) return plurality;
+            if (current && !this.isTeammate(player, current)) return current;
+            return town.length > 0 && this.rng.next() < 0.7 ? this.rng.pick(town) : null;
+        }
+
+        const { suspects, cleared } = this.getKnowledge(player, gameState);
+        const known = others.filter(p => suspects.has(p.id));
+        if (known.length > 0) return known.find(p => p.id === plurality?.id) || known[0];
+        if (plurality && !cleared.has(plurality.id)) return plurality;
+        if (current) return current;
+        // Nobody is on the block yet: start a bandwagon now and then
+        const unknown = others.filter(p => !cleared.has(p.id));
+        return unknown.length > 0 && this.rng.next() < 0.4 ? this.rng.pick(unknown) : null;
+    }
+
+    async generateDayVote(player, gameState) {
+        const target = this.chooseVote(player, gameState);
+        const decision = { vote: target?.name || null };
+        // A Mayor reveals once the town has had a day to find its feet
+        if (getReveal(player.role) && !player.revealedRole && (gameState.round || 1) >= 2) decision.reveal = true;
+        this.logger.info(`Scripted Vote for ${player.name}`, { playerIds: [player.id], data: decision });
+        return decision;
+    }
+
+    async generateUpdatedVote(player, gameState, currentVoteName) {
+        return { vote: this.chooseVote(player, gameState, currentVoteName)?.name || null };
+    }
+
+    async generateDefense(player, gameState) {
+        if (player.objective?.type === 'beLynched') return 'I have nothing to say. Do what you want.';
+        const news = this.isLiar(player) ? null : (player.actionHistory || []).filter(h => h.result).slice(-1)[0];
+        return `I'm the ${this.getClaimedRole(player)}!${news ? ` I chose ${news.targetName}: ${news.result}` : ''} Please vote innocent.`;
+    }
+
+    async generateJudgement(player, gameState) {
+        const defendant = (gameState.players || []).find(p => p.id === gameState.trialPlayerId);
+        if (!defendant || defendant.id === player.id) return { verdict: 'ABSTAIN' };
+
+        const objective = player.objective;
+        if (objective?.type === 'lynchTarget' && !objective.achieved && objective.targetId === defendant.id) return { verdict: 'GUILTY' };
+        if (player.alignment === 'evil') return { verdict: this.isTeammate(player, defendant) ? 'INNOCENT' : 'GUILTY' };
+
+        const { suspects, cleared } = this.getKnowledge(player, gameState);
+        if (suspects.has(defendant.id)) return { verdict: 'GUILTY' };
+        if (cleared.has(defendant.id)) return { verdict: 'INNOCENT' };
+        return { verdict: this.rng.next() < 0.6 ? 'GUILTY' : 'INNOCENT' };
+    }
+
+    async generateChat(player, gameState, isAddressed = false, isProactive = false) {
+        const news = this.isLiar(player) ? this.takeFakeNews(player, gameState) : this.takeNews(player);
+        if (news) return news;
+        if (isAddressed) {
+            const { suspects } = this.getKnowledge(player, gameState);
+            const suspect = this.getOthers(player, gameState).find(p => suspects.has(p.id));
+            return `I'm the ${this.getClaimedRole(player)}.${suspect && !this.isLiar(player) ? ` Vote ${suspect.name}!` : ''}`;
+        }
+        return isProactive && this.rng.next() < 0.3 ? this.rng.pick(SMALL_TALK) : null;
+    }
+
+    // --- JAIL ---
+
+    async generateJailResponse(player, gameState, jailChat, jailorName) {
+        const last = this.isLiar(player) ? null : (player.actionHistory || []).filter(h => h.result).slice(-1)[0];
+        return `I'm the ${this.getClaimedRole(player)}.${last ? ` I chose ${last.targetName}: ${last.result}` : ''} Please let me go, ${jailorName}.`;
+    }
+
+    async generateJailorMessage(player, gameState, jailChat, prisonerName) {
+        const asked = (jailChat || []).filter(m => m.sender === 'Jailor').length;
+        return JAILOR_QUESTIONS[Math.min(asked, JAILOR_QUESTIONS.length - 1)];
+    }
+
+    async generateExecuteDecision(player, gameState, jailChat, prisonerName) {
+        const prisoner = (gameState.players || []).find(p => p.name === prisonerName);
+        const { suspects } = this.getKnowledge(player, gameState);
+        const decision = prisoner && suspects.has(prisoner.id)
+            ? { execute: true, reason: `${prisonerName} was exposed as evil` }
+            : { execute: false, reason: 'No proof against them' };
+        this.logger.info(`Scripted Execute Decision from ${player.name}`, { playerIds: [player.id], data: decision });
+        return decision;
+    }
+
+    // --- WILLS AND THE DEAD ---
+
+    async generateWill(player, gameState) {
+        const nights = this.isLiar(player)
+            ? []
+            : (player.actionHistory || []).map(h => `Night ${h.round}: ${h.action} ${h.targetName}${h.result ? ` → ${h.result}` : ''}`);
+        const will = [`I was the ${this.getClaimedRole(player)}.`, ...nights].join('\n').slice(0, WILL_MAX_LENGTH);
+        return { will, deathNote: canLeaveDeathNote(player.role) ? (player.deathNote || '') : null };
+    }
+
+    async generateDeadChat(player, gameState, deadChat) {
+        if (player.alive) return 'Who killed you, and what was your role?';
+        if ((deadChat || []).some(m => m.senderId === player.id)) return null;
+        return `I was the ${this.getClaimedRole(player)}.`;
+    }
+
+    // --- BELIEFS ---
+
+    /**
+     * Notes on the other players from what the NPC knows and the phase record
+     * (see npc-beliefs.js): suspicion from its knowledge, "I'm the <role>" claims
+     * and its own night results
+     */
+    async generateBeliefUpdate(player, gameState, record) {
+        const { suspects, cleared } = this.getKnowledge(player, gameState);
+        const others = this.getOthers(player, gameState);
+        const updates = {};
+        const entry = p => (updates[p.id] = updates[p.id] || { name: p.name, suspicion: null, claim: null, contradiction: null, evidence: null });
+
+        others.forEach(p => {
+            if (suspects.has(p.id)) entry(p).suspicion = 90;
+            else if (cleared.has(p.id)) entry(p).suspicion = 15;
+        });
+        record.lines.forEach(line => others.forEach(p => {
+            const claim = line.startsWith(`${p.name}: `) ? line.match(/I'm the ([A-Z][a-z]+(?: [A-Z][a-z]+)?)/)?.[1] : null;
+            if (getRole(claim)) entry(p).claim = claim;
+            if (line.startsWith('Your ') && line.includes(` on ${p.name}: `)) entry(p).evidence = line.slice('Your '.length);
+        }));
+        return { players: Object.values(updates) };
+    }
+
+    // Scripted NPCs keep the random names of the lobby
+    async generateNPCProfile() {
+        return null;
+    }
+}
+
+module.exports = { ScriptedAI };
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Headless Simulation CLI
+ * Runs a batch of all-NPC games through the rules engine (no Socket.IO, no
+ * timers, see simulation.js) and writes the aggregated stats, for tuning
+ * role setups with numbers instead of gut feeling.
+ *
+ * Run `node simulate.js --help` for the options.
+ */
+
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { PROVIDERS, runSimulations, aggregateResults } = require('./simulation');
+const { ROLE_PRESETS, validateRolePreset } = require('./role-list');
+const { createLLMProvider, getLLMConfig } = require('./llm-providers');
+
+const USAGE = `Usage:
+    node simulate.js --players 10 --games 500 --roles '{"Vampire":2,"Doctor":1,"Jailor":1}'
+    node simulate.js --players 8 --preset "Classic 7" --provider random --out stats.csv
+    node simulate.js --players 7 --provider scripted --games 200 --out scripted.csv
+    node simulate.js --players 7 --provider llm --games 5 --out run.json   (needs GEMINI_API_KEY)
+    node simulate.js --provider llm --settings '{"llmProvider":"openai","llmModel":"qwen2.5:7b"}'
+
+Options:
+    --players, -p   Number of players (default 10)
+    --games, -g     Number of games (default 100)
+    --provider      random | heuristic | scripted | llm (default heuristic)
+    --roles         Role counts as JSON or a .json file (default: the automatic roles)
+    --preset        A built-in role list name or a .json file (see role-list.js)
+    --settings      Extra game settings as JSON or a .json file (bite rules, enableTrial,
+                    llmProvider, llmModel, llmEndpoint, ...)
+    --seed          Seed of the first game (default 1), the next games count up
+    --out, -o       Output file: .json (summary and every game) or .csv (summary).
+                    Can be repeated. Without it the summary is printed as JSON.`;
+
+// A JSON option given inline or as a path to a .json file
+function readJSONOption(value, name) {
+    const text = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`--${name} is not valid JSON: ${err.message}`);
+    }
+}
+
+function getSettings(options) {
+    const settings = options.settings ? readJSONOption(options.settings, 'settings') : {};
+    if (options.roles) settings.roleConfig = { ...readJSONOption(options.roles, 'roles'), useDefault: false };
+    if (options.preset) {
+        const preset = ROLE_PRESETS.find(p => p.name === options.preset) || readJSONOption(options.preset, 'preset');
+        const result = validateRolePreset(preset);
+        if (!result.ok) throw new Error(`--preset: ${result.message}`);
+        settings.rolePreset = result.preset;
+    }
+    return settings;
+}
+
+function createProviderFactory(name, settings) {
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown provider "${name}" (${Object.keys(PROVIDERS).join(', ')})`);
+    if (name !== 'llm') return seed => factory(seed, {});
+
+    // The model comes from the game settings (llmProvider, llmModel, llmEndpoint, see llm-providers.js)
+    const llm = createLLMProvider(settings);
+    if (!llm) throw new Error(`The llm provider needs ${getLLMConfig(settings).provider} configured (see .env)`);
+    const AIController = require('./ai');
+    const logger = {
+        info() {},
+        warn() {},
+        debug() {},
+        error: (message, { error } = {}) => console.error(`[AI] ${message}: ${error?.message || error}`)
+    };
+    const ai = new AIController(llm, settings.npcNationality || 'english', logger);
+    return seed => factory(seed, { ai });
+}
+
+function toCSV(summary) {
+    const rows = [['metric', 'value']];
+    Object.entries(summary).forEach(([key, value]) => {
+        if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([subKey, subValue]) => rows.push([`${key}.${subKey}`, subValue]));
+        } else {
+            rows.push([key, value ?? '']);
+        }
+    });
+    return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            players: { type: 'string', short: 'p', default: '10' },
+            games: { type: 'string', short: 'g', default: '100' },
+            provider: { type: 'string', default: 'heuristic' },
+            roles: { type: 'string' },
+            preset: { type: 'string' },
+            settings: { type: 'string' },
+            seed: { type: 'string', default: '1' },
+            out: { type: 'string', short: 'o', multiple: true, default: [] },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const playerCount = parseInt(options.players, 10);
+    const games = parseInt(options.games, 10);
+    if (!(playerCount >= 3) || !(games >= 1)) throw new Error('--players must be at least 3 and --games at least 1');
+    const seed = /^\d+$/.test(options.seed) ? Number(options.seed) : options.seed;
+    const settings = getSettings(options);
+    const createProvider = createProviderFactory(options.provider, settings);
+
+    const startedAt = Date.now();
+    const results = await runSimulations({
+        settings,
+        playerCount,
+        games,
+        seed,
+        createProvider,
+        onResult: (result, i) => {
+            if (process.stderr.isTTY) process.stderr.write(`\rGame ${i + 1}/${games}`);
+        }
+    });
+    if (process.stderr.isTTY) process.stderr.write('\n');
+
+    const summary = aggregateResults(results);
+    const config = { playerCount, games, provider: options.provider, seed, settings, durationMs: Date.now() - startedAt };
+
+    if (options.out.length === 0) {
+        console.log(JSON.stringify({ config, summary }, null, 2));
+        return;
+    }
+    options.out.forEach(file => {
+        const content = path.extname(file).toLowerCase() === '.csv'
+            ? toCSV(summary)
+            : JSON.stringify({ config, summary, games: results }, null, 2);
+        fs.writeFileSync(file, content);
+        console.log(`Wrote ${file}`);
+    });
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,396 @@
+/**
+ * Game Simulation
+ * Plays whole games straight through the rules engine, with every seat
+ * taken by an NPC whose decisions come from a decision provider. There are
+ * no sockets or timers: each phase is played and then skipped. Used by the
+ * balance analyzer (see balance-analyzer.js) and the simulate.js CLI.
+ *
+ * A decision provider answers for one player at a time (methods may return
+ * a promise):
+ * - nightAction(game, player, actionDef) -> { targetId } or null to skip
+ * - dayVote(game, player)                -> player ID, { targetId, reveal } or null
+ * - verdict(game, player)                -> GUILTY | INNOCENT | ABSTAIN
+ * - reveal(game, player)                 -> whether to reveal (Mayor) at the start of the day
+ *
+ * Built-in providers: random, heuristic, scripted (the offline NPCs of
+ * scripted-ai.js) and llm (the NPC prompts of ai.js, without the day chat). Providers only look at what their player
+ * could know: their own role and teammates, their own night results and
+ * public information.
+ */
+
+const { GameEngine } = require('./game-engine');
+const { SeededRandom, normalizeSeed } = require('./rng');
+const { getRole, getReveal, areTeammates } = require('./roles');
+const { VERDICTS } = require('./action-validator');
+const { ScriptedAI } = require('./scripted-ai');
+
+// Games still running after this many rounds end in a draw
+const MAX_ROUNDS = 30;
+
+const SILENT_LOGGER = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Winner of a game -> the faction it counts for in the stats
+const WINNER_FACTIONS = { GOOD: 'town', EVIL: 'evil', Jester: 'neutral', Draw: 'draw' };
+
+/**
+ * Players who pick every target, vote and verdict at random
+ * @param {number|string} seed - Seed of the provider's own RNG
+ */
+function createRandomProvider(seed) {
+    const rng = new SeededRandom(normalizeSeed(seed));
+    const others = (game, player) => game.players.filter(p => p.alive && p.id !== player.id);
+
+    return {
+        nightAction(game, player, actionDef) {
+            if (actionDef.target === 'prisoner') return rng.next() < 0.5 ? { targetId: game.jailedPlayerId } : null;
+            const candidates = others(game, player);
+            if (actionDef.target.self) candidates.push(player);
+            return candidates.length > 0 && rng.next() < 0.8 ? { targetId: rng.pick(candidates).id } : null;
+        },
+        dayVote(game, player) {
+            const candidates = others(game, player);
+            return candidates.length > 0 && rng.next() < 0.7 ? rng.pick(candidates).id : null;
+        },
+        verdict() {
+            return rng.pick(VERDICTS);
+        },
+        reveal() {
+            return rng.next() < 0.3;
+        }
+    };
+}
+
+/**
+ * The built-in rule-of-thumb players: town votes the players an
+ * investigation exposed, otherwise follows a daily bandwagon; vampires bite
+ * town members who showed their role and vote with the crowd.
+ * @param {number|string} seed - Seed of the provider's own RNG (the engine's RNG is never touched)
+ */
+function createHeuristicProvider(seed) {
+    const rng = new SeededRandom(normalizeSeed(seed));
+    let cursor = 0;
+    const exposed = new Set(); // Players an investigation showed as vampires (announced at day)
+    const cleared = new Set(); // Players an investigation showed as town
+    const claimed = new Set(); // Town players who came out with their results
+    const investigated = {}; // Investigator ID -> targets already checked
+    const daily = {}; // Round -> shared choice of the day (bandwagon, bite target)
+
+    // Read the journal entries added since the last decision
+    const learn = (game) => {
+        game.journal.slice(cursor).forEach(entry => {
+            if (entry.type !== 'ACTION_RESULT' || entry.action !== 'INVESTIGATE') return;
+            (investigated[entry.actorId] = investigated[entry.actorId] || new Set()).add(entry.targetId);
+            const role = entry.result?.match(/^Target is a (.+)$/)?.[1];
+            if (getRole(role)?.alignment === 'evil') exposed.add(entry.targetId);
+            else cleared.add(entry.targetId);
+            claimed.add(entry.actorId);
+        });
+        cursor = game.journal.length;
+    };
+
+    const living = (game, player) => game.players.filter(p => p.alive && p.id !== player.id);
+    const isTeammate = (player, other) => player.alignment === 'evil' && areTeammates(player.role, other.role);
+    const suspects = (game, player) => living(game, player).filter(p => exposed.has(p.id) && !isTeammate(player, p));
+
+    const getDaily = (game, key, choose) => {
+        const day = (daily[game.round] = daily[game.round] || {});
+        if (!(key in day)) day[key] = choose();
+        return day[key];
+    };
+
+    const pickTarget = (game, player, actionDef) => {
+        const candidates = living(game, player).filter(p => actionDef.target.teammates || !isTeammate(player, p));
+        if (actionDef.target.self) candidates.push(player);
+        return candidates;
+    };
+
+    return {
+        nightAction(game, player, actionDef) {
+            learn(game);
+            if (actionDef.turnNightOnly && (!game.canBiteTonight() || (game.getBiter() && game.getBiter().id !== player.id))) return null;
+
+            if (actionDef.target === 'prisoner') {
+                const prisoner = game.getPlayer(game.jailedPlayerId);
+                return prisoner && exposed.has(prisoner.id) ? { targetId: prisoner.id } : null;
+            }
+
+            const candidates = pickTarget(game, player, actionDef);
+            if (candidates.length === 0) return null;
+
+            if (actionDef.teamVote) {
+                // The whole team agrees on one target, preferring town members who came out
+                const targetId = getDaily(game, 'bite', () => {
+                    const exposedTown = candidates.filter(p => claimed.has(p.id) || p.revealedRole);
+                    return rng.pick(exposedTown.length > 0 ? exposedTown : candidates).id;
+                });
+                return candidates.some(p => p.id === targetId) ? { targetId } : { targetId: rng.pick(candidates).id };
+            }
+            if (actionDef.kills && player.alignment === 'good') {
+                // Town killers only act on a confirmed vampire
+                const known = candidates.filter(p => exposed.has(p.id));
+                return known.length > 0 ? { targetId: rng.pick(known).id } : null;
+            }
+            if (actionDef.protects) {
+                const claimers = candidates.filter(p => claimed.has(p.id) || p.revealedRole);
+                return { targetId: rng.pick(claimers.length > 0 && rng.next() < 0.6 ? claimers : candidates).id };
+            }
+            if (actionDef.type === 'INVESTIGATE') {
+                const fresh = candidates.filter(p => !investigated[player.id]?.has(p.id) && !exposed.has(p.id) && !cleared.has(p.id));
+                return { targetId: rng.pick(fresh.length > 0 ? fresh : candidates).id };
+            }
+            if (actionDef.immediate) {
+                const known = candidates.filter(p => exposed.has(p.id));
+                return { targetId: rng.pick(known.length > 0 ? known : candidates).id };
+            }
+            return { targetId: rng.pick(candidates).id };
+        },
+
+        dayVote(game, player) {
+            learn(game);
+            const others = living(game, player);
+            if (others.length === 0) return null;
+
+            if (player.objective?.type === 'lynchTarget' && !player.objective.achieved) {
+                const target = others.find(p => p.id === player.objective.targetId);
+                if (target) return target.id;
+            }
+            if (player.objective?.type === 'beLynched') return rng.pick(others).id;
+
+            const bandwagonId = getDaily(game, 'bandwagon', () => rng.pick(game.players.filter(p => p.alive)).id);
+            const bandwagon = others.find(p => p.id === bandwagonId);
+            if (player.alignment === 'evil') {
+                const town = others.filter(p => !isTeammate(player, p));
+                if (bandwagon && !isTeammate(player, bandwagon)) return bandwagon.id;
+                return town.length > 0 ? rng.pick(town).id : null;
+            }
+
+            const known = suspects(game, player);
+            if (known.length > 0) return known[0].id;
+            if (bandwagon && !cleared.has(bandwagon.id) && rng.next() < 0.7) return bandwagon.id;
+            return rng.next() < 0.5 ? rng.pick(others).id : null;
+        },
+
+        verdict(game, player) {
+            learn(game);
+            const defendant = game.getPlayer(game.trialPlayerId);
+            if (!defendant || defendant.id === player.id) return 'ABSTAIN';
+            if (player.alignment === 'evil') return isTeammate(player, defendant) ? 'INNOCENT' : 'GUILTY';
+            if (exposed.has(defendant.id)) return 'GUILTY';
+            if (cleared.has(defendant.id)) return 'INNOCENT';
+            return rng.next() < 0.6 ? 'GUILTY' : 'INNOCENT';
+        },
+
+        reveal(game, player) {
+            return !!getReveal(player.role) && game.round >= 2;
+        }
+    };
+}
+
+/**
+ * Players driven by the NPC brain of the live game
+ * @param {AIController|ScriptedAI} ai - See ai.js and scripted-ai.js
+ */
+function createAIProvider(ai) {
+    const nightDecisions = {}; // "round:playerId" -> { action, targetName }
+    const findByName = (game, name) => (name ? game.players.find(p => p.name === name) : null);
+
+    return {
+        async nightAction(game, player, actionDef) {
+            // One decision per player and night, as in the live game
+            const key = `${game.round}:${player.id}`;
+            if (!(key in nightDecisions)) nightDecisions[key] = await ai.generateNightAction(player, game);
+            const decision = nightDecisions[key];
+            if (decision?.action !== actionDef.type) return null;
+            if (actionDef.target === 'prisoner') return { targetId: game.jailedPlayerId };
+            const target = findByName(game, decision.targetName);
+            return target ? { targetId: target.id } : null;
+        },
+        async dayVote(game, player) {
+            const decision = await ai.generateDayVote(player, game);
+            return { targetId: findByName(game, decision?.vote)?.id || null, reveal: !!decision?.reveal };
+        },
+        async verdict(game, player) {
+            return (await ai.generateJudgement(player, game)).verdict;
+        },
+        // The LLM decides to reveal together with its vote (see dayVote)
+        reveal() {
+            return false;
+        }
+    };
+}
+
+// Provider name -> factory(seed, options), for the CLI
+const PROVIDERS = {
+    random: seed => createRandomProvider(`random:${seed}`),
+    heuristic: seed => createHeuristicProvider(`heuristic:${seed}`),
+    scripted: seed => createAIProvider(new ScriptedAI({ seed: `scripted:${seed}`, logger: SILENT_LOGGER })),
+    llm: (seed, { ai }) => createAIProvider(ai)
+};
+
+/**
+ * Let every living player make their decisions for the current phase
+ */
+async function playPhase(game, provider) {
+    const living = () => game.players.filter(p => p.alive);
+
+    if (game.state === 'NIGHT') {
+        // Immediate actions (JAIL) first, so the prisoner's action is blocked as in a real night
+        const actions = living().flatMap(player => (getRole(player.role)?.actions || []).map(actionDef => ({ player, actionDef })));
+        const ordered = [...actions.filter(a => a.actionDef.immediate), ...actions.filter(a => !a.actionDef.immediate)];
+        for (const { player, actionDef } of ordered) {
+            if (!player.alive) continue;
+            const choice = await provider.nightAction(game, player, actionDef);
+            if (choice) game.dispatch({ type: 'NIGHT_ACTION', playerId: player.id, action: { type: actionDef.type, targetId: choice.targetId ?? null } });
+        }
+    } else if (game.state === 'DAY_DISCUSS') {
+        for (const player of living()) {
+            if (!player.revealedRole && getReveal(player.role) && await provider.reveal(game, player)) {
+                game.dispatch({ type: 'REVEAL', playerId: player.id });
+            }
+        }
+    } else if (game.state === 'DAY_VOTE') {
+        for (const player of living()) {
+            if (game.state !== 'DAY_VOTE') break; // A majority started a trial
+            const decision = await provider.dayVote(game, player);
+            const { targetId, reveal } = decision && typeof decision === 'object' ? decision : { targetId: decision };
+            if (reveal && !player.revealedRole) game.dispatch({ type: 'REVEAL', playerId: player.id });
+            if (targetId) game.dispatch({ type: 'DAY_VOTE', playerId: player.id, targetId });
+        }
+    } else if (game.state === 'JUDGEMENT') {
+        for (const player of living()) {
+            if (player.id === game.trialPlayerId) continue;
+            game.dispatch({ type: 'JUDGEMENT_VOTE', playerId: player.id, verdict: await provider.verdict(game, player) });
+        }
+    }
+}
+
+/**
+ * Play one game to the end
+ * @param {object} options
+ * @param {object} options.settings - Game settings (roleConfig, rolePreset, bite rules, ...)
+ * @param {number} options.playerCount
+ * @param {number|string} [options.seed] - Seed for the engine and the heuristic provider
+ * @param {object} [options.provider] - Decision provider (defaults to createHeuristicProvider)
+ * @param {number} [options.maxRounds]
+ * @returns {Promise<object>} { seed, winner, rounds, winnerIds, roles, alive, stats }
+ */
+async function simulateGame({ settings = {}, playerCount, seed, provider, maxRounds = MAX_ROUNDS }) {
+    let now = 0;
+    const game = new GameEngine({
+        code: 'SIM',
+        host: 'p0',
+        settings: structuredClone(settings),
+        seed,
+        clock: { now: () => (now += 1000) },
+        logger: SILENT_LOGGER
+    });
+    for (let i = 0; i < playerCount; i++) {
+        game.dispatch({ type: 'ADD_PLAYER', player: { id: `p${i}`, name: `Player ${i + 1}`, isNPC: true } });
+    }
+    const rejection = game.dispatch({ type: 'START_GAME', roleConfig: game.settings.roleConfig })
+        .find(event => event.type === 'ACTION_REJECTED');
+    if (rejection) throw new Error(rejection.message);
+    const roles = game.players.map(p => p.role);
+    const decide = provider || PROVIDERS.heuristic(game.seed);
+
+    while (game.state !== 'GAME_OVER') {
+        if (game.round > maxRounds) {
+            game.dispatch({ type: 'END_GAME', winner: 'Draw' });
+            break;
+        }
+        await playPhase(game, decide);
+        if (game.state !== 'GAME_OVER') game.dispatch({ type: 'SKIP_PHASE' });
+    }
+
+    return {
+        seed: game.seed,
+        winner: game.winner,
+        rounds: game.round,
+        winnerIds: game.winnerIds,
+        roles,
+        alive: game.players.filter(p => p.alive).length,
+        stats: getGameStats(game)
+    };
+}
+
+/**
+ * Counters of a finished game, read from its journal
+ */
+function getGameStats(game) {
+    const stats = { heals: 0, saves: 0, executions: 0, townExecutions: 0, lynches: 0, townLynches: 0, stakes: 0, townStakes: 0, conversions: game.conversions };
+    const isTown = role => getRole(role)?.alignment === 'good';
+
+    game.journal.forEach(entry => {
+        if (entry.type === 'HEAL') {
+            stats.heals++;
+            if (entry.saved) stats.saves++;
+        } else if (entry.type === 'PLAYER_DIED' && entry.cause === 'execution') {
+            stats.executions++;
+            if (isTown(entry.role)) stats.townExecutions++;
+        } else if (entry.type === 'PLAYER_DIED' && entry.cause === 'lynch') {
+            stats.lynches++;
+            if (isTown(entry.role)) stats.townLynches++;
+        } else if (entry.type === 'PLAYER_DIED' && entry.cause === 'stake') {
+            stats.stakes++;
+            if (isTown(entry.role)) stats.townStakes++;
+        }
+    });
+    return stats;
+}
+
+/**
+ * Play a batch of games with consecutive seeds. Yields to the event loop
+ * between games, so a batch run inside the server does not stall the others.
+ * @param {object} options - As simulateGame, plus games (count), createProvider(seed)
+ *                           and onResult(result, index) for progress reporting
+ * @returns {Promise<object[]>} One simulateGame result per game
+ */
+async function runSimulations({ games = 100, seed = 1, createProvider, onResult, ...options }) {
+    const results = [];
+    const first = normalizeSeed(seed);
+    for (let i = 0; i < games; i++) {
+        const gameSeed = (first + i) >>> 0;
+        const result = await simulateGame({ ...options, seed: gameSeed, provider: createProvider?.(gameSeed) });
+        results.push(result);
+        onResult?.(result, i);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    return results;
+}
+
+/**
+ * Aggregate stats of a batch of games
+ * @param {object[]} results - From runSimulations
+ * @returns {object} Win rates per faction, average length and the role-level rates
+ *                   (null when the role never acted)
+ */
+function aggregateResults(results) {
+    const total = key => results.reduce((sum, result) => sum + result.stats[key], 0);
+    const rate = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 1000 : null);
+
+    const winRates = { town: 0, evil: 0, neutral: 0, draw: 0 };
+    results.forEach(result => { winRates[WINNER_FACTIONS[result.winner] || 'draw']++; });
+    Object.keys(winRates).forEach(faction => { winRates[faction] = rate(winRates[faction], results.length) ?? 0; });
+
+    return {
+        games: results.length,
+        winRates,
+        avgRounds: rate(results.reduce((sum, result) => sum + result.rounds, 0), results.length) ?? 0,
+        doctorSaveRate: rate(total('saves'), total('heals')),
+        jailorTownExecutionRate: rate(total('townExecutions'), total('executions')),
+        hunterTownStakeRate: rate(total('townStakes'), total('stakes')),
+        townLynchRate: rate(total('townLynches'), total('lynches')),
+        avgConversions: rate(total('conversions'), results.length) ?? 0
+    };
+}
+
+module.exports = {
+    MAX_ROUNDS,
+    PROVIDERS,
+    createRandomProvider,
+    createHeuristicProvider,
+    createAIProvider,
+    simulateGame,
+    runSimulations,
+    aggregateResults
+};
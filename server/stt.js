@@ -2,9 +2,11 @@
 // This module handles speech-to-text transcription using Google Cloud Speech API
 
 const speech = require('@google-cloud/speech');
+const { createLogger } = require('./game-logger');
 
 class GoogleSTTController {
-    constructor() {
+    constructor(logger = createLogger('STT')) {
+        this.logger = logger;
         this.client = null;
         this.available = false;
         this.initialize();
@@ -20,7 +22,7 @@ class GoogleSTTController {
             if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
                 this.client = new speech.SpeechClient();
                 this.available = true;
-                console.log('[STT] Google Cloud Speech-to-Text initialized successfully (using key file)');
+                this.logger.info('Google Cloud Speech-to-Text initialized successfully (using key file)');
             } else if (process.env.GOOGLE_STT_API_KEY || process.env.GEMINI_API_KEY) {
                 // Fallback to API Key
                 const apiKey = process.env.GOOGLE_STT_API_KEY || process.env.GEMINI_API_KEY;
@@ -28,14 +30,14 @@ class GoogleSTTController {
                     apiKey: apiKey
                 });
                 this.available = true;
-                console.log('[STT] Google Cloud Speech-to-Text initialized successfully (using API key)');
+                this.logger.info('Google Cloud Speech-to-Text initialized successfully (using API key)');
             } else {
-                console.log('[STT] No Google Cloud credentials found (GOOGLE_APPLICATION_CREDENTIALS, GOOGLE_STT_API_KEY, or GEMINI_API_KEY). STT disabled.');
+                this.logger.info('No Google Cloud credentials found (GOOGLE_APPLICATION_CREDENTIALS, GOOGLE_STT_API_KEY, or GEMINI_API_KEY). STT disabled.');
                 this.available = false;
             }
         } catch (error) {
-            console.log('[STT] Google Cloud Speech-to-Text not available:', error.message);
-            console.log('[STT] Set GOOGLE_APPLICATION_CREDENTIALS or GEMINI_API_KEY environment variable to enable voice chat');
+            this.logger.warn('Google Cloud Speech-to-Text not available', { error });
+            this.logger.info('Set GOOGLE_APPLICATION_CREDENTIALS or GEMINI_API_KEY environment variable to enable voice chat');
             this.available = false;
         }
     }
@@ -48,11 +50,12 @@ class GoogleSTTController {
      * Transcribe audio buffer to text
      * @param {string} audioBase64 - Base64 encoded audio data (webm format from browser)
      * @param {string} language - Language code ('english' or 'russian')
+     * @param {object} logger - Logger to report to (defaults to the controller's logger)
      * @returns {Promise<string|null>} - Transcribed text or null if failed
      */
-    async recognizeStream(audioBase64, language = 'english') {
+    async recognizeStream(audioBase64, language = 'english', logger = this.logger) {
         if (!this.available || !this.client) {
-            console.log('[STT] Speech-to-Text not available');
+            logger.info('Speech-to-Text not available');
             return null;
         }
 
@@ -68,7 +71,7 @@ class GoogleSTTController {
             };
             const languageCode = languageCodeMap[language] || 'en-US';
 
-            console.log(`[STT] Transcribing audio (${language}, ${audioBuffer.length} bytes)...`);
+            logger.info(`Transcribing audio (${language}, ${audioBuffer.length} bytes)...`);
 
             // Browser MediaRecorder typically outputs WebM with Opus codec
             const request = {
@@ -87,10 +90,10 @@ class GoogleSTTController {
             // Perform the transcription
             const [response] = await this.client.recognize(request);
 
-            console.log('[STT] Response received:', JSON.stringify(response, null, 2));
+            logger.debug('Response received', { data: response });
 
             if (!response.results || response.results.length === 0) {
-                console.log('[STT] No transcription results - audio may be too short or contain no speech');
+                logger.info('No transcription results - audio may be too short or contain no speech');
                 return null;
             }
 
@@ -99,12 +102,11 @@ class GoogleSTTController {
                 .map(result => result.alternatives[0].transcript)
                 .join('\n');
 
-            console.log('[STT] Transcription successful:', transcription);
+            logger.info('Transcription successful', { data: transcription });
             return transcription;
 
         } catch (error) {
-            console.error('[STT] Transcription error:', error.message);
-            console.error('[STT] Error details:', error);
+            logger.error('Transcription error', { error });
 
             return null;
         }
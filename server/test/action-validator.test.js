@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REJECTION, WILL_MAX_LENGTH, validateNightAction, validateDayVote, validateJudgement, validateReveal, validateWill } = require('../action-validator');
+const { validateRolePreset } = require('../role-list');
+
+// The players every case starts from (uses as given by roles.js at the start of a game)
+function createPlayers() {
+    return [
+        { id: 'doc', role: 'Doctor', alive: true, usesRemaining: { HEAL: 3 } },
+        { id: 'inv', role: 'Investigator', alive: true },
+        { id: 'jailor', role: 'Jailor', alive: true },
+        { id: 'vamp', role: 'Vampire', alive: true },
+        { id: 'vamp2', role: 'Vampire', alive: true },
+        { id: 'mayor', role: 'Mayor', alive: true },
+        { id: 'cit', role: 'Citizen', alive: true },
+        { id: 'dead', role: 'Citizen', alive: false }
+    ];
+}
+
+// The part of the engine the validator reads (see GameEngine.canBiteTonight and getBiter)
+function createGame(overrides = {}) {
+    const { canBite = true, biterId = null, ...fields } = overrides;
+    const game = {
+        state: 'NIGHT',
+        players: createPlayers(),
+        jailedPlayerId: null,
+        jailorId: null,
+        trialPlayerId: null,
+        canBiteTonight: () => canBite,
+        ...fields
+    };
+    game.getBiter = () => game.players.find(p => p.id === biterId) || null;
+    return game;
+}
+
+const playerOf = (game, id) => game.players.find(p => p.id === id) || null;
+
+// [description, validator call, expected code]
+const CASES = [
+    ['night action by someone not in the game', () => validateNightAction(createGame(), null, { type: 'HEAL', targetId: 'cit' }), REJECTION.NOT_IN_GAME],
+    ['night action during the day', () => {
+        const game = createGame({ state: 'DAY_DISCUSS' });
+        return validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', targetId: 'cit' });
+    }, REJECTION.WRONG_PHASE],
+    ['night action by a dead player', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'dead'), { type: 'HEAL', targetId: 'cit' });
+    }, REJECTION.ACTOR_DEAD],
+    ['an action the role does not have', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'cit'), { type: 'HEAL', targetId: 'doc' });
+    }, REJECTION.ROLE_CANNOT_ACT],
+    ['night action from jail', () => {
+        const game = createGame({ jailedPlayerId: 'inv', jailorId: 'jailor' });
+        return validateNightAction(game, playerOf(game, 'inv'), { type: 'INVESTIGATE', targetId: 'cit' });
+    }, REJECTION.JAILED],
+    ['bite on a night without bites', () => {
+        const game = createGame({ canBite: false });
+        return validateNightAction(game, playerOf(game, 'vamp'), { type: 'BITE', targetId: 'cit' });
+    }, REJECTION.NOT_TURN_NIGHT],
+    ['bite by a vampire who is not the biter', () => {
+        const game = createGame({ biterId: 'vamp2' });
+        return validateNightAction(game, playerOf(game, 'vamp'), { type: 'BITE', targetId: 'cit' });
+    }, REJECTION.NOT_BITER],
+    ['heal without heals left', () => {
+        const game = createGame();
+        playerOf(game, 'doc').usesRemaining.HEAL = 0;
+        return validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', targetId: 'cit' });
+    }, REJECTION.NO_USES_LEFT],
+    ['execute without a prisoner', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'jailor'), { type: 'EXECUTE', targetId: null });
+    }, REJECTION.NO_PRISONER],
+    ['a second jailing in one night', () => {
+        const game = createGame({ jailedPlayerId: 'cit', jailorId: 'jailor' });
+        return validateNightAction(game, playerOf(game, 'jailor'), { type: 'JAIL', targetId: 'inv' });
+    }, REJECTION.ALREADY_USED],
+    ['night action on an unknown player', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'inv'), { type: 'INVESTIGATE', targetId: 'nobody' });
+    }, REJECTION.INVALID_TARGET],
+    ['night action on a dead player', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'inv'), { type: 'INVESTIGATE', targetId: 'dead' });
+    }, REJECTION.TARGET_DEAD],
+    ['investigating yourself', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'inv'), { type: 'INVESTIGATE', targetId: 'inv' });
+    }, REJECTION.SELF_TARGET],
+    ['biting a fellow vampire', () => {
+        const game = createGame();
+        return validateNightAction(game, playerOf(game, 'vamp'), { type: 'BITE', targetId: 'vamp2' });
+    }, REJECTION.TEAMMATE_TARGET],
+    ['healing a revealed Mayor', () => {
+        const game = createGame();
+        playerOf(game, 'mayor').revealedRole = 'Mayor';
+        return validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', targetId: 'mayor' });
+    }, REJECTION.TARGET_UNHEALABLE],
+
+    ['vote by someone not in the game', () => validateDayVote(createGame({ state: 'DAY_VOTE' }), null, 'cit'), REJECTION.NOT_IN_GAME],
+    ['vote outside the voting phase', () => {
+        const game = createGame({ state: 'DAY_DISCUSS' });
+        return validateDayVote(game, playerOf(game, 'cit'), 'vamp');
+    }, REJECTION.WRONG_PHASE],
+    ['vote by a dead player', () => {
+        const game = createGame({ state: 'DAY_VOTE' });
+        return validateDayVote(game, playerOf(game, 'dead'), 'vamp');
+    }, REJECTION.ACTOR_DEAD],
+    ['vote for an unknown player', () => {
+        const game = createGame({ state: 'DAY_VOTE' });
+        return validateDayVote(game, playerOf(game, 'cit'), 'nobody');
+    }, REJECTION.INVALID_TARGET],
+    ['vote for a dead player', () => {
+        const game = createGame({ state: 'DAY_VOTE' });
+        return validateDayVote(game, playerOf(game, 'cit'), 'dead');
+    }, REJECTION.TARGET_DEAD],
+    ['vote for yourself', () => {
+        const game = createGame({ state: 'DAY_VOTE' });
+        return validateDayVote(game, playerOf(game, 'cit'), 'cit');
+    }, REJECTION.SELF_TARGET],
+
+    ['verdict on your own trial', () => {
+        const game = createGame({ state: 'JUDGEMENT', trialPlayerId: 'cit' });
+        return validateJudgement(game, playerOf(game, 'cit'), 'INNOCENT');
+    }, REJECTION.ON_TRIAL],
+    ['an unknown verdict', () => {
+        const game = createGame({ state: 'JUDGEMENT', trialPlayerId: 'vamp' });
+        return validateJudgement(game, playerOf(game, 'cit'), 'MAYBE');
+    }, REJECTION.INVALID_VERDICT],
+
+    ['revealing a second time', () => {
+        const game = createGame({ state: 'DAY_DISCUSS' });
+        playerOf(game, 'mayor').revealedRole = 'Mayor';
+        return validateReveal(game, playerOf(game, 'mayor'));
+    }, REJECTION.ALREADY_REVEALED],
+
+    ['a last will over the limit', () => {
+        const game = createGame();
+        return validateWill(game, playerOf(game, 'cit'), 'x'.repeat(WILL_MAX_LENGTH + 1));
+    }, REJECTION.TOO_LONG],
+
+    ['a role preset without slots', () => validateRolePreset({ name: 'Empty', slots: [] }), REJECTION.INVALID_PRESET]
+];
+
+CASES.forEach(([description, run, code]) => {
+    test(`rejects ${description} with ${code}`, () => {
+        const result = run();
+        assert.equal(result.ok, false);
+        assert.equal(result.code, code);
+        assert.equal(typeof result.message, 'string');
+    });
+});
+
+test('every rejection code has a case', () => {
+    const covered = new Set(CASES.map(([, , code]) => code));
+    assert.deepEqual(Object.values(REJECTION).filter(code => !covered.has(code)), []);
+});
+
+test('phase and role rules of the other validators', () => {
+    const day = createGame({ state: 'NIGHT', trialPlayerId: 'vamp' });
+    assert.equal(validateJudgement(day, playerOf(day, 'cit'), 'GUILTY').code, REJECTION.WRONG_PHASE);
+    assert.equal(validateReveal(day, playerOf(day, 'mayor')).code, REJECTION.WRONG_PHASE);
+    assert.equal(validateReveal(createGame({ state: 'DAY_VOTE' }), playerOf(day, 'cit')).code, REJECTION.ROLE_CANNOT_ACT);
+    assert.equal(validateWill(day, playerOf(day, 'cit'), 'note', true).code, REJECTION.ROLE_CANNOT_ACT);
+    assert.equal(validateWill(createGame({ state: 'GAME_OVER' }), playerOf(day, 'cit'), 'will').code, REJECTION.WRONG_PHASE);
+});
+
+test('valid actions pass with their target', () => {
+    const game = createGame({ jailedPlayerId: 'vamp', jailorId: 'jailor' });
+    assert.equal(validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', targetId: 'doc' }).target.id, 'doc');
+    assert.equal(validateNightAction(game, playerOf(game, 'jailor'), { type: 'EXECUTE', targetId: null }).target.id, 'vamp');
+
+    const vote = createGame({ state: 'DAY_VOTE' });
+    assert.equal(validateDayVote(vote, playerOf(vote, 'cit'), 'vamp').target.id, 'vamp');
+    assert.deepEqual(validateDayVote(vote, playerOf(vote, 'cit'), null), { ok: true, target: null });
+    assert.deepEqual(validateWill(game, playerOf(game, 'cit'), '  hi  '), { ok: true, text: 'hi' });
+});
+
+test('clearing an action only needs the role to have it', () => {
+    // Jailed, out of uses or without bites tonight: the player may still take their action back
+    const game = createGame({ jailedPlayerId: 'doc', jailorId: 'jailor', canBite: false });
+    playerOf(game, 'doc').usesRemaining.HEAL = 0;
+    const cleared = { ok: true, target: null };
+
+    assert.deepEqual(pick(validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', clear: true })), cleared);
+    assert.deepEqual(pick(validateNightAction(game, playerOf(game, 'doc'), { type: 'HEAL', targetId: null })), cleared);
+    assert.deepEqual(pick(validateNightAction(game, playerOf(game, 'vamp'), { type: 'BITE', targetId: null })), cleared);
+    assert.deepEqual(pick(validateNightAction(game, playerOf(game, 'jailor'), { type: 'CANCEL_EXECUTE' })), cleared);
+    // ...but the role must still have the action
+    assert.equal(validateNightAction(game, playerOf(game, 'cit'), { type: 'HEAL', clear: true }).code, REJECTION.ROLE_CANNOT_ACT);
+});
+
+test('a prisoner action with targetId null is a use, not a clear', () => {
+    // EXECUTE always targets the prisoner, so null is how it is submitted
+    const noPrisoner = createGame();
+    assert.equal(validateNightAction(noPrisoner, playerOf(noPrisoner, 'jailor'), { type: 'EXECUTE', targetId: null }).code, REJECTION.NO_PRISONER);
+
+    const jailed = createGame({ jailedPlayerId: 'vamp', jailorId: 'jailor' });
+    assert.equal(validateNightAction(jailed, playerOf(jailed, 'jailor'), { type: 'EXECUTE', targetId: null }).target.id, 'vamp');
+});
+
+// The fields of a validation result that do not depend on the role registry
+function pick({ ok, target }) {
+    return { ok, target };
+}
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIController = require('../ai');
+const { getNightActionSpec, getVoteSpec, getExecuteSpec, getJudgementSpec, getBeliefSpec, validateDecision } = require('../ai-schemas');
+const { SILENT_LOGGER, createStartedEngine } = require('./helpers');
+
+const spec = schema => ({ name: 'test', schema });
+
+test('a valid answer has no errors', () => {
+    const engine = createStartedEngine({ roles: ['Investigator', 'Vampire', 'Citizen', 'Citizen'] });
+    const investigator = engine.getPlayer('p0');
+    assert.deepEqual(validateDecision(getNightActionSpec(investigator, engine), { action: 'INVESTIGATE', targetName: 'P1' }), []);
+    assert.deepEqual(validateDecision(getNightActionSpec(investigator, engine), { action: 'NONE', targetName: null }), []);
+    assert.deepEqual(validateDecision(getExecuteSpec(), { execute: true, reason: 'suspicious', extra: 'ignored' }), []);
+});
+
+test('a missing key is an error', () => {
+    assert.deepEqual(validateDecision(getExecuteSpec(), { execute: true }), ['answer.reason is missing']);
+    // ...unless the spec makes it optional
+    const engine = createStartedEngine({ roles: ['Mayor', 'Vampire', 'Citizen', 'Citizen'] });
+    assert.deepEqual(validateDecision(getVoteSpec(engine.getPlayer('p0'), engine, true), { vote: 'P1' }), []);
+});
+
+test('null is only accepted where the type allows it', () => {
+    const engine = createStartedEngine({ roles: ['Citizen', 'Vampire', 'Citizen', 'Citizen'] });
+    assert.deepEqual(validateDecision(getVoteSpec(engine.getPlayer('p0'), engine), { vote: null }), []);
+    assert.match(validateDecision(getExecuteSpec(), { execute: null, reason: 'x' })[0], /answer\.execute must be boolean, got null/);
+});
+
+test('an integer is a number, but a fraction is not an integer', () => {
+    assert.deepEqual(validateDecision(spec({ type: 'number' }), 3), []);
+    assert.deepEqual(validateDecision(spec({ type: 'number' }), 3.5), []);
+    assert.deepEqual(validateDecision(spec({ type: 'integer' }), 3), []);
+    assert.match(validateDecision(spec({ type: 'integer' }), 3.5)[0], /must be integer, got number/);
+    assert.match(validateDecision(spec({ type: 'number' }), '3')[0], /must be number, got string/);
+});
+
+test('a name outside the enum is an error', () => {
+    const engine = createStartedEngine({ roles: ['Citizen', 'Vampire', 'Citizen', 'Citizen'] });
+    const errors = validateDecision(getVoteSpec(engine.getPlayer('p0'), engine), { vote: 'P0' });
+    assert.match(errors[0], /answer\.vote must be one of "P1", "P2", "P3", null, got "P0"/);
+});
+
+test('items and maxLength are checked', () => {
+    const engine = createStartedEngine({ roles: ['Citizen', 'Vampire', 'Citizen', 'Citizen'] });
+    const beliefs = getBeliefSpec(engine.getPlayer('p0'), engine);
+    const entry = { name: 'P1', suspicion: 80, claim: 'Doctor', contradiction: null, evidence: null };
+    assert.deepEqual(validateDecision(beliefs, { players: [entry] }), []);
+    assert.deepEqual(validateDecision(beliefs, { players: [entry, { ...entry, claim: 'King' }] }).length, 1);
+    assert.match(validateDecision(beliefs, { players: [{ ...entry, suspicion: '80' }] })[0], /answer\.players\[0\]\.suspicion/);
+    assert.match(validateDecision(spec({ type: 'string', maxLength: 3 }), 'abcd')[0], /at most 3 characters/);
+});
+
+test('check() catches a target the chosen action cannot take', () => {
+    const engine = createStartedEngine({ roles: ['Vampire', 'Vampire', 'Citizen', 'Citizen', 'Citizen'], settings: { biteCadence: 'EVERY_NIGHT' } });
+    const nightSpec = getNightActionSpec(engine.getPlayer('p0'), engine);
+    assert.deepEqual(validateDecision(nightSpec, { action: 'BITE', targetName: 'P2' }), []);
+    assert.deepEqual(validateDecision(nightSpec, { action: 'BITE', targetName: null }), ['BITE needs a targetName']);
+    // P1 is a fellow vampire, so not in the enum of any action
+    assert.equal(validateDecision(nightSpec, { action: 'BITE', targetName: 'P1' }).length, 1);
+});
+
+// An LLM that answers with the given texts in order and remembers the prompts
+function createFakeLLM(answers) {
+    const prompts = [];
+    return { prompts, generate: async prompt => { prompts.push(prompt); return answers.shift(); } };
+}
+
+test('an answer that fails check() gets exactly one repair prompt', async () => {
+    const engine = createStartedEngine({ roles: ['Investigator', 'Vampire', 'Citizen', 'Citizen'] });
+    const investigator = engine.getPlayer('p0');
+    const llm = createFakeLLM(['{"action":"INVESTIGATE","targetName":null}', '{"action":"INVESTIGATE","targetName":"P2"}']);
+    const ai = new AIController(llm, 'english', SILENT_LOGGER);
+
+    const decision = await ai.decide(getNightActionSpec(investigator, engine), 'prompt', investigator);
+    assert.deepEqual(decision, { action: 'INVESTIGATE', targetName: 'P2' });
+    assert.equal(llm.prompts.length, 2);
+    assert.match(llm.prompts[1], /INVESTIGATE needs a targetName/);
+    assert.deepEqual(ai.outputFailures, { night_action: { invalid: 1, repaired: 1, failed: 0 } });
+});
+
+test('an answer that is still invalid after the repair prompt throws', async () => {
+    const llm = createFakeLLM(['{"execute":"yes"}', 'not json']);
+    const ai = new AIController(llm, 'english', SILENT_LOGGER);
+    await assert.rejects(ai.decide(getExecuteSpec(), 'prompt'), /Invalid execute_decision answer after the repair prompt/);
+    assert.equal(llm.prompts.length, 2);
+    assert.deepEqual(ai.outputFailures, { execute_decision: { invalid: 1, repaired: 0, failed: 1 } });
+});
+
+test('an invalid verdict is repaired instead of falling back to ABSTAIN', async () => {
+    const engine = createStartedEngine({ roles: ['Citizen', 'Vampire', 'Citizen', 'Citizen'] });
+    engine.trialPlayerId = 'p1';
+    assert.match(validateDecision(getJudgementSpec(), { verdict: 'guilty' })[0], /answer\.verdict must be one of "GUILTY", "INNOCENT", "ABSTAIN"/);
+
+    const llm = createFakeLLM(['{"verdict":"lynch them"}', '{"verdict":"GUILTY"}']);
+    const ai = new AIController(llm, 'english', SILENT_LOGGER);
+    assert.deepEqual(await ai.generateJudgement(engine.getPlayer('p0'), engine), { verdict: 'GUILTY' });
+    assert.equal(llm.prompts.length, 2);
+    assert.deepEqual(ai.outputFailures, { judgement: { invalid: 1, repaired: 1, failed: 0 } });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeBalance } = require('../balance-analyzer');
+
+const SETTINGS = { roleConfig: { useDefault: false, Vampire: 2, Doctor: 1, Investigator: 1 } };
+
+test('the simulations leave the event loop free between games', async () => {
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 0);
+    try {
+        const report = await analyzeBalance(SETTINGS, 9, { games: 20, seed: 11 });
+        assert.equal(report.estimate.games, 20);
+        assert.ok(ticks > 1, `only ${ticks} timer callbacks ran during the analysis`);
+    } finally {
+        clearInterval(interval);
+    }
+});
+
+test('the same settings and player count reuse the report', async () => {
+    const first = analyzeBalance(SETTINGS, 8, { games: 10, seed: 5 });
+    assert.equal(analyzeBalance({ ...SETTINGS }, 8, { games: 10, seed: 5 }), first);
+    assert.notEqual(analyzeBalance(SETTINGS, 9, { games: 10, seed: 5 }), first);
+    assert.equal((await first).playerCount, 8);
+});
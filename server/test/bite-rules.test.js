@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getYoungestVampire } = require('../bite-rules');
+const { getNightActionOptions } = require('../ai-schemas');
+const { ScriptedAI } = require('../scripted-ai');
+const { SILENT_LOGGER, createStartedEngine, submitNightActions, getNightEntries } = require('./helpers');
+
+const YOUNGEST_ONLY = { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL', youngestVampireOnly: true };
+
+// p0 and p1 are vampires, p1 the youngest (the last original vampire)
+function createYoungestOnlyGame(roles) {
+    return createStartedEngine({ roles: ['Vampire', 'Vampire', ...roles, 'Citizen', 'Citizen', 'Citizen'], settings: YOUNGEST_ONLY });
+}
+
+test('the youngest vampire is the most recently turned one who is not in jail', () => {
+    const players = [
+        { id: 'a', role: 'Vampire', alive: true },
+        { id: 'b', role: 'Vampire', alive: true, turnedRound: 2 },
+        { id: 'c', role: 'Vampire', alive: true, turnedRound: 4 },
+        { id: 'd', role: 'Vampire', alive: false, turnedRound: 6 }
+    ];
+    assert.equal(getYoungestVampire(players).id, 'c');
+    assert.equal(getYoungestVampire(players, 'c').id, 'b');
+    assert.equal(getYoungestVampire(players.slice(0, 1), 'a'), null);
+});
+
+test('a jailed youngest vampire hands the bite to the next youngest', async () => {
+    const engine = createYoungestOnlyGame(['Jailor']);
+    assert.equal(engine.getBiter().id, 'p1');
+
+    const events = submitNightActions(engine, [['p2', 'JAIL', 'p1']]);
+    assert.equal(engine.getBiter().id, 'p0');
+    assert.equal(events.find(e => e.type === 'PLAYER_JAILED').biterId, 'p0');
+    assert.ok(events.some(e => e.type === 'PRIVATE_MESSAGE' && e.playerId === 'p0' && e.message.includes('P0 bites tonight instead')));
+
+    // The AI offers the bite to the new biter only
+    assert.deepEqual(getNightActionOptions(engine.getPlayer('p0'), engine).map(o => o.type), ['BITE']);
+    assert.deepEqual(getNightActionOptions(engine.getPlayer('p1'), engine), []);
+    const decision = await new ScriptedAI({ seed: 1, logger: SILENT_LOGGER }).generateNightAction(engine.getPlayer('p0'), engine);
+    assert.equal(decision.action, 'BITE');
+
+    const rejection = submitNightActions(engine, [['p0', 'BITE', 'p3']]).find(e => e.type === 'ACTION_REJECTED');
+    assert.equal(rejection, undefined);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.getPlayer('p3').alive, false);
+});
+
+test('a roleblocked youngest vampire bites nobody that night', () => {
+    const engine = createYoungestOnlyGame(['Escort']);
+    submitNightActions(engine, [['p2', 'ROLEBLOCK', 'p1'], ['p1', 'BITE', 'p3']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.ok(getNightEntries(engine).some(e => e.type === 'ACTION_BLOCKED' && e.actorId === 'p1' && e.action === 'BITE'));
+    assert.equal(engine.players.every(p => p.alive), true);
+});
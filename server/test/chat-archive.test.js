@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getChatArchiveView, formatChatSummaries } = require('../chat-archive');
+const { getSystemPrompt } = require('../npc-system-prompt');
+const { createStartedEngine } = require('./helpers');
+
+const message = text => ({ senderName: 'X', message: text, timestamp: 0 });
+const ARCHIVE = [
+    { round: 1, phase: 'NIGHT', channel: 'vampire', messages: [message('bite P3')] },
+    { round: 1, phase: 'NIGHT', channel: 'jail', participantIds: ['p0', 'p2'], messages: [message('who are you')] },
+    { round: 1, phase: 'DAY_DISCUSS', channel: 'public', messages: [message('hello')] }
+];
+const channelsOf = sections => sections.map(section => section.channel);
+
+test('a town player only reads the public chat and their own jail talks', () => {
+    const jailor = { id: 'p0', role: 'Jailor' };
+    const citizen = { id: 'p3', role: 'Citizen' };
+    assert.deepEqual(channelsOf(getChatArchiveView(ARCHIVE, jailor)), ['jail', 'public']);
+    assert.deepEqual(channelsOf(getChatArchiveView(ARCHIVE, citizen)), ['public']);
+    assert.deepEqual(channelsOf(getChatArchiveView(ARCHIVE, null)), ['public']);
+});
+
+test('vampires read the vampire chat, and everybody reads everything once the game is over', () => {
+    assert.deepEqual(channelsOf(getChatArchiveView(ARCHIVE, { id: 'p1', role: 'Vampire' })), ['vampire', 'public']);
+    assert.deepEqual(channelsOf(getChatArchiveView(ARCHIVE, { id: 'p3', role: 'Citizen' }, true)), ['vampire', 'jail', 'public']);
+});
+
+test('the engine only shows the whole archive at GAME_OVER', () => {
+    const engine = createStartedEngine({ roles: ['Jailor', 'Vampire', 'Citizen', 'Citizen'] });
+    engine.chatArchive = structuredClone(ARCHIVE);
+    assert.deepEqual(channelsOf(engine.getPlayerView('p3').chatArchive), ['public']);
+
+    // Lynching the only vampire ends the game
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    ['p0', 'p2', 'p3'].forEach(playerId => engine.dispatch({ type: 'DAY_VOTE', playerId, targetId: 'p1' }));
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'GAME_OVER');
+    assert.deepEqual(channelsOf(engine.getPlayerView('p3').chatArchive), ['vampire', 'jail', 'public']);
+});
+
+test('the vampire chat summary only reaches vampire prompts', () => {
+    const engine = createStartedEngine({ roles: ['Vampire', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.chatSummaries = { public: { text: 'P1 claimed Doctor.' }, vampire: { text: 'We bite P2 next.' } };
+
+    const vampirePrompt = getSystemPrompt(engine.getPlayer('p0'), engine);
+    assert.match(vampirePrompt, /Public chat: P1 claimed Doctor\./);
+    assert.match(vampirePrompt, /Vampire chat: We bite P2 next\./);
+
+    const townPrompt = getSystemPrompt(engine.getPlayer('p1'), engine);
+    assert.match(townPrompt, /Public chat: P1 claimed Doctor\./);
+    assert.doesNotMatch(townPrompt, /We bite P2/);
+    assert.equal(formatChatSummaries(engine.getPlayer('p1'), { chatSummaries: { vampire: { text: 'secret' } } }), '');
+});
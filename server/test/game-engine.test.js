@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, reduce } = require('../game-engine');
+const { getNightActionOrder } = require('../roles');
+const { SILENT_LOGGER, createClock, createStartedEngine, submitNightActions, getNightEntries } = require('./helpers');
+
+// A whole game driven by a fixed action list: everyone acts on the same
+// target each night and votes for the first other living player
+function playScriptedGame(seed) {
+    const engine = new GameEngine({
+        code: 'TEST',
+        host: 'p0',
+        settings: { nightTime: 2, discussionTime: 2, votingTime: 2 },
+        seed,
+        clock: createClock(),
+        logger: SILENT_LOGGER
+    });
+    const events = [];
+    const dispatch = action => events.push(...engine.dispatch(action));
+    for (let i = 0; i < 7; i++) dispatch({ type: 'ADD_PLAYER', player: { id: `p${i}`, name: `P${i}` } });
+    dispatch({ type: 'START_GAME', roleConfig: { useDefault: false, Vampire: 2, Doctor: 1, Investigator: 1 } });
+
+    for (let step = 0; step < 500 && engine.state !== 'GAME_OVER'; step++) {
+        const alive = engine.players.filter(p => p.alive);
+        if (engine.state === 'NIGHT' && engine.timer === 2) {
+            alive.forEach(p => {
+                const targets = alive.filter(x => x.id !== p.id);
+                const targetId = targets[engine.round % targets.length].id;
+                ['BITE', 'HEAL', 'INVESTIGATE'].forEach(type => dispatch({ type: 'NIGHT_ACTION', playerId: p.id, action: { type, targetId } }));
+            });
+        }
+        if (engine.state === 'DAY_VOTE' && engine.timer === 2) {
+            alive.forEach(p => dispatch({ type: 'DAY_VOTE', playerId: p.id, targetId: alive.find(x => x.id !== p.id).id }));
+        }
+        dispatch({ type: 'TICK' });
+    }
+    return { state: engine.getState(), events };
+}
+
+test('the same seed and actions give the same events and state', () => {
+    const first = playScriptedGame(42);
+    const second = playScriptedGame(42);
+    assert.equal(first.state.state, 'GAME_OVER');
+    assert.deepEqual(second.events, first.events);
+    assert.deepEqual(second.state, first.state);
+});
+
+test('a different seed deals different roles', () => {
+    const roles = game => game.state.players.map(p => p.role).join();
+    assert.notEqual(roles(playScriptedGame(7)), roles(playScriptedGame(42)));
+});
+
+test('reduce() does not change the snapshot it is given', () => {
+    const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen'] });
+    const snapshot = engine.getState();
+    const copy = structuredClone(snapshot);
+    const { state } = reduce(snapshot, { type: 'SKIP_PHASE' });
+    assert.deepEqual(snapshot, copy);
+    assert.equal(state.state, 'DAY_DISCUSS');
+});
+
+test('night actions resolve roleblock, heal/frame, stake, bite, investigate', () => {
+    const order = getNightActionOrder();
+    const position = type => order.indexOf(type);
+    assert.ok(position('ROLEBLOCK') < position('HEAL'));
+    assert.ok(position('ROLEBLOCK') < position('FRAME'));
+    assert.ok(position('HEAL') < position('STAKE'));
+    assert.ok(position('FRAME') < position('STAKE'));
+    assert.ok(position('STAKE') < position('BITE'));
+    assert.ok(position('BITE') < position('INVESTIGATE'));
+});
+
+test('a night with every action type resolves in priority order', () => {
+    const engine = createStartedEngine({
+        roles: ['Escort', 'Doctor', 'Vampire Framer', 'Vampire Hunter', 'Vampire', 'Investigator', 'Citizen', 'Investigator', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT' }
+    });
+    submitNightActions(engine, [
+        ['p0', 'ROLEBLOCK', 'p7'],   // blocked before the investigation resolves
+        ['p1', 'HEAL', 'p6'],        // the heal lands before the stake and the bite
+        ['p2', 'FRAME', 'p6'],       // the frame lands before the investigation
+        ['p3', 'STAKE', 'p6'],
+        ['p4', 'BITE', 'p6'],
+        ['p5', 'INVESTIGATE', 'p6'],
+        ['p7', 'INVESTIGATE', 'p4']
+    ]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    const entries = getNightEntries(engine);
+    const indexOf = type => entries.findIndex(e => e.type === type);
+    assert.ok(indexOf('ACTION_BLOCKED') < indexOf('FRAME'));
+    assert.ok(indexOf('FRAME') < indexOf('STAKE'));
+    assert.ok(indexOf('STAKE') < indexOf('BITE'));
+
+    assert.equal(entries.find(e => e.type === 'ACTION_BLOCKED').actorId, 'p7');
+    assert.equal(entries.find(e => e.type === 'STAKE').outcome, 'HEALED');
+    assert.equal(entries.find(e => e.type === 'BITE').outcome, 'HEALED');
+    const results = entries.filter(e => e.type === 'ACTION_RESULT');
+    assert.equal(results.find(e => e.actorId === 'p5').result, 'Target is a Vampire');
+    assert.equal(results.find(e => e.actorId === 'p7'), undefined);
+    assert.ok(engine.getPlayer('p6').alive);
+    assert.equal(engine.state, 'DAY_DISCUSS');
+});
+
+test('a vampire staked during the night cannot bite afterwards', () => {
+    const engine = createStartedEngine({
+        roles: ['Vampire Hunter', 'Vampire', 'Vampire', 'Citizen', 'Citizen', 'Citizen', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' }
+    });
+    submitNightActions(engine, [['p0', 'STAKE', 'p1'], ['p1', 'BITE', 'p3']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.getPlayer('p1').alive, false);
+    assert.ok(engine.getPlayer('p3').alive);
+    assert.equal(getNightEntries(engine).some(e => e.type === 'BITE'), false);
+});
+
+test('lynching the last vampire wins the game for good', () => {
+    const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' }); // night 1 (no bite on odd nights)
+    engine.dispatch({ type: 'SKIP_PHASE' }); // discussion
+    ['p0', 'p2', 'p3', 'p4'].forEach(playerId => engine.dispatch({ type: 'DAY_VOTE', playerId, targetId: 'p1' }));
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.state, 'GAME_OVER');
+    assert.equal(engine.winner, 'GOOD');
+    assert.deepEqual(engine.winnerIds, ['p0', 'p2', 'p3', 'p4']);
+    assert.equal(engine.journal[engine.journal.length - 1].type, 'GAME_OVER');
+});
+
+test('the vampires win when they are at least half of the living', () => {
+    const engine = createStartedEngine({
+        roles: ['Vampire', 'Citizen', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' }
+    });
+    submitNightActions(engine, [['p0', 'BITE', 'p1']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.state, 'GAME_OVER');
+    assert.equal(engine.winner, 'EVIL');
+    assert.deepEqual(engine.winnerIds, ['p0']);
+});
+
+test('a lynched Jester wins alone', () => {
+    const engine = createStartedEngine({ roles: ['Jester', 'Vampire', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    ['p1', 'p2', 'p3', 'p4'].forEach(playerId => engine.dispatch({ type: 'DAY_VOTE', playerId, targetId: 'p0' }));
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.winner, 'Jester');
+    assert.ok(engine.winnerIds.includes('p0'));
+});
+
+test('the game goes on while neither side has won', () => {
+    const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'DAY_DISCUSS');
+    assert.equal(engine.winner, null);
+});
+
+test('a bite still leaves a death note when a vampire who voted has left the game', () => {
+    const engine = createStartedEngine({
+        roles: ['Vampire', 'Vampire', 'Citizen', 'Citizen', 'Citizen', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' }
+    });
+    engine.dispatch({ type: 'SET_DEATH_NOTE', playerId: 'p1', note: 'Sleep well' });
+    submitNightActions(engine, [['p0', 'BITE', 'p2'], ['p1', 'BITE', 'p2']]);
+    engine.dispatch({ type: 'REMOVE_PLAYER', playerId: 'p0' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    const will = engine.journal.find(e => e.type === 'WILL_REVEALED');
+    assert.equal(will.playerId, 'p2');
+    assert.equal(will.deathNote, 'Sleep well');
+    assert.equal(will.byId, 'p1');
+});
+
+// From the night: skip to the vote and lynch the target with every other living player's vote
+function lynchFromNight(engine, targetId) {
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.players.filter(p => p.alive && p.id !== targetId)
+        .forEach(p => engine.dispatch({ type: 'DAY_VOTE', playerId: p.id, targetId }));
+    engine.dispatch({ type: 'SKIP_PHASE' });
+}
+
+test('a turned Executioner loses their objective and does not win with the town', () => {
+    const engine = createStartedEngine({
+        roles: ['Vampire', 'Executioner', 'Citizen', 'Citizen', 'Citizen', 'Citizen', 'Citizen', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'CONVERT' }
+    });
+    const targetId = engine.getPlayer('p1').objective.targetId;
+    submitNightActions(engine, [['p0', 'BITE', 'p1']]);
+    lynchFromNight(engine, targetId);
+
+    assert.equal(engine.getPlayer('p1').role, 'Vampire');
+    assert.equal(engine.getPlayer('p1').objective, null);
+    assert.ok(engine.journal.some(e => e.type === 'OBJECTIVE_CLEARED' && e.playerId === 'p1' && e.reason === 'turned'));
+    assert.equal(engine.journal.some(e => e.type === 'OBJECTIVE_COMPLETED'), false);
+
+    lynchFromNight(engine, 'p0');
+    lynchFromNight(engine, 'p1');
+    assert.equal(engine.winner, 'GOOD');
+    assert.equal(engine.winnerIds.includes('p1'), false);
+});
+
+// From the night: skip to the vote and put the accused on trial (votes until the majority starts it)
+function startTrialFromNight(engine, accusedId) {
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    for (const voter of engine.players.filter(p => p.alive && p.id !== accusedId)) {
+        if (engine.state !== 'DAY_VOTE') break;
+        engine.dispatch({ type: 'DAY_VOTE', playerId: voter.id, targetId: accusedId });
+    }
+    assert.equal(engine.state, 'DEFENSE');
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'JUDGEMENT');
+}
+
+function createTrialGame() {
+    return createStartedEngine({
+        roles: ['Vampire', 'Executioner', 'Citizen', 'Citizen', 'Citizen', 'Citizen', 'Citizen'],
+        settings: { enableTrial: true }
+    });
+}
+
+test('a majority vote puts the accused on trial, and a guilty verdict lynches them', () => {
+    const engine = createTrialGame();
+    const targetId = engine.getPlayer('p1').objective.targetId;
+    startTrialFromNight(engine, targetId);
+    assert.equal(engine.journal.findLast(e => e.type === 'TRIAL_STARTED').targetId, targetId);
+
+    const jury = engine.players.filter(p => p.alive && p.id !== targetId).map(p => p.id);
+    jury.slice(0, 3).forEach(playerId => engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId, verdict: 'GUILTY' }));
+    engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId: jury[3], verdict: 'INNOCENT' });
+    const rejection = engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId: targetId, verdict: 'INNOCENT' })
+        .find(e => e.type === 'ACTION_REJECTED');
+    assert.equal(rejection.code, 'ON_TRIAL');
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    const result = engine.journal.findLast(e => e.type === 'TRIAL_RESULT');
+    assert.deepEqual({ guilty: result.guilty, innocent: result.innocent, abstain: result.abstain, lynched: result.lynched },
+        { guilty: 3, innocent: 1, abstain: 2, lynched: true });
+    assert.equal(engine.getPlayer(targetId).alive, false);
+    // The lynch goes through completeLynchObjectives
+    assert.ok(engine.journal.some(e => e.type === 'OBJECTIVE_COMPLETED' && e.playerId === 'p1' && e.targetId === targetId));
+    assert.equal(engine.state, 'NIGHT');
+});
+
+test('a tied verdict acquits the accused', () => {
+    const engine = createTrialGame();
+    startTrialFromNight(engine, 'p2');
+    engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId: 'p3', verdict: 'GUILTY' });
+    engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId: 'p4', verdict: 'INNOCENT' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.journal.findLast(e => e.type === 'TRIAL_RESULT').lynched, false);
+    assert.equal(engine.getPlayer('p2').alive, true);
+    assert.equal(engine.state, 'NIGHT');
+    assert.equal(engine.round, 2);
+});
+
+test('a jury that abstains acquits the accused', () => {
+    const engine = createTrialGame();
+    startTrialFromNight(engine, 'p2');
+    engine.dispatch({ type: 'JUDGEMENT_VOTE', playerId: 'p3', verdict: 'ABSTAIN' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    const result = engine.journal.findLast(e => e.type === 'TRIAL_RESULT');
+    assert.deepEqual({ guilty: result.guilty, innocent: result.innocent, abstain: result.abstain, lynched: result.lynched },
+        { guilty: 0, innocent: 0, abstain: 6, lynched: false });
+    assert.equal(engine.getPlayer('p2').alive, true);
+});
+
+test('a revealed Mayor\'s vote counts three times', () => {
+    const engine = createStartedEngine({ roles: ['Mayor', 'Vampire', 'Citizen', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'REVEAL', playerId: 'p0' });
+    assert.equal(engine.getPlayer('p0').revealedRole, 'Mayor');
+    const again = engine.dispatch({ type: 'REVEAL', playerId: 'p0' }).find(e => e.type === 'ACTION_REJECTED');
+    assert.equal(again.code, 'ALREADY_REVEALED');
+
+    // 3 of the 6 living votes: a majority on its own
+    engine.dispatch({ type: 'DAY_VOTE', playerId: 'p0', targetId: 'p1' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.journal.findLast(e => e.type === 'LYNCH_RESULT').votes.p1, 3);
+    assert.equal(engine.getPlayer('p1').alive, false);
+    assert.equal(engine.winner, 'GOOD');
+});
+
+test('an unrevealed Mayor votes once', () => {
+    const engine = createStartedEngine({ roles: ['Mayor', 'Vampire', 'Citizen', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'DAY_VOTE', playerId: 'p0', targetId: 'p1' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+
+    assert.equal(engine.journal.findLast(e => e.type === 'LYNCH_RESULT').votes.p1, 1);
+    assert.equal(engine.getPlayer('p1').alive, true);
+});
+
+test('the Doctor cannot heal a revealed Mayor', () => {
+    const engine = createStartedEngine({ roles: ['Mayor', 'Vampire', 'Doctor', 'Citizen', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'REVEAL', playerId: 'p0' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'NIGHT');
+
+    const [rejection] = submitNightActions(engine, [['p2', 'HEAL', 'p0']]).filter(e => e.type === 'ACTION_REJECTED');
+    assert.equal(rejection.code, 'TARGET_UNHEALABLE');
+    assert.equal(submitNightActions(engine, [['p2', 'HEAL', 'p3']]).some(e => e.type === 'ACTION_REJECTED'), false);
+});
+
+test('the graveyard chat is heard by the dead, and by a living Medium during the night only', () => {
+    const engine = createStartedEngine({
+        roles: ['Medium', 'Vampire', 'Citizen', 'Citizen', 'Citizen', 'Citizen'],
+        settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' }
+    });
+    submitNightActions(engine, [['p1', 'BITE', 'p2']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.getPlayer('p2').alive, false);
+
+    // During the day only the dead talk and listen
+    engine.dispatch({ type: 'DEAD_CHAT', playerId: 'p2', message: 'It was P1' });
+    engine.dispatch({ type: 'DEAD_CHAT', playerId: 'p3', message: 'Living players cannot post' });
+    assert.equal(engine.deadChat.length, 1);
+    assert.deepEqual(engine.getDeadChatView('p0'), []);
+    assert.equal(engine.getPlayerView('p0').deadChat, undefined);
+    assert.equal(engine.getPlayerView('p3').deadChat, undefined);
+
+    // At night the Medium hears tonight's séance, anonymously to the dead
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'NIGHT');
+    engine.dispatch({ type: 'DEAD_CHAT', playerId: 'p0', message: 'Who killed you?' });
+    engine.dispatch({ type: 'DEAD_CHAT', playerId: 'p2', message: 'P1 did' });
+
+    assert.deepEqual(engine.getDeadChatView('p0').map(m => m.message), ['Who killed you?', 'P1 did']);
+    assert.deepEqual(engine.getDeadChatView('p2').map(m => m.message), ['It was P1', 'Who killed you?', 'P1 did']);
+    const mediumMessage = engine.getDeadChatView('p2').find(m => m.isMedium);
+    assert.equal(mediumMessage.senderId, null);
+    assert.equal(mediumMessage.senderName, 'Medium');
+    assert.deepEqual(engine.getDeadChatView('p3'), []);
+    assert.equal(engine.getPlayerView('p3').deadChat, undefined);
+});
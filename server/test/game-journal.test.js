@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JOURNAL_VERSION, JOURNAL_EVENTS, appendJournal, readJournal, isJournalFinished } = require('../game-journal');
+const { createStartedEngine, submitNightActions } = require('./helpers');
+
+test('appended entries are added after the existing ones, never rewritten', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    const filePath = path.join(dir, 'game', 'events.jsonl');
+    try {
+        const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen'] });
+        const written = engine.journal.length;
+        await appendJournal(filePath, engine.journal);
+        const before = fs.readFileSync(filePath, 'utf8');
+
+        submitNightActions(engine, [['p0', 'HEAL', 'p2']]);
+        engine.dispatch({ type: 'SKIP_PHASE' });
+        await appendJournal(filePath, engine.journal.slice(written));
+
+        assert.ok(fs.readFileSync(filePath, 'utf8').startsWith(before));
+        assert.deepEqual(readJournal(filePath), JSON.parse(JSON.stringify(engine.journal)));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('every recorded entry type is in the schema and carries the current version', () => {
+    const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen'] });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.deepEqual(engine.journal[0], { ...engine.journal[0], type: 'GAME_CREATED', version: JOURNAL_VERSION });
+    engine.journal.forEach(entry => assert.ok(JOURNAL_EVENTS[entry.type], `${entry.type} is not in JOURNAL_EVENTS`));
+    assert.ok(engine.journal.every((entry, i) => entry.seq === i + 1));
+});
+
+test('only a journal that reached GAME_OVER counts as finished', () => {
+    const engine = createStartedEngine({ roles: ['Vampire', 'Citizen', 'Citizen'], settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' } });
+    assert.equal(isJournalFinished(engine.journal), false);
+    submitNightActions(engine, [['p0', 'BITE', 'p1']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    assert.equal(engine.state, 'GAME_OVER');
+    assert.equal(isJournalFinished(engine.journal), true);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameLifecycleManager = require('../game-lifecycle');
+const { SILENT_LOGGER } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// A game stub with what the manager reads, counting dispose() calls
+function createGame(code, state, lastActivityAt) {
+    return { code, state, lastActivityAt, players: [], disposed: 0, dispose() { this.disposed++; } };
+}
+
+function createManager(games) {
+    const clock = { time: 0 };
+    const removed = [];
+    const evictions = [];
+    const manager = new GameLifecycleManager({
+        games,
+        store: { remove: code => removed.push(code) },
+        gameOverGraceMs: 10 * MINUTE,
+        lobbyIdleMs: 30 * MINUTE,
+        onEvict: (game, reason) => evictions.push([game.code, reason]),
+        now: () => clock.time,
+        logger: SILENT_LOGGER
+    });
+    return { manager, clock, removed, evictions };
+}
+
+test('a finished game is kept for the grace period, then evicted', () => {
+    const game = createGame('OVER', 'GAME_OVER', 0);
+    const games = { OVER: game };
+    const { manager, clock, removed, evictions } = createManager(games);
+
+    clock.time = 10 * MINUTE - 1;
+    assert.deepEqual(manager.sweep(), []);
+
+    clock.time = 10 * MINUTE;
+    assert.deepEqual(manager.sweep(), ['OVER']);
+    assert.deepEqual(games, {});
+    assert.equal(game.disposed, 1);
+    assert.deepEqual(removed, ['OVER']);
+    assert.deepEqual(evictions, [['OVER', 'finished']]);
+});
+
+test('a lobby is evicted once idle, and activity resets its timer', () => {
+    const lobby = createGame('LOBB', 'LOBBY', 0);
+    const games = { LOBB: lobby };
+    const { manager, clock, evictions } = createManager(games);
+
+    // Someone joined at minute 15
+    lobby.lastActivityAt = 15 * MINUTE;
+    clock.time = 40 * MINUTE;
+    assert.deepEqual(manager.sweep(), []);
+
+    clock.time = 45 * MINUTE;
+    assert.deepEqual(manager.sweep(), ['LOBB']);
+    assert.equal(lobby.disposed, 1);
+    assert.deepEqual(evictions, [['LOBB', 'idle lobby']]);
+});
+
+test('running games are never evicted, however long they are idle', () => {
+    const games = {
+        NGHT: createGame('NGHT', 'NIGHT', 0),
+        DAYS: createGame('DAYS', 'DAY_DISCUSS', 0),
+        VOTE: createGame('VOTE', 'DAY_VOTE', 0)
+    };
+    const { manager, clock, removed } = createManager(games);
+
+    clock.time = 24 * 60 * MINUTE;
+    assert.deepEqual(manager.sweep(), []);
+    assert.deepEqual(Object.keys(games), ['NGHT', 'DAYS', 'VOTE']);
+    assert.deepEqual(removed, []);
+});
+
+test('evicting an unknown code does nothing', () => {
+    const { manager, removed, evictions } = createManager({});
+    manager.evict('NONE', 'finished');
+    assert.deepEqual(removed, []);
+    assert.deepEqual(evictions, []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine } = require('../game-engine');
+const { buildRecap } = require('../game-recap');
+const { SILENT_LOGGER, createClock, createStartedEngine, submitNightActions } = require('./helpers');
+
+// Night 1: the vampire kills P2 while the Doctor heals themself, day 1: the town lynches the vampire
+function createFinishedGame() {
+    const engine = createStartedEngine({ roles: ['Doctor', 'Vampire', 'Citizen', 'Citizen', 'Citizen'], settings: { biteCadence: 'EVERY_NIGHT', biteMode: 'KILL' } });
+    submitNightActions(engine, [['p0', 'HEAL', 'p0'], ['p1', 'BITE', 'p2']]);
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    ['p0', 'p3', 'p4'].forEach(playerId => engine.dispatch({ type: 'DAY_VOTE', playerId, targetId: 'p1' }));
+    engine.dispatch({ type: 'SKIP_PHASE' });
+    return engine;
+}
+
+test('the recap resolves a small finished journal to names, round by round', () => {
+    const engine = createFinishedGame();
+    assert.equal(engine.state, 'GAME_OVER');
+    const recap = buildRecap(engine.journal);
+
+    assert.deepEqual(recap.players.map(p => [p.name, p.role, p.alive, p.deathCause ?? null]), [
+        ['P0', 'Doctor', true, null],
+        ['P1', 'Vampire', false, 'lynch'],
+        ['P2', 'Citizen', false, 'bite'],
+        ['P3', 'Citizen', true, null],
+        ['P4', 'Citizen', true, null]
+    ]);
+
+    assert.equal(recap.rounds.length, 1);
+    const [round] = recap.rounds;
+    assert.deepEqual(round.heals, [{ actor: 'P0', target: 'P0', saved: false }]);
+    assert.equal(round.bite.target, 'P2');
+    assert.equal(round.lynch.target, 'P1');
+    assert.deepEqual(round.lynch.ballots.map(b => b.voter), ['P0', 'P3', 'P4']);
+    assert.deepEqual(round.deaths.map(d => [d.name, d.cause, d.phase]), [['P2', 'bite', 'NIGHT'], ['P1', 'lynch', 'DAY_VOTE']]);
+});
+
+test('the recap is built once at GAME_OVER, and again when a finished game is restored', () => {
+    const engine = createFinishedGame();
+    const recap = engine.getPlayerView('p0').recap;
+    assert.deepEqual(recap, buildRecap(engine.journal));
+    assert.equal(engine.getPlayerView('p3').recap, recap);
+
+    const restored = GameEngine.fromState(engine.getState(), { clock: createClock(), logger: SILENT_LOGGER });
+    assert.deepEqual(restored.getPlayerView('p0').recap, recap);
+    assert.equal(createStartedEngine({ roles: ['Vampire', 'Citizen', 'Citizen'] }).getPlayerView('p0').recap, undefined);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileGameStore } = require('../game-store');
+
+function createStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'game-store-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new JsonFileGameStore(directory);
+}
+
+test('saves are written asynchronously, in order', async (t) => {
+    const store = createStore(t);
+    const first = store.save('ABCD', { version: 1, n: 1 });
+    store.save('ABCD', { version: 1, n: 2 });
+    assert.equal(fs.existsSync(store.getFilePath('ABCD')), false);
+
+    await first;
+    await store.save('ABCD', { version: 1, n: 3 });
+    assert.deepEqual(store.loadAll(), [{ version: 1, n: 3 }]);
+    assert.deepEqual(fs.readdirSync(store.directory), ['ABCD.json']);
+});
+
+test('remove waits for pending saves, so the game does not come back', async (t) => {
+    const store = createStore(t);
+    store.save('ABCD', { version: 1 });
+    await store.remove('ABCD');
+    assert.deepEqual(store.loadAll(), []);
+});
@@ -0,0 +1,48 @@
+/**
+ * Test helpers: engines with a fake clock, a silent logger and chosen roles
+ */
+
+const { GameEngine } = require('../game-engine');
+
+const SILENT_LOGGER = { info() {}, warn() {}, error() {}, debug() {} };
+
+// A clock that moves one second per reading, so timestamps do not depend on the machine
+function createClock() {
+    let now = 0;
+    return { now: () => (now += 1000) };
+}
+
+/**
+ * A started game (night 1) whose players p0, p1, ... have exactly the given roles
+ * @param {object} options
+ * @param {string[]} options.roles - Role of each player, in order
+ * @param {object} [options.settings] - Extra game settings
+ * @param {number|string} [options.seed]
+ */
+function createStartedEngine({ roles, settings = {}, seed = 1 }) {
+    const engine = new GameEngine({ code: 'TEST', host: 'p0', settings: { ...settings }, seed, clock: createClock(), logger: SILENT_LOGGER });
+    roles.forEach((role, i) => engine.dispatch({ type: 'ADD_PLAYER', player: { id: `p${i}`, name: `P${i}` } }));
+    engine.dispatch({ type: 'START_GAME', roleConfig: { useDefault: false, Vampire: 1 } });
+    roles.forEach((role, i) => engine.dispatch({ type: 'HOST_SET_ROLE', playerId: `p${i}`, role }));
+    return engine;
+}
+
+// Submit night actions: [[playerId, type, targetId], ...]
+function submitNightActions(engine, actions) {
+    return actions.flatMap(([playerId, type, targetId]) =>
+        engine.dispatch({ type: 'NIGHT_ACTION', playerId, action: { type, targetId } }));
+}
+
+// Journal entries of the latest night, from its NIGHT phase start to the next phase
+function getNightEntries(engine) {
+    const start = engine.journal.findLastIndex(e => e.type === 'PHASE_STARTED' && e.phase === 'NIGHT');
+    return engine.journal.slice(start).filter(e => e.phase === 'NIGHT');
+}
+
+module.exports = {
+    SILENT_LOGGER,
+    createClock,
+    createStartedEngine,
+    submitNightActions,
+    getNightEntries
+};
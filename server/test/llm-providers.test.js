@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { OpenAICompatibleProvider, createLLMProvider, getLLMConfig } = require('../llm-providers');
+const { getExecuteSpec } = require('../ai-schemas');
+
+// A local OpenAI-compatible server: respond(body) returns [status, text].
+// run(llm, requests, url) gets a provider for it (or creates its own from url).
+async function withServer(respond, run) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(text);
+            Object.defineProperty(body, 'headers', { value: req.headers }); // Kept out of deepEqual
+            requests.push(body);
+            const [status, answer] = respond(body);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(answer);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/v1`;
+        const llm = new OpenAICompatibleProvider({ endpoint: url, model: 'test', apiKey: '' });
+        await run(llm, requests, url);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+const completion = content => JSON.stringify({ choices: [{ message: { content } }] });
+
+test('a refused response_format turns structured output off and retries', async () => {
+    await withServer(body => (body.response_format
+        ? [400, '{"error":{"message":"Unrecognized request argument: response_format"}}']
+        : [200, completion('{"execute":true,"reason":"x"}')]), async (llm, requests) => {
+        assert.equal(await llm.generate('prompt', getExecuteSpec()), '{"execute":true,"reason":"x"}');
+        assert.equal(llm.structuredOutput, false);
+        assert.equal(requests.length, 2);
+    });
+});
+
+test('any other 400 is an error and keeps structured output on', async () => {
+    await withServer(() => [400, '{"error":{"message":"This model\'s maximum context length is 8192 tokens"}}'], async (llm, requests) => {
+        await assert.rejects(llm.generate('prompt', getExecuteSpec()), /answered 400: .*maximum context length/);
+        assert.equal(llm.structuredOutput, true);
+        assert.equal(requests.length, 1);
+    });
+});
+
+// Run with these environment variables, restored afterwards
+async function withEnv(values, run) {
+    const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.assign(process.env, values);
+    try {
+        await run();
+    } finally {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+test('an endpoint outside the allowed list falls back to the default one', async () => {
+    await withEnv({ OPENAI_BASE_URL: 'https://api.example.com/v1/', LLM_ENDPOINTS: 'http://localhost:8080/v1' }, () => {
+        const config = settings => getLLMConfig({ llmProvider: 'openai', ...settings }).endpoint;
+        assert.equal(config({}), 'https://api.example.com/v1');
+        assert.equal(config({ llmEndpoint: 'http://localhost:8080/v1/' }), 'http://localhost:8080/v1');
+        assert.equal(config({ llmEndpoint: 'http://169.254.169.254/latest' }), 'https://api.example.com/v1');
+    });
+});
+
+test('OPENAI_API_KEY only goes to the default endpoint', async () => {
+    await withServer(() => [200, completion('hello')], async (llm, requests, url) => {
+        await withEnv({ OPENAI_API_KEY: 'secret', OPENAI_BASE_URL: 'https://api.example.com/v1', LLM_ENDPOINTS: url }, async () => {
+            const custom = createLLMProvider({ llmProvider: 'openai', llmEndpoint: url });
+            assert.equal(custom.endpoint, url);
+            assert.equal(await custom.generate('prompt'), 'hello');
+            assert.equal(requests[0].headers.authorization, undefined);
+
+            assert.equal(createLLMProvider({ llmProvider: 'openai' }).apiKey, 'secret');
+        });
+    });
+});
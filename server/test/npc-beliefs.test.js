@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UNKNOWN_SUSPICION, MAX_NOTES, applyBeliefUpdate, getPhaseRecord } = require('../npc-beliefs');
+
+const PLAYERS = [
+    { id: 'p0', name: 'Ann', role: 'Citizen', alive: true },
+    { id: 'p1', name: 'Bob', role: 'Vampire', alive: true },
+    { id: 'p2', name: 'Cid', role: 'Vampire', alive: true }
+];
+const DAY_1 = { round: 1, phase: 'DAY_DISCUSS' };
+
+const update = players => ({ players: players.map(entry => ({ suspicion: null, claim: null, contradiction: null, evidence: null, ...entry })) });
+
+test('suspicion is clamped and unknown names are ignored', () => {
+    const beliefs = applyBeliefUpdate({}, update([{ name: 'Bob', suspicion: 140 }, { name: 'Cid', suspicion: -5.4 }, { name: 'Zed', suspicion: 90 }]), PLAYERS, DAY_1);
+    assert.equal(beliefs.p1.suspicion, 100);
+    assert.equal(beliefs.p2.suspicion, 0);
+    assert.deepEqual(Object.keys(beliefs), ['p1', 'p2']);
+
+    // No number keeps the old value, a new player starts unsure
+    assert.equal(applyBeliefUpdate(beliefs, update([{ name: 'Bob' }]), PLAYERS, DAY_1).p1.suspicion, 100);
+    assert.equal(applyBeliefUpdate({}, update([{ name: 'Bob', evidence: 'x' }]), PLAYERS, DAY_1).p1.suspicion, UNKNOWN_SUSPICION);
+});
+
+test('the old beliefs are not changed', () => {
+    const beliefs = applyBeliefUpdate({}, update([{ name: 'Bob', suspicion: 60 }]), PLAYERS, DAY_1);
+    applyBeliefUpdate(beliefs, update([{ name: 'Bob', suspicion: 90, evidence: 'visited the dead' }]), PLAYERS, DAY_1);
+    assert.deepEqual(beliefs.p1, { suspicion: 60, claims: [], contradictions: [], evidence: [] });
+});
+
+test('a note already taken is not added again, even in a later phase', () => {
+    let beliefs = applyBeliefUpdate({}, update([{ name: 'Bob', contradiction: 'claimed two roles' }]), PLAYERS, DAY_1);
+    beliefs = applyBeliefUpdate(beliefs, update([{ name: 'Bob', contradiction: 'claimed two roles' }]), PLAYERS, { round: 2, phase: 'DAY_VOTE' });
+    assert.deepEqual(beliefs.p1.contradictions, ['Day 1: claimed two roles']);
+});
+
+test('only the last MAX_NOTES notes are kept', () => {
+    let beliefs = {};
+    for (let round = 1; round <= MAX_NOTES + 2; round++) {
+        beliefs = applyBeliefUpdate(beliefs, update([{ name: 'Bob', evidence: `visited P${round}` }]), PLAYERS, { round, phase: 'NIGHT' });
+    }
+    assert.equal(beliefs.p1.evidence.length, MAX_NOTES);
+    assert.equal(beliefs.p1.evidence[0], 'Night 3: visited P3');
+    assert.equal(beliefs.p1.evidence[MAX_NOTES - 1], `Night ${MAX_NOTES + 2}: visited P${MAX_NOTES + 2}`);
+});
+
+test('claims are a history: a new role is added, the same claim again is not', () => {
+    let beliefs = applyBeliefUpdate({}, update([{ name: 'Bob', claim: 'Doctor' }]), PLAYERS, DAY_1);
+    beliefs = applyBeliefUpdate(beliefs, update([{ name: 'Bob', claim: 'Doctor' }]), PLAYERS, { round: 2, phase: 'DAY_DISCUSS' });
+    beliefs = applyBeliefUpdate(beliefs, update([{ name: 'Bob', claim: 'Escort' }]), PLAYERS, { round: 3, phase: 'DAY_DISCUSS' });
+    beliefs = applyBeliefUpdate(beliefs, update([{ name: 'Bob', claim: 'King' }]), PLAYERS, { round: 3, phase: 'DAY_VOTE' });
+    assert.deepEqual(beliefs.p1.claims, [{ round: 1, role: 'Doctor' }, { round: 3, role: 'Escort' }]);
+});
+
+test('the phase record has only that phase, and the vampire chat only for vampires', () => {
+    const gameState = {
+        players: PLAYERS,
+        journal: [
+            { round: 1, phase: 'NIGHT', type: 'CHAT_MESSAGE', channel: 'vampire', senderId: 'p1', message: 'bite Ann' },
+            { round: 1, phase: 'NIGHT', type: 'ACTION_RESULT', actorId: 'p0', action: 'INVESTIGATE', targetId: 'p1', result: 'suspicious' },
+            { round: 1, phase: 'NIGHT', type: 'ACTION_RESULT', actorId: 'p2', action: 'BITE', targetId: 'p0', result: 'blocked' },
+            { round: 1, phase: 'NIGHT', type: 'CHAT_MESSAGE', channel: 'jail', senderId: 'p2', message: 'let me go' },
+            { round: 1, phase: 'DAY_DISCUSS', type: 'CHAT_MESSAGE', channel: 'public', senderId: 'p0', message: 'hello' }
+        ]
+    };
+    const night = { round: 1, phase: 'NIGHT' };
+
+    const town = getPhaseRecord(gameState, PLAYERS[0], night);
+    assert.equal(town.label, 'Night 1 (NIGHT)');
+    assert.deepEqual(town.lines, ['Your INVESTIGATE on Bob: suspicious']);
+
+    const vampire = getPhaseRecord(gameState, PLAYERS[2], night);
+    assert.deepEqual(vampire.lines, ['[vampire chat] Bob: bite Ann', 'Your BITE on Ann: blocked']);
+
+    assert.deepEqual(getPhaseRecord(gameState, PLAYERS[1], DAY_1).lines, ['Ann: hello']);
+});
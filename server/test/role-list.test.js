@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine } = require('../game-engine');
+const { REJECTION } = require('../action-validator');
+const { ROLE_PRESETS, validateRolePreset, resolveRoleList, getPublicRoleList } = require('../role-list');
+const { FILLER_ROLE } = require('../roles');
+const { SeededRandom } = require('../rng');
+const { SILENT_LOGGER, createClock, createStartedEngine } = require('./helpers');
+
+const RANKED = ROLE_PRESETS.find(preset => preset.name === 'Ranked 10');
+
+function assertInvalid(result, pattern) {
+    assert.equal(result.ok, false);
+    assert.equal(result.code, REJECTION.INVALID_PRESET);
+    assert.match(result.message, pattern);
+}
+
+function createLobby(playerCount) {
+    const engine = new GameEngine({ code: 'TEST', host: 'p0', seed: 1, clock: createClock(), logger: SILENT_LOGGER });
+    for (let i = 0; i < playerCount; i++) engine.dispatch({ type: 'ADD_PLAYER', player: { id: `p${i}`, name: `P${i}` } });
+    return engine;
+}
+
+test('the built-in presets are valid', () => {
+    ROLE_PRESETS.forEach(preset => assert.equal(validateRolePreset(preset).ok, true, preset.name));
+});
+
+test('fixed slots must respect max and unique', () => {
+    assertInvalid(validateRolePreset({ slots: ['Jailor', 'Jailor', 'Vampire'] }), /2 Jailor slots.*limit of 1/);
+    assertInvalid(validateRolePreset({ slots: ['Doctor', 'Doctor', 'Vampire'], constraints: { Doctor: { max: 1 } } }), /2 Doctor/);
+    assertInvalid(validateRolePreset({ slots: ['Escort', 'Escort', 'Vampire'], constraints: { Escort: { unique: true } } }), /2 Escort/);
+});
+
+test('every min must be reachable', () => {
+    assertInvalid(validateRolePreset({
+        slots: ['Vampire', 'TOWN_INVESTIGATIVE', 'TOWN_INVESTIGATIVE'],
+        constraints: { Medium: { min: 1 } }
+    }), /minimum of 1 Medium/);
+    // Each min alone fits the one Town Support slot, both together do not
+    assertInvalid(validateRolePreset({
+        slots: ['Vampire', 'TOWN_SUPPORT', 'Doctor'],
+        constraints: { Medium: { min: 1 }, Mayor: { min: 1 } }
+    }), /every role minimum/);
+});
+
+test('a bucket that runs out of roles is rejected instead of dealing the filler role', () => {
+    assertInvalid(validateRolePreset({
+        slots: ['Vampire', 'TOWN_KILLING', 'TOWN_KILLING', 'TOWN_KILLING'],
+        constraints: { 'Vampire Hunter': { unique: true } }
+    }), /Town Killing/);
+    assertInvalid(validateRolePreset({
+        slots: ['Vampire', 'Jailor', 'TOWN_KILLING'],
+        constraints: { 'Vampire Hunter': { max: 0 } }
+    }), /Town Killing/);
+});
+
+test('the slots dealt must include an evil role', () => {
+    assertInvalid(validateRolePreset({ slots: ['Doctor', 'RANDOM_TOWN', 'ANY'] }), /no evil role/);
+    assert.equal(validateRolePreset({ slots: ['Doctor', 'RANDOM_TOWN', 'ANY'], constraints: { Vampire: { min: 1 } } }).ok, true);
+
+    // Ranked 10 deals its Vampire to the eighth player
+    assertInvalid(validateRolePreset(RANKED, 7), /first 7 slots have no evil role/);
+    assert.equal(validateRolePreset(RANKED, 8).ok, true);
+});
+
+test('resolveRoleList meets every min and max, whatever the seed', () => {
+    const { preset } = validateRolePreset({
+        slots: ['Vampire', 'TOWN_SUPPORT', 'RANDOM_TOWN', 'ANY', 'ANY', 'TOWN_KILLING'],
+        constraints: { Medium: { min: 1 }, Mayor: { min: 1 }, Vampire: { min: 2, max: 2 }, 'Vampire Hunter': { max: 0 } }
+    });
+    for (let seed = 1; seed <= 50; seed++) {
+        const roles = resolveRoleList(preset, 6, new SeededRandom(seed));
+        const count = role => roles.filter(r => r === role).length;
+        assert.equal(roles.length, 6);
+        assert.equal(count('Medium') >= 1, true, `seed ${seed}: ${roles}`);
+        assert.equal(count('Mayor'), 1, `seed ${seed}: ${roles}`);
+        assert.equal(count('Vampire'), 2, `seed ${seed}: ${roles}`);
+        assert.equal(roles[5], 'Jailor');
+        assert.equal(roles.includes(FILLER_ROLE), false);
+    }
+});
+
+test('START_GAME is rejected when the preset cannot be dealt to the players', () => {
+    const engine = createLobby(7);
+    engine.dispatch({ type: 'UPDATE_SETTINGS', settings: { rolePreset: RANKED } });
+    const events = engine.dispatch({ type: 'START_GAME' });
+
+    assert.equal(engine.state, 'LOBBY');
+    const rejection = events.find(event => event.type === 'ACTION_REJECTED');
+    assert.equal(rejection.code, REJECTION.INVALID_PRESET);
+    assert.equal(rejection.actionType, 'START_GAME');
+
+    engine.dispatch({ type: 'ADD_PLAYER', player: { id: 'p7', name: 'P7' } });
+    engine.dispatch({ type: 'START_GAME' });
+    assert.equal(engine.state, 'NIGHT');
+    assert.equal(engine.players.some(p => p.role === 'Vampire'), true);
+});
+
+test('UPDATE_SETTINGS is ignored past the lobby, even with an invalid preset', () => {
+    const engine = createStartedEngine({ roles: ['Vampire', 'Doctor', 'Investigator'] });
+    const events = engine.dispatch({ type: 'UPDATE_SETTINGS', settings: { rolePreset: { slots: [] } } });
+    assert.equal(events.some(event => event.type === 'ACTION_REJECTED'), false);
+    assert.equal(engine.settings.rolePreset, undefined);
+});
+
+test('the public role list is dealt once per preset and player count, not per view', () => {
+    const engine = createLobby(7);
+    assert.equal(engine.getPlayerView('p0').roleList, null);
+
+    engine.dispatch({ type: 'UPDATE_SETTINGS', settings: { rolePreset: RANKED } });
+    const roleList = engine.getPlayerView('p0').roleList;
+    assert.deepEqual(roleList, getPublicRoleList(engine.settings, 7));
+    assert.equal(engine.getPlayerView('p1').roleList, roleList);
+
+    engine.dispatch({ type: 'ADD_PLAYER', player: { id: 'p7', name: 'P7' } });
+    assert.deepEqual(engine.getPlayerView('p0').roleList, getPublicRoleList(engine.settings, 8));
+
+    // A restored game validates its preset again
+    const restored = GameEngine.fromState(engine.getState(), { clock: createClock(), logger: SILENT_LOGGER });
+    assert.deepEqual(restored.getPlayerView('p0').roleList, getPublicRoleList(engine.settings, 8));
+
+    engine.dispatch({ type: 'UPDATE_SETTINGS', settings: { rolePreset: { slots: ['Vampire', 'RANDOM_TOWN'] } } });
+    assert.equal(engine.getPlayerView('p0').roleList.length, 8);
+    assert.notDeepEqual(engine.getPlayerView('p0').roleList, roleList);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine } = require('../game-engine');
+const { ScriptedAI } = require('../scripted-ai');
+const { validateNightAction, validateDayVote } = require('../action-validator');
+const { simulateGame, PROVIDERS } = require('../simulation');
+const { SILENT_LOGGER, createClock } = require('./helpers');
+
+const ROLE_CONFIG = {
+    useDefault: false,
+    Vampire: 2,
+    'Vampire Framer': 1,
+    Doctor: 1,
+    Investigator: 1,
+    Jailor: 1,
+    Escort: 1,
+    'Vampire Hunter': 1,
+    Lookout: 1,
+    Mayor: 1,
+    Executioner: 1
+};
+
+/**
+ * Play an all-NPC game where every decision comes from a ScriptedAI.
+ * onNightAction / onVote see each decision before it is dispatched.
+ * @returns {Promise<object[]>} The decisions in order
+ */
+async function playWithScriptedAI(seed, { onNightAction = () => {}, onVote = () => {} } = {}) {
+    const engine = new GameEngine({
+        code: 'TEST',
+        host: 'p0',
+        settings: { biteCadence: 'EVERY_NIGHT' },
+        seed,
+        clock: createClock(),
+        logger: SILENT_LOGGER
+    });
+    for (let i = 0; i < 12; i++) engine.dispatch({ type: 'ADD_PLAYER', player: { id: `p${i}`, name: `Player${i}`, isNPC: true } });
+    engine.dispatch({ type: 'START_GAME', roleConfig: ROLE_CONFIG });
+
+    const ai = new ScriptedAI({ seed: `scripted:${seed}`, logger: SILENT_LOGGER });
+    const findByName = name => engine.players.find(p => p.name === name);
+    const decisions = [];
+
+    while (engine.state !== 'GAME_OVER' && engine.round <= 20) {
+        const living = engine.players.filter(p => p.alive);
+        if (engine.state === 'NIGHT') {
+            for (const player of living) {
+                const decision = await ai.generateNightAction(player, engine);
+                decisions.push({ round: engine.round, playerId: player.id, ...decision });
+                if (!decision.action || decision.action === 'NONE') continue;
+                const action = { type: decision.action, targetId: findByName(decision.targetName)?.id ?? null };
+                onNightAction(engine, player, action, decision);
+                engine.dispatch({ type: 'NIGHT_ACTION', playerId: player.id, action });
+            }
+        } else if (engine.state === 'DAY_VOTE') {
+            for (const player of living) {
+                const decision = await ai.generateDayVote(player, engine);
+                decisions.push({ round: engine.round, playerId: player.id, ...decision });
+                if (!decision.vote) continue;
+                const targetId = findByName(decision.vote)?.id;
+                onVote(engine, player, targetId, decision);
+                engine.dispatch({ type: 'DAY_VOTE', playerId: player.id, targetId });
+            }
+        }
+        engine.dispatch({ type: 'SKIP_PHASE' });
+    }
+    return decisions;
+}
+
+test('the same seed gives the same scripted decisions', async () => {
+    const first = await playWithScriptedAI(3);
+    const second = await playWithScriptedAI(3);
+    assert.ok(first.length > 0);
+    assert.deepEqual(second, first);
+});
+
+test('scripted night actions and votes always pass the action validator', async () => {
+    for (let seed = 1; seed <= 40; seed++) {
+        await playWithScriptedAI(seed, {
+            onNightAction: (engine, player, action, decision) => {
+                const result = validateNightAction(engine, player, action);
+                assert.ok(result.ok, `seed ${seed}: ${player.role} ${JSON.stringify(decision)} was rejected: ${result.code}`);
+            },
+            onVote: (engine, player, targetId, decision) => {
+                const result = validateDayVote(engine, player, targetId);
+                assert.ok(result.ok, `seed ${seed}: vote ${JSON.stringify(decision)} was rejected: ${result.code}`);
+            }
+        });
+    }
+});
+
+test('simulateGame with the scripted provider finishes with a winner', async () => {
+    for (const seed of [1, 2, 3]) {
+        const result = await simulateGame({ playerCount: 8, seed, provider: PROVIDERS.scripted(seed) });
+        assert.ok(['GOOD', 'EVIL', 'Jester'].includes(result.winner), `seed ${seed} ended with ${result.winner}`);
+        assert.ok(result.winnerIds.length > 0);
+    }
+});
@@ -1,4 +1,5 @@
 const textToSpeech = require('@google-cloud/text-to-speech');
+const { createLogger } = require('./game-logger');
 
 // Voice options for variety
 const VOICES = {
@@ -20,7 +21,8 @@ const VOICES = {
 };
 
 class TTSController {
-    constructor() {
+    constructor(logger = createLogger('TTS')) {
+        this.logger = logger;
         this.client = null;
         this.enabled = false;
         this.npcVoices = {}; // Store assigned voice per NPC for consistency
@@ -37,12 +39,12 @@ class TTSController {
                     this.client = new textToSpeech.TextToSpeechClient();
                 }
                 this.enabled = true;
-                console.log('[TTS] Google Cloud Text-to-Speech initialized successfully');
+                this.logger.info('Google Cloud Text-to-Speech initialized successfully');
             } else {
-                console.log('[TTS] No Google Cloud credentials found (GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_TTS_API_KEY). TTS disabled.');
+                this.logger.info('No Google Cloud credentials found (GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_TTS_API_KEY). TTS disabled.');
             }
         } catch (error) {
-            console.error('[TTS] Failed to initialize Text-to-Speech client:', error.message);
+            this.logger.error('Failed to initialize Text-to-Speech client', { error });
             this.enabled = false;
         }
     }
@@ -51,9 +53,10 @@ class TTSController {
      * Get or assign a consistent voice for an NPC
      * @param {string} npcId - The NPC's unique ID
      * @param {string} nationality - Language preference ('english' or 'lithuanian')
+     * @param {object} logger - Logger to report to (defaults to the controller's logger)
      * @returns {object} Voice configuration
      */
-    getVoiceForNPC(npcId, nationality = 'english') {
+    getVoiceForNPC(npcId, nationality = 'english', logger = this.logger) {
         if (this.npcVoices[npcId]) {
             return this.npcVoices[npcId];
         }
@@ -62,7 +65,7 @@ class TTSController {
         const selectedVoice = voiceList[Math.floor(Math.random() * voiceList.length)];
 
         this.npcVoices[npcId] = selectedVoice;
-        console.log(`[TTS] Assigned voice ${selectedVoice.name} to NPC ${npcId}`);
+        logger.info(`Assigned voice ${selectedVoice.name} to NPC ${npcId}`);
         return selectedVoice;
     }
 
@@ -71,11 +74,13 @@ class TTSController {
      * @param {string} text - The text to convert to speech
      * @param {string} npcId - The NPC's ID for voice consistency
      * @param {string} nationality - Language preference
+     * @param {object} options - Optional { logger } to report to instead of the controller's logger
      * @returns {Promise<string|null>} Base64 encoded audio or null on failure
      */
-    async synthesizeSpeech(text, npcId, nationality = 'english') {
+    async synthesizeSpeech(text, npcId, nationality = 'english', options = {}) {
+        const logger = options.logger || this.logger;
         if (!this.enabled || !this.client) {
-            console.log('[TTS] TTS not enabled, skipping synthesis');
+            logger.info('TTS not enabled, skipping synthesis');
             return null;
         }
 
@@ -84,7 +89,7 @@ class TTSController {
         }
 
         try {
-            const voice = this.getVoiceForNPC(npcId, nationality);
+            const voice = this.getVoiceForNPC(npcId, nationality, logger);
             const languageCode = nationality === 'lithuanian' ? 'lt-LT' : 'en-US';
 
             const request = {
@@ -101,16 +106,16 @@ class TTSController {
                 }
             };
 
-            console.log(`[TTS] Synthesizing speech for: "${text.substring(0, 50)}..."`);
+            logger.info(`Synthesizing speech for: "${text.substring(0, 50)}..."`);
             const [response] = await this.client.synthesizeSpeech(request);
 
             // Convert to base64 for socket transmission
             const audioBase64 = response.audioContent.toString('base64');
-            console.log(`[TTS] Successfully generated ${audioBase64.length} bytes of audio`);
+            logger.info(`Successfully generated ${audioBase64.length} bytes of audio`);
 
             return audioBase64;
         } catch (error) {
-            console.error('[TTS] Speech synthesis failed:', error.message);
+            logger.error('Speech synthesis failed', { error });
             return null;
         }
     }
@@ -120,7 +125,7 @@ class TTSController {
      */
     clearVoiceAssignments() {
         this.npcVoices = {};
-        console.log('[TTS] Cleared NPC voice assignments');
+        this.logger.info('Cleared NPC voice assignments');
     }
 
     /**